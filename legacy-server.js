@@ -13,7 +13,20 @@ import path from "path";
 import { fileURLToPath } from "url";
 import crypto from "crypto";
 import PDFDocument from "pdfkit";
-import { adjustCompetitionCounts } from "./src/competition.js";
+import { DEFAULT_ESTIMATE_RULES as RULES, blendFrontageAadt, computeEstimate, extrasMultiplier, isLowRating } from "./src/estimateEngine.js";
+import { resolveEstimateRules } from "./src/estimateProfiles.js";
+import { aadtSourceContext, applyProbabilisticRange, monteCarloOptions, simulateEstimate } from "./src/estimateUncertainty.js";
+import { resolveTruckShare, truckPctFromAttributes } from "./src/truckShare.js";
+import { aadtCagr, aadtSeries, aadtTrendOptions, projectAadt } from "./src/aadtTrend.js";
+import { importedOrLiveAadt, nearbyImportedAadt } from "./src/aadtDataset.js";
+import { nearestPointOnPaths } from "./src/spatialIndex.js";
+import { frontageOptions, matchAadtSegments, segmentMatchSummary } from "./src/segmentMatch.js";
+import { buildProForma, proFormaAssumptions } from "./src/proForma.js";
+import { HEAVY, competitionIndex, frontageRoad, mpdsFromTags } from "./src/competitionIndex.js";
+import { parseMaxspeed } from "./src/isochrone.js";
+import { collection, openStore } from "./src/store.js";
+import { resolveReportTheme } from "./src/reportTheme.js";
+import { renderSiteMap, siteMapCaption } from "./src/staticMap.js";
 
 const app = express();
 app.use(cors());
@@ -22,8 +35,11 @@ app.use(express.json({ limit: "1mb" }));
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const DATA_DIR = path.join(__dirname, "data");
-const NORMALIZED_FILE = path.join(DATA_DIR, "normalized-addresses.json");
+// Normalized addresses live in the shared store (data/store/addresses.jsonl);
+// the migration imports the old data/normalized-addresses.json once. Only the
+// newest 500 are kept, as the old file was.
+openStore().migrate();
+const ADDRESSES = collection("addresses", { limit: 500 });
 
 app.use(
   express.static(path.join(__dirname, "public"), {
@@ -240,16 +256,7 @@ function buildChatGptPayload(item) {
 
 async function appendNormalizedAddress(entry) {
   try {
-    await fs.mkdir(DATA_DIR, { recursive: true });
-    let existing = [];
-    try {
-      const raw = await fs.readFile(NORMALIZED_FILE, "utf8");
-      const parsed = JSON.parse(raw);
-      if (Array.isArray(parsed)) existing = parsed;
-    } catch {}
-    existing.unshift(entry);
-    if (existing.length > 500) existing = existing.slice(0, 500);
-    await fs.writeFile(NORMALIZED_FILE, JSON.stringify(existing, null, 2));
+    ADDRESSES.put(entry);
   } catch (err) {
     console.error("Failed to store normalized address", err);
     throw err;
@@ -467,6 +474,9 @@ const AADT_PROVIDERS = {
   FL: { kind: "arcgis", url: "https://gis-fdot.opendata.arcgis.com/datasets/annual-average-daily-traffic-tda/explore", geoType: "line" },
 };
 
+// Segment matches below this confidence fall back to road-name matching.
+const SEGMENT_MATCH_MIN_CONFIDENCE = 0.5;
+
 /* -------------------------- ArcGIS helpers -------------------------- */
 async function arcgisQueryNearby(url, lat, lon, radiusMeters = 1609, outFields = "*") {
   const p = new URLSearchParams({
@@ -499,6 +509,7 @@ function extractLatestAADT(attrs) {
   const pairs = [];
   for (const k of Object.keys(attrs)) {
     const up = k.toUpperCase();
+    if (/TRUCK|TRK|ADTT|PCT|PERC/.test(up)) continue; // truck counts/shares are not total AADT
     if (up === "AADT" || up === "ADT") {
       const v = +attrs[k]; if (v > 0) pairs.push({ year: null, val: v });
       continue;
@@ -558,14 +569,9 @@ function featureCenterAndDistance(feat, lat, lon) {
     return { lat: g.y, lon: g.x, distM: dist };
   }
   if (Array.isArray(g.paths)) {
-    let best = { lat: null, lon: null, distM: Infinity };
-    for (const path of g.paths) {
-      for (const [x,y] of path) {
-        const d = haversine(lat, lon, y, x);
-        if (d < best.distM) best = { lat: y, lon: x, distM: d };
-      }
-    }
-    return best;
+    // Nearest point along the line, not just the nearest vertex.
+    const near = nearestPointOnPaths(g.paths, lat, lon);
+    return { lat: near.lat, lon: near.lon, distM: near.distM, paths: g.paths };
   }
   return { lat: null, lon: null, distM: Infinity };
 }
@@ -578,9 +584,14 @@ function featuresToStations(stateCode, feats, siteLat, siteLon) {
     const pos = featureCenterAndDistance(f, siteLat, siteLon);
     if (!(Number.isFinite(pos.lat) && Number.isFinite(pos.lon))) continue;
     const rl = extractRouteLocation(A);
+    const series = aadtSeries(A);
+    const newest = series[series.length - 1];
     out.push({
       lat: pos.lat, lon: pos.lon, distM: pos.distM,
-      aadt: latest.aadt, year: latest.year,
+      aadt: latest.aadt, year: latest.year ?? (newest?.aadt === latest.aadt ? newest.year : null),
+      series, cagr_pct: aadtCagr(series),
+      ...(pos.paths ? { paths: pos.paths } : {}),
+      truck_pct: truckPctFromAttributes(A, latest.aadt),
       route: rl.route, location: rl.location,
       station_id: A.LocationID || A.Location_ID || A.OBJECTID || A.OBJECTID_1 || null,
       rte_cls: A.RTE_CLS || A.RTE_TYPE_CD || null,
@@ -608,22 +619,62 @@ function pickStationForStreet(stations, streetText) {
 }
 
 /* ---------------------- Providers wrappers ---------------------- */
+// Imported AADT datasets (scripts/importAadt.js) answer first when they have
+// hits (on the entered road, for street lookups); otherwise the live DOT
+// endpoint is queried.
+function importedNearbyAADT(lat, lon, radiusMi) {
+  try { return nearbyImportedAadt(lat, lon, radiusMi); }
+  catch (e) { console.error("Imported AADT lookup failed", e); return []; }
+}
 async function providerNearbyAADT(stateCode, lat, lon, radiusMi = 1.0) {
-  const prov = AADT_PROVIDERS[stateCode];
-  if (!prov) return [];
-  const feats = await arcgisQueryNearby(prov.url, lat, lon, radiusMi * 1609.344).catch(() => []);
-  return featuresToStations(stateCode, feats, lat, lon);
+  return importedOrLiveAadt(lat, lon, radiusMi, {
+    live: async () => {
+      const prov = AADT_PROVIDERS[stateCode];
+      if (!prov) return [];
+      const feats = await arcgisQueryNearby(prov.url, lat, lon, radiusMi * 1609.344).catch(() => []);
+      return featuresToStations(stateCode, feats, lat, lon);
+    },
+  });
 }
 async function providerStationsOnStreet(stateCode, lat, lon, streetText) {
-  const prov = AADT_PROVIDERS[stateCode];
-  if (!prov || !streetText) return [];
+  if (!streetText) return [];
   const tokens = tokensForRoadName(streetText);
-  const where = buildRouteWhere(tokens);
-  if (!where) return [];
-  const feats = await arcgisQueryWhere(prov.url, where, "*", true).catch(() => []);
-  const st = featuresToStations(stateCode, feats, lat, lon);
-  // limit to ~1.5 mi; we only want stations near the site AND on that road
-  return st.filter(s => s.distM <= 1.5 * 1609.344);
+  return importedOrLiveAadt(lat, lon, 1.5, {
+    accept: (s) => tokens.some((t) => normalizeRoadText(`${s.route || ""} ${s.location || ""}`).includes(t)),
+    live: async () => {
+      const prov = AADT_PROVIDERS[stateCode];
+      if (!prov) return [];
+      const where = buildRouteWhere(tokens);
+      if (!where) return [];
+      const feats = await arcgisQueryWhere(prov.url, where, "*", true).catch(() => []);
+      const st = featuresToStations(stateCode, feats, lat, lon);
+      // limit to ~1.5 mi; we only want stations near the site AND on that road
+      return st.filter(s => s.distM <= 1.5 * 1609.344);
+    },
+  });
+}
+
+// AADT reading for a corner lot's second frontage road: a typed count, the
+// nearest count on a named road, or the cross street the segment match found.
+async function secondaryFrontageReading(options, { stateCode, site, match, candidates, primary }) {
+  const reading = (station, road, source, extra = {}) => ({
+    road, aadt: station.aadt, year: station.year ?? null, route: station.route || null, location: station.location || null,
+    station_id: station.station_id ?? null, miles: Number.isFinite(station.distM) ? Number((station.distM / 1609.344).toFixed(2)) : station.miles ?? null,
+    series: station.series || [], cagr_pct: station.cagr_pct ?? null, source, ...extra,
+  });
+  const cornerRoad = match?.corner?.road?.name || match?.corner?.road?.ref || null;
+  const isPrimary = (s) => primary && s.station_id === primary.station_id && s.aadt === primary.aadt;
+  if (options.secondaryAadt) return { road: options.secondaryRoad || cornerRoad, aadt: options.secondaryAadt, source: "user_entered" };
+  if (options.secondaryRoad) {
+    const onStreet = (await providerStationsOnStreet(stateCode, site.lat, site.lon, options.secondaryRoad).catch(() => []))
+      .filter((s) => !isPrimary(s));
+    const pick = onStreet.length ? pickStationForStreet(onStreet, options.secondaryRoad) : null;
+    return pick ? reading(pick, options.secondaryRoad, "dot_station_on_secondary_road") : null;
+  }
+  const corner = match?.corner;
+  const station = candidates[corner?.station_index];
+  if (!station || !(corner.confidence >= SEGMENT_MATCH_MIN_CONFIDENCE) || isPrimary(station)) return null;
+  return reading(station, cornerRoad, "segment_match_corner", { confidence: corner.confidence, confidence_label: corner.confidence_label });
 }
 
 /* --------------------- Competition (OSM+Google) --------------------- */
@@ -654,7 +705,6 @@ async function overpassQuery(data) {
   }
   throw last;
 }
-const HEAVY_BRANDS = /(sheetz|wawa|race\s?trac|racetrac|buc-?ee'?s|royal\s?farms|quik.?trip|\bqt\b)/i;
 const IS_SUNOCO  = /\bsunoco\b/i;
 const SELF_EXCLUDE_RADIUS_MI = 0.05; // ~264 ft — avoid counting the searched site as a competitor
 
@@ -669,7 +719,7 @@ function fallbackCompetitors(lat, lon, rMi) {
         lat: s.lat,
         lon: s.lon,
         miles: +milesExact.toFixed(3),
-        heavy: HEAVY_BRANDS.test(s.name),
+        heavy: HEAVY.test(s.name),
         sunoco: IS_SUNOCO.test(s.name),
         fallback: true,
       };
@@ -697,7 +747,7 @@ async function googleNearbyGasStations(lat, lon, rM = 2414) {
         name,
         lat: +latc, lon: +lonc,
         miles: +milesExact.toFixed(3),
-        heavy: HEAVY_BRANDS.test(name),
+        heavy: HEAVY.test(name),
         sunoco: IS_SUNOCO.test(name),
       });
     }
@@ -725,9 +775,10 @@ async function competitorsWithinRadiusMiles(lat, lon, rMi = 1.0) {
     const milesExact = distMiles(lat, lon, latc, lonc);
     if (milesExact <= SELF_EXCLUDE_RADIUS_MI) return null;
     return {
-      name, lat: +latc, lon: +lonc,
+      name, brand: t.brand || null, lat: +latc, lon: +lonc,
       miles: +milesExact.toFixed(3),
-      heavy: HEAVY_BRANDS.test(name),
+      mpds: mpdsFromTags(t),
+      heavy: HEAVY.test(name),
       sunoco: IS_SUNOCO.test(name),
     };
   }).filter(Boolean);
@@ -788,19 +839,38 @@ async function nearbyFuelRich(lat, lon, radiusMi = 5) {
 }
 
 /* ----------------------- Road context ----------------------- */
-function parseMaxspeed(ms) { const m = String(ms || "").match(/(\d+)\s*(mph)?/i); return m ? +m[1] : null; }
 function roadWeight(hw) {
   const order = { motorway: 6, trunk: 5, primary: 4, secondary: 3, tertiary: 2, unclassified: 1, residential: 1 };
   return order[(hw || "").replace("_link", "")] || 0;
 }
-async function roadContext(lat, lon) {
+// Full geometry is only fetched for the AADT-carrying roads next to the site
+// (frontage, segment match) and cached per site; the wider road summary
+// needs tags and way centres only.
+const ROAD_CLASSES = "motorway|trunk|primary|secondary|tertiary|primary_link|secondary_link|tertiary_link";
+const ROAD_GEOMETRY_RADIUS_M = 250;
+const ROAD_GEOMETRY_CACHE = new Map();
+const ROAD_GEOMETRY_TTL_MS = 12 * 60 * 60 * 1000; // 12 hours
+const ROAD_GEOMETRY_CACHE_LIMIT = 200;
+async function roadGeometryNear(lat, lon) {
+  const key = `${lat.toFixed(4)},${lon.toFixed(4)}`;
+  const cached = getCached(ROAD_GEOMETRY_CACHE, key);
+  if (cached) return cached;
+  const q = `[out:json][timeout:25];
+    ( way(around:${ROAD_GEOMETRY_RADIUS_M},${lat},${lon})["highway"~"${ROAD_CLASSES}"]; );
+    out tags geom;`;
+  const ways = (await overpassQuery(q)).elements || [];
+  setCached(ROAD_GEOMETRY_CACHE, key, ways, ROAD_GEOMETRY_TTL_MS, ROAD_GEOMETRY_CACHE_LIMIT);
+  return ways;
+}
+async function roadContext(lat, lon, enteredRoad = "") {
   const rM = Math.round(1609 * 1.2);
   const qWays = `[out:json][timeout:25];
-    ( way(around:${rM},${lat},${lon})["highway"~"motorway|trunk|primary|secondary|tertiary|primary_link|secondary_link|tertiary_link"]; );
+    ( way(around:${rM},${lat},${lon})["highway"~"${ROAD_CLASSES}"]; );
     out center tags;`;
   const qSig = `[out:json][timeout:25]; node(around:${rM},${lat},${lon})["highway"="traffic_signals"]; out;`;
-  let ways = [], signals = 0;
+  let ways = [], geometryWays = [], signals = 0;
   try { const wj = await overpassQuery(qWays); ways = wj.elements || []; } catch {}
+  try { geometryWays = await roadGeometryNear(lat, lon); } catch {}
   try { const sj = await overpassQuery(qSig); signals = (sj.elements || []).length; } catch {}
   const rows = ways.map((w) => {
     const t = w.tags || {};
@@ -823,73 +893,17 @@ async function roadContext(lat, lon) {
   const mainLabel = main.map(nice).filter(Boolean).slice(0, 3).join(" | ");
   const sideLabel = side.map(nice).filter(Boolean).slice(0, 3).join(" | ");
   const intersections = Math.max(0, Math.round(rows.length / 3));
-  return { summary: [mainLabel, sideLabel].filter(Boolean).join(" — "), main, side, signals, intersections };
+  const roadWays = geometryWays.filter((w) => roadWeight((w.tags?.highway || "").replace("_link", "")) > 0);
+  const frontage = frontageRoad(roadWays, { lat, lon }, enteredRoad);
+  return { summary: [mainLabel, sideLabel].filter(Boolean).join(" — "), main, side, signals, intersections, frontage, ways: roadWays };
 }
 
 /* ------------------------- Gallons computation ------------------------- */
-function gallonsWithRules({ aadt, mpds, diesel, compCount, heavyCount, pricePosition, userExtrasMult = 1, trafficPullPct, gallonsPerFill }) {
-  const trafficPctUsed = Number.isFinite(trafficPullPct) && trafficPullPct > 0 ? Number(trafficPullPct) : 2;
-  const gallonsUsed = Number.isFinite(gallonsPerFill) && gallonsPerFill > 0 ? Number(gallonsPerFill) : 8;
-  const baselineComponents = {
-    trafficShare: trafficPctUsed / 100,
-    trafficPullPct: trafficPctUsed,
-    gallonsPerFill: gallonsUsed,
-    usedCustomTraffic: Number.isFinite(trafficPullPct) && trafficPullPct > 0,
-    usedCustomGallons: Number.isFinite(gallonsPerFill) && gallonsPerFill > 0,
-    days: 30,
-  };
-  const baseline = aadt * baselineComponents.trafficShare * baselineComponents.gallonsPerFill * baselineComponents.days;
-
-  let baseMult = 1.0;
-  if (compCount > 0 && compCount < 1) baseMult = 0.8;
-  else if (compCount === 1) baseMult = 0.75;
-  else if (compCount >= 2 && compCount <= 4) baseMult = 0.6;
-  else if (compCount >= 5) baseMult = 0.5;
-
-  let heavyPenalty = 0;
-  if (heavyCount === 1) heavyPenalty = 0.2;
-  else if (heavyCount >= 2) heavyPenalty = 0.35;
-
-  const compMult = Math.max(0.2, baseMult - heavyPenalty);
-  const afterComp = baseline * compMult;
-
-  const capEquip = mpds * 25 * 10.5 * 24 * (365 / 12) + ((diesel || 0) * 25 * 16 * 24) * (365 / 12);
-  const SOFT = 22000, HARD = 28000;
-  const capSoftTotal = mpds * SOFT, capHardTotal = mpds * HARD;
-
-  let capped = Math.min(afterComp, capEquip, capHardTotal);
-  if (afterComp > capSoftTotal) capped = Math.round(capped * 0.9);
-
-  let priceMult = 1.0;
-  if (pricePosition === "below") priceMult = 1.1;
-  else if (pricePosition === "above") priceMult = 0.9;
-
-  const preClamp = Math.round(capped * priceMult * userExtrasMult);
-  const base = Math.min(preClamp, Math.round(baseline));
-
-  const low = Math.round(base * 0.86);
-  const high = Math.round(base * 1.06);
-
-  const breakdown = {
-    aadt,
-    baseline: Math.round(baseline),
-    baselineComponents,
-    compRule: { compCount, heavyCount, baseMult, heavyPenalty, compMult, afterComp: Math.round(afterComp) },
-    caps: { capEquip: Math.round(capEquip), capSoftTotal, capHardTotal },
-    priceMult,
-    extrasMult: userExtrasMult,
-    preClamp,
-    finalClampedToBaseline: base,
-  };
-
-  return {
-    base,
-    low,
-    high,
-    year2: Math.round(base * 1.027),
-    year3: Math.round(base * 1.027 * 1.0125),
-    breakdown,
-  };
+function gallonsWithRules({ aadt, mpds, diesel, compCountDetected, heavyCountDetected, competitionIndex, pricePosition, userExtrasMult = 1, trafficPullPct, gallonsPerFill, truckPct, frontage }, rules = RULES) {
+  return computeEstimate({
+    aadt, mpds, diesel, compCountDetected, heavyCountDetected, competitionIndex,
+    pricePosition, extrasMult: userExtrasMult, trafficPullPct, gallonsPerFill, truckPct, frontage,
+  }, rules);
 }
 function formatNumberCompact(n) {
   if (!Number.isFinite(n)) return '';
@@ -915,10 +929,10 @@ function formatFinalEstimateLine(result) {
   if (!result || typeof result !== 'object') return null;
   const est = result.estimate || {};
   const base = pickFirstFinite(est.base, result.base, est.low, result.low);
-  const low = pickFirstFinite(est.low, result.low, Number.isFinite(base) ? Math.round(Number(base) * 0.86) : null);
-  const high = pickFirstFinite(est.high, result.high, Number.isFinite(base) ? Math.round(Number(base) * 1.06) : null);
-  const year2 = pickFirstFinite(est.year2, result.year2, Number.isFinite(base) ? Math.round(Number(base) * 1.027) : null);
-  const year3 = pickFirstFinite(est.year3, result.year3, Number.isFinite(base) ? Math.round(Number(base) * 1.027 * 1.0125) : null);
+  const low = pickFirstFinite(est.low, result.low, Number.isFinite(base) ? Math.round(Number(base) * RULES.range.lowMult) : null);
+  const high = pickFirstFinite(est.high, result.high, Number.isFinite(base) ? Math.round(Number(base) * RULES.range.highMult) : null);
+  const year2 = pickFirstFinite(est.year2, result.year2, Number.isFinite(base) ? Math.round(Number(base) * RULES.growth.year2) : null);
+  const year3 = pickFirstFinite(est.year3, result.year3, Number.isFinite(base) ? Math.round(Number(base) * RULES.growth.year2 * RULES.growth.year3) : null);
   const fmt = (n) => (Number.isFinite(n) ? Number(n).toLocaleString() : '—');
   const range = typeof est.range === 'string' && est.range.trim()
     ? est.range.trim()
@@ -1272,14 +1286,15 @@ app.get("/aadt/nearby", async (req, res) => {
     if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
       return res.status(400).json({ ok: false, status: "lat/lon required" });
     }
-    const admin = await reverseAdmin(lat, lon);
-    const st = toStateCode(admin.state) || "NC";
-    const stations = await providerNearbyAADT(st, lat, lon, rMi);
+    const imported = importedNearbyAADT(lat, lon, rMi);
+    const st = imported[0]?.state || toStateCode((await reverseAdmin(lat, lon)).state) || "NC";
+    const stations = imported.length ? imported : await providerNearbyAADT(st, lat, lon, rMi);
     const items = stations.map(s => ({
       lat: s.lat, lon: s.lon, miles: +toMiles(s.distM).toFixed(3),
-      aadt: s.aadt, year: s.year, route: s.route, location: s.location,
-      rte_cls: s.rte_cls, station_id: s.station_id, source_url: AADT_PROVIDERS[st]?.url || null,
-      state: st
+      aadt: s.aadt, year: s.year, series: s.series, cagr_pct: s.cagr_pct, route: s.route, location: s.location,
+      rte_cls: s.rte_cls, station_id: s.station_id, source_url: s.imported ? null : AADT_PROVIDERS[st]?.url || null,
+      ...(s.imported ? { source_title: s.source_title, imported: true } : {}),
+      state: s.state || st
     }));
     res.json({ ok: true, count: items.length, items, state: st });
   } catch (e) {
@@ -1307,7 +1322,7 @@ function extractStreetFromAddress(addr) {
 async function performEstimate(reqBody) {
   const { address, mpds, diesel, siteLat, siteLon, aadtOverride, advanced,
           client_rating, auto_low_rating, enteredRoad, trafficPullPct, gallonsPerFill,
-          siteNotes: rawSiteNotes } = reqBody || {};
+          siteNotes: rawSiteNotes, profile } = reqBody || {};
 
   const siteNotes = typeof rawSiteNotes === "string"
     ? rawSiteNotes.trim().slice(0, 1200)
@@ -1318,6 +1333,7 @@ async function performEstimate(reqBody) {
   if (!address && !(Number.isFinite(siteLat) && Number.isFinite(siteLon))) throw new Error("Address or coordinates required");
 
   const pricePosition = String(advanced?.price_position || "inline");
+  const rules = resolveEstimateRules(profile);
 
   // Geocode/admin
   let geo;
@@ -1342,31 +1358,38 @@ async function performEstimate(reqBody) {
   const sunocoNearby = compAll3.some((c) => c.sunoco && c.miles <= 1.0);
   const ruralEligible = compAll3.length === 0;
 
-  const { compCount, heavyCount } = adjustCompetitionCounts(
-    compCountDetected,
-    heavyCountDetected,
-  );
   const compCountDisplay = compCountDetected;
   const heavyCountDisplay = Math.min(heavyCountDetected, compCountDisplay);
 
   // Developments + roads
   const devCsv = matchCsvDevelopments(admin.city, admin.county, admin.state);
-  const roads = await roadContext(geo.lat, geo.lon).catch(() => ({ summary: "", main: [], side: [], signals: 0, intersections: 0 }));
+  const { ways: roadWays = [], ...roads } = await roadContext(geo.lat, geo.lon, enteredRoadText).catch(() => ({ summary: "", main: [], side: [], signals: 0, intersections: 0, frontage: null }));
+  const compIndex = competitionIndex(competitors1, { site: geo, road: roads.frontage }, rules);
 
   // AADT strict: ONLY from stations on the ENTERED ROAD
   let usedAADT = null, method = "dot_station_on_entered_road";
   let aadtUsedMarker = null;
   let rawStationAADT = null;
+  let segmentMatch = null;
+  let match = null;
   let mapStations = await providerNearbyAADT(stateCode, geo.lat, geo.lon, 1.0).catch(() => []);
 
+  let candidates = mapStations;
+
   const overrideVal = Number(aadtOverride);
   if (Number.isFinite(overrideVal) && overrideVal > 0) {
     usedAADT = Math.round(overrideVal); method = "user_entered";
   } else {
     let onStreet = await providerStationsOnStreet(stateCode, geo.lat, geo.lon, enteredRoadText).catch(() => []);
-    let pick = onStreet.length ? pickStationForStreet(onStreet, enteredRoadText) : null;
-
-    if (!pick && stateCode === "NC" && mapStations.length) {
+    // Snap to the road the site fronts first; a count on a parallel road is
+    // the costliest mistake, so text matching is only the fallback.
+    candidates = [...onStreet, ...mapStations.filter((s) => !onStreet.some((o) => o.station_id === s.station_id && o.aadt === s.aadt))];
+    match = matchAadtSegments({ site: geo, ways: roadWays, stations: candidates, enteredRoad: enteredRoadText });
+    segmentMatch = segmentMatchSummary(match);
+    let pick = match.primary?.confidence >= SEGMENT_MATCH_MIN_CONFIDENCE ? candidates[match.primary.station_index] : null;
+    if (!pick) pick = onStreet.length ? pickStationForStreet(onStreet, enteredRoadText) : null;
+
+    if (!pick && (stateCode === "NC" || mapStations[0]?.imported) && mapStations.length) {
       pick = pickStationForStreet(mapStations, enteredRoadText) || mapStations[0];
     }
 
@@ -1374,41 +1397,96 @@ async function performEstimate(reqBody) {
       usedAADT = pick.aadt;
       rawStationAADT = pick.aadt;
       aadtUsedMarker = {
-        lat: pick.lat, lon: pick.lon, aadt: pick.aadt, year: pick.year,
+        lat: pick.lat, lon: pick.lon, aadt: pick.aadt, year: pick.year, truck_pct: pick.truck_pct ?? null,
+        series: pick.series || [], cagr_pct: pick.cagr_pct ?? null,
         route: pick.route, location: pick.location,
-        station_id: pick.station_id, source_url: AADT_PROVIDERS[stateCode]?.url || null,
-        state: stateCode, fallback: false, method
+        station_id: pick.station_id, source_url: pick.imported ? null : AADT_PROVIDERS[stateCode]?.url || null,
+        ...(pick.imported ? { source_title: pick.source_title, imported: true } : {}),
+        state: pick.state || stateCode, fallback: false, method,
+        ...(pick === candidates[match.primary?.station_index] ? { segment: { road: match.primary.road.name || match.primary.road.ref, confidence: match.primary.confidence, confidence_label: match.primary.confidence_label, geometry: match.primary.segment.geometry, road_geometry: match.primary.road.geometry } } : {}),
       };
     }
   }
   if (!(Number.isFinite(usedAADT) && usedAADT > 0)) {
-    usedAADT = 8000;
+    usedAADT = rules.aadt.fallback;
     method = "fallback_no_dot_found";
     rawStationAADT = null;
-  } else if (method === "dot_station_on_entered_road" && usedAADT < 2000) {
+  } else if (method === "dot_station_on_entered_road" && usedAADT < rules.aadt.minimumStation) {
     rawStationAADT = usedAADT;
-    usedAADT = 8000;
+    usedAADT = rules.aadt.fallback;
     method = "fallback_low_aadt";
     aadtUsedMarker = null;
   }
 
+  // Optional trend: project the station count to the opening year at its CAGR.
+  // A typed override trends only when it matches a station with a series.
+  const trendOptions = aadtTrendOptions(reqBody);
+  let aadtTrend = null;
+  if (trendOptions && !method.startsWith("fallback")) {
+    const trendStation = method === "user_entered"
+      ? [reqBody?.selectedAadt, ...mapStations].find((s) => s?.cagr_pct != null && Math.round(Number(s.aadt)) === usedAADT)
+      : aadtUsedMarker;
+    aadtTrend = projectAadt({ ...trendStation, aadt: usedAADT }, trendOptions.openingYear);
+    if (aadtTrend) usedAADT = aadtTrend.aadt;
+  }
+
+  // Optional corner-lot blend: add a weighted share of the second frontage
+  // road's AADT (trended alongside the primary when a trend was requested).
+  const frontageRequest = frontageOptions(reqBody);
+  let frontage = null;
+  if (frontageRequest && !method.startsWith("fallback")) {
+    if (!match && !frontageRequest.secondaryAadt && !frontageRequest.secondaryRoad) {
+      match = matchAadtSegments({ site: geo, ways: roadWays, stations: candidates, enteredRoad: enteredRoadText });
+    }
+    let secondary = await secondaryFrontageReading(frontageRequest, { stateCode, site: geo, match, candidates, primary: aadtUsedMarker });
+    if (secondary && trendOptions && secondary.cagr_pct != null) {
+      const trend = projectAadt(secondary, trendOptions.openingYear);
+      if (trend) secondary = { ...secondary, aadt: trend.aadt, trend };
+    }
+    if (secondary) {
+      const { series, ...secondaryReading } = secondary;
+      frontage = blendFrontageAadt(
+        { road: enteredRoadText || match?.primary?.road?.name || null, aadt: usedAADT, route: aadtUsedMarker?.route ?? null, source: method },
+        secondaryReading, { weight: frontageRequest.weight }, rules,
+      );
+      usedAADT = frontage.aadt;
+    }
+  }
+
   // Gallons
-  let userExtrasMult = 1.0;
   const extras = (advanced?.extra || [])
     .map((e) => ({ pct: +e?.pct, note: String(e?.note || "").slice(0, 180) }))
     .filter((e) => Number.isFinite(e.pct));
-  if (extras.length) userExtrasMult *= extras.reduce((m, e) => m * (1 + e.pct / 100), 1.0);
   const ruralRequested = !!(advanced && advanced.flags && advanced.flags.rural === true);
   const ruralApplied = ruralRequested && ruralEligible;
-  if (ruralApplied) userExtrasMult *= 1.30;
-  const autoLow = auto_low_rating === true || (Number.isFinite(client_rating) && client_rating < 4.0);
-  if (autoLow) userExtrasMult *= 0.70;
+  const autoLow = isLowRating({ autoLowRating: auto_low_rating, clientRating: client_rating }, rules);
+  const userExtrasMult = extrasMultiplier({ extras, ruralApplied, autoLowRating: autoLow }, rules);
+
+  const truckShare = resolveTruckShare({
+    requested: reqBody?.truckPct ?? reqBody?.selectedAadt?.truck_pct,
+    station: aadtUsedMarker,
+    nearby: mapStations,
+    lat: geo.lat, lon: geo.lon,
+  }, rules.diesel.defaultTruckPct);
 
   const calc = gallonsWithRules({
     aadt: usedAADT, mpds: MPDS, diesel: DIESEL,
-    compCount, heavyCount, pricePosition, userExtrasMult,
-    trafficPullPct, gallonsPerFill,
-  });
+    compCountDetected, heavyCountDetected, competitionIndex: compIndex, pricePosition, userExtrasMult,
+    trafficPullPct, gallonsPerFill, truckPct: truckShare.pct, frontage,
+  }, rules);
+
+  // Optional Monte Carlo range: P10/P90 replace the fixed low/high band.
+  const monteCarlo = monteCarloOptions(reqBody);
+  const simulation = monteCarlo
+    ? simulateEstimate({
+        aadt: usedAADT, mpds: MPDS, diesel: DIESEL,
+        compCountDetected, heavyCountDetected, competitionIndex: compIndex, pricePosition, extrasMult: userExtrasMult,
+        trafficPullPct, gallonsPerFill, truckPct: truckShare.pct,
+      }, rules, {
+        ...aadtSourceContext({ inputs: { aadt_components: { method } }, map: { site: geo, aadt_used: aadtUsedMarker } }, reqBody),
+        ...monteCarlo,
+      })
+    : null;
 
   const baselineComponents = calc.breakdown?.baselineComponents || {};
   const baselineSettings = {
@@ -1473,11 +1551,14 @@ Competition: ${ctx.compCount} (Big box ${ctx.heavyCount})
 Pricing: ${ctx.pricePosition}; User adjustments: ${ctx.userAdj || "none"}
 Result LOW/BASE/HIGH: ${ctx.low}/${ctx.base}/${ctx.high}
 `.trim();
-    try {
-      const j = await gptJSONWithRetry(`${sys}\n${prompt}`);
-      const s = (j && j.summary) ? sanitizeSummary(j.summary).trim() : "";
-      if (s) return s;
-    } catch {}
+    // Batch runs skip the model call; the fallback line carries the same numbers.
+    if (!ctx.skipModel) {
+      try {
+        const j = await gptJSONWithRetry(`${sys}\n${prompt}`);
+        const s = (j && j.summary) ? sanitizeSummary(j.summary).trim() : "";
+        if (s) return s;
+      } catch {}
+    }
     let fallback = `AADT ${ctx.aadt} (${ctx.method}); competition ${ctx.compCount} (Big box=${ctx.heavyCount}); pricing ${ctx.pricePosition}; adjustments ${ctx.userAdj || "none"}; result ${ctx.low}–${ctx.high} base ${ctx.base}.`;
     return sanitizeSummary(fallback).trim();
   }
@@ -1486,10 +1567,12 @@ Result LOW/BASE/HIGH: ${ctx.low}/${ctx.base}/${ctx.high}
   if (baselineComponents.usedCustomTraffic || baselineComponents.usedCustomGallons) {
     adjBits.push(`User baseline inputs: ${formatNumberCompact(baselineComponents.trafficPullPct)}% traffic pull × ${formatNumberCompact(baselineComponents.gallonsPerFill)} gal/fill`);
   }
-  if (pricePosition === "below") adjBits.push("+10% below-market pricing");
-  if (pricePosition === "above") adjBits.push("−10% above-market pricing");
-  if (ruralApplied) adjBits.push("+30% rural bonus (0 comps within 3 mi)");
-  if (autoLow) adjBits.push("−30% low reviews (<4.0)");
+  const pctText = (mult) => `${mult >= 1 ? "+" : "−"}${formatNumberCompact(Math.abs(mult - 1) * 100)}%`;
+  if (pricePosition === "below") adjBits.push(`${pctText(calc.breakdown.priceMult)} below-market pricing`);
+  if (pricePosition === "above") adjBits.push(`${pctText(calc.breakdown.priceMult)} above-market pricing`);
+  if (ruralApplied) adjBits.push(`${pctText(rules.adjustments.ruralBonusMult)} rural bonus (0 comps within 3 mi)`);
+  if (autoLow) adjBits.push(`${pctText(rules.adjustments.lowRatingMult)} low reviews (<${rules.adjustments.lowRatingThreshold.toFixed(1)})`);
+  if (rules.profile && rules.profile.id !== "standard") adjBits.push(`Rule profile: ${rules.profile.label}`);
   extras.forEach((e) => adjBits.push(`${e.pct > 0 ? "+" : ""}${e.pct}% ${e.note || "adj."}`));
   const methodLabel = method === "user_entered" ? "user-entered value" : method;
 
@@ -1501,7 +1584,8 @@ Result LOW/BASE/HIGH: ${ctx.low}/${ctx.base}/${ctx.high}
     compCount: compCountDisplay,
     heavyCount: heavyCountDisplay,
     pricePosition, userAdj: adjBits.join("; "),
-    base: calc.base, low: calc.low, high: calc.high,
+    base: calc.base, low: simulation?.p10 ?? calc.low, high: simulation?.p90 ?? calc.high,
+    skipModel: reqBody?.skipSummary === true,
   });
   const developmentDisclaimer = "GPT did not check for major gas station developments.";
   const appendDevelopmentDisclaimer = (text) => {
@@ -1530,6 +1614,13 @@ Result LOW/BASE/HIGH: ${ctx.low}/${ctx.base}/${ctx.high}
     aadtText = `AADT: ${usedAADT.toLocaleString()} vehicles/day (fallback — DOT reported ${rawTxt} < 2,000)`;
   }
   else aadtText = `AADT: ${usedAADT.toLocaleString()} vehicles/day (${methodLabel})`;
+  if (aadtTrend) {
+    const sign = aadtTrend.applied_pct >= 0 ? "+" : "";
+    aadtText += ` — trended to ${aadtTrend.opening_year} from ${aadtTrend.from_aadt.toLocaleString()} (${aadtTrend.from_year}) at ${sign}${aadtTrend.applied_pct}%/yr`;
+  }
+  if (frontage) {
+    aadtText += ` — corner lot: ${frontage.primary.aadt.toLocaleString()} + ${Math.round(frontage.weight * 100)}% × ${frontage.secondary.aadt.toLocaleString()} (${frontage.secondary.road || "second frontage"})`;
+  }
 
   const nearestComp = compAll3.length ? compAll3[0].miles : null;
   let competitionText = "";
@@ -1546,7 +1637,7 @@ Result LOW/BASE/HIGH: ${ctx.low}/${ctx.base}/${ctx.high}
     competitionText += ".";
   }
 
-  return {
+  const result = {
     ok: true,
     estimate: { low: calc.low, range: `${Math.round(calc.low)}–${Math.round(calc.high)}`, year2: calc.year2, year3: calc.year3 },
     aadtText, competitionText, csv: devCsv,
@@ -1556,14 +1647,17 @@ Result LOW/BASE/HIGH: ${ctx.low}/${ctx.base}/${ctx.high}
       diesel: DIESEL,
       aadt_used: usedAADT,
       price_position: pricePosition,
-      aadt_components: { method, enteredRoad: enteredRoadText, raw_aadt: rawStationAADT },
+      profile: rules.profile?.id || null,
+      aadt_components: { method, enteredRoad: enteredRoadText, raw_aadt: rawStationAADT, trend: aadtTrend, segment_match: segmentMatch, frontage },
       baseline_settings: baselineSettings,
+      truck_share: truckShare,
     },
     flags: { rural_bonus_applied: ruralApplied, rural_eligible: ruralEligible, sunoco_within_1mi: sunocoNearby, auto_low_rating: autoLow },
     competition: {
       count: compCountDisplay, count_3mi: compAll3.length, heavy_count: heavyCountDisplay,
-      adjusted_count: compCount, adjusted_heavy_count: heavyCount,
+      adjusted_count: calc.breakdown.compRule.compCount, adjusted_heavy_count: calc.breakdown.compRule.heavyCount,
       detected_count: compCountDetected, detected_heavy_count: heavyCountDetected,
+      index: calc.breakdown.compRule.index ?? null, heavy_index: calc.breakdown.compRule.heavyIndex ?? null,
       override_applied: false,
       nearest_mi: competitors1[0]?.miles ?? null,
       notable_brands: competitors1.filter((c) => c.heavy).slice(0, 6).map((c) => c.name),
@@ -1579,10 +1673,11 @@ Result LOW/BASE/HIGH: ${ctx.low}/${ctx.base}/${ctx.high}
       competitors: competitors1,
       all_competitors: compAll3,
       competitor_radius_mi: 1.0,
-      aadt: mapStations,        // for map dots only
+      aadt: mapStations.map(({ paths, ...s }) => s),        // for map dots only
       aadt_used: aadtUsedMarker || { lat: geo.lat, lon: geo.lon, aadt: usedAADT, method, fallback: method === "fallback_no_dot_found" || method === "fallback_low_aadt" }
     },
   };
+  return simulation ? applyProbabilisticRange(result, simulation) : result;
 }
 
 app.post("/estimate", async (req, res) => {
@@ -1599,7 +1694,7 @@ app.get("/api/competitors", async (req, res) => {
     const list = await competitorsWithinRadiusMiles(lat, lon, rMi).catch(() => []);
     const features = list.map((s, i) => ({
       type: "Feature", geometry: { type: "Point", coordinates: [s.lon, s.lat] },
-      properties: { id: i, name: s.name || "Fuel", brand: (s.name || "Fuel"), address: null, miles: s.miles, heavy: !!s.heavy, sunoco: !!s.sunoco }
+      properties: { id: i, name: s.name || "Fuel", brand: (s.brand || s.name || "Fuel"), address: null, miles: s.miles, mpds: s.mpds ?? null, heavy: !!s.heavy, sunoco: !!s.sunoco }
     }));
     const body = { type: "FeatureCollection", features };
     const json = JSON.stringify(body);
@@ -1621,21 +1716,26 @@ function coerceClientResultForPdf(result) {
   if (!Number.isFinite(lat) || !Number.isFinite(lon)) return null;
   return result;
 }
+// PDF fonts and colors from a report theme (theme colors are hex without "#").
+function pdfStyle(theme) {
+  const hex = (role) => `#${theme.colors[role]}`;
+  return { font: theme.fonts.pdf, bold: theme.fonts.pdfBold, title: hex("primary"), heading: hex("accent"), text: hex("text"), muted: hex("muted") };
+}
 function drawSectionTitle(doc, text, y, opts = {}) {
-  const { margin, color } = opts;
+  const { margin, style } = opts;
   const left = margin || 36;
-  doc.fillColor(color || "#0b0d12");
-  doc.font("Helvetica-Bold").fontSize(13).text(text, left, y);
+  doc.fillColor(style.heading);
+  doc.font(style.bold).fontSize(13).text(text, left, y);
   return y + 18;
 }
-function drawKeyValue(doc, key, value, x, y, w) {
-  doc.font("Helvetica-Bold").fontSize(11).fillColor("#0b0d12").text(key, x, y);
-  doc.font("Helvetica").fontSize(11).fillColor("#1c2736").text(value || "—", x, y + 14, { width: w, continued: false });
+function drawKeyValue(doc, key, value, x, y, w, style) {
+  doc.font(style.bold).fontSize(11).fillColor(style.title).text(key, x, y);
+  doc.font(style.font).fontSize(11).fillColor(style.text).text(value || "—", x, y + 14, { width: w, continued: false });
   return y + 34;
 }
 function bulletLines(doc, items, x, y, w, opts = {}) {
-  const { bullet = "-" } = opts;
-  doc.font("Helvetica").fontSize(11).fillColor("#1c2736");
+  const { bullet = "-", style } = opts;
+  doc.font(style.font).fontSize(11).fillColor(style.text);
   const lineGap = 4;
   for (const s of items) {
     const line = String(s || "").trim();
@@ -1654,14 +1754,24 @@ app.post("/report/pdf", async (req, res) => {
 
     const site = result?.map?.site || null;
     if (!site) throw new Error("No site location for report");
+    const theme = resolveReportTheme(req.body?.reportTheme);
+    const style = pdfStyle(theme);
+    const proFormaInputs = proFormaAssumptions(req.body);
+    const proForma = proFormaInputs ? buildProForma(result, proFormaInputs) : null;
     res.setHeader("Content-Type", "application/pdf");
     res.setHeader("Content-Disposition", "attachment; filename=FuelIQ_Site_Report.pdf");
     const margin = 36;
-    const doc = new PDFDocument({ size: "A4", margin }); doc.pipe(res);
+    const doc = new PDFDocument({ size: "A4", margin, bufferPages: true, info: { Title: `${theme.brand} — Site Report`, Creator: theme.brand } }); doc.pipe(res);
 
     const pageW = doc.page.width, contentW = pageW - margin * 2; let y = margin;
-    doc.fillColor("#0b0d12").font("Helvetica-Bold").fontSize(18).text("Sunoco, LP Fuel IQ — Site Report", margin, y); y += 24;
-    doc.font("Helvetica").fontSize(11).fillColor("#475569").text(`Address: ${result.map?.site?.label || req.body?.address || ""}`, margin, y, { width: contentW }); y += 16;
+    let titleW = contentW;
+    if (theme.logo) {
+      const logoH = Math.min(40, theme.logo.height, (110 * theme.logo.height) / theme.logo.width);
+      doc.image(theme.logo.data, pageW - margin - (logoH * theme.logo.width) / theme.logo.height, y, { height: logoH });
+      titleW = contentW - 120;
+    }
+    doc.fillColor(style.title).font(style.bold).fontSize(18).text(`${theme.brand} — Site Report`, margin, y, { width: titleW }); y = Math.max(doc.y + 6, y + 24);
+    doc.font(style.font).fontSize(11).fillColor(style.muted).text(`Address: ${result.map?.site?.label || req.body?.address || ""}`, margin, y, { width: contentW }); y += 16;
 
     const userNotesLine = (() => {
       if (typeof result.siteNotes === "string" && result.siteNotes.trim()) return result.siteNotes.trim();
@@ -1669,40 +1779,68 @@ app.post("/report/pdf", async (req, res) => {
       return "";
     })();
     if (userNotesLine) {
-      doc.font("Helvetica").fontSize(11).fillColor("#1c2736").text(`User Entered Site Notes: ${userNotesLine}`, margin, y, { width: contentW });
+      doc.font(style.font).fontSize(11).fillColor(style.text).text(`User Entered Site Notes: ${userNotesLine}`, margin, y, { width: contentW });
       y = doc.y + 12;
     }
 
-    y = drawSectionTitle(doc, "Estimate Summary", y, { margin, color: "#334155" });
+    const mapImage = renderSiteMap(result.map);
+    if (mapImage) {
+      const mapH = contentW * (mapImage.height / mapImage.width);
+      doc.image(mapImage.data, margin, y, { width: contentW });
+      doc.font(style.font).fontSize(8).fillColor(style.muted).text(siteMapCaption(mapImage), margin, y + mapH + 4, { width: contentW });
+      y = doc.y + 10;
+    }
+
+    y = drawSectionTitle(doc, "Estimate Summary", y, { margin, style });
     const colW = contentW / 2 - 8; let yL = y, yR = y;
     const baseVal = pickFirstFinite(result.estimate?.base, result.base, result.estimate?.low, result.low);
-    const lowVal = pickFirstFinite(result.estimate?.low, result.low, Number.isFinite(baseVal) ? Math.round(Number(baseVal) * 0.86) : null);
-    const highVal = pickFirstFinite(result.estimate?.high, result.high, Number.isFinite(baseVal) ? Math.round(Number(baseVal) * 1.06) : null);
+    const lowVal = pickFirstFinite(result.estimate?.low, result.low, Number.isFinite(baseVal) ? Math.round(Number(baseVal) * RULES.range.lowMult) : null);
+    const highVal = pickFirstFinite(result.estimate?.high, result.high, Number.isFinite(baseVal) ? Math.round(Number(baseVal) * RULES.range.highMult) : null);
     const rangeText = result.estimate?.range || (Number.isFinite(lowVal) && Number.isFinite(highVal) ? `${Number(lowVal).toLocaleString()}–${Number(highVal).toLocaleString()}` : "—");
-    const year2Val = pickFirstFinite(result.estimate?.year2, result.year2, Number.isFinite(baseVal) ? Math.round(Number(baseVal) * 1.027) : null);
-    const year3Val = pickFirstFinite(result.estimate?.year3, result.year3, Number.isFinite(baseVal) ? Math.round(Number(baseVal) * 1.027 * 1.0125) : null);
-    yL = drawKeyValue(doc, "BASE (adjusted base)", Number.isFinite(baseVal) ? Number(baseVal).toLocaleString() : "—", margin, yL, colW);
-    yL = drawKeyValue(doc, "Range", rangeText, margin, yL, colW);
-    yR = drawKeyValue(doc, "Year 2", Number.isFinite(year2Val) ? Number(year2Val).toLocaleString() : "—", margin + colW + 16, yR, colW);
-    yR = drawKeyValue(doc, "Year 3", Number.isFinite(year3Val) ? Number(year3Val).toLocaleString() : "—", margin + colW + 16, yR, colW);
+    const year2Val = pickFirstFinite(result.estimate?.year2, result.year2, Number.isFinite(baseVal) ? Math.round(Number(baseVal) * RULES.growth.year2) : null);
+    const year3Val = pickFirstFinite(result.estimate?.year3, result.year3, Number.isFinite(baseVal) ? Math.round(Number(baseVal) * RULES.growth.year2 * RULES.growth.year3) : null);
+    yL = drawKeyValue(doc, "BASE (adjusted base)", Number.isFinite(baseVal) ? Number(baseVal).toLocaleString() : "—", margin, yL, colW, style);
+    yL = drawKeyValue(doc, result.probabilistic ? "Range (P10–P90)" : "Range", rangeText, margin, yL, colW, style);
+    yR = drawKeyValue(doc, "Year 2", Number.isFinite(year2Val) ? Number(year2Val).toLocaleString() : "—", margin + colW + 16, yR, colW, style);
+    const splitVal = result.calc_breakdown?.fuelSplit;
+    if (splitVal) yL = drawKeyValue(doc, "Gasoline / Diesel", `${Number(splitVal.gasoline).toLocaleString()} / ${Number(splitVal.diesel).toLocaleString()}`, margin, yL, colW, style);
+    yR = drawKeyValue(doc, "Year 3", Number.isFinite(year3Val) ? Number(year3Val).toLocaleString() : "—", margin + colW + 16, yR, colW, style);
     y = Math.max(yL, yR) + 4;
 
-    y = drawSectionTitle(doc, "AADT & Competition", y, { margin, color: "#334155" });
-    doc.font("Helvetica").fontSize(11).fillColor("#1c2736").text(result.aadtText || "—", margin, y, { width: contentW }); y += 16;
-    doc.font("Helvetica").fontSize(11).fillColor("#1c2736").text(result.competitionText || "—", margin, y, { width: contentW }); y += 18;
+    y = drawSectionTitle(doc, "AADT & Competition", y, { margin, style });
+    doc.font(style.font).fontSize(11).fillColor(style.text).text(result.aadtText || "—", margin, y, { width: contentW }); y += 16;
+    doc.font(style.font).fontSize(11).fillColor(style.text).text(result.competitionText || "—", margin, y, { width: contentW }); y += 18;
 
-    y = drawSectionTitle(doc, "Reasons for this estimate", y, { margin, color: "#334155" });
+    y = drawSectionTitle(doc, "Reasons for this estimate", y, { margin, style });
     const B = result.calc_breakdown || {}; const bullets = [];
     const finalEstimateLine = formatFinalEstimateLine(result);
     if (finalEstimateLine) bullets.push(finalEstimateLine);
+    const mc = result.probabilistic;
+    if (mc && Number.isFinite(mc.p50)) {
+      bullets.push(`Monte Carlo (${Number(mc.samples).toLocaleString()} runs): P10 ${Number(mc.p10).toLocaleString()} • P50 ${Number(mc.p50).toLocaleString()} • P90 ${Number(mc.p90).toLocaleString()} • Confidence ${mc.confidence?.grade || "—"}`);
+      (mc.confidence?.reasons || []).forEach((reason) => bullets.push(`Confidence note: ${reason}`));
+    }
     const baselineSource = { ...(B.baselineComponents || {}), ...(result.inputs?.baseline_settings || {}) };
     const baselineLine = formatBaselineSummaryLine(result.inputs?.aadt_used ?? null, baselineSource, B.baseline);
+    if (B.frontage?.secondary) {
+      const f = B.frontage;
+      bullets.push(`Corner-lot AADT: ${f.primary.road || "primary road"} ${Number(f.primary.aadt).toLocaleString()} + ${Math.round(f.weight * 100)}% × ${f.secondary.road || "second frontage"} ${Number(f.secondary.aadt).toLocaleString()} = ${Number(f.aadt).toLocaleString()}`);
+    }
     if (baselineLine) bullets.push(baselineLine);
     if (B.compRule) {
+      const compArea = result.map?.competitor_drive_minutes ? `${result.map.competitor_drive_minutes}-min drive` : `${result.map?.competitor_radius_mi ?? 1} mi`;
       const baseMultText = formatMultiplierWithNote(B.compRule.baseMult);
       const compMultText = formatMultiplierWithNote(B.compRule.compMult);
       bullets.push(`Competition rule: base ${baseMultText} − Big box ${Number(B.compRule.heavyPenalty).toFixed(2)} = × ${compMultText} → ${Number(B.compRule.afterComp).toLocaleString()}`);
-      bullets.push(`Competitors (1 mi): ${Number(B.compRule.compCount ?? result.competition?.count ?? 0)} total • Big box ${Number(B.compRule.heavyCount ?? result.competition?.heavy_count ?? 0)}`);
+      if (B.compRule.basis === "index") {
+        const detected = Number(B.compRule.detectedCount ?? result.competition?.count ?? 0);
+        bullets.push(`Competition index (${compArea}): ${Number(B.compRule.index).toFixed(2)} from ${detected} competitor${detected === 1 ? "" : "s"} • Big box index ${Number(B.compRule.heavyIndex).toFixed(2)}`);
+        const top = [...(B.compRule.contributions || [])].sort((a, b) => b.weight - a.weight).slice(0, 5)
+          .map((c) => `${c.name} ${Number(c.miles).toFixed(2)} mi ${c.brand_tier}${c.side === "same" || c.side === "opposite" ? `, ${c.side} side` : c.side === "on_site" ? ", on site (excluded)" : ""} → ${Number(c.weight).toFixed(2)}`);
+        if (top.length) bullets.push(`Largest contributions: ${top.join("; ")}`);
+      } else {
+        bullets.push(`Competitors (${compArea}): ${Number(B.compRule.compCount ?? result.competition?.count ?? 0)} total • Big box ${Number(B.compRule.heavyCount ?? result.competition?.heavy_count ?? 0)}`);
+      }
     }
     if (B.caps) {
       const softHit = B.compRule && B.compRule.afterComp > B.caps.capSoftTotal;
@@ -1711,6 +1849,11 @@ app.post("/report/pdf", async (req, res) => {
     if (B.priceMult != null) bullets.push(`Pricing factor: × ${formatMultiplierWithNote(B.priceMult)}`);
     if (B.extrasMult != null) bullets.push(`Extras multiplier: × ${formatMultiplierWithNote(B.extrasMult)}`);
     if (B.preClamp != null && B.finalClampedToBaseline != null) bullets.push(`Clamp to baseline: min(${Number(B.preClamp).toLocaleString()}, baseline) → ${Number(B.finalClampedToBaseline).toLocaleString()}`);
+    if (B.fuelSplit) {
+      const truckSource = result.inputs?.truck_share?.source ? `, ${String(result.inputs.truck_share.source).replace(/_/g, " ")}` : "";
+      bullets.push(`Fuel split: Gasoline ${Number(B.fuelSplit.gasoline).toLocaleString()} • Diesel ${Number(B.fuelSplit.diesel).toLocaleString()} (truck share ${B.fuelSplit.truckPct}% of AADT${truckSource}; ${Number(B.fuelSplit.truckDiesel).toLocaleString()} truck + ${Number(B.fuelSplit.autoDiesel).toLocaleString()} passenger diesel)`);
+    }
+    if (B.profile?.label) bullets.push(`Rule profile: ${B.profile.label}${B.engine_version ? ` (engine ${B.engine_version})` : ""}`);
     if (result.roads?.summary) bullets.push(`Road context: ${result.roads.summary}`);
     if (result.inputs?.aadt_components?.method) {
       const comp = result.inputs.aadt_components;
@@ -1726,10 +1869,22 @@ app.post("/report/pdf", async (req, res) => {
         mText = comp.method;
       }
       bullets.push(`AADT method: ${mText}`);
+      const segmentPrimary = comp.segment_match?.primary;
+      if (segmentPrimary?.aadt) bullets.push(`AADT segment match: ${segmentPrimary.road?.name || segmentPrimary.road?.ref || "fronting road"} — ${segmentPrimary.confidence_label} confidence (${segmentPrimary.confidence})`);
+      if (comp.trend) bullets.push(`AADT trend: ${Number(comp.trend.from_aadt).toLocaleString()} (${comp.trend.from_year}) projected to ${comp.trend.opening_year} at ${comp.trend.applied_pct}%/yr (series CAGR ${comp.trend.cagr_pct}%)`);
+    }
+    y = bulletLines(doc, bullets, margin, y, contentW, { style }); y += 6;
+
+    if (proForma) {
+      const usd = (n) => `${n < 0 ? "−" : ""}$${Math.abs(Number(n)).toLocaleString()}`;
+      const a = proForma.assumptions;
+      y = drawSectionTitle(doc, "Pro-Forma P&L (Years 1–3)", y, { margin, style });
+      const plLines = proForma.years.map((row) => `Year ${row.year}: ${row.gallons.toLocaleString()} gal • Fuel GP ${usd(row.fuel_gross_profit)} − card fees ${usd(row.card_fees)} • Inside sales ${usd(row.inside_sales)} (GP ${usd(row.inside_gross_profit)}) • Car wash & other GP ${usd(row.car_wash_gross_profit + row.other_gross_profit)} • Opex ${usd(row.operating_expenses)} • EBITDA ${usd(row.ebitda)}`);
+      plLines.push(`Assumptions: fuel margin ${a.fuelMarginCpg[proForma.price_position]}¢/gal and diesel ${a.dieselMarginCpg[proForma.price_position]}¢/gal (${proForma.price_position} pricing); card fees ${a.cardFeesCpg}¢/gal; inside sales $${a.insideSalesPerGallon}/gal at ${a.insideMarginPct}% margin; opex growth ${a.opexGrowthPct}%/yr.`);
+      y = bulletLines(doc, plLines, margin, y, contentW, { style }); y += 6;
     }
-    y = bulletLines(doc, bullets, margin, y, contentW); y += 6;
 
-    y = drawSectionTitle(doc, "Summary", y, { margin, color: "#334155" });
+    y = drawSectionTitle(doc, "Summary", y, { margin, style });
     const summaryBlockRaw = (() => {
       const baseRaw = result.summary_base ?? result.summary ?? "";
       const base = typeof baseRaw === "string" ? baseRaw : String(baseRaw || "");
@@ -1739,17 +1894,33 @@ app.post("/report/pdf", async (req, res) => {
       return base;
     })();
     const summaryBlock = cleanSummaryText(summaryBlockRaw);
-    doc.font("Helvetica").fontSize(11).fillColor("#1c2736").text(summaryBlock || "—", margin, y, { width: contentW });
+    doc.font(style.font).fontSize(11).fillColor(style.text).text(summaryBlock || "—", margin, y, { width: contentW });
 
     if (Array.isArray(result.csv) && result.csv.length) {
-      y = doc.y + 16; y = drawSectionTitle(doc, "Nearby developments (flagged)", y, { margin, color: "#334155" });
+      y = doc.y + 16; y = drawSectionTitle(doc, "Nearby developments (flagged)", y, { margin, style });
       const devLines = result.csv.slice(0, 6).map((x) => {
         const parts = [x.name, x.status, x.details, x.date].map((v) => (typeof v === "string" ? v.trim() : ""));
         return parts.filter(Boolean).join("; ");
       });
-      y = bulletLines(doc, devLines, margin, y, contentW);
+      y = bulletLines(doc, devLines, margin, y, contentW, { style });
     }
 
+    if (theme.disclaimer) {
+      y = doc.y + 16; y = drawSectionTitle(doc, "Disclaimer", y, { margin, style });
+      doc.font(style.font).fontSize(9).fillColor(style.muted).text(theme.disclaimer, margin, y, { width: contentW });
+    }
+
+    // Footer on every page; the bottom margin is lifted so pdfkit does not
+    // start a new page for text drawn below it.
+    const pages = doc.bufferedPageRange();
+    for (let index = 0; index < pages.count; index += 1) {
+      doc.switchToPage(pages.start + index);
+      const bottom = doc.page.margins.bottom;
+      doc.page.margins.bottom = 0;
+      const footer = [theme.footer, `Page ${index + 1} of ${pages.count}`].filter(Boolean).join("  ·  ");
+      doc.font(style.font).fontSize(8).fillColor(style.muted).text(footer, margin, doc.page.height - margin + 12, { width: contentW, align: "center", lineBreak: false });
+      doc.page.margins.bottom = bottom;
+    }
     doc.end();
   } catch (e) { res.status(400).json({ ok: false, status: "PDF_FAILED", detail: String(e) }); }
 });
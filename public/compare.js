@@ -0,0 +1,155 @@
+(() => {
+  "use strict";
+
+  const field = (id) => document.getElementById(id);
+  const statusLine = field("status");
+  const params = new URLSearchParams(location.search);
+  let metrics = [];
+  const weights = {};
+  let sites = [];
+  let rows = [];
+  const selected = new Set(String(params.get("ids") || "").split(",").filter(Boolean));
+  let batch = params.get("batch") || "";
+  // Batches compare one page of sites at a time, highest estimate first.
+  let page = Math.max(1, Number(params.get("page")) || 1);
+
+  function html(value) {
+    return String(value ?? "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;").replace(/'/g, "&#39;");
+  }
+
+  function setStatus(message, tone = "") {
+    statusLine.hidden = !message;
+    statusLine.textContent = message || "";
+    statusLine.dataset.tone = tone;
+  }
+
+  async function api(url) {
+    const response = await fetch(url);
+    const payload = await response.json().catch(() => ({}));
+    if (!response.ok || payload.ok === false) throw new Error(payload.detail || payload.status || `HTTP ${response.status}`);
+    return payload;
+  }
+
+  const number = (value, digits = 0) => (value == null ? "—" : Number(value).toLocaleString(undefined, { maximumFractionDigits: digits }));
+
+  function weightQuery() {
+    return metrics.map((metric) => `${metric.key}:${weights[metric.key]}`).join(",");
+  }
+
+  function renderWeights() {
+    field("weights").innerHTML = metrics.map((metric) => `<label>${html(metric.label)}<input type="number" min="0" max="100" step="5" data-key="${html(metric.key)}" value="${html(weights[metric.key])}"></label>`).join("");
+  }
+
+  function renderSites() {
+    const filter = field("siteFilter").value.trim().toLowerCase();
+    const visible = sites.filter((site) => !filter || `${site.address} ${(site.tags || []).join(" ")}`.toLowerCase().includes(filter));
+    field("sites").innerHTML = visible.map((site) => `<label><input type="checkbox" value="${html(site.id)}"${selected.has(site.id) ? " checked" : ""}>
+      <span>${html(site.address)}<small>${site.latest?.base != null ? `${number(site.latest.base)} gal/mo` : "No estimate yet"}${site.tags?.length ? ` · ${html(site.tags.join(", "))}` : ""}</small></span></label>`).join("")
+      || '<p class="empty">No saved sites. Run an estimate or a batch first.</p>';
+  }
+
+  function cell(row, key, text, sub = "") {
+    const best = row.metric_scores?.[key] === 100 && rows.length > 1 && rows.some((other) => other.metric_scores?.[key] != null && other.metric_scores[key] < 100);
+    return `<td${best ? ' class="best"' : ""}>${text}${sub ? `<br><small>${sub}</small>` : ""}</td>`;
+  }
+
+  function renderTable() {
+    field("head").innerHTML = `<tr><th>Rank</th><th>Site</th><th>Score</th><th>Estimate gal/mo</th><th>AADT</th><th>AADT age</th><th>Competition</th><th>Road</th><th>Developments</th><th>Google rating</th><th>MPDs</th><th></th></tr>`;
+    field("rows").innerHTML = rows.map((row) => `<tr>
+      <td>${row.rank ?? "—"}</td>
+      <td><strong>${html(row.address)}</strong>${row.estimated_at ? `<br><small>Estimated ${html(row.estimated_at.slice(0, 10))}</small>` : "<br><small>No saved estimate</small>"}</td>
+      <td><span class="score">${row.score ?? "—"}</span><div class="bar"><span style="width:${Math.max(0, Math.min(100, row.score || 0))}%"></span></div></td>
+      ${cell(row, "estimate", number(row.base), row.low != null ? `${number(row.low)}–${number(row.high)}` : "")}
+      ${cell(row, "aadt", number(row.aadt), html(row.aadt_method || ""))}
+      ${cell(row, "aadt_age", row.aadt_age_years == null ? "—" : `${row.aadt_age_years} yr`, row.aadt_year ? `Count year ${row.aadt_year}` : "")}
+      ${cell(row, "competition", number(row.competition_index, 2), row.competitors != null ? `${row.competitors} stations · ${row.heavy_competitors ?? 0} big box` : "")}
+      ${cell(row, "road", html(row.road_class || "—"), html(row.road_name || ""))}
+      ${cell(row, "developments", number(row.developments))}
+      ${cell(row, "rating", row.google_rating == null ? "—" : `${row.google_rating.toFixed(1)} ★`, row.google_reviews ? `${number(row.google_reviews)} reviews` : "")}
+      <td>${number(row.mpds)}${row.diesel ? ` + ${number(row.diesel)} diesel` : ""}</td>
+      <td><a href="/api/sites/${encodeURIComponent(row.site_id)}" target="_blank" rel="noopener">History</a></td>
+    </tr>`).join("") || '<tr><td class="empty" colspan="12">Pick two or more saved sites and compare.</td></tr>';
+  }
+
+  function renderPager(info) {
+    const paged = Boolean(batch && info && info.pages > 1);
+    field("pager").hidden = !paged;
+    if (!paged) return;
+    page = info.page;
+    const first = (info.page - 1) * info.size + 1;
+    field("pageLabel").textContent = `Sites ${first}–${Math.min(info.total, first + info.size - 1)} of ${info.total} by estimate`;
+    field("prevPage").disabled = info.page <= 1;
+    field("nextPage").disabled = info.page >= info.pages;
+  }
+
+  async function compare() {
+    const query = new URLSearchParams();
+    if (batch) {
+      query.set("batch", batch);
+      if (page > 1) query.set("page", page);
+    } else query.set("ids", [...selected].join(","));
+    // The first call loads the metric list; it carries any weights shared in the URL.
+    const shared = metrics.length ? weightQuery() : params.get("weights");
+    if (shared) query.set("weights", shared);
+    field("compare").disabled = true;
+    setStatus(selected.size || batch ? "Comparing…" : "");
+    try {
+      const payload = await api(`/api/sites/compare?${query}`);
+      if (!metrics.length) {
+        metrics = payload.metrics;
+        metrics.forEach((metric) => { weights[metric.key] = metric.weight; });
+        renderWeights();
+      }
+      rows = payload.sites;
+      renderTable();
+      if (batch) {
+        selected.clear();
+        rows.forEach((row) => selected.add(row.site_id));
+        renderSites();
+      }
+      renderPager(payload.batch);
+      history.replaceState(null, "", `?${query}`);
+      setStatus(payload.missing.length ? `${payload.missing.length} site(s) no longer exist and were skipped.` : "");
+    } catch (error) {
+      setStatus(`Comparison failed: ${error.message}`, "error");
+    } finally {
+      field("compare").disabled = false;
+    }
+  }
+
+  field("sites").addEventListener("change", (event) => {
+    const box = event.target.closest("input[type=checkbox]");
+    if (!box) return;
+    if (box.checked) selected.add(box.value);
+    else selected.delete(box.value);
+    batch = "";
+    page = 1;
+    renderPager(null);
+  });
+  field("prevPage").addEventListener("click", () => { page -= 1; compare(); });
+  field("nextPage").addEventListener("click", () => { page += 1; compare(); });
+  field("weights").addEventListener("change", (event) => {
+    const input = event.target.closest("input[data-key]");
+    if (!input) return;
+    weights[input.dataset.key] = Math.max(0, Math.min(100, Number(input.value) || 0));
+    input.value = weights[input.dataset.key];
+    if (rows.length) compare();
+  });
+  field("resetWeights").addEventListener("click", () => {
+    metrics.forEach((metric) => { weights[metric.key] = metric.default_weight; });
+    renderWeights();
+    if (rows.length) compare();
+  });
+  field("siteFilter").addEventListener("input", renderSites);
+  field("compare").addEventListener("click", compare);
+
+  (async () => {
+    try {
+      sites = (await api("/api/sites")).sites;
+    } catch (error) {
+      setStatus(`Saved sites could not be loaded: ${error.message}`, "error");
+    }
+    renderSites();
+    await compare();
+  })();
+})();
@@ -9,6 +9,8 @@
     const style = document.createElement('style');
     style.id = 'maProspectorNavigationStyles';
     style.textContent = `
+      #fuelDealPipelineTop.fiq-matched-tool-link,
+      #fuelCompareSitesTop.fiq-matched-tool-link,
       #fuelDistributorIntelligenceTop.fiq-matched-tool-link,
       #fuelLocationAtlasTop.fiq-matched-tool-link {
         display:inline-flex!important;
@@ -32,6 +34,10 @@
         transform:translateY(0);
         transition:transform .16s ease,box-shadow .16s ease,filter .16s ease;
       }
+      #fuelDealPipelineTop.fiq-matched-tool-link:hover,
+      #fuelDealPipelineTop.fiq-matched-tool-link:focus-visible,
+      #fuelCompareSitesTop.fiq-matched-tool-link:hover,
+      #fuelCompareSitesTop.fiq-matched-tool-link:focus-visible,
       #fuelDistributorIntelligenceTop.fiq-matched-tool-link:hover,
       #fuelDistributorIntelligenceTop.fiq-matched-tool-link:focus-visible,
       #fuelLocationAtlasTop.fiq-matched-tool-link:hover,
@@ -83,6 +89,9 @@
         line-height:1.55!important;
       }
       @media(max-width:720px) {
+        #fuelDealPipelineTop.fiq-matched-tool-link,
+        #fuelCompareSitesTop.fiq-matched-tool-link,
+      #fuelCompareSitesTop.fiq-matched-tool-link,
         #fuelDistributorIntelligenceTop.fiq-matched-tool-link,
         #fuelLocationAtlasTop.fiq-matched-tool-link {
           width:auto!important;
@@ -213,6 +222,33 @@
       atlas.setAttribute('title', 'Open M&A Prospector');
 
       if (distributor.nextElementSibling !== atlas) distributor.insertAdjacentElement('afterend', atlas);
+
+      // The pipeline board sits first, next to the Site Analyzer brand.
+      let pipeline = document.getElementById('fuelDealPipelineTop');
+      if (!pipeline) {
+        pipeline = document.createElement('a');
+        pipeline.id = 'fuelDealPipelineTop';
+        pipeline.href = '/pipeline.html';
+      }
+      pipeline.className = 'fiq-matched-tool-link';
+      pipeline.textContent = 'Deal Pipeline';
+      pipeline.setAttribute('aria-label', 'Open Deal Pipeline');
+      pipeline.setAttribute('title', 'Open Deal Pipeline');
+
+      if (pipeline.nextElementSibling !== distributor) distributor.insertAdjacentElement('beforebegin', pipeline);
+
+      let compare = document.getElementById('fuelCompareSitesTop');
+      if (!compare) {
+        compare = document.createElement('a');
+        compare.id = 'fuelCompareSitesTop';
+        compare.href = '/compare.html';
+      }
+      compare.className = 'fiq-matched-tool-link';
+      compare.textContent = 'Compare Sites';
+      compare.setAttribute('aria-label', 'Open site comparison');
+      compare.setAttribute('title', 'Open site comparison');
+
+      if (pipeline.nextElementSibling !== compare) pipeline.insertAdjacentElement('afterend', compare);
     } finally {
       applying = false;
     }
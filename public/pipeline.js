@@ -0,0 +1,186 @@
+(() => {
+  "use strict";
+
+  const board = document.getElementById("board");
+  const statusLine = document.getElementById("status");
+  const ownerFilter = document.getElementById("ownerFilter");
+  const dialog = document.getElementById("dealDialog");
+  const form = document.getElementById("dealForm");
+  const field = (id) => document.getElementById(id);
+  let stages = [];
+  let deals = [];
+  let sites = [];
+  let editing = null;
+
+  function html(value) {
+    return String(value ?? "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;").replace(/'/g, "&#39;");
+  }
+
+  function setStatus(message, tone = "") {
+    statusLine.hidden = !message;
+    statusLine.textContent = message || "";
+    statusLine.dataset.tone = tone;
+  }
+
+  async function api(url, init = {}) {
+    const response = await fetch(url, { ...init, headers: { "Content-Type": "application/json", ...(init.headers || {}) } });
+    const payload = await response.json().catch(() => ({}));
+    if (!response.ok || payload.ok === false) throw new Error(payload.detail || payload.status || `HTTP ${response.status}`);
+    return payload;
+  }
+
+  function dealCard(deal) {
+    const estimate = deal.estimate?.base != null ? `${Math.round(deal.estimate.base).toLocaleString()} gal/mo` : "No estimate yet";
+    const due = deal.next_action_date
+      ? `<span class="due${deal.overdue ? " overdue" : ""}">${deal.overdue ? "Overdue · " : ""}${html(deal.next_action_date)}</span>`
+      : "";
+    const links = [
+      `<a href="${html(deal.links.site)}" target="_blank" rel="noopener">Estimate history</a>`,
+      deal.links.research_report ? `<a href="${html(deal.links.research_word)}">Research report</a>` : "",
+      deal.links.memo ? `<a href="${html(deal.links.memo)}">Deal memo</a>` : "",
+    ].join("");
+    return `<article class="deal" draggable="true" data-id="${html(deal.id)}" tabindex="0">
+      <strong>${html(deal.site?.address || "Unknown site")}</strong>
+      <div class="meta">${html(estimate)}${deal.site?.mpds != null ? ` · ${html(deal.site.mpds)} MPDs` : ""}</div>
+      <div class="meta">${deal.owner ? `${html(deal.owner)} · ` : ""}${html(deal.next_action || "No next action")} ${due}</div>
+      ${(deal.site?.tags || []).map((tag) => `<span class="tag">${html(tag)}</span>`).join("")}
+      <div class="links">${links}</div>
+    </article>`;
+  }
+
+  function render() {
+    board.innerHTML = stages.map((stage) => {
+      const inStage = deals.filter((deal) => deal.stage === stage.key);
+      return `<section class="column" data-stage="${html(stage.key)}" aria-label="${html(stage.label)}">
+        <h2><span>${html(stage.label)}</span><span>${inStage.length}</span></h2>
+        <div class="cards">${inStage.map(dealCard).join("") || '<p class="empty">No deals</p>'}</div>
+      </section>`;
+    }).join("");
+  }
+
+  function renderOwners() {
+    const owners = [...new Set(deals.map((deal) => deal.owner).filter(Boolean))].sort();
+    const selected = ownerFilter.value;
+    ownerFilter.innerHTML = `<option value="">Everyone</option>${owners.map((owner) => `<option>${html(owner)}</option>`).join("")}`;
+    ownerFilter.value = owners.includes(selected) ? selected : "";
+    field("owners").innerHTML = owners.map((owner) => `<option value="${html(owner)}">`).join("");
+  }
+
+  async function load() {
+    try {
+      const owner = ownerFilter.value;
+      const payload = await api(`/api/pipeline${owner ? `?owner=${encodeURIComponent(owner)}` : ""}`);
+      stages = payload.stages;
+      deals = payload.deals;
+      field("exportCsv").href = `/api/pipeline/export.csv${owner ? `?owner=${encodeURIComponent(owner)}` : ""}`;
+      if (!owner) renderOwners();
+      render();
+      setStatus(deals.length ? "" : "No sites in the pipeline yet. Save an estimate in the Site Analyzer, then add the site here.");
+    } catch (error) {
+      setStatus(`Pipeline could not be loaded: ${error.message}`, "error");
+    }
+  }
+
+  async function saveDeal(body) {
+    await api("/api/pipeline", { method: "POST", body: JSON.stringify(body) });
+    await load();
+  }
+
+  async function openDialog(deal = null) {
+    editing = deal;
+    field("dealTitle").textContent = deal ? deal.site?.address || "Edit deal" : "Add site to pipeline";
+    field("stage").innerHTML = stages.map((stage) => `<option value="${html(stage.key)}">${html(stage.label)}</option>`).join("");
+    field("siteField").hidden = Boolean(deal);
+    field("addressField").hidden = Boolean(deal);
+    field("stage").value = deal?.stage || "lead";
+    field("owner").value = deal?.owner || "";
+    field("nextAction").value = deal?.next_action || "";
+    field("nextActionDate").value = deal?.next_action_date || "";
+    field("researchReportId").value = deal?.research_report_id || "";
+    field("notes").value = deal?.notes || "";
+    field("address").value = "";
+    field("estimateId").innerHTML = '<option value="">Latest estimate</option>';
+    if (!deal) {
+      try {
+        sites = (await api("/api/sites")).sites.filter((site) => !deals.some((item) => item.site_id === site.id));
+      } catch { sites = []; }
+      field("siteId").innerHTML = `<option value="">New address…</option>${sites.map((site) => `<option value="${html(site.id)}">${html(site.address)}</option>`).join("")}`;
+    } else {
+      try {
+        const { timeline } = await api(deal.links.site);
+        field("estimateId").innerHTML += timeline.slice().reverse().map((entry) => `<option value="${html(entry.id)}">${html(entry.created_at.slice(0, 10))} · ${Math.round(entry.base || 0).toLocaleString()} gal/mo</option>`).join("");
+        field("estimateId").value = deal.estimate_id || "";
+      } catch {}
+    }
+    dialog.showModal();
+  }
+
+  form.addEventListener("submit", async (event) => {
+    event.preventDefault();
+    const body = {
+      stage: field("stage").value,
+      owner: field("owner").value,
+      next_action: field("nextAction").value,
+      next_action_date: field("nextActionDate").value,
+      research_report_id: field("researchReportId").value,
+      notes: field("notes").value,
+    };
+    if (editing) Object.assign(body, { site_id: editing.site_id, estimate_id: field("estimateId").value });
+    else if (field("siteId").value) body.site_id = field("siteId").value;
+    else body.address = field("address").value;
+    field("saveDeal").disabled = true;
+    try {
+      await saveDeal(body);
+      dialog.close();
+    } catch (error) {
+      setStatus(`Deal not saved: ${error.message}`, "error");
+    } finally {
+      field("saveDeal").disabled = false;
+    }
+  });
+
+  field("siteId").addEventListener("change", () => { field("addressField").hidden = Boolean(field("siteId").value); });
+  field("cancelDeal").addEventListener("click", () => dialog.close());
+  field("addDeal").addEventListener("click", () => openDialog());
+  ownerFilter.addEventListener("change", load);
+
+  board.addEventListener("click", (event) => {
+    if (event.target.closest("a")) return;
+    const card = event.target.closest(".deal");
+    if (card) openDialog(deals.find((deal) => deal.id === card.dataset.id));
+  });
+  board.addEventListener("keydown", (event) => {
+    const card = event.target.closest(".deal");
+    if (card && event.key === "Enter") openDialog(deals.find((deal) => deal.id === card.dataset.id));
+  });
+  board.addEventListener("dragstart", (event) => {
+    const card = event.target.closest(".deal");
+    if (card) event.dataTransfer.setData("text/plain", card.dataset.id);
+  });
+  board.addEventListener("dragover", (event) => {
+    const column = event.target.closest(".column");
+    if (!column) return;
+    event.preventDefault();
+    board.querySelectorAll(".column.drop").forEach((item) => item !== column && item.classList.remove("drop"));
+    column.classList.add("drop");
+  });
+  board.addEventListener("dragleave", (event) => {
+    const column = event.target.closest(".column");
+    if (column && !column.contains(event.relatedTarget)) column.classList.remove("drop");
+  });
+  board.addEventListener("drop", async (event) => {
+    const column = event.target.closest(".column");
+    if (!column) return;
+    event.preventDefault();
+    column.classList.remove("drop");
+    const deal = deals.find((item) => item.id === event.dataTransfer.getData("text/plain"));
+    if (!deal || deal.stage === column.dataset.stage) return;
+    try {
+      await saveDeal({ site_id: deal.site_id, stage: column.dataset.stage });
+    } catch (error) {
+      setStatus(`Stage not updated: ${error.message}`, "error");
+    }
+  });
+
+  load();
+})();
@@ -376,19 +376,55 @@
     button.addEventListener("click", exportEstimateToWord);
   }
 
-  async function exportEstimateToWord() {
-    const button = $id("exportPDF");
+  function exportEstimateToWord() {
+    return downloadEstimateReport({ buttonId: "exportPDF", endpoint: "/report/word", filename: "FuelIQ_Site_Estimate.docx", busyLabel: "Building Word report…", kind: "Word" });
+  }
+
+  function exportEstimateToExcel() {
+    return downloadEstimateReport({ buttonId: "exportXlsx", endpoint: "/report/xlsx", filename: "FuelIQ_Site_Estimate.xlsx", busyLabel: "Building Excel workbook…", kind: "Excel" });
+  }
+
+  function currentReportTheme() {
+    const select = $id("reportTheme");
+    return select && !select.hidden ? select.value : "";
+  }
+
+  function themedUrl(url) {
+    const theme = currentReportTheme();
+    return theme ? `${url}${url.includes("?") ? "&" : "?"}theme=${encodeURIComponent(theme)}` : url;
+  }
+
+  // The branding picker only appears when more than one report theme is configured.
+  async function loadReportThemes() {
+    const select = $id("reportTheme");
+    if (!select) return;
+    try {
+      const response = await fetch("/api/report-themes", { headers: { Accept: "application/json" } });
+      const data = await response.json();
+      const themes = Array.isArray(data?.themes) ? data.themes : [];
+      if (themes.length < 2) return;
+      select.replaceChildren(...themes.map((theme) => new Option(theme.label, theme.id, false, theme.id === data.default)));
+      select.hidden = false;
+      select.addEventListener("change", () => {
+        const wordLink = $id("siteResearchWord");
+        if (wordLink?.dataset.baseHref) wordLink.href = themedUrl(wordLink.dataset.baseHref);
+      });
+    } catch {}
+  }
+
+  async function downloadEstimateReport({ buttonId, endpoint, filename, busyLabel, kind }) {
+    const button = $id(buttonId);
     const address = String($id("addr")?.value || "").trim();
     if (address.length < 4) {
       alert("Please select a valid site address first.");
       return;
     }
-    const priorLabel = button?.textContent || "Export to Word";
+    const priorLabel = button?.textContent || `Export to ${kind}`;
     try {
-      if (button) { button.disabled = true; button.textContent = "Building Word report…"; }
+      if (button) { button.disabled = true; button.textContent = busyLabel; }
       const result = await ensureEstimateContext();
       const selectedAadt = currentSelectedAadt();
-      const response = await fetch("/report/word", {
+      const response = await fetch(endpoint, {
         method: "POST",
         headers: { "Content-Type": "application/json" },
         body: JSON.stringify({
@@ -399,6 +435,8 @@
           mpds: Number($id("mpds")?.value || 0),
           diesel: Number($id("diesel")?.value || 0),
           aadtOverride: Number($id("aadtOverride")?.value || 0) || null,
+          ...($id("pf_include")?.checked ? { proForma: true } : {}),
+          ...(currentReportTheme() ? { reportTheme: currentReportTheme() } : {}),
         }),
       });
       if (!response.ok) {
@@ -409,13 +447,13 @@
       const url = URL.createObjectURL(blob);
       const link = document.createElement("a");
       link.href = url;
-      link.download = "FuelIQ_Site_Estimate.doc";
+      link.download = filename;
       document.body.appendChild(link);
       link.click();
       link.remove();
       setTimeout(() => URL.revokeObjectURL(url), 1500);
     } catch (error) {
-      alert(`Word export failed: ${error?.message || error}`);
+      alert(`${kind} export failed: ${error?.message || error}`);
     } finally {
       if (button) { button.disabled = false; button.textContent = priorLabel; }
     }
@@ -538,8 +576,9 @@
     const wordLink = $id("siteResearchWord");
     if (results) results.innerHTML = data?.html || "<p>Research completed, but no report HTML was returned.</p>";
     if (wordLink && data?.wordUrl) {
-      wordLink.href = data.wordUrl;
-      wordLink.download = "FuelIQ_Site_Research.doc";
+      wordLink.dataset.baseHref = data.wordUrl;
+      wordLink.href = themedUrl(data.wordUrl);
+      wordLink.download = "FuelIQ_Site_Research.docx";
       wordLink.hidden = false;
     }
     setStatus("Exhaustive multi-pass research complete. Review the sourced report below or export it to Word.", 100);
@@ -577,6 +616,8 @@
     patchAddressSelection();
     patchEstimateRendering();
     replacePdfExportWithWord();
+    $id("exportXlsx")?.addEventListener("click", exportEstimateToExcel);
+    loadReportThemes();
     buildResearchCard();
     showResearchAvailability();
     resumeSavedJob();
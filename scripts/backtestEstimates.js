@@ -0,0 +1,124 @@
+// Back-test the estimate engine against actual monthly volumes.
+//
+//   node scripts/backtestEstimates.js actuals.csv [--profile id] [--live http://localhost:3000]
+//     [--cache backtest-cache.json] [--concurrency 2] [--json report.json]
+//     [--calibrate config/estimate-profiles.calibrated.json] [--min-sites 8]
+//
+// Rows with recorded AADT and competitor counts are scored offline. Other rows
+// need --live, which POSTs each site to /estimate; --cache keeps those results
+// so later runs (for example with another --profile) reuse them.
+//
+// --calibrate fits traffic pull %, competition tier multipliers and big-box
+// penalties (overall and per region column/state with at least --min-sites
+// rows) and writes a profile file with fit statistics. Try it with
+// ESTIMATE_PROFILES_FILE=<file> before copying a profile into
+// config/estimate-profiles.json.
+import fs from "node:fs";
+import { parseBacktestCsv, prepareBacktestSites, runBacktest } from "../src/backtest.js";
+import { calibrateProfiles } from "../src/calibration.js";
+import { resolveEstimateRules } from "../src/estimateProfiles.js";
+
+function parseArgs(argv) {
+  const args = { file: null, profile: null, live: null, cache: null, concurrency: 2, json: null, calibrate: null, minSites: 8 };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === "--profile") args.profile = argv[++i];
+    else if (arg === "--live") args.live = String(argv[++i] || "").replace(/\/$/, "");
+    else if (arg === "--cache") args.cache = argv[++i];
+    else if (arg === "--concurrency") args.concurrency = Math.max(1, Math.min(8, Number(argv[++i]) || 2));
+    else if (arg === "--json") args.json = argv[++i];
+    else if (arg === "--calibrate") args.calibrate = argv[++i];
+    else if (arg === "--min-sites") args.minSites = Math.max(3, Number(argv[++i]) || 8);
+    else if (!args.file) args.file = arg;
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+  if (!args.file) throw new Error("Usage: node scripts/backtestEstimates.js actuals.csv [--profile id] [--live URL] [--cache file] [--concurrency n] [--json out.json] [--calibrate out.json] [--min-sites n]");
+  return args;
+}
+
+function readCache(file) {
+  if (!file || !fs.existsSync(file)) return {};
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+async function liveEstimate(baseUrl, site, profile) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), 180000);
+  try {
+    const response = await fetch(`${baseUrl}/estimate`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", Accept: "application/json" },
+      body: JSON.stringify({ address: site.address, mpds: site.mpds, diesel: site.diesel, ...(profile ? { profile } : {}) }),
+      signal: controller.signal,
+    });
+    const payload = await response.json().catch(() => null);
+    if (!response.ok || payload?.ok !== true) throw new Error(payload?.detail || payload?.status || `HTTP ${response.status}`);
+    return payload;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function printMetrics(title, groups) {
+  console.log(`\n${title}`);
+  for (const [key, m] of Object.entries(groups)) {
+    if (!m || typeof m !== "object") continue;
+    console.log(`  ${String(key).padEnd(30)} n=${String(m.count).padStart(4)}  MAPE ${String(m.mape ?? "—").padStart(6)}%  bias ${String(m.bias_pct ?? "—").padStart(6)}%  ±10% ${m.within_10_pct ?? "—"}%`);
+  }
+}
+
+const args = parseArgs(process.argv.slice(2));
+const rules = resolveEstimateRules(args.profile);
+const { sites, errors } = parseBacktestCsv(fs.readFileSync(args.file, "utf8"));
+const cache = readCache(args.cache);
+
+const estimate = args.live || args.cache
+  ? async (site) => {
+      const key = `${site.address.toLowerCase()}|${site.mpds}|${site.diesel}`;
+      if (cache[key]) return { result: cache[key], source: "cached" };
+      if (!args.live) throw new Error("not in cache (pass --live to fetch)");
+      const result = await liveEstimate(args.live, site, args.profile);
+      cache[key] = result;
+      return { result, source: "live" };
+    }
+  : undefined;
+
+function printCalibration(config, skipped) {
+  for (const [id, profile] of Object.entries(config.profiles)) {
+    if (!profile.fit) continue;
+    const { before, after, coefficients } = profile.fit;
+    console.log(`\n${id} (${profile.fit.sites} sites, ${profile.fit.excluded_capped} capped excluded)`);
+    console.log(`  MAPE ${before.mape}% -> ${after.mape}%  bias ${before.bias_pct}% -> ${after.bias_pct}%  log R² ${before.log_r2 ?? "—"} -> ${after.log_r2 ?? "—"}`);
+    for (const [name, c] of Object.entries(coefficients)) {
+      console.log(`  ${name.padEnd(16)} ${String(c.current).padStart(7)} -> ${String(c.adopted).padStart(7)}  (fitted ${c.fitted ?? "—"}, n=${c.n})`);
+    }
+  }
+  for (const item of skipped) console.log(`  Region ${item.region}: ${item.sites} sites, below --min-sites; not calibrated.`);
+}
+
+for (const error of errors) console.warn(`Line ${error.line}: ${error.error}`);
+
+if (args.calibrate) {
+  const prepared = await prepareBacktestSites(sites, { estimate, concurrency: args.concurrency });
+  if (args.cache) fs.writeFileSync(args.cache, JSON.stringify(cache));
+  for (const item of prepared.filter((entry) => entry.skipped)) console.warn(`Line ${item.site.line} skipped: ${item.skipped}`);
+  const { config, skipped_regions: skipped } = calibrateProfiles(prepared, { rules, minSites: args.minSites });
+  fs.writeFileSync(args.calibrate, `${JSON.stringify(config, null, 2)}\n`);
+  printCalibration(config, skipped);
+  console.log(`\nWrote ${Object.keys(config.profiles).length} profiles to ${args.calibrate}. Review, then test with ESTIMATE_PROFILES_FILE=${args.calibrate}.`);
+  process.exit(0);
+}
+
+const report = await runBacktest(sites, { rules, estimate, concurrency: args.concurrency });
+if (args.cache) fs.writeFileSync(args.cache, JSON.stringify(cache));
+if (args.json) fs.writeFileSync(args.json, JSON.stringify({ ...report, csv_errors: errors }, null, 2));
+
+for (const item of report.skipped) console.warn(`Line ${item.line} skipped: ${item.reason}`);
+console.log(`Back-test: ${report.scored} of ${report.sites_in} sites scored with ${report.profile?.label || "default rules"} (engine ${report.engine_version}).`);
+printMetrics("Overall", { all: report.overall });
+printMetrics("By state", report.by_state);
+printMetrics("By AADT method", report.by_aadt_method);
+printMetrics("By competitor count", report.by_competitor_count);
+const { verdict, ...variants } = report.competition_rules;
+printMetrics("Competition rules", variants);
+console.log(`  ${verdict}`);
@@ -0,0 +1,49 @@
+// Import DOT AADT files into the local AADT index used by /aadt/nearby and
+// /estimate before any live DOT lookup.
+//
+//   node scripts/importAadt.js public/PA_Roads_with_AADT_sample.geojson --state PA
+//     [--id pa-roads] [--source "PennDOT RMS traffic volumes"]
+//   node scripts/importAadt.js PaStateRoads2025_07.shp --state PA   (needs the .dbf beside it)
+//   node scripts/importAadt.js --list
+//   node scripts/importAadt.js --remove pa-roads
+//
+// Files may be GeoJSON, CSV with latitude/longitude columns, or shapefiles in
+// WGS84 or Web Mercator. Datasets land in the store (FUEL_IQ_DATA_DIR or
+// data/store); restart the server to pick up a new import.
+import path from "node:path";
+import { importAadtDataset, listAadtDatasets, readAadtFeatures, removeAadtDataset } from "../src/aadtDataset.js";
+
+function parseArgs(argv) {
+  const args = { file: null, state: null, id: null, source: "", list: false, remove: null };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === "--state") args.state = argv[++i];
+    else if (arg === "--id") args.id = argv[++i];
+    else if (arg === "--source") args.source = argv[++i];
+    else if (arg === "--list") args.list = true;
+    else if (arg === "--remove") args.remove = argv[++i];
+    else if (!args.file) args.file = arg;
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+  if (!args.list && !args.remove && (!args.file || !args.state)) {
+    throw new Error("Usage: node scripts/importAadt.js file.(geojson|json|csv|shp) --state XX [--id name] [--source text] | --list | --remove id");
+  }
+  return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+if (args.list) {
+  for (const dataset of listAadtDatasets()) {
+    console.log(`${dataset.id.padEnd(28)} ${dataset.state}  ${String(dataset.count).padStart(7)} segments  ${dataset.imported_at}  ${dataset.source}`);
+  }
+} else if (args.remove) {
+  console.log(removeAadtDataset(args.remove) ? `Removed ${args.remove}.` : `No dataset ${args.remove}.`);
+} else {
+  const features = readAadtFeatures(args.file);
+  const dataset = importAadtDataset(features, {
+    id: args.id || path.basename(args.file, path.extname(args.file)),
+    state: args.state,
+    source: args.source,
+  });
+  console.log(`Imported ${dataset.count} segments as ${dataset.id} (${dataset.state}); skipped ${dataset.skipped} without an AADT count or geometry.`);
+}
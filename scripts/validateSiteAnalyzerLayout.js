@@ -16,7 +16,7 @@ const autocompleteRecovery = read("public/site-autocomplete-recovery.js");
 const presentation = read("src/siteAnalyzerPresentation.js");
 const aadt = read("src/aadtCoverage.js");
 const reportEnhancements = read("src/siteResearchReportEnhancements.js");
-const wordFix = read("src/siteWordLayoutFix.js");
+const wordDocx = read("src/wordDocx.js");
 
 const sample = `<!doctype html><html><head><title>Legacy</title></head><body><div class="wrap">
 <header><h1>Legacy Fuel IQ</h1><span class="build">old</span><a href="developments.html">Developments Search</a><a href="PA_Signals_AADT_Radius_Map_Final_Generated.html">PA AADT Map</a><a href="Scraper.html">Prospector</a></header>
@@ -127,11 +127,10 @@ for (const snippet of [
 ]) assert(reportEnhancements.includes(snippet), `Exhaustive report enhancement is missing: ${snippet}`);
 
 for (const snippet of [
-  'BASIC_WORD_ROUTE',
-  'EXHAUSTIVE_WORD_ROUTE',
-  '@page Section1',
-  'table-layout: fixed',
+  'PageNumber.TOTAL_PAGES',
+  'TableLayoutType.FIXED',
+  'tableHeader: true',
   'Open source',
-]) assert(wordFix.includes(snippet), `Word margin fix is missing: ${snippet}`);
+]) assert(wordDocx.includes(snippet), `Shared DOCX layout is missing: ${snippet}`);
 
 console.log("Site Analyzer autocomplete, exact-address fallback, completed-report visibility, address safety, and layout validation passed.");
@@ -9,12 +9,16 @@ import { registerDistributorCompanySearchRoutes } from "./src/distributorCompany
 import { registerDistributorPresentationFix, transformDistributorPage } from "./src/distributorPresentationFix.js";
 import { registerSiteResearchRoutes } from "./src/siteResearchExhaustive.js";
 import { registerSiteEnhancementRoutes } from "./src/siteEnhancements.js";
-import { registerSiteWordLayoutFix } from "./src/siteWordLayoutFix.js";
 import { transformSiteAnalyzerPage } from "./src/siteAnalyzerPresentation.js";
 import { registerExpandedAadtRoutes } from "./src/aadtCoverage.js";
+import { registerSignalRoutes } from "./src/paSignals.js";
 import { registerSiteResearchReportEnhancements } from "./src/siteResearchReportEnhancements.js";
 import { registerFuelAtlasRoutes } from "./src/fuelAtlasRoutes.js";
 import { registerFuelAtlasLocationCompanyBridge } from "./src/fuelAtlasLocationCompanyBridge.js";
+import { registerPipelineRoutes } from "./src/pipeline.js";
+import { registerDealMemoRoutes } from "./src/dealMemo.js";
+import { registerReportThemeRoutes } from "./src/reportTheme.js";
+import { openStore } from "./src/store.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -25,6 +29,10 @@ const app = express();
 let legacyReady = false;
 let shuttingDown = false;
 
+// Migrate the shared store before the legacy server opens it.
+const appliedMigrations = openStore().migrate();
+if (appliedMigrations.length) console.log(`Applied store migrations: ${appliedMigrations.join(", ")}`);
+
 const legacy = spawn(process.execPath, [path.join(__dirname, "legacy-server.js")], {
   cwd: __dirname,
   env: { ...process.env, PORT: String(legacyPort) },
@@ -66,16 +74,19 @@ registerDistributorCompanySearchRoutes(app, {
   openAiApiKey: process.env.OPENAI_API_KEY || "",
   googleApiKey: process.env.GOOGLE_API_KEY || "",
 });
-registerSiteWordLayoutFix(app);
 registerSiteResearchReportEnhancements(app);
 registerSiteResearchRoutes(app, { openAiApiKey: process.env.OPENAI_API_KEY || "" });
 registerExpandedAadtRoutes(app, { legacyPort });
+registerSignalRoutes(app);
 registerSiteEnhancementRoutes(app, {
   legacyPort,
   googleApiKey: process.env.GOOGLE_API_KEY || "",
 });
 registerFuelAtlasLocationCompanyBridge(app);
 registerFuelAtlasRoutes(app, { googleApiKey: process.env.GOOGLE_API_KEY || "" });
+registerPipelineRoutes(app);
+registerDealMemoRoutes(app);
+registerReportThemeRoutes(app);
 
 app.get("/fuel-atlas", (_req, res) => res.redirect(302, "/fuel-atlas.html"));
 app.get("/fuel-atlas.html", (_req, res) => {
@@ -88,6 +99,28 @@ app.get("/fuel-atlas.js", (_req, res) => {
   res.sendFile(path.join(__dirname, "public", "fuel-atlas.js"));
 });
 
+app.get("/pipeline", (_req, res) => res.redirect(302, "/pipeline.html"));
+app.get("/pipeline.html", (_req, res) => {
+  res.setHeader("Cache-Control", "no-store");
+  res.sendFile(path.join(__dirname, "public", "pipeline.html"));
+});
+app.get("/pipeline.js", (_req, res) => {
+  res.setHeader("Cache-Control", "no-store");
+  res.type("application/javascript");
+  res.sendFile(path.join(__dirname, "public", "pipeline.js"));
+});
+
+app.get("/compare", (_req, res) => res.redirect(302, "/compare.html"));
+app.get("/compare.html", (_req, res) => {
+  res.setHeader("Cache-Control", "no-store");
+  res.sendFile(path.join(__dirname, "public", "compare.html"));
+});
+app.get("/compare.js", (_req, res) => {
+  res.setHeader("Cache-Control", "no-store");
+  res.type("application/javascript");
+  res.sendFile(path.join(__dirname, "public", "compare.js"));
+});
+
 app.get("/distributors", (_req, res) => res.redirect(302, "/distributors.html"));
 app.get("/distributor-company-search.js", (_req, res) => {
   res.setHeader("Cache-Control", "no-store");
@@ -177,6 +210,30 @@ app.get("/health", (_req, res) => {
     siteResearch: true,
     siteResearchWordExport: true,
     estimateWordExport: true,
+    estimateRuleProfiles: true,
+    estimateSensitivity: true,
+    estimateMonteCarloRange: true,
+    estimateFuelSplit: true,
+    estimateProForma: true,
+    estimateBacktest: true,
+    estimateCalibration: true,
+    estimateCompetitionIndex: true,
+    estimateTradeArea: true,
+    persistentStore: true,
+    savedSites: true,
+    dealPipeline: true,
+    estimateBatch: true,
+    siteComparison: true,
+    estimateWorkbook: true,
+    siteReportDocx: true,
+    reportStaticMaps: true,
+    reportThemes: true,
+    dealMemo: true,
+    aadtTrend: true,
+    importedAadt: true,
+    paSignals: true,
+    segmentAadtMatch: true,
+    cornerLotBlend: true,
     siteAnalyzerProfessionalLayout: true,
     siteAnalyzerServerRenderedLayout: true,
     siteAnalyzerNoLegacyFlash: true,
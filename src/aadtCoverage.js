@@ -1,4 +1,8 @@
 import express from "express";
+import { truckPctFromAttributes } from "./truckShare.js";
+import { aadtCagr, aadtSeries } from "./aadtTrend.js";
+import { nearbySignals } from "./paSignals.js";
+import { nearestPointOnPaths } from "./spatialIndex.js";
 
 const CACHE_TTL_MS = 30 * 60 * 1000;
 const DISCOVERY_TTL_MS = 24 * 60 * 60 * 1000;
@@ -83,7 +87,7 @@ async function legacyNearby(legacyPort, lat, lon, radiusMi) {
   const items = Array.isArray(data?.items) ? data.items : [];
   return {
     state: clean(data?.state, 2).toUpperCase(),
-    items: items.map((item) => ({ ...item, discovery_method: "configured official DOT layer", source_title: item.source_title || `${clean(data?.state, 2).toUpperCase()} official AADT layer` })),
+    items: items.map((item) => ({ ...item, discovery_method: item.imported ? "imported offline AADT dataset" : "configured official DOT layer", source_title: item.source_title || `${clean(data?.state, 2).toUpperCase()} official AADT layer` })),
   };
 }
 
@@ -206,29 +210,22 @@ function normalizeCoordinate(x, y) {
   return null;
 }
 
-function geometryPoints(geometry = {}) {
-  const points = [];
+// Geometry as [lon, lat] paths; a point becomes one single-vertex path.
+function geometryPaths(geometry = {}) {
+  const toPath = (pairs) => (pairs || []).map((pair) => normalizeCoordinate(pair?.[0], pair?.[1])).filter(Boolean).map((point) => [point.lon, point.lat]);
   const direct = normalizeCoordinate(geometry.x, geometry.y);
-  if (direct) points.push(direct);
-  for (const path of geometry.paths || []) for (const pair of path || []) {
-    const point = normalizeCoordinate(pair?.[0], pair?.[1]);
-    if (point) points.push(point);
-  }
-  for (const ring of geometry.rings || []) for (const pair of ring || []) {
-    const point = normalizeCoordinate(pair?.[0], pair?.[1]);
-    if (point) points.push(point);
-  }
-  return points;
+  return [
+    ...(direct ? [[[direct.lon, direct.lat]]] : []),
+    ...(geometry.paths || []).map(toPath),
+    ...(geometry.rings || []).map(toPath),
+  ].filter((path) => path.length);
 }
 
 function nearestGeometryPoint(geometry, siteLat, siteLon) {
-  const points = geometryPoints(geometry);
-  let best = null;
-  for (const point of points) {
-    const miles = distanceMiles(siteLat, siteLon, point.lat, point.lon);
-    if (!best || miles < best.miles) best = { ...point, miles };
-  }
-  return best;
+  const paths = geometryPaths(geometry);
+  if (!paths.length) return null;
+  const near = nearestPointOnPaths(paths, siteLat, siteLon);
+  return { lat: near.lat, lon: near.lon, miles: near.distM / 1609.344 };
 }
 
 function numericValue(value) {
@@ -272,12 +269,16 @@ function featureToItem(feature, layer, stateCode, siteLat, siteLon) {
   const route = chooseAttribute(attrs, [/ROUTE.*NAME/, /^ROUTE$/, /ROAD.*NAME/, /STREET.*NAME/, /^STREET$/, /^ROAD$/, /RTE.*NAME/, /HIGHWAY/, /^NAME$/]);
   const location = chooseAttribute(attrs, [/LOCATION/, /DESCRIPTION/, /FROM.*TO/, /BEGIN/, /END/, /STATION/, /COUNT.*ID/, /SITE.*ID/]);
   const stationId = chooseAttribute(attrs, [/STATION.*ID/, /COUNT.*ID/, /LOCATION.*ID/, /^OBJECTID$/]);
+  const series = aadtSeries(attrs, layer.fields || []);
   return {
     lat: point.lat,
     lon: point.lon,
     miles: Number(point.miles.toFixed(3)),
     aadt: aadt.aadt,
     year: separateYear(attrs, aadt.year),
+    series,
+    cagr_pct: aadtCagr(series),
+    truck_pct: truckPctFromAttributes(attrs, aadt.aadt),
     route: route || layer.name || layer.catalogTitle || "Official traffic-volume segment",
     location: location || stationId || "Official roadway count segment",
     station_id: stationId || null,
@@ -338,9 +339,11 @@ async function expandedNearby({ legacyPort, lat, lon, requestedRadiusMi }) {
   stateCode ||= legacy.state;
 
   const legacyItems = (legacy.items || []).filter((item) => Number.isFinite(Number(item.aadt)) && Number.isFinite(Number(item.miles)));
+  // Bundled PennDOT signal counts; the index is empty outside Pennsylvania.
+  const signalItems = nearbySignals(lat, lon, Math.max(5, requestedRadiusMi), { limit: MAX_RESULTS }).filter((item) => item.aadt > 0);
   let dynamicItems = [];
   let layers = [];
-  if (stateCode && legacyItems.length < 3) {
+  if (stateCode && legacyItems.length + signalItems.length < 3) {
     try {
       layers = await discoverLayers(stateCode);
       const settled = await Promise.allSettled(layers.map((layer) => queryLayer(layer, stateCode, lat, lon, MAX_DYNAMIC_RADIUS_MI)));
@@ -353,7 +356,7 @@ async function expandedNearby({ legacyPort, lat, lon, requestedRadiusMi }) {
     }
   }
 
-  const items = dedupe([...legacyItems, ...dynamicItems]);
+  const items = dedupe([...legacyItems, ...signalItems, ...dynamicItems]);
   const nearestThree = items.slice(0, 3);
   const effectiveRadius = nearestThree.length ? Math.max(requestedRadiusMi, ...nearestThree.map((item) => Number(item.miles) || 0)) : requestedRadiusMi;
   return {
@@ -363,9 +366,10 @@ async function expandedNearby({ legacyPort, lat, lon, requestedRadiusMi }) {
     state: stateCode || legacy.state || null,
     requested_radius_mi: requestedRadiusMi,
     search_radius_mi: Number(Math.min(MAX_DYNAMIC_RADIUS_MI, Math.max(requestedRadiusMi, effectiveRadius)).toFixed(2)),
-    expanded_search: legacyItems.length < 3,
+    expanded_search: legacyItems.length + signalItems.length < 3,
     sources_checked: [...new Set([
       ...legacyItems.map((item) => item.source_title || item.source_url).filter(Boolean),
+      ...signalItems.slice(0, 1).map((item) => item.source_title),
       ...layers.map((layer) => layer.catalogTitle || layer.name || layer.url).filter(Boolean),
     ])],
     warnings: [...new Set(warnings)].slice(0, 12),
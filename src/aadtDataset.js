@@ -0,0 +1,345 @@
+import fs from "fs";
+import path from "path";
+import { parseCsvRows } from "./backtest.js";
+import { aadtCagr, aadtSeries, latestAadt } from "./aadtTrend.js";
+import { truckPctFromAttributes } from "./truckShare.js";
+import { openStore } from "./store.js";
+import { GridIndex } from "./spatialIndex.js";
+
+// Imported DOT AADT files (GeoJSON, CSV, shapefile) kept on disk with a grid
+// index, so station lookups work for states without a live ArcGIS layer and
+// with no network at all. Segment files live in `<store>/aadt/<id>.json`;
+// the `aadt_datasets` collection lists what has been imported.
+
+const METERS_PER_MILE = 1609.344;
+const WEB_MERCATOR_RADIUS_M = 6378137;
+const MAX_RADIUS_MI = 5;
+
+const ROUTE_FIELDS = [/ROUTE.*NAME/, /STREET.*NAM/, /ROAD.*NAME/, /RTE.*NAME/, /FULL.?NAME/, /^ROUTE$/, /^STREET$/, /^ROAD$/, /^NAME$/];
+const LOCATION_FIELDS = [/LOCATION$/, /DESCRIPTION/, /FROM.*TO/, /^LOC/];
+const ROUTE_NUMBER_FIELDS = [/^(ST_)?RT_NO$/, /ROUTE.?(NO|NUM|NUMBER)$/, /RTE.?(NO|NUM)$/, /^ROUTE.?ID$/];
+const STATION_ID_FIELDS = [/STATION.*ID/, /COUNT.*ID/, /LOCATION.*ID/, /NLF_ID/, /SEG.*ID/, /^OBJECTID/, /^FID$/];
+const LAT_COLUMNS = ["lat", "latitude", "y", "pointy"];
+const LON_COLUMNS = ["lon", "lng", "long", "longitude", "x", "pointx"];
+
+const loaded = new Map();
+
+function text(value, max = 200) {
+  return String(value ?? "").replace(/\u0000/g, "").trim().slice(0, max);
+}
+
+function chooseAttribute(attrs, patterns) {
+  const entries = Object.entries(attrs || {});
+  for (const pattern of patterns) {
+    const match = entries.find(([key, value]) => pattern.test(key.toUpperCase()) && text(value));
+    if (match) return text(match[1]);
+  }
+  return "";
+}
+
+function fromWebMercator([x, y]) {
+  return [
+    (x / WEB_MERCATOR_RADIUS_M) * (180 / Math.PI),
+    (2 * Math.atan(Math.exp(y / WEB_MERCATOR_RADIUS_M)) - Math.PI / 2) * (180 / Math.PI),
+  ];
+}
+
+// Coordinates outside lon/lat range are taken as Web Mercator metres, the
+// projection DOT ArcGIS exports (and the PennDOT road files) use.
+function toLonLatPaths(paths, mercator = null) {
+  const projected = mercator ?? paths.flat().some((point) => Math.abs(point?.[0]) > 180 || Math.abs(point?.[1]) > 90);
+  return paths
+    .map((line) => line
+      .filter((point) => Number.isFinite(point?.[0]) && Number.isFinite(point?.[1]))
+      .map((point) => (projected ? fromWebMercator(point) : point))
+      .map(([lon, lat]) => [Number(lon.toFixed(6)), Number(lat.toFixed(6))]))
+    .filter((line) => line.length);
+}
+
+function geometryPaths(geometry) {
+  const { type, coordinates } = geometry || {};
+  if (!Array.isArray(coordinates)) return [];
+  if (type === "Point") return [[coordinates]];
+  if (type === "MultiPoint") return coordinates.map((point) => [point]);
+  if (type === "LineString") return [coordinates];
+  if (type === "MultiLineString" || type === "Polygon") return coordinates;
+  if (type === "MultiPolygon") return coordinates.flat();
+  return [];
+}
+
+/**
+ * Features from a GeoJSON FeatureCollection, as `{ attributes, paths }` with
+ * paths in [lon, lat]. Points become single-vertex paths.
+ *
+ * @param {object|string} input Parsed GeoJSON or its text.
+ * @returns {Array<{ attributes: object, paths: number[][][] }>}
+ */
+export function parseAadtGeoJson(input) {
+  const json = typeof input === "string" ? JSON.parse(input) : input;
+  const features = json?.type === "Feature" ? [json] : Array.isArray(json?.features) ? json.features : [];
+  return features.map((feature) => ({ attributes: feature?.properties || {}, paths: toLonLatPaths(geometryPaths(feature?.geometry)) }));
+}
+
+/**
+ * Features from a CSV of count stations with latitude and longitude columns.
+ *
+ * @param {string} csv
+ * @returns {Array<{ attributes: object, paths: number[][][] }>}
+ */
+export function parseAadtCsv(csv) {
+  const [header, ...rows] = parseCsvRows(csv);
+  const keys = (header || []).map((cell) => text(cell));
+  const normalized = keys.map((key) => key.toLowerCase().replace(/[^a-z]/g, ""));
+  const latIndex = normalized.findIndex((key) => LAT_COLUMNS.includes(key));
+  const lonIndex = normalized.findIndex((key) => LON_COLUMNS.includes(key));
+  if (latIndex < 0 || lonIndex < 0) throw new Error("AADT CSV needs latitude and longitude columns.");
+  return rows.map((row) => {
+    const attributes = Object.fromEntries(keys.map((key, index) => [key, row[index] ?? ""]));
+    const point = [Number(row[lonIndex]), Number(row[latIndex])];
+    return { attributes, paths: toLonLatPaths([[point]]) };
+  });
+}
+
+function readDbf(buffer, encoding) {
+  const count = buffer.readUInt32LE(4);
+  const headerLength = buffer.readUInt16LE(8);
+  const recordLength = buffer.readUInt16LE(10);
+  const fields = [];
+  for (let offset = 32; offset < headerLength - 1 && buffer[offset] !== 0x0d; offset += 32) {
+    fields.push({
+      name: buffer.toString("latin1", offset, offset + 11).replace(/\u0000.*$/, ""),
+      type: String.fromCharCode(buffer[offset + 11]),
+      length: buffer[offset + 16],
+    });
+  }
+  const rows = [];
+  for (let index = 0; index < count; index += 1) {
+    let offset = headerLength + index * recordLength;
+    const deleted = buffer[offset] === 0x2a;
+    offset += 1;
+    const row = {};
+    for (const field of fields) {
+      const raw = buffer.toString(encoding, offset, offset + field.length).trim();
+      offset += field.length;
+      row[field.name] = "NFOB".includes(field.type) ? (raw === "" || /^\*+$/.test(raw) ? null : Number(raw)) : raw;
+    }
+    rows.push(deleted ? null : row);
+  }
+  return rows;
+}
+
+function readShapes(buffer) {
+  const shapes = [];
+  let offset = 100;
+  while (offset + 8 <= buffer.length) {
+    const length = buffer.readInt32BE(offset + 4) * 2;
+    const start = offset + 8;
+    const type = buffer.readInt32LE(start);
+    // Null (0) and multipatch (31) shapes carry no usable point or line.
+    const base = type > 0 && type < 30 ? type % 10 : 0;
+    let paths = [];
+    if (base === 1) paths = [[[buffer.readDoubleLE(start + 4), buffer.readDoubleLE(start + 12)]]];
+    else if (base === 3 || base === 5) {
+      const parts = buffer.readInt32LE(start + 36);
+      const points = buffer.readInt32LE(start + 40);
+      const starts = Array.from({ length: parts }, (_, i) => buffer.readInt32LE(start + 44 + i * 4));
+      const first = start + 44 + parts * 4;
+      paths = starts.map((from, i) => Array.from({ length: (starts[i + 1] ?? points) - from }, (_, j) => {
+        const at = first + (from + j) * 16;
+        return [buffer.readDoubleLE(at), buffer.readDoubleLE(at + 8)];
+      }));
+    } else if (base === 8) {
+      const points = buffer.readInt32LE(start + 36);
+      paths = Array.from({ length: points }, (_, i) => [[buffer.readDoubleLE(start + 40 + i * 16), buffer.readDoubleLE(start + 48 + i * 16)]]);
+    }
+    shapes.push(paths);
+    offset = start + length;
+  }
+  return shapes;
+}
+
+/**
+ * Features from an ESRI shapefile (.shp geometry plus .dbf attributes).
+ * Coordinates must be WGS84 or Web Mercator; other projections (state plane)
+ * need reprojecting first.
+ *
+ * @param {{ shp: Buffer, dbf: Buffer, prj?: string, cpg?: string }} files
+ * @returns {Array<{ attributes: object, paths: number[][][] }>}
+ */
+export function parseShapefile({ shp, dbf, prj = "", cpg = "" }) {
+  if (!shp || !dbf) throw new Error("A shapefile import needs both the .shp and .dbf files.");
+  const projection = String(prj || "");
+  const mercator = /PROJCS/.test(projection) ? /Mercator/i.test(projection) : null;
+  if (/PROJCS/.test(projection) && !mercator) throw new Error("Shapefile projection is not WGS84 or Web Mercator; reproject it to EPSG:4326 first.");
+  const rows = readDbf(dbf, /utf-?8/i.test(cpg) ? "utf8" : "latin1");
+  return readShapes(shp)
+    .map((paths, index) => (rows[index] ? { attributes: rows[index], paths: toLonLatPaths(paths, mercator) } : null))
+    .filter(Boolean);
+}
+
+/**
+ * Read an AADT file by extension: .geojson/.json, .csv, or .shp (with its
+ * .dbf, .prj and .cpg siblings).
+ *
+ * @param {string} file
+ * @returns {Array<{ attributes: object, paths: number[][][] }>}
+ */
+export function readAadtFeatures(file) {
+  const extension = path.extname(file).toLowerCase();
+  if (extension === ".geojson" || extension === ".json") return parseAadtGeoJson(fs.readFileSync(file, "utf8"));
+  if (extension === ".csv") return parseAadtCsv(fs.readFileSync(file, "utf8"));
+  if (extension === ".shp") {
+    const sibling = (ext) => {
+      const base = file.slice(0, -extension.length);
+      const match = [ext, ext.toUpperCase()].map((suffix) => `${base}${suffix}`).find((candidate) => fs.existsSync(candidate));
+      return match ? fs.readFileSync(match) : null;
+    };
+    return parseShapefile({ shp: fs.readFileSync(file), dbf: sibling(".dbf"), prj: sibling(".prj")?.toString("utf8"), cpg: sibling(".cpg")?.toString("utf8") });
+  }
+  throw new Error(`Unsupported AADT file type "${extension || file}". Use .geojson, .json, .csv or .shp.`);
+}
+
+function segmentFromFeature(feature) {
+  const attrs = feature?.attributes || {};
+  const latest = latestAadt(attrs);
+  const paths = feature?.paths || [];
+  if (!latest || !paths.length) return null;
+  const series = aadtSeries(attrs);
+  const routeNumber = chooseAttribute(attrs, ROUTE_NUMBER_FIELDS).replace(/^0+(?=\d)/, "");
+  return {
+    aadt: latest.aadt,
+    year: latest.year,
+    series,
+    cagr_pct: aadtCagr(series),
+    truck_pct: truckPctFromAttributes(attrs, latest.aadt),
+    route: chooseAttribute(attrs, ROUTE_FIELDS) || (routeNumber ? `Route ${routeNumber}` : ""),
+    location: chooseAttribute(attrs, LOCATION_FIELDS) || (routeNumber ? `Route ${routeNumber}` : ""),
+    station_id: chooseAttribute(attrs, STATION_ID_FIELDS) || null,
+    bbox: unionBbox(paths.flat().map(([lon, lat]) => [lon, lat, lon, lat])),
+    paths,
+  };
+}
+
+function unionBbox(boxes) {
+  return boxes.reduce((out, box) => [
+    Math.min(out[0], box[0]), Math.min(out[1], box[1]), Math.max(out[2], box[2]), Math.max(out[3], box[3]),
+  ], [Infinity, Infinity, -Infinity, -Infinity]);
+}
+
+function datasets(store) {
+  return store.collection("aadt_datasets");
+}
+
+function datasetFile(store, id) {
+  return path.join(store.dir, "aadt", `${id}.json`);
+}
+
+/**
+ * Import parsed features as a dataset, replacing any earlier import with the
+ * same id. Features without a positive AADT or geometry are skipped.
+ *
+ * @param {Array<{ attributes: object, paths: number[][][] }>} features
+ * @param {{ id: string, state: string, source?: string, store?: import("./store.js").Store }} options
+ * @returns {object} Dataset record: id, state, source, count, skipped, bbox, imported_at.
+ */
+export function importAadtDataset(features, { id, state, source = "", store = openStore() }) {
+  const datasetId = text(id, 80).toLowerCase().replace(/[^a-z0-9_-]+/g, "-").replace(/^-+|-+$/g, "");
+  const stateCode = text(state, 2).toUpperCase();
+  if (!datasetId) throw new Error("Dataset id is required.");
+  if (!/^[A-Z]{2}$/.test(stateCode)) throw new Error("Two-letter state code is required.");
+  const segments = (features || []).map(segmentFromFeature).filter(Boolean);
+  if (!segments.length) throw new Error("No features with an AADT count and geometry were found.");
+  const record = {
+    id: datasetId,
+    state: stateCode,
+    source: text(source) || `${stateCode} DOT AADT import`,
+    count: segments.length,
+    skipped: (features || []).length - segments.length,
+    bbox: unionBbox(segments.map((segment) => segment.bbox)),
+    imported_at: new Date().toISOString(),
+  };
+  const file = datasetFile(store, datasetId);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify({ ...record, segments }));
+  fs.renameSync(`${file}.tmp`, file);
+  loaded.delete(file);
+  return datasets(store).put(record);
+}
+
+/** Imported datasets, oldest first. */
+export function listAadtDatasets(store = openStore()) {
+  return datasets(store).list();
+}
+
+/** Remove an imported dataset and its segment file. */
+export function removeAadtDataset(id, store = openStore()) {
+  const record = datasets(store).get(id);
+  if (!record) return false;
+  const file = datasetFile(store, record.id);
+  fs.rmSync(file, { force: true });
+  loaded.delete(file);
+  datasets(store).delete(record.id);
+  return true;
+}
+
+function datasetIndex(store, record) {
+  const file = datasetFile(store, record.id);
+  const cached = loaded.get(file);
+  if (cached?.imported_at === record.imported_at) return cached.index;
+  let segments = [];
+  try { segments = JSON.parse(fs.readFileSync(file, "utf8")).segments || []; } catch { segments = []; }
+  const index = new GridIndex(segments);
+  loaded.set(file, { imported_at: record.imported_at, index });
+  return index;
+}
+
+/**
+ * Imported AADT segments near a point, closest first, in the station shape
+ * the DOT lookups return (`imported: true`, no source URL).
+ *
+ * @param {number} lat
+ * @param {number} lon
+ * @param {number} [radiusMi]
+ * @param {{ store?: import("./store.js").Store }} [options]
+ * @returns {object[]}
+ */
+export function nearbyImportedAadt(lat, lon, radiusMi = 1, { store = openStore() } = {}) {
+  if (!Number.isFinite(lat) || !Number.isFinite(lon)) return [];
+  const radiusM = Math.max(0.1, Math.min(MAX_RADIUS_MI, Number(radiusMi) || 1)) * METERS_PER_MILE;
+  const pad = radiusM / 111320 / Math.max(0.05, Math.cos((lat * Math.PI) / 180));
+  const out = [];
+  for (const record of listAadtDatasets(store)) {
+    const [minLon, minLat, maxLon, maxLat] = record.bbox || [];
+    if (lon < minLon - pad || lon > maxLon + pad || lat < minLat - pad || lat > maxLat + pad) continue;
+    for (const { item: segment, ...point } of datasetIndex(store, record).nearby(lat, lon, radiusM)) {
+      out.push({
+        ...point,
+        aadt: segment.aadt, year: segment.year, series: segment.series, cagr_pct: segment.cagr_pct, truck_pct: segment.truck_pct,
+        route: segment.route || null, location: segment.location || null, station_id: segment.station_id, rte_cls: null,
+        state: record.state, source_url: null, source_title: record.source, dataset_id: record.id, imported: true, paths: segment.paths,
+      });
+    }
+  }
+  return out.sort((a, b) => a.distM - b.distM);
+}
+
+/**
+ * Imported stations near a point that pass `accept` (e.g. "on the entered
+ * road"), or the live DOT lookup when the imported datasets have none. A
+ * dataset covering the area but missing the road must not hide live counts.
+ *
+ * @param {number} lat
+ * @param {number} lon
+ * @param {number} radiusMi
+ * @param {{ accept?: (station: object) => boolean, live: () => Promise<object[]>, store?: import("./store.js").Store }} options
+ * @returns {Promise<object[]>}
+ */
+export async function importedOrLiveAadt(lat, lon, radiusMi, { accept = () => true, live, store = openStore() }) {
+  let imported = [];
+  try {
+    imported = nearbyImportedAadt(lat, lon, radiusMi, { store }).filter(accept);
+  } catch (error) {
+    console.error("Imported AADT lookup failed", error);
+  }
+  return imported.length ? imported : live();
+}
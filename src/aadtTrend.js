@@ -0,0 +1,138 @@
+// Yearly AADT series from DOT feature attributes, the growth rate between
+// the first and last counts, and projection of a count to a site's opening
+// year. Shared by the legacy station lookup and the expanded AADT search.
+
+// Projections use at most this growth per year either way; DOT series often
+// carry a re-count or re-segmentation that a raw CAGR would extrapolate.
+const MAX_CAGR_PCT = 6;
+const MAX_PROJECTION_YEARS = 10;
+
+const EXCLUDED_FIELD = /TRUCK|TRK|ADTT|PCT|PERC|FACTOR|GROWTH|YEAR|YR|DATE|K_?FACT|D_?FACT|FUT|PROJ|DESIGN|FCST|FORECAST/;
+const COUNT_FIELD = /AADT|(^|[^A-Z])ADT/;
+
+function finite(value) {
+  const number = Number(String(value ?? "").replace(/[^0-9.-]/g, ""));
+  return value != null && value !== "" && Number.isFinite(number) ? number : null;
+}
+
+function fieldYear(text) {
+  const full = String(text || "").match(/(?:19|20)\d{2}/);
+  if (full) return Number(full[0]);
+  // AADT22, AADT_19: two-digit suffixes some DOTs use for past-year columns.
+  const short = String(text || "").toUpperCase().match(/^A?ADT_?(\d{2})$/);
+  return short ? 2000 + Number(short[1]) : null;
+}
+
+// Count fields on a feature: year-named ones with their year, plus the first
+// unnamed current count and the year from a year field (AADT_YEAR, COUNT_YEAR).
+function countFields(attrs, fields) {
+  const aliases = new Map((fields || []).map((field) => [field?.name, field?.alias || ""]));
+  const byYear = new Map();
+  const thisYear = new Date().getFullYear();
+  let current = null;
+  for (const [key, raw] of Object.entries(attrs || {})) {
+    const name = key.toUpperCase();
+    const alias = String(aliases.get(key) || "").toUpperCase();
+    const year = fieldYear(key) || fieldYear(alias);
+    if (year > thisYear) continue;
+    const label = `${name} ${alias}`.replace(/(?:19|20)\d{2}/g, "");
+    if (!COUNT_FIELD.test(label) || EXCLUDED_FIELD.test(label)) continue;
+    const value = finite(raw);
+    if (!(value > 0 && value < 1000000)) continue;
+    if (year && !byYear.has(year)) byYear.set(year, Math.round(value));
+    else if (!year && current == null) current = Math.round(value);
+  }
+  const yearField = current == null ? null : Object.entries(attrs || {}).find(([key]) => /AADT.*(YEAR|YR)|COUNT.*(YEAR|YR)|^YEAR$|DATA.*YEAR/.test(key.toUpperCase()));
+  const currentYear = fieldYear(yearField?.[1]);
+  return { byYear, current, currentYear: currentYear && currentYear <= thisYear ? currentYear : null };
+}
+
+/**
+ * Every yearly AADT count on a DOT feature, oldest first. Year-named fields
+ * (AADT_2019, AADT2023, alias "2021 AADT") give one point each; an unnamed
+ * current count (AADT, CUR_AADT) joins the series at the year from a year
+ * field (AADT_YEAR, COUNT_YEAR) when one is present.
+ *
+ * @param {object} attrs Feature attributes.
+ * @param {Array<{ name: string, alias?: string }>} [fields] Layer fields, for aliases.
+ * @returns {Array<{ year: number, aadt: number }>}
+ */
+export function aadtSeries(attrs, fields = []) {
+  const { byYear, current, currentYear } = countFields(attrs, fields);
+  if (current != null && currentYear && !byYear.has(currentYear)) byYear.set(currentYear, current);
+  return [...byYear].map(([year, aadt]) => ({ year, aadt })).sort((a, b) => a.year - b.year);
+}
+
+/**
+ * The count a feature reports as current: the unnamed count field when there
+ * is one, otherwise the newest year-named count.
+ *
+ * @param {object} attrs Feature attributes.
+ * @param {Array<{ name: string, alias?: string }>} [fields] Layer fields, for aliases.
+ * @returns {{ aadt: number, year: number|null }|null}
+ */
+export function latestAadt(attrs, fields = []) {
+  const { byYear, current, currentYear } = countFields(attrs, fields);
+  if (current != null) return { aadt: current, year: currentYear };
+  const newest = Math.max(...byYear.keys());
+  return byYear.size ? { aadt: byYear.get(newest), year: newest } : null;
+}
+
+/**
+ * Compound annual growth between the first and last counts of a series, in
+ * percent (one decimal). Null with fewer than two distinct years.
+ *
+ * @param {Array<{ year: number, aadt: number }>} series
+ * @returns {number|null}
+ */
+export function aadtCagr(series) {
+  const points = (series || []).filter((point) => point?.aadt > 0 && Number.isFinite(point?.year));
+  if (points.length < 2) return null;
+  const first = points[0];
+  const last = points[points.length - 1];
+  const years = last.year - first.year;
+  if (years <= 0) return null;
+  return Number(((Math.pow(last.aadt / first.aadt, 1 / years) - 1) * 100).toFixed(1));
+}
+
+/**
+ * Project a station's count to the opening year at its CAGR, capped at
+ * ±6%/yr and ten years out. Null when the station has no year or trend.
+ *
+ * @param {{ aadt: number, year?: number|string, cagr_pct?: number }} station
+ * @param {number} openingYear
+ * @returns {{ aadt: number, from_aadt: number, from_year: number, opening_year: number, cagr_pct: number, applied_pct: number, capped: boolean }|null}
+ */
+export function projectAadt(station, openingYear) {
+  const aadt = finite(station?.aadt);
+  const fromYear = fieldYear(station?.year);
+  const cagr = finite(station?.cagr_pct);
+  if (!(aadt > 0) || !fromYear || cagr == null || !Number.isInteger(openingYear)) return null;
+  const years = Math.min(MAX_PROJECTION_YEARS, Math.max(0, openingYear - fromYear));
+  const applied = Math.max(-MAX_CAGR_PCT, Math.min(MAX_CAGR_PCT, cagr));
+  return {
+    aadt: Math.round(aadt * Math.pow(1 + applied / 100, years)),
+    from_aadt: Math.round(aadt),
+    from_year: fromYear,
+    opening_year: fromYear + years,
+    cagr_pct: cagr,
+    applied_pct: applied,
+    capped: applied !== cagr || years !== openingYear - fromYear,
+  };
+}
+
+/**
+ * Parse the `aadtTrend` request option: `true` projects to the current year,
+ * `{ openingYear }` to that year (clamped to the next ten years).
+ *
+ * @param {object} body `/estimate` request body.
+ * @returns {{ openingYear: number }|null} Null when trending is off.
+ */
+export function aadtTrendOptions(body) {
+  const option = body?.aadtTrend;
+  const thisYear = new Date().getFullYear();
+  if (option === true || option === "true") return { openingYear: thisYear };
+  if (!option || typeof option !== "object") return null;
+  const year = Math.round(finite(option.openingYear) ?? thisYear);
+  return { openingYear: Math.max(thisYear, Math.min(thisYear + MAX_PROJECTION_YEARS, year)) };
+}
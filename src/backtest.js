@@ -0,0 +1,294 @@
+import { DEFAULT_ESTIMATE_RULES, ESTIMATE_ENGINE_VERSION, computeEstimate } from "./estimateEngine.js";
+import { engineInputFromResult } from "./estimateSensitivity.js";
+
+const MAX_ROWS = 5000;
+
+const COLUMNS = {
+  id: ["id", "siteid", "storeid", "store"],
+  address: ["address", "siteaddress", "location", "fulladdress"],
+  mpds: ["mpds", "regularmpds", "mpd", "regular"],
+  diesel: ["diesel", "dieselmpds"],
+  actual: ["actualgallons", "actual", "actualmonthlygallons", "monthlygallons", "gallons", "volume"],
+  state: ["state", "st"],
+  region: ["region", "market"],
+  aadt: ["aadt", "aadtused"],
+  aadtMethod: ["aadtmethod", "method"],
+  competitors: ["competitors", "competitorcount", "compcount", "competitorsdetected"],
+  heavy: ["heavycompetitors", "heavycount", "bigbox", "bigboxcount"],
+  pricePosition: ["priceposition", "pricing"],
+  truckPct: ["truckpct", "truckshare"],
+  trafficPullPct: ["trafficpullpct", "trafficpull"],
+  gallonsPerFill: ["gallonsperfill"],
+  extrasMult: ["extrasmult", "extrasmultiplier"],
+};
+
+function finite(value) {
+  if (value == null || String(value).trim() === "") return null;
+  const number = Number(String(value).replace(/[$,\s]/g, ""));
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Split CSV text into rows of cells (RFC 4180 quoting, any line ending, BOM
+ * stripped). Blank lines are dropped.
+ *
+ * @param {string} text
+ * @returns {string[][]}
+ */
+export function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let value = "";
+  let inQuotes = false;
+  const csv = String(text || "").replace(/^\uFEFF/, "");
+  for (let i = 0; i < csv.length; i += 1) {
+    const c = csv[i];
+    if (c === '"' && inQuotes && csv[i + 1] === '"') { value += '"'; i += 1; }
+    else if (c === '"') inQuotes = !inQuotes;
+    else if (c === "," && !inQuotes) { row.push(value); value = ""; }
+    else if ((c === "\n" || c === "\r") && !inQuotes) {
+      if (c === "\r" && csv[i + 1] === "\n") i += 1;
+      row.push(value);
+      value = "";
+      if (row.length > 1 || row[0].trim() !== "") rows.push(row);
+      row = [];
+    } else value += c;
+  }
+  if (value !== "" || row.length) { row.push(value); rows.push(row); }
+  return rows;
+}
+
+function stateFromAddress(address) {
+  return String(address || "").toUpperCase().match(/\b([A-Z]{2})\s+\d{5}(?:-\d{4})?\b/)?.[1] || null;
+}
+
+/**
+ * Parse a back-test CSV. Required columns are address, MPDs and actual monthly
+ * gallons; diesel, state and the recorded estimate inputs (AADT, AADT method,
+ * competitor and heavy counts, price position, truck share) are optional.
+ * Rows that carry AADT and a competitor count can be scored without any
+ * network lookup.
+ *
+ * @param {string} text CSV text with a header row.
+ * @returns {{ sites: Array<object>, errors: Array<{ line: number, error: string }> }}
+ */
+export function parseBacktestCsv(text) {
+  const [header, ...body] = parseCsvRows(text);
+  if (!header) throw new Error("Back-test CSV is empty");
+  const keys = header.map((name) => String(name).toLowerCase().replace(/[^a-z0-9]/g, ""));
+  const index = Object.fromEntries(Object.entries(COLUMNS).map(([field, aliases]) => [field, keys.findIndex((key) => aliases.includes(key))]));
+  for (const field of ["address", "mpds", "actual"]) {
+    if (index[field] < 0) throw new Error(`Back-test CSV needs a ${field === "actual" ? "actual_gallons" : field} column`);
+  }
+  if (body.length > MAX_ROWS) throw new Error(`Back-test CSV is limited to ${MAX_ROWS} rows`);
+
+  const sites = [];
+  const errors = [];
+  body.forEach((cells, offset) => {
+    const line = offset + 2;
+    const cell = (field) => (index[field] >= 0 ? String(cells[index[field]] ?? "").trim() : "");
+    const address = cell("address");
+    const mpds = finite(cell("mpds"));
+    const actual = finite(cell("actual"));
+    if (!address) return errors.push({ line, error: "address is empty" });
+    if (!(mpds > 0)) return errors.push({ line, error: "MPDs must be a positive number" });
+    if (!(actual > 0)) return errors.push({ line, error: "actual gallons must be a positive number" });
+    const aadt = finite(cell("aadt"));
+    const competitors = finite(cell("competitors"));
+    const recorded = aadt > 0 && competitors != null
+      ? {
+          aadt,
+          mpds,
+          diesel: finite(cell("diesel")) ?? 0,
+          compCountDetected: competitors,
+          heavyCountDetected: finite(cell("heavy")) ?? 0,
+          pricePosition: cell("pricePosition").toLowerCase() || "inline",
+          extrasMult: finite(cell("extrasMult")) ?? 1,
+          trafficPullPct: finite(cell("trafficPullPct")),
+          gallonsPerFill: finite(cell("gallonsPerFill")),
+          truckPct: finite(cell("truckPct")),
+        }
+      : null;
+    sites.push({
+      line,
+      id: cell("id") || null,
+      address,
+      mpds,
+      diesel: finite(cell("diesel")) ?? 0,
+      actual,
+      state: (cell("state") || stateFromAddress(address) || "").toUpperCase() || null,
+      region: cell("region") || null,
+      aadtMethod: cell("aadtMethod") || (recorded ? "recorded" : null),
+      recorded,
+    });
+  });
+  return { sites, errors };
+}
+
+function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+const round = (value, digits = 1) => (value == null ? null : Number(value.toFixed(digits)));
+
+/**
+ * Error metrics for scored sites. `bias_pct` is the mean signed percentage
+ * error: positive means the engine over-estimates.
+ *
+ * @param {Array<{ actual: number, estimate: number }>} scored
+ * @returns {{ count: number, mape: number|null, median_ape: number|null, bias_pct: number|null, mae: number|null, within_10_pct: number|null, within_20_pct: number|null }}
+ */
+export function errorMetrics(scored) {
+  const pct = scored.map((item) => ((item.estimate - item.actual) / item.actual) * 100);
+  const abs = pct.map(Math.abs);
+  const count = scored.length;
+  const mean = (values) => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+  return {
+    count,
+    mape: round(mean(abs)),
+    median_ape: round(median(abs)),
+    bias_pct: round(mean(pct)),
+    mae: count ? Math.round(mean(scored.map((item) => Math.abs(item.estimate - item.actual)))) : null,
+    within_10_pct: count ? round((abs.filter((value) => value <= 10).length / count) * 100) : null,
+    within_20_pct: count ? round((abs.filter((value) => value <= 20).length / count) * 100) : null,
+  };
+}
+
+function groupMetrics(scored, keyOf) {
+  const groups = new Map();
+  for (const item of scored) {
+    const key = keyOf(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  }
+  return Object.fromEntries([...groups.entries()].sort(([a], [b]) => String(a).localeCompare(String(b), undefined, { numeric: true })).map(([key, items]) => [key, errorMetrics(items)]));
+}
+
+function competitorBucket(count) {
+  const value = Math.round(Number(count) || 0);
+  return value >= 4 ? "4+" : String(value);
+}
+
+/**
+ * Rule variants used to judge the competition rules: the configured rules,
+ * the weighted competition index, adjusted detected counts, raw detected
+ * counts (no `adjustCompetitionCounts`) and no competition penalty at all.
+ * The count variants switch the index off, since an input carrying an index
+ * would otherwise ignore its counts.
+ *
+ * @param {object} rules
+ * @returns {Record<string, object>}
+ */
+export function competitionRuleVariants(rules = DEFAULT_ESTIMATE_RULES) {
+  const competition = (overrides, index = {}) => ({ ...rules, competition: { ...rules.competition, ...overrides, index: { ...rules.competition.index, ...index } } });
+  return {
+    current: rules,
+    index: competition({}, { enabled: true }),
+    counts: competition({ adjustCounts: true }, { enabled: false }),
+    raw_counts: competition({ adjustCounts: false }, { enabled: false }),
+    no_competition: competition({ tiers: [{ maxCount: null, multiplier: 1 }], heavyPenalties: [] }),
+  };
+}
+
+async function mapLimit(items, limit, worker) {
+  const out = new Array(items.length);
+  let next = 0;
+  const run = async () => {
+    while (next < items.length) {
+      const index = next;
+      next += 1;
+      out[index] = await worker(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, run));
+  return out;
+}
+
+/**
+ * Resolve engine inputs for parsed sites. Sites with recorded inputs are used
+ * as-is; the rest go through `estimate(site)` (a live or cached `/estimate`
+ * call) when one is supplied, otherwise they are marked skipped.
+ *
+ * @param {Array<object>} sites Output of `parseBacktestCsv`.
+ * @param {object} [options]
+ * @param {(site: object) => Promise<{ result: object, source?: string }>} [options.estimate]
+ * @param {number} [options.concurrency] Parallel estimate calls.
+ * @returns {Promise<Array<{ site: object, input?: object, source?: string, aadtMethod?: string|null, skipped?: string }>>}
+ */
+export async function prepareBacktestSites(sites, { estimate, concurrency = 2 } = {}) {
+  return mapLimit(sites, concurrency, async (site) => {
+    if (site.recorded) return { site, input: site.recorded, source: "recorded", aadtMethod: site.aadtMethod };
+    if (!estimate) return { site, skipped: "No recorded AADT and competitor count; run with live estimates." };
+    try {
+      const { result, source = "live" } = await estimate(site);
+      const input = engineInputFromResult(result);
+      if (!input) return { site, skipped: "Estimate returned no AADT/MPD inputs." };
+      return { site, input, source, aadtMethod: result?.inputs?.aadt_components?.method || null };
+    } catch (error) {
+      return { site, skipped: `Estimate failed: ${String(error?.message || error).slice(0, 300)}` };
+    }
+  });
+}
+
+/**
+ * Score parsed sites against the engine (see `prepareBacktestSites` for how
+ * inputs are resolved).
+ *
+ * @param {Array<object>} sites Output of `parseBacktestCsv`.
+ * @param {object} [options]
+ * @param {object} [options.rules] Estimate rules to test.
+ * @param {(site: object) => Promise<{ result: object, source?: string }>} [options.estimate]
+ * @param {number} [options.concurrency] Parallel estimate calls.
+ * @returns {Promise<object>} Back-test report.
+ */
+export async function runBacktest(sites, { rules = DEFAULT_ESTIMATE_RULES, estimate, concurrency = 2 } = {}) {
+  const prepared = await prepareBacktestSites(sites, { estimate, concurrency });
+  const variants = competitionRuleVariants(rules);
+  const ready = prepared.filter((item) => item.input);
+  const scored = ready.map(({ site, input, source, aadtMethod }) => ({
+    line: site.line,
+    id: site.id,
+    address: site.address,
+    state: site.state || "unknown",
+    aadt_method: aadtMethod || "unknown",
+    aadt: input.aadt,
+    competitors: input.compCountDetected,
+    heavy_competitors: input.heavyCountDetected,
+    actual: site.actual,
+    estimate: computeEstimate(input, rules).base,
+    source,
+    input,
+  }));
+  for (const item of scored) {
+    item.error = item.estimate - item.actual;
+    item.pct_error = round((item.error / item.actual) * 100);
+  }
+
+  const competitionRules = Object.fromEntries(Object.entries(variants).map(([name, variantRules]) => [
+    name,
+    errorMetrics(scored.map((item) => ({ actual: item.actual, estimate: computeEstimate(item.input, variantRules).base }))),
+  ]));
+  const ranked = Object.entries(competitionRules).filter(([, metrics]) => metrics.mape != null).sort((a, b) => a[1].mape - b[1].mape);
+  const verdict = !ranked.length
+    ? "No scored sites."
+    : ranked[0][0] === "current"
+      ? `Current competition rules have the lowest MAPE (${ranked[0][1].mape}%).`
+      : `"${ranked[0][0].replace(/_/g, " ")}" beats the current competition rules: MAPE ${ranked[0][1].mape}% vs ${competitionRules.current.mape}%.`;
+
+  return {
+    engine_version: ESTIMATE_ENGINE_VERSION,
+    profile: rules.profile || null,
+    sites_in: sites.length,
+    scored: scored.length,
+    skipped: prepared.filter((item) => item.skipped).map(({ site, skipped }) => ({ line: site.line, id: site.id, address: site.address, reason: skipped })),
+    overall: errorMetrics(scored),
+    by_state: groupMetrics(scored, (item) => item.state),
+    by_aadt_method: groupMetrics(scored, (item) => item.aadt_method),
+    by_competitor_count: groupMetrics(scored, (item) => competitorBucket(item.competitors)),
+    competition_rules: { ...competitionRules, verdict },
+    sites: scored.map(({ input, ...item }) => item),
+  };
+}
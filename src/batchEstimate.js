@@ -0,0 +1,237 @@
+import crypto from "crypto";
+import { parseCsvRows } from "./backtest.js";
+import { buildXlsx } from "./xlsx.js";
+
+export const MAX_BATCH_ROWS = 500;
+// Each row hits Overpass (competitors, roads, AADT) and, when configured,
+// Google Places. Two rows at a time, started at least 1.5 s apart, stays
+// inside the public Overpass and Places request limits.
+export const BATCH_CONCURRENCY = 2;
+export const BATCH_MIN_START_INTERVAL_MS = 1500;
+const SAVE_INTERVAL_MS = 5000;
+
+const COLUMNS = {
+  id: ["id", "siteid", "storeid", "store"],
+  address: ["address", "siteaddress", "location", "fulladdress"],
+  mpds: ["mpds", "regularmpds", "mpd", "regular"],
+  diesel: ["diesel", "dieselmpds"],
+  aadt: ["aadt", "aadtoverride", "aadtused"],
+};
+const OUTPUT_COLUMNS = [
+  ["line", "Line", "integer", 7],
+  ["id", "ID", null, 12],
+  ["address", "Address", null, 42],
+  ["mpds", "MPDs", "integer", 7],
+  ["diesel", "Diesel", "integer", 7],
+  ["status", "Status", null, 10],
+  ["base", "Base gal/mo", "integer", 13],
+  ["low", "Low gal/mo", "integer", 13],
+  ["high", "High gal/mo", "integer", 13],
+  ["range", "Range", null, 18],
+  ["aadt_used", "AADT used", "integer", 11],
+  ["aadt_method", "AADT method", null, 26],
+  ["aadt_year", "AADT year", null, 10],
+  ["competitors", "Competitors", "integer", 12],
+  ["heavy_competitors", "Big-box competitors", "integer", 12],
+  ["competition_index", "Competition index", "decimal", 12],
+  ["lat", "Latitude", null, 11],
+  ["lon", "Longitude", null, 11],
+  ["site_id", "Saved site", null, 18],
+  ["error", "Error", null, 40],
+];
+
+const clean = (value, max = 3000) => String(value ?? "").replace(/\u0000/g, "").trim().slice(0, max);
+
+function finite(value) {
+  if (value == null || String(value).trim() === "") return null;
+  const number = Number(String(value).replace(/[$,\s]/g, ""));
+  return Number.isFinite(number) ? number : null;
+}
+
+function csvCell(value) {
+  const text = String(value ?? "");
+  const safe = typeof value === "string" && /^[=+\-@]/.test(text) ? `'${text}` : text;
+  return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+}
+
+function validateRow(row, line) {
+  const address = clean(row.address, 700);
+  const mpds = finite(row.mpds);
+  const diesel = finite(row.diesel) ?? 0;
+  const aadt = finite(row.aadt);
+  const base = { line, id: clean(row.id, 80) || null, address, mpds, diesel, aadt_override: aadt > 0 ? Math.round(aadt) : null };
+  if (address.length < 4) return { ...base, status: "error", error: "address is empty" };
+  if (!(mpds > 0)) return { ...base, status: "error", error: "MPDs must be a positive number" };
+  if (!(diesel >= 0)) return { ...base, status: "error", error: "diesel must be zero or more" };
+  if (aadt != null && !(aadt > 0)) return { ...base, status: "error", error: "AADT override must be a positive number" };
+  return { ...base, status: "pending" };
+}
+
+/**
+ * Rows for a batch from CSV text (header row with address and MPDs; diesel,
+ * id and an AADT override are optional) or from an array of objects with the
+ * same fields. Invalid rows are kept with `status: "error"` so the download
+ * lists them next to the estimates.
+ *
+ * @param {string|Array<object>} input
+ * @returns {Array<object>}
+ */
+export function parseBatchRows(input) {
+  let records;
+  if (Array.isArray(input)) {
+    records = input.map((item) => (item && typeof item === "object" ? item : {}));
+  } else {
+    const [header, ...body] = parseCsvRows(String(input || ""));
+    if (!header) throw new Error("Batch CSV is empty");
+    const keys = header.map((name) => String(name).toLowerCase().replace(/[^a-z0-9]/g, ""));
+    const index = Object.fromEntries(Object.entries(COLUMNS).map(([field, aliases]) => [field, keys.findIndex((key) => aliases.includes(key))]));
+    if (index.address < 0) throw new Error("Batch CSV needs an address column");
+    if (index.mpds < 0) throw new Error("Batch CSV needs an MPDs column");
+    records = body.map((cells) => Object.fromEntries(Object.entries(index).filter(([, i]) => i >= 0).map(([field, i]) => [field, cells[i]])));
+  }
+  if (!records.length) throw new Error("Batch has no rows");
+  if (records.length > MAX_BATCH_ROWS) throw new Error(`Batches are limited to ${MAX_BATCH_ROWS} rows`);
+  // CSV line numbers count the header; JSON rows are numbered from 1.
+  return records.map((record, offset) => validateRow(record, Array.isArray(input) ? offset + 1 : offset + 2));
+}
+
+/**
+ * Download columns from one estimate result.
+ *
+ * @param {object} result `/estimate` payload.
+ * @returns {object}
+ */
+export function batchRowResult(result) {
+  const round = (value) => (Number.isFinite(Number(value)) && value !== null ? Math.round(Number(value)) : null);
+  return {
+    base: round(result?.base),
+    low: round(result?.low),
+    high: round(result?.high),
+    range: result?.estimate?.range || null,
+    aadt_used: round(result?.inputs?.aadt_used),
+    aadt_method: result?.inputs?.aadt_components?.method || null,
+    aadt_year: result?.map?.aadt_used?.year ?? null,
+    competitors: result?.competition?.count ?? null,
+    heavy_competitors: result?.competition?.heavy_count ?? null,
+    competition_index: result?.competition?.index ?? null,
+    lat: result?.map?.site?.lat ?? null,
+    lon: result?.map?.site?.lon ?? null,
+    site_id: result?.saved?.site_id ?? null,
+  };
+}
+
+/**
+ * Limiter shared by every batch in the process: at most `concurrency` tasks
+ * at once, each started at least `minIntervalMs` after the previous one.
+ *
+ * @param {{ concurrency?: number, minIntervalMs?: number }} [options]
+ * @returns {(task: () => Promise<any>) => Promise<any>}
+ */
+export function createRateLimiter({ concurrency = BATCH_CONCURRENCY, minIntervalMs = BATCH_MIN_START_INTERVAL_MS } = {}) {
+  const waiting = [];
+  let active = 0;
+  let nextStart = 0;
+  let timer = null;
+  const pump = () => {
+    if (timer || !waiting.length || active >= concurrency) return;
+    const delay = Math.max(0, nextStart - Date.now());
+    if (delay > 0) {
+      timer = setTimeout(() => { timer = null; pump(); }, delay);
+      return;
+    }
+    const { task, resolve, reject } = waiting.shift();
+    active += 1;
+    nextStart = Date.now() + minIntervalMs;
+    Promise.resolve().then(task).then(resolve, reject).finally(() => { active -= 1; pump(); });
+    pump();
+  };
+  return (task) => new Promise((resolve, reject) => { waiting.push({ task, resolve, reject }); pump(); });
+}
+
+/**
+ * New batch job record (see `runBatchJob`).
+ *
+ * @param {Array<object>} rows Output of `parseBatchRows`.
+ * @param {object} options Estimate options applied to every row (profile, tradeArea, …).
+ * @param {number} ttlMs
+ * @returns {object}
+ */
+export function createBatchJob(rows, options, ttlMs) {
+  return {
+    id: crypto.randomUUID(),
+    createdAt: Date.now(),
+    expiresAt: Date.now() + ttlMs,
+    status: rows.some((row) => row.status === "pending") ? "queued" : "completed",
+    options,
+    rows,
+    finishedAt: null,
+  };
+}
+
+export function batchProgress(job) {
+  const total = job.rows.length;
+  const done = job.rows.filter((row) => row.status !== "pending").length;
+  const failed = job.rows.filter((row) => row.status === "error").length;
+  return {
+    total,
+    done,
+    failed,
+    percent: total ? Math.round((done / total) * 100) : 100,
+    message: job.status === "completed"
+      ? `Batch complete: ${done - failed} estimated, ${failed} with errors.`
+      : `Estimated ${done} of ${total} sites${failed ? ` (${failed} error${failed === 1 ? "" : "s"})` : ""}…`,
+  };
+}
+
+/**
+ * Run a batch job's pending rows. Rows finished before a restart keep their
+ * results, so calling this again on a revived job picks up where it stopped.
+ *
+ * @param {object} job Record from `createBatchJob`.
+ * @param {object} options
+ * @param {(body: object) => Promise<object>} options.estimate Runs one estimate; resolves to the `/estimate` payload.
+ * @param {(task: () => Promise<any>) => Promise<any>} options.limit Rate limiter (see `createRateLimiter`).
+ * @param {(job: object) => void} [options.save] Persists the job; called periodically and when done.
+ * @returns {Promise<object>} The job.
+ */
+export async function runBatchJob(job, { estimate, limit, save = () => {} }) {
+  job.status = "running";
+  save(job);
+  let lastSave = Date.now();
+  const pending = job.rows.filter((row) => row.status === "pending");
+  await Promise.all(pending.map((row) => limit(async () => {
+    try {
+      const body = { ...(job.options || {}), address: row.address, mpds: row.mpds, diesel: row.diesel, skipSummary: true };
+      if (row.aadt_override) body.aadtOverride = row.aadt_override;
+      Object.assign(row, batchRowResult(await estimate(body)), { status: "done", error: null });
+    } catch (error) {
+      Object.assign(row, { status: "error", error: clean(error?.message || error, 400) });
+    }
+    if (Date.now() - lastSave >= SAVE_INTERVAL_MS) {
+      lastSave = Date.now();
+      save(job);
+    }
+  })));
+  job.status = "completed";
+  job.finishedAt = Date.now();
+  save(job);
+  return job;
+}
+
+function outputRows(job) {
+  return job.rows.map((row) => ({ ...row, status: row.status === "done" ? "ok" : row.status }));
+}
+
+/** Batch results as CSV (header row, CRLF line endings). */
+export function batchCsv(job) {
+  const lines = [OUTPUT_COLUMNS.map(([key]) => key).join(",")];
+  for (const row of outputRows(job)) lines.push(OUTPUT_COLUMNS.map(([key]) => csvCell(row[key])).join(","));
+  return `${lines.join("\r\n")}\r\n`;
+}
+
+/** Batch results as an .xlsx workbook with one row per site. */
+export function batchXlsx(job) {
+  const header = OUTPUT_COLUMNS.map(([, label]) => ({ value: label, style: "header" }));
+  const rows = outputRows(job).map((row) => OUTPUT_COLUMNS.map(([key, , style]) => (style ? { value: row[key], style } : row[key])));
+  return buildXlsx([{ name: "Batch estimates", rows: [header, ...rows], widths: OUTPUT_COLUMNS.map(([, , , width]) => width) }]);
+}
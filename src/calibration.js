@@ -0,0 +1,229 @@
+import { DEFAULT_ESTIMATE_RULES, ESTIMATE_ENGINE_VERSION, computeEstimate } from "./estimateEngine.js";
+import { errorMetrics } from "./backtest.js";
+
+const DEFAULT_MIN_SITES = 8;
+// Each fitted coefficient is blended with the current value as if the current
+// value were backed by this many sites, so thin regions move only a little.
+const DEFAULT_PRIOR_WEIGHT = 5;
+const MULTIPLIER_RANGE = [0.2, 1];
+const PENALTY_RANGE = [0, 0.6];
+const PULL_RANGE = [0.5, 6];
+
+const clamp = (value, [min, max]) => Math.min(max, Math.max(min, value));
+const round = (value, digits = 4) => Number(value.toFixed(digits));
+
+function mean(values) {
+  return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+function geomean(values) {
+  const logs = values.filter((value) => value > 0).map(Math.log);
+  return logs.length ? Math.exp(mean(logs)) : null;
+}
+
+function stdError(values) {
+  if (values.length < 2) return null;
+  const m = mean(values);
+  const variance = values.reduce((sum, value) => sum + (value - m) ** 2, 0) / (values.length - 1);
+  return Math.sqrt(variance / values.length);
+}
+
+function shrink(fitted, current, n, priorWeight) {
+  return (fitted * n + current * priorWeight) / (n + priorWeight);
+}
+
+function tierIndex(compCount, rules) {
+  if (!(compCount > 0)) return -1;
+  return rules.competition.tiers.findIndex((tier) => tier.maxCount == null || (tier.exclusive ? compCount < tier.maxCount : compCount <= tier.maxCount));
+}
+
+function penaltyIndex(heavyCount, rules) {
+  return rules.competition.heavyPenalties.findIndex((tier) => heavyCount >= tier.minCount);
+}
+
+/**
+ * Per-site observation: the share of passing traffic the site actually
+ * captured, net of competition, after removing the known price and extras
+ * multipliers. Sites that hit a capacity cap are flagged and left out of the
+ * fit because their actuals say nothing about demand.
+ */
+function observe(input, actual, rules) {
+  const calc = computeEstimate(input, rules);
+  const b = calc.breakdown;
+  const c = b.baselineComponents;
+  const denominator = input.aadt * c.gallonsPerFill * c.days * b.priceMult * b.extrasMult;
+  const capped = b.compRule.afterComp > b.caps.capSoftTotal || b.compRule.afterComp > Math.min(b.caps.capEquip, b.caps.capHardTotal);
+  return {
+    input,
+    actual,
+    calc,
+    capped,
+    captured: denominator > 0 ? actual / denominator : null,
+    tier: tierIndex(b.compRule.compCount, rules),
+    penaltyTier: b.compRule.heavyCount > 0 ? penaltyIndex(b.compRule.heavyCount, rules) : -1,
+  };
+}
+
+/**
+ * Fit traffic pull %, competition tier multipliers and big-box penalties for
+ * one group of sites, using log-space means (a one-factor regression per
+ * coefficient) shrunk towards the current rules.
+ *
+ * @param {Array<{ input: object, actual: number }>} sites
+ * @param {object} [rules] Rules to start from.
+ * @param {{ priorWeight?: number }} [options]
+ * @returns {{ rules: object, overrides: object, coefficients: object, excluded_capped: number }}
+ */
+export function fitRegion(sites, rules = DEFAULT_ESTIMATE_RULES, { priorWeight = DEFAULT_PRIOR_WEIGHT } = {}) {
+  const observations = sites.map((site) => observe(site.input, site.actual, rules)).filter((item) => item.captured > 0);
+  const usable = observations.filter((item) => !item.capped);
+  const coefficients = {};
+
+  // 1. Traffic pull from sites with no competitors in the math; fall back to
+  //    every site with the current competition multiplier divided out.
+  const open = usable.filter((item) => item.tier < 0);
+  const pullSamples = (open.length >= 3 ? open : usable).map((item) => item.captured / item.calc.breakdown.compRule.compMult);
+  const currentPull = rules.baseline.trafficPullPct;
+  const fittedPull = geomean(pullSamples);
+  const pull = fittedPull ? clamp(shrink(fittedPull * 100, currentPull, pullSamples.length, priorWeight), PULL_RANGE) : currentPull;
+  coefficients.trafficPullPct = { current: currentPull, fitted: fittedPull ? round(fittedPull * 100) : null, adopted: round(pull), n: pullSamples.length, basis: open.length >= 3 ? "sites without competition" : "all sites, current competition removed" };
+
+  // 2. Tier multipliers from the observed competition factor, adding back the
+  //    current big-box penalty so heavy sites inform the base tier too.
+  let ceiling = MULTIPLIER_RANGE[1];
+  const tiers = rules.competition.tiers.map((tier, index) => {
+    const samples = usable.filter((item) => item.tier === index).map((item) => item.captured / (pull / 100) + item.calc.breakdown.compRule.heavyPenalty);
+    const fitted = geomean(samples);
+    const adopted = fitted ? clamp(shrink(fitted, tier.multiplier, samples.length, priorWeight), [MULTIPLIER_RANGE[0], ceiling]) : Math.min(tier.multiplier, ceiling);
+    ceiling = adopted;
+    coefficients[`tier_${index}`] = { maxCount: tier.maxCount, exclusive: tier.exclusive === true, current: tier.multiplier, fitted: fitted ? round(fitted) : null, adopted: round(adopted), n: samples.length, std_error: samples.length > 1 ? round(stdError(samples)) : null };
+    return { ...tier, multiplier: round(adopted) };
+  });
+
+  // 3. Big-box penalties: fitted tier multiplier minus the observed factor.
+  //    The list is ordered from the largest minCount down, so each penalty
+  //    may not exceed the one before it.
+  let penaltyCeiling = PENALTY_RANGE[1];
+  const heavyPenalties = rules.competition.heavyPenalties.map((tier, index) => {
+    const samples = usable.filter((item) => item.penaltyTier === index && item.tier >= 0).map((item) => tiers[item.tier].multiplier - item.captured / (pull / 100));
+    const fitted = mean(samples);
+    const adopted = fitted != null ? clamp(shrink(fitted, tier.penalty, samples.length, priorWeight), [PENALTY_RANGE[0], penaltyCeiling]) : Math.min(tier.penalty, penaltyCeiling);
+    penaltyCeiling = adopted;
+    coefficients[`heavy_${tier.minCount}`] = { minCount: tier.minCount, current: tier.penalty, fitted: fitted != null ? round(fitted) : null, adopted: round(adopted), n: samples.length, std_error: samples.length > 1 ? round(stdError(samples)) : null };
+    return { ...tier, penalty: round(adopted) };
+  });
+
+  const overrides = { baseline: { trafficPullPct: round(pull) }, competition: { tiers, heavyPenalties } };
+  const fittedRules = {
+    ...rules,
+    baseline: { ...rules.baseline, ...overrides.baseline },
+    competition: { ...rules.competition, tiers, heavyPenalties },
+  };
+  return { rules: fittedRules, overrides, coefficients, excluded_capped: observations.length - usable.length };
+}
+
+function logR2(pairs) {
+  const actual = pairs.map((item) => Math.log(item.actual));
+  const predicted = pairs.map((item) => Math.log(Math.max(1, item.estimate)));
+  const m = mean(actual);
+  const total = actual.reduce((sum, value) => sum + (value - m) ** 2, 0);
+  const residual = actual.reduce((sum, value, index) => sum + (value - predicted[index]) ** 2, 0);
+  return total > 0 ? round(1 - residual / total, 3) : null;
+}
+
+function fitStats(sites, before, after) {
+  const pairs = (rules) => sites.map((site) => ({ actual: site.actual, estimate: computeEstimate(site.input, rules).base }));
+  const beforePairs = pairs(before);
+  const afterPairs = pairs(after);
+  return {
+    before: { ...errorMetrics(beforePairs), log_r2: logR2(beforePairs) },
+    after: { ...errorMetrics(afterPairs), log_r2: logR2(afterPairs) },
+  };
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+// Profile overrides are stored relative to the engine defaults, so a profile
+// calibrated from e.g. "truck-stop" keeps that profile's other settings.
+function ruleDiff(rules, defaults) {
+  const out = {};
+  for (const key of Object.keys(defaults)) {
+    if (isPlainObject(defaults[key])) {
+      const nested = ruleDiff(rules[key] || {}, defaults[key]);
+      if (Object.keys(nested).length) out[key] = nested;
+    } else if (JSON.stringify(rules[key]) !== JSON.stringify(defaults[key])) {
+      out[key] = rules[key];
+    }
+  }
+  return out;
+}
+
+function mergeOverrides(base, extra) {
+  const out = { ...base };
+  for (const [key, value] of Object.entries(extra)) {
+    out[key] = isPlainObject(value) && isPlainObject(base[key]) ? mergeOverrides(base[key], value) : value;
+  }
+  return out;
+}
+
+function slug(value) {
+  return String(value || "").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "region";
+}
+
+/**
+ * Calibrate rule profiles from back-test sites: one profile fitted across
+ * every site plus one per region (the CSV `region` column, else the state)
+ * with at least `minSites` usable sites. The result is a complete profile
+ * config (loadable through ESTIMATE_PROFILES_FILE) with fit statistics on
+ * each calibrated profile, meant to be reviewed before any profile is copied
+ * into config/estimate-profiles.json.
+ *
+ * @param {Array<{ site: object, input?: object }>} prepared Output of `prepareBacktestSites`.
+ * @param {object} [options]
+ * @param {object} [options.rules] Rules to calibrate from.
+ * @param {number} [options.minSites] Minimum sites for a regional profile.
+ * @param {number} [options.priorWeight] Shrinkage weight of the current rules.
+ * @param {string} [options.date] ISO date stamped into ids and descriptions.
+ * @returns {{ config: object, skipped_regions: Array<{ region: string, sites: number }> }}
+ */
+export function calibrateProfiles(prepared, { rules = DEFAULT_ESTIMATE_RULES, minSites = DEFAULT_MIN_SITES, priorWeight = DEFAULT_PRIOR_WEIGHT, date = new Date().toISOString().slice(0, 10) } = {}) {
+  const sites = prepared.filter((item) => item.input).map(({ site, input }) => ({ input, actual: site.actual, region: site.region || site.state || "unknown" }));
+  if (sites.length < minSites) throw new Error(`Calibration needs at least ${minSites} sites with estimate inputs; got ${sites.length}`);
+  const base = rules.profile ? { id: rules.profile.id, label: rules.profile.label } : { id: "standard", label: "Standard Fuel IQ rules" };
+
+  const groups = new Map([["all", sites]]);
+  for (const site of sites) {
+    if (!groups.has(site.region)) groups.set(site.region, []);
+    groups.get(site.region).push(site);
+  }
+
+  const baseOverrides = ruleDiff(rules, DEFAULT_ESTIMATE_RULES);
+  const profiles = { [base.id]: { label: base.label, description: "Rules the calibration started from.", rules: baseOverrides } };
+  const skipped = [];
+  for (const [region, members] of groups) {
+    if (region !== "all" && members.length < minSites) {
+      skipped.push({ region, sites: members.length });
+      continue;
+    }
+    const fit = fitRegion(members, rules, { priorWeight });
+    const id = `calibrated-${slug(region === "all" ? "all-regions" : region)}-${date}`;
+    profiles[id] = {
+      label: `Calibrated ${region === "all" ? "(all regions)" : region} ${date}`,
+      description: `Fitted from ${members.length} sites with actual volumes against ${base.label} (engine ${ESTIMATE_ENGINE_VERSION}). Review the fit statistics before adopting.`,
+      rules: mergeOverrides(baseOverrides, fit.overrides),
+      fit: {
+        region,
+        sites: members.length,
+        excluded_capped: fit.excluded_capped,
+        prior_weight: priorWeight,
+        engine_version: ESTIMATE_ENGINE_VERSION,
+        calibrated_from: base.id,
+        coefficients: fit.coefficients,
+        ...fitStats(members, rules, fit.rules),
+      },
+    };
+  }
+  return { config: { default: base.id, profiles }, skipped_regions: skipped };
+}
@@ -0,0 +1,183 @@
+import { DEFAULT_ESTIMATE_RULES } from "./estimateEngine.js";
+
+/** High-volume travel-center and warehouse-club fuel brands that count as big-box competitors. */
+export const HEAVY = /(sheetz|wawa|racetrac|race\s?trac|buc-?ee'?s|royal\s?farms|quik.?trip|\bqt\b|costco|sam'?s\s+club|bj'?s|murphy)/i;
+const MAJOR = /\b(shell|exxon\s?mobil|exxon|mobil|bp|amoco|chevron|texaco|sunoco|citgo|marathon|speedway|valero|phillips\s?66|conoco|76|gulf|sinclair|circle\s?k|getty|arco|7-?eleven|casey'?s|pilot|flying\s?j|love'?s|ta|petro)\b/i;
+const MPD_TAGS = ["pumps", "fuel:pumps", "dispensers", "pump:count"];
+const EARTH_MILES = 3958.8;
+
+function finite(value) {
+  const number = Number(value);
+  return value != null && value !== "" && Number.isFinite(number) ? number : null;
+}
+
+const round = (value, digits = 3) => Number(value.toFixed(digits));
+
+/**
+ * Brand tier for a competitor: "heavy" (big-box and high-volume chains, or a
+ * lookup that already flagged it heavy), "major" (major oil and national
+ * c-store brands) or "unbranded".
+ *
+ * @param {{ name?: string, brand?: string, heavy?: boolean }} competitor
+ * @returns {"heavy"|"major"|"unbranded"}
+ */
+export function brandTier(competitor) {
+  const text = `${competitor?.name || ""} ${competitor?.brand || ""}`;
+  if (competitor?.heavy === true || HEAVY.test(text)) return "heavy";
+  return MAJOR.test(text) ? "major" : "unbranded";
+}
+
+/**
+ * Dispenser (MPD) count from OSM tags, when a mapper recorded one.
+ *
+ * @param {object} tags OSM tags.
+ * @returns {number|null}
+ */
+export function mpdsFromTags(tags) {
+  for (const key of MPD_TAGS) {
+    const value = finite(tags?.[key]);
+    if (value > 0 && value <= 60) return Math.round(value);
+  }
+  return null;
+}
+
+// Local flat projection in miles around `origin`; fine at competitor radii.
+function project(origin, point) {
+  const rad = Math.PI / 180;
+  return {
+    x: (point.lon - origin.lon) * rad * EARTH_MILES * Math.cos(origin.lat * rad),
+    y: (point.lat - origin.lat) * rad * EARTH_MILES,
+  };
+}
+
+/**
+ * Frontage road for a site: the nearest segment of the OSM way (with `out
+ * geom` geometry) closest to the site, preferring ways whose name or ref
+ * matches the entered road. Returns the nearest point on it and its bearing.
+ *
+ * @param {Array<{ tags?: object, geometry?: Array<{ lat: number, lon: number }> }>} ways
+ * @param {{ lat: number, lon: number }} site
+ * @param {string} [roadName] Entered road text.
+ * @returns {{ name: string|null, lat: number, lon: number, bearing_deg: number, miles: number }|null}
+ */
+export function frontageRoad(ways, site, roadName = "") {
+  if (!Number.isFinite(site?.lat) || !Number.isFinite(site?.lon)) return null;
+  const wanted = String(roadName || "").toUpperCase().replace(/[^A-Z0-9]+/g, " ").trim().split(" ")
+    .filter((token) => token.length > 2 && !/^(ST|RD|AVE|HWY|DR|BLVD|LN|ROAD|STREET)$/.test(token));
+  let best = null;
+  for (const way of ways || []) {
+    const points = (way.geometry || []).filter((point) => Number.isFinite(point?.lat) && Number.isFinite(point?.lon));
+    const name = way.tags?.name || way.tags?.ref || null;
+    const label = `${way.tags?.name || ""} ${way.tags?.ref || ""}`.toUpperCase().replace(/[^A-Z0-9]+/g, " ");
+    const matches = wanted.some((token) => label.includes(token));
+    for (let i = 1; i < points.length; i += 1) {
+      const a = project(site, points[i - 1]);
+      const b = project(site, points[i]);
+      const dx = b.x - a.x;
+      const dy = b.y - a.y;
+      const length2 = dx * dx + dy * dy;
+      if (!(length2 > 0)) continue;
+      const t = Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / length2));
+      const x = a.x + t * dx;
+      const y = a.y + t * dy;
+      const miles = Math.hypot(x, y);
+      // A matching name wins unless it is clearly not the road in front of the site.
+      const score = miles - (matches && miles < 0.15 ? 1 : 0);
+      if (!best || score < best.score) {
+        const bearing = ((Math.atan2(dx, dy) * 180) / Math.PI + 360) % 180;
+        best = { score, name, x, y, bearing, miles };
+      }
+    }
+  }
+  if (!best || best.miles > 0.15) return null;
+  const rad = Math.PI / 180;
+  return {
+    name: best.name,
+    lat: round(site.lat + best.y / (EARTH_MILES * rad), 6),
+    lon: round(site.lon + best.x / (EARTH_MILES * rad * Math.cos(site.lat * rad)), 6),
+    bearing_deg: round(best.bearing, 1),
+    miles: round(best.miles),
+  };
+}
+
+/**
+ * Side of the frontage road a competitor is on, relative to the site. Only
+ * stations on the same corridor (within `corridorMi` of the road line) are
+ * classified; everything else is "off_corridor".
+ *
+ * @param {{ lat: number, lon: number }} site
+ * @param {{ lat: number, lon: number }} competitor
+ * @param {{ lat: number, lon: number, bearing_deg: number }|null} road Output of `frontageRoad`.
+ * @param {number} corridorMi
+ * @returns {"same"|"opposite"|"off_corridor"|"unknown"}
+ */
+export function sideOfRoad(site, competitor, road, corridorMi) {
+  if (!road || !Number.isFinite(road.bearing_deg) || !Number.isFinite(competitor?.lat) || !Number.isFinite(competitor?.lon)) return "unknown";
+  const rad = (road.bearing_deg * Math.PI) / 180;
+  const direction = { x: Math.sin(rad), y: Math.cos(rad) };
+  const offset = (point) => {
+    const p = project(road, point);
+    return direction.x * p.y - direction.y * p.x;
+  };
+  const siteOffset = offset(site);
+  const competitorOffset = offset(competitor);
+  if (Math.abs(competitorOffset) > corridorMi) return "off_corridor";
+  // A geocode sitting on the centre line cannot say which side the site is on.
+  if (Math.abs(siteOffset) < 0.005 || Math.abs(competitorOffset) < 0.005) return "unknown";
+  return Math.sign(siteOffset) === Math.sign(competitorOffset) ? "same" : "opposite";
+}
+
+/**
+ * Distance-, brand-, size- and side-weighted competition index. Each
+ * competitor contributes the product of its weights (`contributions` keep the
+ * input order); the sum replaces the raw count in the competition tiers, and
+ * the heavy competitors' weights (without the brand factor) replace the
+ * big-box count. The nearest competitor within `onSiteMi` is taken to be the
+ * site's own station: its side is `on_site`, its side weight 0, and it is left
+ * out of `count`.
+ *
+ * @param {Array<object>} competitors Competitors with `lat`, `lon`, `miles`, `name`, `brand`, `heavy` and optional `mpds`.
+ * @param {{ site?: { lat: number, lon: number }, road?: object|null }} [context]
+ * @param {object} [rules] Estimate rules.
+ * @returns {{ index: number, heavyIndex: number, count: number, heavyCount: number, road: object|null, contributions: Array<object> }}
+ */
+export function competitionIndex(competitors, { site, road = null } = {}, rules = DEFAULT_ESTIMATE_RULES) {
+  const w = rules.competition.index;
+  const measured = (competitors || []).filter((item) => Number.isFinite(Number(item?.miles)));
+  const onSite = measured
+    .filter((item) => Number(item.miles) <= (w.onSiteMi ?? 0))
+    .reduce((nearest, item) => (!nearest || Number(item.miles) < Number(nearest.miles) ? item : nearest), null);
+  const contributions = measured
+    .map((item) => {
+      const miles = Number(item.miles);
+      const tier = brandTier(item);
+      const mpds = finite(item.mpds);
+      const side = item === onSite ? "on_site" : site ? sideOfRoad(site, item, road, w.corridorMi) : "unknown";
+      const weights = {
+        distance: miles <= w.fullWeightMi ? 1 : 0.5 ** ((miles - w.fullWeightMi) / w.halfLifeMi),
+        brand: w.brandWeights[tier],
+        mpds: mpds > 0 ? Math.min(w.mpdsWeightMax, Math.max(w.mpdsWeightMin, Math.sqrt(mpds / w.referenceMpds))) : 1,
+        side: side === "on_site" ? 0 : side === "opposite" ? w.oppositeSideWeight : 1,
+      };
+      const weight = weights.distance * weights.brand * weights.mpds * weights.side;
+      return {
+        name: item.name || item.brand || "Fuel station",
+        miles: round(miles),
+        brand_tier: tier,
+        mpds: mpds ?? null,
+        side,
+        weights: Object.fromEntries(Object.entries(weights).map(([key, value]) => [key, round(value)])),
+        weight: round(weight),
+        heavy_weight: tier === "heavy" ? round(weight / weights.brand) : 0,
+      };
+    });
+  const sum = (key) => round(contributions.reduce((total, item) => total + item[key], 0));
+  return {
+    index: sum("weight"),
+    heavyIndex: sum("heavy_weight"),
+    count: contributions.filter((item) => item.side !== "on_site").length,
+    heavyCount: contributions.filter((item) => item.side !== "on_site" && item.brand_tier === "heavy").length,
+    road,
+    contributions,
+  };
+}
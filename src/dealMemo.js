@@ -0,0 +1,267 @@
+import express from "express";
+import { list, normalizeDistributorReport, plain, slug, validUrl } from "./distributorReportV3.js";
+import { findDistributorReport } from "./distributorResearchV2.js";
+import { findDistributorReport as findDistributorV3Report } from "./distributorResearchV3.js";
+import { distributorSectionChildren } from "./distributorWordV3.js";
+import { DEAL_STAGES } from "./pipeline.js";
+import { resolveReportTheme } from "./reportTheme.js";
+import { findSiteResearchReport, siteResearchSectionChildren } from "./siteResearchExhaustive.js";
+import { latestEstimate } from "./sites.js";
+import { renderSiteMap, siteMapCaption } from "./staticMap.js";
+import { openStore } from "./store.js";
+import { bulletChildren, buildWordDocument, callout, contentsChildren, dataTable, heading, imageParagraphs, keyValueTable, paragraph, themeDisclaimer, titleBlock } from "./wordDocx.js";
+
+const DOCX_TYPE = "application/vnd.openxmlformats-officedocument.wordprocessingml.document";
+const EXECUTIVE_FINDINGS = 5;
+
+const clean = (value, max = 3000) => String(value ?? "").replace(/\u0000/g, "").trim().slice(0, max);
+
+function number(value) {
+  return value != null && value !== "" && Number.isFinite(Number(value)) ? Math.round(Number(value)).toLocaleString("en-US") : "—";
+}
+
+function notFound(message) {
+  return Object.assign(new Error(message), { status: 404 });
+}
+
+// Reports from /api/distributors/research and posted reports share one shape.
+function normalizeDistributor(report) {
+  return normalizeDistributorReport(report, {
+    query: report.query || report.company_name || "Fuel Distributor",
+    model: report._meta?.model || "",
+    sources: report.appendices?.source_register || [],
+  });
+}
+
+/**
+ * Gather what a deal memo is built from. Explicit ids must exist; otherwise
+ * the deal's linked estimate and research report are used, then the site's
+ * latest ones. The distributor dossier is optional: the id of a cached report
+ * from /api/distributors/research (or the V3 router) or a report object posted
+ * from the browser.
+ *
+ * @param {string} siteId
+ * @param {{ estimateId?: string, researchReportId?: string, distributorReportId?: string, distributorReport?: object }} [options]
+ * @param {import("./store.js").Store} [store]
+ * @returns {{ site: object, deal: object|null, estimate: object|null, research: object|null, distributor: object|null }}
+ */
+export function loadDealMemo(siteId, { estimateId = "", researchReportId = "", distributorReportId = "", distributorReport = null } = {}, store = openStore()) {
+  const site = store.collection("sites").get(siteId);
+  if (!site) throw notFound("Site not found.");
+  const deal = store.collection("deals").get(site.id);
+
+  const wantedEstimate = clean(estimateId, 80) || deal?.estimate_id;
+  const estimate = (wantedEstimate && store.collection("estimates").get(wantedEstimate)) || (estimateId ? null : latestEstimate(site, store));
+  if (estimateId && estimate?.site_id !== site.id) throw notFound("Estimate not found for this site.");
+
+  const researchId = clean(researchReportId, 80) || deal?.research_report_id || site.latest_research_report_id;
+  const research = findSiteResearchReport(researchId, store);
+  if (researchReportId && !research) throw notFound("Site research report expired or was not found.");
+
+  let distributor = null;
+  if (distributorReport && typeof distributorReport === "object") {
+    distributor = normalizeDistributor(distributorReport);
+  } else if (distributorReportId) {
+    const id = clean(distributorReportId, 80);
+    const found = findDistributorReport(id, store);
+    distributor = found ? normalizeDistributor(found) : findDistributorV3Report(id, store);
+    if (!distributor) throw notFound("Distributor report expired or was not found.");
+  }
+
+  if (!estimate && !research) throw new Error("Save an estimate or run site research for this site before building a memo.");
+  return { site, deal: deal || null, estimate: estimate || null, research, distributor };
+}
+
+function remapIds(value, ids) {
+  return String(value ?? "").replace(/\bS\d+\b/gi, (id) => ids.get(id.toUpperCase()) || id);
+}
+
+function remapSourceIds(value, ids) {
+  if (Array.isArray(value)) return value.map((item) => remapSourceIds(item, ids));
+  if (!value || typeof value !== "object") return value;
+  return Object.fromEntries(Object.entries(value).map(([key, child]) => {
+    if (key !== "source_ids" && key !== "source_id") return [key, remapSourceIds(child, ids)];
+    return [key, Array.isArray(child) ? child.map((id) => remapIds(id, ids)) : remapIds(child, ids)];
+  }));
+}
+
+/**
+ * One source register for the whole memo. Sources are merged by URL (title
+ * when there is none) and renumbered S1…; each report's `source_ids` are
+ * rewritten to the new numbers and every source lists the reports citing it.
+ *
+ * @param {Array<{ label: string, report: object, sources: Array<object> }>} parts
+ * @returns {{ register: Array<object>, reports: Array<object> }}
+ */
+export function unifySources(parts) {
+  const register = [];
+  const byKey = new Map();
+  const reports = parts.map(({ label, report, sources }) => {
+    const ids = new Map();
+    for (const source of list(sources)) {
+      const url = validUrl(source?.url || source?.public_url);
+      const key = url || clean(source?.title, 600).toLowerCase();
+      if (!key) continue;
+      let entry = byKey.get(key);
+      if (!entry) {
+        entry = { id: `S${register.length + 1}`, title: clean(source.title || url, 700), url, source_type: clean(source.source_type, 300), why_it_matters: clean(source.why_it_matters, 2500), confidence: clean(source.confidence, 200), cited_in: [] };
+        byKey.set(key, entry);
+        register.push(entry);
+      }
+      if (!entry.cited_in.includes(label)) entry.cited_in.push(label);
+      if (source.id) ids.set(String(source.id).toUpperCase(), entry.id);
+    }
+    return remapSourceIds(report, ids);
+  });
+  return { register: register.map((entry) => ({ ...entry, cited_in: entry.cited_in.join("; ") })), reports };
+}
+
+function researchSummary(research) {
+  const sections = list(research?.sections);
+  const read = sections.find((section) => section.key === "executive_read") || sections.find((section) => section.summary);
+  return read?.summary || "";
+}
+
+function executiveChildren({ site, deal, estimate, research, distributor }) {
+  const result = estimate?.result || {};
+  const stage = DEAL_STAGES.find((item) => item.key === deal?.stage)?.label;
+  const risk = distributor?.risk_assessment || {};
+  const children = [...keyValueTable([
+    ["Site", site.address],
+    stage && ["Deal stage", [stage, deal.owner && `owner ${deal.owner}`].filter(Boolean).join(" · ")],
+    deal?.next_action && ["Next action", `${deal.next_action}${deal.next_action_date ? ` (due ${deal.next_action_date})` : ""}`],
+    estimate && ["Estimated volume", `${number(result.base)} gal/mo (${number(result.low)} – ${number(result.high)})`],
+    estimate && ["AADT used", number(result.inputs?.aadt_used)],
+    estimate && ["Competitors mapped", number(list(result.map?.competitors).length)],
+    estimate && ["Estimate date", clean(estimate.created_at, 10)],
+    research && ["Site research", `Prepared ${clean(research.prepared_at, 10)}`],
+    distributor && ["Supplying distributor", distributor.company_name],
+    distributor && plain(risk.overall_acquisition_screen) && ["Acquisition screen", plain(risk.overall_acquisition_screen)],
+    distributor && plain(risk.strategic_fit_score_0_to_10) && ["Strategic fit (0–10)", plain(risk.strategic_fit_score_0_to_10)],
+  ])];
+  const read = researchSummary(research);
+  if (read) children.push(heading("Site Read", 3), paragraph(read));
+  else if (result.summary_base || result.summary) children.push(heading("Estimate Read", 3), paragraph(result.summary_base || result.summary));
+  const findings = list(distributor?.executive_findings).map(plain).filter(Boolean);
+  if (findings.length) children.push(heading("Distributor Findings", 3), ...bulletChildren(findings.slice(0, EXECUTIVE_FINDINGS)));
+  const missing = [
+    !estimate && "No saved estimate for this site.",
+    !research && "No site research report is linked to this site.",
+    !distributor && "No distributor dossier was attached.",
+  ].filter(Boolean);
+  if (missing.length) children.push(callout(`Not included: ${missing.join(" ")}`, { italics: false }));
+  return children;
+}
+
+function estimateChildren(estimate) {
+  const result = estimate.result || {};
+  const map = renderSiteMap(result.map);
+  const children = map ? imageParagraphs(map, { caption: siteMapCaption(map) }) : [];
+  children.push(
+    ...keyValueTable([
+      ["Base", `${number(result.base)} gallons/month`],
+      ["Low – High", `${number(result.low)} – ${number(result.high)}`],
+      (result.year2 != null || result.year3 != null) && ["Year 2 / Year 3", `${number(result.year2)} / ${number(result.year3)}`],
+      result.probabilistic && ["P10 / P50 / P90", `${number(result.probabilistic.p10)} / ${number(result.probabilistic.p50)} / ${number(result.probabilistic.p90)}`],
+      ["Saved", `${clean(estimate.created_at, 10)} (${estimate.source || "estimate"})`],
+    ]),
+    heading("AADT", 3),
+    paragraph(result.aadtText || `AADT used: ${number(result.inputs?.aadt_used)}`),
+    heading("Competition", 3),
+    paragraph(result.competitionText || ""),
+    ...dataTable(list(result.map?.competitors).map((item) => ({ ...item, distance: item.miles != null ? `${Number(item.miles).toFixed(2)} mi` : "—", heavy: item.heavy ? "Yes" : "" })), [
+      { label: "Distance", keys: ["distance"], width: 14 },
+      { label: "Competitor", keys: ["name"], width: 40 },
+      { label: "Brand", keys: ["brand"], width: 22 },
+      { label: "MPDs", keys: ["mpds"], width: 10 },
+      { label: "Heavy", keys: ["heavy"], width: 14 },
+    ], { emptyText: "No competitor was verified by the available sources; field verification is required." }),
+  );
+  return children;
+}
+
+function memoChildren(memo, theme) {
+  const { register, reports: [research, distributor] } = unifySources([
+    { label: "Site research", report: memo.research, sources: memo.research?.source_register },
+    { label: "Distributor dossier", report: memo.distributor, sources: memo.distributor?.appendices?.source_register || memo.distributor?.sources },
+  ]);
+  const parts = [
+    { title: "Executive Summary", bookmark: "memo_summary", children: () => executiveChildren({ ...memo, research, distributor }) },
+    memo.estimate && { title: "Site Map & Estimate", bookmark: "memo_estimate", children: () => estimateChildren(memo.estimate) },
+    research && { title: "Site Research", bookmark: "memo_research", children: () => [callout(research.disclaimer), ...siteResearchSectionChildren(research)] },
+    distributor && { title: `Distributor Dossier: ${plain(distributor.company_name)}`, bookmark: "memo_distributor", children: () => [paragraph(`Prepared: ${plain(distributor.prepared_at)}`, { color: "muted" }), callout(distributor.disclaimer), ...distributorSectionChildren(distributor)] },
+    { title: "Source Register", bookmark: "memo_sources", children: () => dataTable(register, [
+      { label: "ID", keys: ["id"], width: 7 },
+      { label: "Source", keys: ["title", "url"], width: 26 },
+      { label: "Type", keys: ["source_type"], width: 13 },
+      { label: "Link", keys: ["url"], url: true, width: 10 },
+      { label: "Cited in", keys: ["cited_in"], width: 14 },
+      { label: "Why it matters", keys: ["why_it_matters"], width: 30 },
+    ], { emptyText: "No sources were cited." }) },
+  ].filter(Boolean).map((part, index) => ({ ...part, title: `${index + 1}. ${part.title}` }));
+
+  const children = [
+    ...titleBlock(`${theme.name.toUpperCase()} DEAL MEMO`, `${theme.brand} — Investment Memo`),
+    paragraph(memo.site.address, { bold: true, size: 22 }),
+    paragraph(`Prepared ${new Date().toISOString()}`, { color: "muted" }),
+    ...contentsChildren(parts.map(({ title, bookmark }) => ({ text: title, bookmark }))),
+  ];
+  for (const part of parts) children.push(heading(part.title, 1, { bookmark: part.bookmark }), ...part.children());
+  children.push(...themeDisclaimer());
+  return children;
+}
+
+/**
+ * Portrait DOCX deal memo from `loadDealMemo` output, branded with the
+ * `reportTheme` id (the configured default when empty).
+ *
+ * @param {{ site: object, deal: object|null, estimate: object|null, research: object|null, distributor: object|null }} memo
+ * @param {{ reportTheme?: string }} [options]
+ * @returns {Promise<Buffer>}
+ */
+export async function buildDealMemoDocument(memo, { reportTheme = "" } = {}) {
+  const theme = resolveReportTheme(reportTheme);
+  return buildWordDocument({
+    title: `${theme.brand} — Investment Memo`,
+    description: "Deal memo combining the site estimate, site research and distributor dossier",
+    header: `Deal Memo — ${memo.site.address}`,
+    theme,
+    children: () => memoChildren(memo, theme),
+  });
+}
+
+async function sendMemo(res, memo, reportTheme) {
+  const document = await buildDealMemoDocument(memo, { reportTheme });
+  res.setHeader("Content-Type", DOCX_TYPE);
+  res.setHeader("Content-Disposition", `attachment; filename="${slug(memo.site.address)}-deal-memo.docx"`);
+  res.setHeader("Cache-Control", "no-store");
+  res.send(document);
+}
+
+export function registerDealMemoRoutes(app) {
+  const router = express.Router();
+  router.use(express.json({ limit: "4mb" }));
+
+  // ?estimate=&research=&distributor=&theme= override the linked records.
+  router.get("/:id/memo.docx", async (req, res) => {
+    try {
+      const memo = loadDealMemo(req.params.id, { estimateId: req.query.estimate, researchReportId: req.query.research, distributorReportId: req.query.distributor });
+      await sendMemo(res, memo, req.query.theme);
+    } catch (error) {
+      res.status(error?.status || 400).json({ ok: false, status: "Memo failed", detail: clean(error?.message || error, 1200) });
+    }
+  });
+
+  // Body: { estimate_id?, research_report_id?, distributor_report_id?, distributor_report?, reportTheme? }.
+  router.post("/:id/memo", async (req, res) => {
+    try {
+      const body = req.body || {};
+      const memo = loadDealMemo(req.params.id, { estimateId: body.estimate_id, researchReportId: body.research_report_id, distributorReportId: body.distributor_report_id, distributorReport: body.distributor_report });
+      await sendMemo(res, memo, body.reportTheme);
+    } catch (error) {
+      res.status(error?.status || 400).json({ ok: false, status: "Memo failed", detail: clean(error?.message || error, 1200) });
+    }
+  });
+
+  app.use("/api/sites", router);
+}
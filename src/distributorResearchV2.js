@@ -1,10 +1,13 @@
 import express from "express";
 import crypto from "crypto";
 import { renderDistributorReport } from "./distributorResearch.js";
+import { collection, openStore } from "./store.js";
 
 const TTL = 24 * 60 * 60 * 1000;
-const REPORTS = new Map();
-const JOBS = new Map();
+const REPORT_TTL = 30 * 24 * 60 * 60 * 1000;
+const REPORT_COLLECTION = ["distributor_reports", { ttlMs: REPORT_TTL, limit: 100 }];
+const REPORTS = collection(...REPORT_COLLECTION);
+const JOBS = collection("distributor_jobs", { ttlMs: TTL, limit: 50, revive: (job) => ({ ...job, polling: false }) });
 const SECTION_KEYS = [
   "executive_findings", "identity_operating_model", "revenue_sales_estimates",
   "sites_delivery_points", "geographic_footprint", "fleet_drivers_capacity_safety",
@@ -17,25 +20,6 @@ const list = (v) => Array.isArray(v) ? v : (v == null || v === "" ? [] : [v]);
 const unique = (v) => [...new Set(v.filter(Boolean))];
 const slug = (v) => clean(v, 120).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "fuel-distributor-report";
 
-function prune(map, limit = 100) {
-  const now = Date.now();
-  for (const [id, record] of map) if (record.expiresAt <= now) map.delete(id);
-  while (map.size > limit) map.delete(map.keys().next().value);
-}
-
-function put(map, value, limit = 100) {
-  prune(map, limit);
-  map.set(value.id, value);
-  return value;
-}
-
-function get(map, id, limit = 100) {
-  prune(map, limit);
-  const value = map.get(id);
-  if (value) value.expiresAt = Date.now() + TTL;
-  return value || null;
-}
-
 function validUrl(value) {
   const url = clean(value, 2000);
   try {
@@ -239,7 +223,7 @@ async function refresh(job, apiKey, fetchWithTimeout) {
         const report = normalizeReport(parseReport(outputText(data)), { query: job.query, location: job.location, focus: job.focus,
           model: job.model, responseId: data.id, attempts: job.attemptLog, sources: sourcesFrom(data) });
         const reportId = crypto.randomUUID();
-        put(REPORTS, { id: reportId, report, expiresAt: Date.now() + TTL });
+        REPORTS.put({ id: reportId, report, expiresAt: Date.now() + REPORT_TTL });
         job.status = "completed";
         job.message = "Research complete.";
         job.result = { reportId, report, html: renderDistributorReport(report), wordUrl: `/api/distributors/word/${reportId}` };
@@ -264,6 +248,18 @@ async function refresh(job, apiKey, fetchWithTimeout) {
   } finally { job.polling = false; }
 }
 
+/**
+ * A finished report from /api/distributors/research by id while it is still
+ * cached.
+ *
+ * @param {string} id
+ * @param {import("./store.js").Store} [store]
+ * @returns {object|null} Report as the research job returned it.
+ */
+export function findDistributorReport(id, store = openStore()) {
+  return (id && store.collection(...REPORT_COLLECTION).get(id)?.report) || null;
+}
+
 export function registerDistributorResearchRoutes(app, options = {}) {
   const router = express.Router();
   const apiKey = options.openAiApiKey || process.env.OPENAI_API_KEY || "";
@@ -277,7 +273,7 @@ export function registerDistributorResearchRoutes(app, options = {}) {
 
   router.get("/status", (_req, res) => res.json({ ok: true, openAiEnabled: Boolean(apiKey),
     configuredModel: process.env.OPENAI_DISTRIBUTOR_MODEL || "gpt-5.5 background research",
-    backgroundResearch: true, validJsonOutput: true, reportCacheHours: TTL / 3600000 }));
+    backgroundResearch: true, validJsonOutput: true, reportCacheHours: REPORT_TTL / 3600000 }));
 
   router.post("/research", async (req, res) => {
     const query = clean(req.body?.query, 500);
@@ -285,28 +281,31 @@ export function registerDistributorResearchRoutes(app, options = {}) {
     const focus = clean(req.body?.focus, 4000);
     if (query.length < 2) return res.status(400).json({ ok: false, message: "Enter a fuel distributor name." });
     if (!apiKey) return res.status(503).json({ ok: false, message: "OPENAI_API_KEY is not configured on the server." });
-    const job = put(JOBS, { id: crypto.randomUUID(), query, location, focus, createdAt: Date.now(), expiresAt: Date.now() + TTL,
+    const job = JOBS.put({ id: crypto.randomUUID(), query, location, focus, createdAt: Date.now(), expiresAt: Date.now() + TTL,
       status: "starting", message: "Starting background research…", attempts: attempts(), next: 0, attemptLog: [], errors: [],
-      responseId: "", model: "", polling: false, pollErrors: 0, result: null }, 50);
-    if (!await startNext(job, apiKey, fetchWithTimeout)) return res.status(502).json(jobJson(job));
+      responseId: "", model: "", polling: false, pollErrors: 0, result: null });
+    const started = await startNext(job, apiKey, fetchWithTimeout);
+    JOBS.save(job);
+    if (!started) return res.status(502).json(jobJson(job));
     res.status(202).json(jobJson(job));
   });
 
   router.get("/research/:jobId", async (req, res) => {
-    const job = get(JOBS, req.params.jobId, 50);
-    if (!job) return res.status(404).json({ ok: false, status: "expired", message: "This job expired or the server restarted. Start the search again." });
+    const job = JOBS.get(req.params.jobId);
+    if (!job) return res.status(404).json({ ok: false, status: "expired", message: "This job expired or was not found. Start the search again." });
     await refresh(job, apiKey, fetchWithTimeout);
+    JOBS.save(job);
     res.status(job.status === "failed" ? 502 : 200).json(jobJson(job));
   });
 
   router.get("/report/:id", (req, res) => {
-    const record = get(REPORTS, req.params.id);
+    const record = REPORTS.get(req.params.id);
     if (!record) return res.status(404).json({ ok: false, message: "Report expired or was not found." });
     res.json({ ok: true, report: record.report, html: renderDistributorReport(record.report), wordUrl: `/api/distributors/word/${req.params.id}` });
   });
 
   router.get("/word/:id", (req, res) => {
-    const record = get(REPORTS, req.params.id);
+    const record = REPORTS.get(req.params.id);
     if (!record) return res.status(404).send("Report expired or was not found.");
     res.setHeader("Content-Type", "application/msword; charset=utf-8");
     res.setHeader("Content-Disposition", `attachment; filename="${slug(record.report.company_name)}-public-company-intelligence-deep-dive.doc"`);
@@ -10,33 +10,15 @@ import {
   validUrl,
 } from "./distributorReportV3.js";
 import { buildDistributorWordDocument } from "./distributorWordV3.js";
+import { collection, openStore } from "./store.js";
 
 const TTL_MS = 24 * 60 * 60 * 1000;
+const REPORT_TTL_MS = 30 * 24 * 60 * 60 * 1000;
 const REPORT_LIMIT = 100;
 const JOB_LIMIT = 50;
-const REPORTS = new Map();
-const JOBS = new Map();
-
-function prune(map, limit) {
-  const now = Date.now();
-  for (const [id, record] of map) {
-    if (record.expiresAt <= now) map.delete(id);
-  }
-  while (map.size > limit) map.delete(map.keys().next().value);
-}
-
-function put(map, value, limit) {
-  prune(map, limit);
-  map.set(value.id, value);
-  return value;
-}
-
-function get(map, id, limit) {
-  prune(map, limit);
-  const value = map.get(id);
-  if (value) value.expiresAt = Date.now() + TTL_MS;
-  return value || null;
-}
+const REPORT_COLLECTION = ["distributor_v3_reports", { ttlMs: REPORT_TTL_MS, limit: REPORT_LIMIT }];
+const REPORTS = collection(...REPORT_COLLECTION);
+const JOBS = collection("distributor_v3_jobs", { ttlMs: TTL_MS, limit: JOB_LIMIT, revive: (job) => ({ ...job, polling: false }) });
 
 function uniqueStrings(values) {
   return [...new Set(values.map((value) => clean(value, 100)).filter(Boolean))];
@@ -402,7 +384,7 @@ async function refresh(job, apiKey, fetchWithTimeout) {
           sources: job.sources,
         });
         const reportId = crypto.randomUUID();
-        put(REPORTS, { id: reportId, report, expiresAt: Date.now() + TTL_MS }, REPORT_LIMIT);
+        REPORTS.put({ id: reportId, report, expiresAt: Date.now() + REPORT_TTL_MS });
         job.status = "completed";
         job.message = "Research complete.";
         job.result = {
@@ -437,6 +419,17 @@ async function refresh(job, apiKey, fetchWithTimeout) {
   }
 }
 
+/**
+ * A finished distributor report by id while it is still cached.
+ *
+ * @param {string} id
+ * @param {import("./store.js").Store} [store]
+ * @returns {object|null} Normalized report.
+ */
+export function findDistributorReport(id, store = openStore()) {
+  return (id && store.collection(...REPORT_COLLECTION).get(id)?.report) || null;
+}
+
 export function registerDistributorResearchRoutes(app, options = {}) {
   const router = express.Router();
   const apiKey = options.openAiApiKey || process.env.OPENAI_API_KEY || "";
@@ -459,7 +452,7 @@ export function registerDistributorResearchRoutes(app, options = {}) {
     structuredFormatter: true,
     internalCitationFiltering: true,
     wordDocxExport: true,
-    reportCacheHours: TTL_MS / 3600000,
+    reportCacheHours: REPORT_TTL_MS / 3600000,
   }));
 
   router.post("/research", async (req, res) => {
@@ -469,7 +462,7 @@ export function registerDistributorResearchRoutes(app, options = {}) {
     if (query.length < 2) return res.status(400).json({ ok: false, message: "Enter a fuel distributor name." });
     if (!apiKey) return res.status(503).json({ ok: false, message: "OPENAI_API_KEY is not configured on the server." });
 
-    const job = put(JOBS, {
+    const job = JOBS.put({
       id: crypto.randomUUID(),
       query,
       location,
@@ -493,25 +486,28 @@ export function registerDistributorResearchRoutes(app, options = {}) {
       polling: false,
       pollErrors: 0,
       result: null,
-    }, JOB_LIMIT);
+    });
 
-    if (!await startNextResearch(job, apiKey, fetchWithTimeout)) return res.status(502).json(jobJson(job));
+    const started = await startNextResearch(job, apiKey, fetchWithTimeout);
+    JOBS.save(job);
+    if (!started) return res.status(502).json(jobJson(job));
     res.status(202).json(jobJson(job));
   });
 
   router.get("/research/:jobId", async (req, res) => {
-    const job = get(JOBS, req.params.jobId, JOB_LIMIT);
+    const job = JOBS.get(req.params.jobId);
     if (!job) return res.status(404).json({
       ok: false,
       status: "expired",
-      message: "This job expired or the server restarted. Start the search again.",
+      message: "This job expired or was not found. Start the search again.",
     });
     await refresh(job, apiKey, fetchWithTimeout);
+    JOBS.save(job);
     res.status(job.status === "failed" ? 502 : 200).json(jobJson(job));
   });
 
   router.get("/report/:id", (req, res) => {
-    const record = get(REPORTS, req.params.id, REPORT_LIMIT);
+    const record = REPORTS.get(req.params.id);
     if (!record) return res.status(404).json({ ok: false, message: "Report expired or was not found." });
     res.json({
       ok: true,
@@ -522,10 +518,10 @@ export function registerDistributorResearchRoutes(app, options = {}) {
   });
 
   router.get("/word/:id", async (req, res) => {
-    const record = get(REPORTS, req.params.id, REPORT_LIMIT);
+    const record = REPORTS.get(req.params.id);
     if (!record) return res.status(404).send("Report expired or was not found.");
     try {
-      const buffer = await buildDistributorWordDocument(record.report);
+      const buffer = await buildDistributorWordDocument(record.report, { reportTheme: req.query.theme });
       const filename = `${slug(record.report.company_name)}-public-company-intelligence-deep-dive.docx`;
       res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.wordprocessingml.document");
       res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
@@ -546,7 +542,7 @@ export function registerDistributorResearchRoutes(app, options = {}) {
         formatterModel: req.body?.report?._meta?.formatter_model || "",
         sources: req.body?.report?.appendices?.source_register || [],
       });
-      const buffer = await buildDistributorWordDocument(report);
+      const buffer = await buildDistributorWordDocument(report, { reportTheme: req.body?.reportTheme });
       const filename = `${slug(report.company_name)}-public-company-intelligence-deep-dive.docx`;
       res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.wordprocessingml.document");
       res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
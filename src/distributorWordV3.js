@@ -1,150 +1,6 @@
-import {
-  BorderStyle,
-  Document,
-  ExternalHyperlink,
-  HeadingLevel,
-  Packer,
-  PageOrientation,
-  Paragraph,
-  ShadingType,
-  Table,
-  TableCell,
-  TableLayoutType,
-  TableRow,
-  TextRun,
-  VerticalAlign,
-  WidthType,
-} from "docx";
-import { list, plain, validUrl } from "./distributorReportV3.js";
-
-const NAVY = "0B1F33";
-const BLUE = "1F4E79";
-const LIGHT_BLUE = "DBEAF5";
-const LIGHT_GRAY = "F5F7FA";
-const BORDER = "94A3B8";
-const TEXT = "16202A";
-const MUTED = "5B6773";
-
-function textRun(text, options = {}) {
-  return new TextRun({
-    text: String(text ?? ""),
-    font: "Arial",
-    size: options.size || 19,
-    bold: Boolean(options.bold),
-    italics: Boolean(options.italics),
-    color: options.color || TEXT,
-    break: options.break,
-  });
-}
-
-function paragraph(value, options = {}) {
-  const text = plain(value);
-  return new Paragraph({
-    children: [textRun(text || options.emptyText || "No public information found.", {
-      size: options.size || 19,
-      bold: options.bold,
-      italics: options.italics || !text,
-      color: options.color || (text ? TEXT : MUTED),
-    })],
-    spacing: { before: options.before ?? 40, after: options.after ?? 90, line: 260 },
-    keepNext: Boolean(options.keepNext),
-    alignment: options.alignment,
-  });
-}
-
-function heading(text, level = 2) {
-  const sizes = { 1: 34, 2: 28, 3: 23, 4: 20 };
-  return new Paragraph({
-    children: [textRun(text, { bold: true, size: sizes[level] || 22, color: level === 1 ? NAVY : BLUE })],
-    heading: level === 1 ? HeadingLevel.HEADING_1 : level === 2 ? HeadingLevel.HEADING_2 : level === 3 ? HeadingLevel.HEADING_3 : HeadingLevel.HEADING_4,
-    spacing: { before: level === 1 ? 80 : 240, after: 100 },
-    keepNext: true,
-  });
-}
-
-function bulletParagraph(value, level = 0) {
-  return new Paragraph({
-    children: [textRun(plain(value), { size: 19 })],
-    bullet: { level },
-    spacing: { before: 20, after: 55, line: 250 },
-  });
-}
-
-function bulletChildren(items) {
-  const values = list(items).map(plain).filter(Boolean);
-  return values.length ? values.map((value) => bulletParagraph(value)) : [paragraph("")];
-}
-
-function cellParagraph(value, { bold = false, link = "", linkLabel = "Open source" } = {}) {
-  const url = validUrl(link);
-  const children = url
-    ? [new ExternalHyperlink({
-        children: [new TextRun({ text: linkLabel, style: "Hyperlink", font: "Arial", size: 16 })],
-        link: url,
-      })]
-    : [textRun(plain(value), { size: 16, bold, color: TEXT })];
-  return new Paragraph({ children, spacing: { before: 0, after: 0, line: 220 } });
-}
-
-function tableCell(value, width, options = {}) {
-  return new TableCell({
-    children: [cellParagraph(value, options)],
-    width: { size: width, type: WidthType.PERCENTAGE },
-    verticalAlign: VerticalAlign.TOP,
-    shading: options.header ? { type: ShadingType.CLEAR, color: "auto", fill: LIGHT_BLUE } : undefined,
-    margins: { top: 70, bottom: 70, left: 75, right: 75 },
-  });
-}
-
-function dataTable(rows, columns) {
-  const values = list(rows).filter((row) => row != null);
-  if (!values.length) return [paragraph("")];
-  const normalizedWidths = (() => {
-    const requested = columns.map((column) => Number(column.width || 0));
-    const total = requested.reduce((sum, value) => sum + value, 0) || 100;
-    return requested.map((value) => (value || 100 / columns.length) * 100 / total);
-  })();
-
-  const header = new TableRow({
-    tableHeader: true,
-    children: columns.map((column, index) => tableCell(column.label, normalizedWidths[index], { header: true, bold: true })),
-  });
-
-  const bodyRows = values.map((row) => new TableRow({
-    children: columns.map((column, index) => {
-      let value = "";
-      if (row && typeof row === "object") {
-        for (const key of column.keys || []) {
-          if (row[key] != null && row[key] !== "") { value = row[key]; break; }
-        }
-      } else {
-        value = row;
-      }
-      if (column.url) {
-        return tableCell("", normalizedWidths[index], { link: validUrl(value), linkLabel: column.linkLabel || "Open source" });
-      }
-      return tableCell(value, normalizedWidths[index]);
-    }),
-  }));
-
-  return [
-    new Table({
-      rows: [header, ...bodyRows],
-      width: { size: 100, type: WidthType.PERCENTAGE },
-      layout: TableLayoutType.FIXED,
-      borders: {
-        top: { style: BorderStyle.SINGLE, size: 4, color: BORDER },
-        bottom: { style: BorderStyle.SINGLE, size: 4, color: BORDER },
-        left: { style: BorderStyle.SINGLE, size: 4, color: BORDER },
-        right: { style: BorderStyle.SINGLE, size: 4, color: BORDER },
-        insideHorizontal: { style: BorderStyle.SINGLE, size: 3, color: BORDER },
-        insideVertical: { style: BorderStyle.SINGLE, size: 3, color: BORDER },
-      },
-      margins: { top: 70, bottom: 70, left: 70, right: 70 },
-    }),
-    new Paragraph({ spacing: { after: 90 } }),
-  ];
-}
+import { list, plain } from "./distributorReportV3.js";
+import { resolveReportTheme } from "./reportTheme.js";
+import { bulletChildren, buildWordDocument, callout, dataTable, heading, paragraph, themeDisclaimer, titleBlock } from "./wordDocx.js";
 
 function questionGroups(groups) {
   const children = [];
@@ -337,7 +193,7 @@ function sectionChildren(key, report) {
     case "risk_assessment":
       return [
         paragraph(value.overall_acquisition_screen),
-        value.strategic_fit_score_0_to_10 ? paragraph(`Strategic fit: ${plain(value.strategic_fit_score_0_to_10)}`, { bold: true, color: NAVY }) : paragraph(""),
+        value.strategic_fit_score_0_to_10 ? paragraph(`Strategic fit: ${plain(value.strategic_fit_score_0_to_10)}`, { bold: true, color: "primary" }) : paragraph(""),
         heading("Risks", 3),
         ...dataTable(value.risks, [
           { label: "Risk topic", keys: ["risk_topic"], width: 20 },
@@ -370,26 +226,15 @@ function sectionChildren(key, report) {
   }
 }
 
-export async function buildDistributorWordDocument(report) {
-  const children = [
-    new Paragraph({
-      children: [textRun("FUEL DISTRIBUTOR INTELLIGENCE", { bold: true, size: 18, color: BLUE })],
-      spacing: { after: 80 },
-    }),
-    new Paragraph({
-      children: [textRun(report.title, { bold: true, size: 38, color: NAVY })],
-      spacing: { after: 100 },
-    }),
-    paragraph(`Prepared: ${plain(report.prepared_at)}`, { color: MUTED }),
-    new Paragraph({
-      children: [textRun(report.disclaimer, { italics: true, size: 18, color: MUTED })],
-      shading: { type: ShadingType.CLEAR, color: "auto", fill: LIGHT_GRAY },
-      spacing: { before: 80, after: 180, line: 250 },
-      border: { left: { style: BorderStyle.SINGLE, color: BLUE, size: 18, space: 6 } },
-      indent: { left: 120 },
-    }),
-  ];
-
+/**
+ * Numbered report sections and the site and station-URL appendices, without
+ * the title block or source register, for documents that embed a dossier.
+ *
+ * @param {object} report Normalized distributor report.
+ * @returns {Array<object>}
+ */
+export function distributorSectionChildren(report) {
+  const children = [];
   const sections = [
     ["executive_findings", "Executive Findings"],
     ["identity_operating_model", "Identity and Operating Model"],
@@ -425,6 +270,16 @@ export async function buildDistributorWordDocument(report) {
     { label: "Public link", keys: ["public_url"], url: true, linkLabel: "Open station page", width: 18 },
     { label: "Sources", keys: ["source_ids"], width: 12 },
   ]));
+  return children;
+}
+
+function reportChildren(report) {
+  const children = [
+    ...titleBlock("FUEL DISTRIBUTOR INTELLIGENCE", report.title),
+    paragraph(`Prepared: ${plain(report.prepared_at)}`, { color: "muted" }),
+    callout(report.disclaimer),
+    ...distributorSectionChildren(report),
+  ];
 
   children.push(heading("Appendix C: Source Register", 2));
   children.push(...dataTable(report?.appendices?.source_register, [
@@ -435,37 +290,25 @@ export async function buildDistributorWordDocument(report) {
     { label: "Why it matters", keys: ["why_it_matters"], width: 32 },
     { label: "Confidence", keys: ["confidence"], width: 10 },
   ]));
+  children.push(...themeDisclaimer());
+  return children;
+}
 
-  const doc = new Document({
-    creator: "Fuel IQ",
+/**
+ * Landscape DOCX of a normalized distributor report, branded with the
+ * `reportTheme` id (the configured default when empty).
+ *
+ * @param {object} report
+ * @param {{ reportTheme?: string }} [options]
+ * @returns {Promise<Buffer>}
+ */
+export async function buildDistributorWordDocument(report, { reportTheme = "" } = {}) {
+  return buildWordDocument({
     title: report.title,
     description: "Public-source fuel distributor intelligence report",
-    styles: {
-      default: {
-        document: {
-          run: { font: "Arial", size: 19, color: TEXT },
-          paragraph: { spacing: { line: 250 } },
-        },
-      },
-      characterStyles: [
-        {
-          id: "Hyperlink",
-          name: "Hyperlink",
-          basedOn: "DefaultParagraphFont",
-          run: { color: "0563C1", underline: {} },
-        },
-      ],
-    },
-    sections: [{
-      properties: {
-        page: {
-          size: { orientation: PageOrientation.LANDSCAPE },
-          margin: { top: 650, right: 650, bottom: 650, left: 650, header: 300, footer: 300 },
-        },
-      },
-      children,
-    }],
+    header: `Fuel Distributor Intelligence — ${plain(report.company_name || report.title)}`,
+    landscape: true,
+    theme: resolveReportTheme(reportTheme),
+    children: () => reportChildren(report),
   });
-
-  return Packer.toBuffer(doc);
 }
@@ -0,0 +1,333 @@
+import { adjustCompetitionCounts } from "./competition.js";
+
+/**
+ * Version stamped into every `calc_breakdown` so exported reports can be traced
+ * back to the rule set that produced them. Bump when the math or the default
+ * rule tables change.
+ */
+export const ESTIMATE_ENGINE_VERSION = "2025.10-7";
+
+/**
+ * Default estimate rules, expressed as data. Every `/estimate` path reads these
+ * tables through `computeEstimate` instead of hard-coding the constants. Named
+ * profiles in config/estimate-profiles.json override them key by key.
+ */
+export const DEFAULT_ESTIMATE_RULES = Object.freeze({
+  baseline: { trafficPullPct: 2, gallonsPerFill: 8, days: 30 },
+  // A corner lot adds `secondaryWeight` of its second frontage road's AADT
+  // to the primary road's (see blendFrontageAadt).
+  aadt: { fallback: 8000, minimumStation: 2000, secondaryWeight: 0.35 },
+  competition: {
+    // Tiers are checked in order; `maxCount: null` is unbounded and
+    // `exclusive: true` means the count must stay strictly below `maxCount`.
+    tiers: [
+      { maxCount: 1, exclusive: true, multiplier: 0.8 },
+      { maxCount: 1, multiplier: 0.75 },
+      { maxCount: 4, multiplier: 0.6 },
+      { maxCount: null, multiplier: 0.5 },
+    ],
+    // Penalties are checked in order; the first `minCount` reached applies.
+    heavyPenalties: [
+      { minCount: 2, penalty: 0.35 },
+      { minCount: 1, penalty: 0.2 },
+    ],
+    floor: 0.2,
+    // `false` feeds raw detected counts to the tiers (see adjustCompetitionCounts).
+    adjustCounts: true,
+    // Weighted competition index (see competitionIndex.js). Each competitor
+    // counts 1 within `fullWeightMi`, halving every `halfLifeMi` beyond it,
+    // times its brand weight, a sqrt(MPDs / referenceMpds) size weight and
+    // `oppositeSideWeight` across the frontage road. The nearest station
+    // within `onSiteMi` is the site's own and weighs 0 (the index's stand-in
+    // for adjustCompetitionCounts). When an index is supplied it replaces the
+    // adjusted counts; `enabled: false` ignores it.
+    index: {
+      enabled: true,
+      onSiteMi: 0.075,
+      fullWeightMi: 0.1,
+      halfLifeMi: 0.5,
+      brandWeights: { heavy: 1.3, major: 1, unbranded: 0.75 },
+      referenceMpds: 6,
+      mpdsWeightMin: 0.6,
+      mpdsWeightMax: 1.5,
+      corridorMi: 0.06,
+      oppositeSideWeight: 0.8,
+    },
+  },
+  caps: {
+    regularGallonsPerMpdHour: 25 * 10.5,
+    dieselGallonsPerMpdHour: 25 * 16,
+    hoursPerDay: 24,
+    daysPerMonth: 365 / 12,
+    softPerMpd: 22000,
+    hardPerMpd: 28000,
+    softPenaltyMult: 0.9,
+  },
+  price: { below: 1.1, inline: 1, above: 0.9 },
+  adjustments: { ruralBonusMult: 1.3, lowRatingMult: 0.7, lowRatingThreshold: 4.0 },
+  range: { lowMult: 0.86, highMult: 1.06 },
+  growth: { year2: 1.027, year3: 1.0125 },
+  // Gasoline/diesel split of BASE. Trucks stop at `truckStopRate` times the
+  // car rate when the site has diesel MPDs (much less without them) and buy
+  // `gallonsPerTruckFill`; `autoDieselShare` is passenger diesel on the car lanes.
+  diesel: {
+    defaultTruckPct: 5,
+    truckStopRate: 0.5,
+    truckStopRateNoDieselMpds: 0.1,
+    gallonsPerTruckFill: 50,
+    autoDieselShare: 0.02,
+  },
+  // Monte Carlo inputs for the P10/P50/P90 range (see estimateUncertainty.js).
+  // AADT spread is a log-normal sigma chosen by the AADT method, widened for
+  // stale counts and for stations far from the site.
+  uncertainty: {
+    samples: 2000,
+    aadtSigma: {
+      user_entered: 0.1,
+      dot_station_on_entered_road: 0.15,
+      fallback_low_aadt: 0.4,
+      fallback_no_dot_found: 0.6,
+      other: 0.25,
+    },
+    aadtSigmaPerYearOld: 0.02,
+    aadtSigmaPerMile: 0.1,
+    aadtSigmaMax: 0.8,
+    missedCompetitorsPerSite: 0.3,
+    missedCompetitorsPerDetected: 0.1,
+    // Index weight of a missed competitor when the estimate uses the index.
+    missedCompetitorIndexWeight: 0.5,
+    closedCompetitorRate: 0.05,
+    trafficPullSpread: 0.25,
+    gallonsPerFillSpread: 0.15,
+    // P90/P10 spread relative to P50; wider than the last tier grades "D".
+    grades: [
+      { maxSpread: 0.35, grade: "A" },
+      { maxSpread: 0.6, grade: "B" },
+      { maxSpread: 1, grade: "C" },
+    ],
+    fallbackGrade: "D",
+  },
+});
+
+function positive(value) {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : null;
+}
+
+/**
+ * Competition base multiplier for an (possibly fractional) adjusted count.
+ *
+ * @param {number} compCount Adjusted competitor count.
+ * @param {object} [rules] Estimate rules.
+ * @returns {number}
+ */
+export function competitionMultiplier(compCount, rules = DEFAULT_ESTIMATE_RULES) {
+  if (!(compCount > 0)) return 1;
+  for (const tier of rules.competition.tiers) {
+    if (tier.maxCount == null) return tier.multiplier;
+    if (tier.exclusive ? compCount < tier.maxCount : compCount <= tier.maxCount) return tier.multiplier;
+  }
+  return 1;
+}
+
+/**
+ * Big-box penalty for an adjusted heavy count. Fractional heavy counts below the
+ * smallest `minCount` carry no penalty.
+ *
+ * @param {number} heavyCount Adjusted heavy competitor count.
+ * @param {object} [rules] Estimate rules.
+ * @returns {number}
+ */
+export function heavyPenalty(heavyCount, rules = DEFAULT_ESTIMATE_RULES) {
+  for (const tier of rules.competition.heavyPenalties) {
+    if (heavyCount >= tier.minCount) return tier.penalty;
+  }
+  return 0;
+}
+
+/**
+ * Combined user-adjustment multiplier: free-form percentage extras, the rural
+ * bonus and the low-rating penalty.
+ *
+ * @param {{ extras?: Array<{pct: number}>, ruralApplied?: boolean, autoLowRating?: boolean }} input
+ * @param {object} [rules] Estimate rules.
+ * @returns {number}
+ */
+export function extrasMultiplier({ extras = [], ruralApplied = false, autoLowRating = false } = {}, rules = DEFAULT_ESTIMATE_RULES) {
+  let mult = 1;
+  for (const extra of extras || []) {
+    const pct = Number(extra?.pct);
+    if (Number.isFinite(pct)) mult *= 1 + pct / 100;
+  }
+  if (ruralApplied) mult *= rules.adjustments.ruralBonusMult;
+  if (autoLowRating) mult *= rules.adjustments.lowRatingMult;
+  return mult;
+}
+
+/**
+ * Whether a client rating (or explicit flag) triggers the low-rating penalty.
+ *
+ * @param {{ autoLowRating?: boolean, clientRating?: number }} input
+ * @param {object} [rules] Estimate rules.
+ * @returns {boolean}
+ */
+export function isLowRating({ autoLowRating, clientRating } = {}, rules = DEFAULT_ESTIMATE_RULES) {
+  return autoLowRating === true || (Number.isFinite(clientRating) && clientRating < rules.adjustments.lowRatingThreshold);
+}
+
+/**
+ * Split a monthly volume into gasoline and diesel from the truck share of AADT.
+ * The two lines always add back up to `base`.
+ *
+ * @param {number} base Monthly gallons to split.
+ * @param {{ truckPct?: number, diesel?: number, gallonsPerFill?: number }} input
+ * @param {object} [rules] Estimate rules.
+ * @returns {{ truckPct: number, truckStopRate: number, truckGallonsShare: number, truckDiesel: number, autoDiesel: number, diesel: number, gasoline: number }}
+ */
+export function splitFuelVolumes(base, { truckPct, diesel = 0, gallonsPerFill } = {}, rules = DEFAULT_ESTIMATE_RULES) {
+  const d = rules.diesel;
+  const pct = Number.isFinite(Number(truckPct)) && Number(truckPct) >= 0 ? Number(truckPct) : d.defaultTruckPct;
+  const share = Math.min(pct, 100) / 100;
+  const stopRate = diesel > 0 ? d.truckStopRate : d.truckStopRateNoDieselMpds;
+  const truckWeight = share * stopRate * d.gallonsPerTruckFill;
+  const carWeight = (1 - share) * (positive(gallonsPerFill) ?? rules.baseline.gallonsPerFill);
+  const truckGallonsShare = truckWeight + carWeight > 0 ? truckWeight / (truckWeight + carWeight) : 0;
+  const truckDiesel = Math.round(base * truckGallonsShare);
+  const autoDiesel = Math.round((base - truckDiesel) * d.autoDieselShare);
+  const dieselGallons = truckDiesel + autoDiesel;
+  return {
+    truckPct: pct,
+    truckStopRate: stopRate,
+    truckGallonsShare: Number(truckGallonsShare.toFixed(4)),
+    truckDiesel,
+    autoDiesel,
+    diesel: dieselGallons,
+    gasoline: base - dieselGallons,
+  };
+}
+
+/**
+ * Effective AADT for a site fronting two roads: the primary reading plus
+ * `weight` of the secondary one. Without a secondary reading the primary is
+ * returned unchanged.
+ *
+ * @param {{ aadt: number, road?: string }} primary Reading on the road the site fronts.
+ * @param {{ aadt: number, road?: string }|null} [secondary] Reading on the cross street.
+ * @param {{ weight?: number }} [options] Overrides `aadt.secondaryWeight` (0–1).
+ * @param {object} [rules] Estimate rules.
+ * @returns {{ aadt: number, weight: number, secondary_added: number, primary: object, secondary: object|null }}
+ */
+export function blendFrontageAadt(primary, secondary, { weight } = {}, rules = DEFAULT_ESTIMATE_RULES) {
+  const primaryAadt = positive(primary?.aadt) ?? 0;
+  const secondaryAadt = positive(secondary?.aadt);
+  const requested = Number(weight);
+  const w = Math.min(1, Math.max(0, weight != null && weight !== "" && Number.isFinite(requested) ? requested : rules.aadt.secondaryWeight ?? 0));
+  const added = secondaryAadt ? Math.round(secondaryAadt * w) : 0;
+  return {
+    aadt: Math.round(primaryAadt) + added,
+    weight: w,
+    secondary_added: added,
+    primary: { ...primary, aadt: Math.round(primaryAadt) },
+    secondary: secondaryAadt ? { ...secondary, aadt: Math.round(secondaryAadt) } : null,
+  };
+}
+
+/**
+ * Run the baseline → competition → caps → price → clamp chain.
+ *
+ * Competitor counts are the raw detected counts; `adjustCompetitionCounts` is
+ * applied here (unless `competition.adjustCounts` is false) so every caller
+ * gets the same fractional-count handling. A `competitionIndex` (from
+ * `competitionIndex()`) replaces the adjusted counts when the rules enable it.
+ *
+ * @param {object} input
+ * @param {number} input.aadt AADT used for the baseline.
+ * @param {number} input.mpds Regular multi-product dispensers.
+ * @param {number} [input.diesel] Diesel dispensers.
+ * @param {number} [input.compCountDetected] Detected competitors within the radius.
+ * @param {number} [input.heavyCountDetected] Detected heavy (big box) competitors.
+ * @param {{ index: number, heavyIndex: number, contributions?: Array<object> }} [input.competitionIndex] Weighted competition index.
+ * @param {string} [input.pricePosition] "below", "inline" or "above".
+ * @param {number} [input.extrasMult] Combined user-adjustment multiplier.
+ * @param {number} [input.trafficPullPct] Custom traffic pull percentage.
+ * @param {number} [input.gallonsPerFill] Custom gallons per fill.
+ * @param {number} [input.truckPct] Truck share of AADT for the gasoline/diesel split.
+ * @param {object} [input.frontage] `blendFrontageAadt` result behind `aadt`, echoed into the breakdown.
+ * @param {object} [rules] Estimate rules.
+ * @returns {{ base: number, low: number, high: number, year2: number, year3: number, breakdown: object }}
+ */
+export function computeEstimate(input, rules = DEFAULT_ESTIMATE_RULES) {
+  const {
+    aadt, mpds, diesel = 0, compCountDetected = 0, heavyCountDetected = 0,
+    pricePosition = "inline", extrasMult = 1, trafficPullPct, gallonsPerFill, truckPct, competitionIndex, frontage,
+  } = input || {};
+
+  const customTraffic = positive(trafficPullPct);
+  const customGallons = positive(gallonsPerFill);
+  const baselineComponents = {
+    trafficShare: (customTraffic ?? rules.baseline.trafficPullPct) / 100,
+    trafficPullPct: customTraffic ?? rules.baseline.trafficPullPct,
+    gallonsPerFill: customGallons ?? rules.baseline.gallonsPerFill,
+    usedCustomTraffic: customTraffic != null,
+    usedCustomGallons: customGallons != null,
+    days: rules.baseline.days,
+  };
+  const baseline = aadt * baselineComponents.trafficShare * baselineComponents.gallonsPerFill * baselineComponents.days;
+
+  const useIndex = rules.competition.index?.enabled !== false && Number.isFinite(competitionIndex?.index);
+  const { compCount, heavyCount } = useIndex
+    ? { compCount: Math.max(0, competitionIndex.index), heavyCount: Math.min(Math.max(0, competitionIndex.heavyIndex || 0), Math.max(0, competitionIndex.index)) }
+    : rules.competition.adjustCounts === false
+      ? { compCount: compCountDetected, heavyCount: Math.min(heavyCountDetected, compCountDetected) }
+      : adjustCompetitionCounts(compCountDetected, heavyCountDetected);
+  const baseMult = competitionMultiplier(compCount, rules);
+  const penalty = heavyPenalty(heavyCount, rules);
+  const compMult = Math.max(rules.competition.floor, baseMult - penalty);
+  const afterComp = baseline * compMult;
+
+  const caps = rules.caps;
+  const capEquip = (mpds * caps.regularGallonsPerMpdHour + (diesel || 0) * caps.dieselGallonsPerMpdHour) * caps.hoursPerDay * caps.daysPerMonth;
+  const capSoftTotal = mpds * caps.softPerMpd;
+  const capHardTotal = mpds * caps.hardPerMpd;
+  let capped = Math.min(afterComp, capEquip, capHardTotal);
+  if (afterComp > capSoftTotal) capped = Math.round(capped * caps.softPenaltyMult);
+
+  const priceMult = rules.price[pricePosition] ?? rules.price.inline;
+  const preClamp = Math.round(capped * priceMult * extrasMult);
+  const base = Math.min(preClamp, Math.round(baseline));
+  const fuelSplit = splitFuelVolumes(base, { truckPct, diesel, gallonsPerFill: baselineComponents.gallonsPerFill }, rules);
+
+  return {
+    base,
+    low: Math.round(base * rules.range.lowMult),
+    high: Math.round(base * rules.range.highMult),
+    year2: Math.round(base * rules.growth.year2),
+    year3: Math.round(base * rules.growth.year2 * rules.growth.year3),
+    breakdown: {
+      engine_version: ESTIMATE_ENGINE_VERSION,
+      profile: rules.profile || null,
+      aadt,
+      ...(frontage?.secondary ? { frontage } : {}),
+      baseline: Math.round(baseline),
+      baselineComponents,
+      compRule: {
+        basis: useIndex ? "index" : "count",
+        compCount,
+        heavyCount,
+        detectedCount: compCountDetected,
+        detectedHeavyCount: heavyCountDetected,
+        baseMult,
+        heavyPenalty: penalty,
+        compMult,
+        afterComp: Math.round(afterComp),
+        ...(useIndex ? { index: competitionIndex.index, heavyIndex: competitionIndex.heavyIndex || 0, contributions: competitionIndex.contributions || [] } : {}),
+      },
+      caps: { capEquip: Math.round(capEquip), capSoftTotal, capHardTotal },
+      priceMult,
+      extrasMult,
+      preClamp,
+      finalClampedToBaseline: base,
+      fuelSplit,
+    },
+  };
+}
@@ -0,0 +1,134 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { DEFAULT_ESTIMATE_RULES } from "./estimateEngine.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_PROFILES_FILE = path.join(__dirname, "..", "config", "estimate-profiles.json");
+
+let cached = null;
+
+function profilesFile() {
+  return process.env.ESTIMATE_PROFILES_FILE || DEFAULT_PROFILES_FILE;
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+// Objects merge key by key; arrays (tier tables) and scalars replace the default.
+function mergeRules(base, override, trail = "rules") {
+  if (override === undefined) return base;
+  if (isPlainObject(base)) {
+    if (!isPlainObject(override)) throw new Error(`${trail} must be an object`);
+    const out = {};
+    for (const key of Object.keys(base)) out[key] = mergeRules(base[key], override[key], `${trail}.${key}`);
+    for (const key of Object.keys(override)) {
+      if (!(key in base)) throw new Error(`${trail}.${key} is not a known estimate rule`);
+    }
+    return out;
+  }
+  if (Array.isArray(base)) {
+    if (!Array.isArray(override) || !override.length) throw new Error(`${trail} must be a non-empty array`);
+    return override.map((item, index) => tableRow(base, item, `${trail}[${index}]`));
+  }
+  if (trail.endsWith(".maxCount")) {
+    if (override === null || Number.isFinite(override)) return override;
+    throw new Error(`${trail} must be a number or null`);
+  }
+  if (typeof base === "number") {
+    if (!Number.isFinite(override)) throw new Error(`${trail} must be a finite number`);
+    return override;
+  }
+  if (typeof base === "boolean") {
+    if (typeof override !== "boolean") throw new Error(`${trail} must be true or false`);
+    return override;
+  }
+  return override;
+}
+
+// Tier rows are replaced whole: keys every default row has are required, keys
+// only some rows have (such as `exclusive`) are optional.
+function tableRow(rows, item, trail) {
+  if (!isPlainObject(item)) throw new Error(`${trail} must be an object`);
+  const out = {};
+  for (const key of new Set(rows.flatMap(Object.keys))) {
+    const sample = rows.find((row) => key in row && row[key] !== null) || rows.find((row) => key in row);
+    if (item[key] === undefined) {
+      if (rows.every((row) => key in row)) throw new Error(`${trail}.${key} is required`);
+      continue;
+    }
+    out[key] = mergeRules(sample[key], item[key], `${trail}.${key}`);
+  }
+  for (const key of Object.keys(item)) {
+    if (!(key in out) && item[key] !== undefined) throw new Error(`${trail}.${key} is not a known estimate rule`);
+  }
+  return out;
+}
+
+function parseProfiles(raw) {
+  const config = JSON.parse(raw);
+  const entries = isPlainObject(config?.profiles) ? Object.entries(config.profiles) : [];
+  if (!entries.length) throw new Error("estimate profile config has no profiles");
+  const profiles = new Map();
+  for (const [id, entry] of entries) {
+    try {
+      const rules = mergeRules(DEFAULT_ESTIMATE_RULES, entry?.rules ?? {});
+      const label = String(entry?.label || id).slice(0, 120);
+      profiles.set(id, { id, label, description: String(entry?.description || "").slice(0, 600), rules: { ...rules, profile: { id, label } } });
+    } catch (error) {
+      throw new Error(`estimate profile "${id}": ${error.message}`);
+    }
+  }
+  const defaultId = profiles.has(config.default) ? config.default : entries[0][0];
+  return { defaultId, profiles };
+}
+
+/**
+ * Load the estimate rule profiles, re-reading the JSON config whenever it
+ * changes on disk so teams can edit assumptions without a deploy.
+ *
+ * @returns {{ defaultId: string, profiles: Map<string, { id: string, label: string, description: string, rules: object }> }}
+ */
+export function loadEstimateProfiles() {
+  const file = profilesFile();
+  let mtimeMs = 0;
+  try {
+    mtimeMs = fs.statSync(file).mtimeMs;
+  } catch {
+    const rules = { ...DEFAULT_ESTIMATE_RULES, profile: { id: "standard", label: "Standard Fuel IQ rules" } };
+    return { defaultId: "standard", profiles: new Map([["standard", { id: "standard", label: rules.profile.label, description: "", rules }]]) };
+  }
+  if (cached && cached.file === file && cached.mtimeMs === mtimeMs) return cached.value;
+  const value = parseProfiles(fs.readFileSync(file, "utf8"));
+  cached = { file, mtimeMs, value };
+  return value;
+}
+
+/**
+ * Resolve the rule set for a requested profile id. An empty id selects the
+ * configured default; an unknown id is an error rather than a silent fallback.
+ *
+ * @param {string} [profileId]
+ * @returns {object} Estimate rules with a `profile` `{ id, label }` stamp.
+ */
+export function resolveEstimateRules(profileId) {
+  const { defaultId, profiles } = loadEstimateProfiles();
+  const id = String(profileId ?? "").trim() || defaultId;
+  const profile = profiles.get(id);
+  if (!profile) throw new Error(`Unknown estimate profile "${id}". Available: ${[...profiles.keys()].join(", ")}`);
+  return profile.rules;
+}
+
+/**
+ * Public listing of the configured profiles for pickers and API clients.
+ *
+ * @returns {{ default: string, profiles: Array<{ id: string, label: string, description: string }> }}
+ */
+export function listEstimateProfiles() {
+  const { defaultId, profiles } = loadEstimateProfiles();
+  return {
+    default: defaultId,
+    profiles: [...profiles.values()].map(({ id, label, description }) => ({ id, label, description })),
+  };
+}
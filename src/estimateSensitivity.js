@@ -0,0 +1,177 @@
+import { DEFAULT_ESTIMATE_RULES, computeEstimate } from "./estimateEngine.js";
+
+const DEFAULT_AADT_PCT = [-30, -20, -10, 10, 20];
+const DEFAULT_TRAFFIC_DELTA = [-0.5, -0.25, 0.25, 0.5];
+const DEFAULT_GALLONS_DELTA = [-2, -1, 1, 2];
+const DEFAULT_COMPETITOR_SCENARIOS = [
+  { label: "One fewer competitor", competitors: -1, heavy: 0 },
+  { label: "+1 competitor", competitors: 1, heavy: 0 },
+  { label: "+2 competitors", competitors: 2, heavy: 0 },
+  { label: "+1 big box (e.g. Wawa, Sheetz)", competitors: 1, heavy: 1 },
+];
+const PRICE_POSITIONS = ["below", "inline", "above"];
+const MAX_STEPS = 12;
+
+const DIMENSION_LABELS = {
+  aadt: "AADT",
+  trafficPullPct: "Traffic pull %",
+  gallonsPerFill: "Gallons per fill",
+  competitors: "Competitor count",
+  pricePosition: "Price position",
+};
+
+function finite(value) {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+function numberList(value, fallback) {
+  if (!Array.isArray(value)) return fallback;
+  const values = value.map(finite).filter((item) => item != null && item !== 0).slice(0, MAX_STEPS);
+  return values.length ? values : fallback;
+}
+
+function signed(value, suffix = "") {
+  return `${value > 0 ? "+" : ""}${Number(value.toFixed(2))}${suffix}`;
+}
+
+/**
+ * Rebuild the engine input that produced an `/estimate` result, so scenarios
+ * vary one assumption at a time from exactly the same starting point.
+ *
+ * @param {object} result `/estimate` response payload.
+ * @returns {object|null} Input for `computeEstimate`, or null when incomplete.
+ */
+export function engineInputFromResult(result) {
+  const inputs = result?.inputs || {};
+  const breakdown = result?.calc_breakdown || {};
+  const components = breakdown.baselineComponents || {};
+  const aadt = finite(inputs.aadt_used ?? breakdown.aadt);
+  const mpds = finite(inputs.mpds);
+  if (!(aadt > 0) || !(mpds > 0)) return null;
+  return {
+    aadt,
+    mpds,
+    diesel: finite(inputs.diesel) ?? 0,
+    compCountDetected: finite(breakdown.compRule?.detectedCount ?? result?.competition?.detected_count ?? result?.competition?.count) ?? 0,
+    heavyCountDetected: finite(breakdown.compRule?.detectedHeavyCount ?? result?.competition?.detected_heavy_count ?? result?.competition?.heavy_count) ?? 0,
+    pricePosition: String(inputs.price_position || "inline"),
+    extrasMult: finite(breakdown.extrasMult) ?? 1,
+    trafficPullPct: finite(components.trafficPullPct),
+    gallonsPerFill: finite(components.gallonsPerFill),
+    truckPct: finite(breakdown.fuelSplit?.truckPct ?? inputs.truck_share?.pct),
+    ...(breakdown.compRule?.basis === "index"
+      ? { competitionIndex: { index: finite(breakdown.compRule.index) ?? 0, heavyIndex: finite(breakdown.compRule.heavyIndex) ?? 0 } }
+      : {}),
+  };
+}
+
+function outcome(label, value, calc, reference) {
+  const delta = calc.base - reference;
+  return {
+    label,
+    value,
+    base: calc.base,
+    low: calc.low,
+    high: calc.high,
+    delta,
+    delta_pct: reference ? Number((delta / reference * 100).toFixed(1)) : null,
+  };
+}
+
+/**
+ * One-way sweeps for each driver, a two-way AADT × competition grid and a
+ * tornado ranking of which driver moves the base estimate most.
+ *
+ * Extras (rural bonus, rating and user adjustments) are held at the base
+ * multiplier in every scenario.
+ *
+ * @param {object} input Engine input, see `engineInputFromResult`.
+ * @param {object} [rules] Estimate rules (profile) used for the base run.
+ * @param {object} [options] Optional step overrides: `aadtPct`, `trafficPullDelta`,
+ *   `gallonsPerFillDelta` and `competitorScenarios`.
+ * @returns {object}
+ */
+export function buildSensitivity(input, rules = DEFAULT_ESTIMATE_RULES, options = {}) {
+  const run = (overrides) => computeEstimate({ ...input, ...overrides }, rules);
+  const reference = run({});
+  const refBase = reference.base;
+  const traffic = reference.breakdown.baselineComponents.trafficPullPct;
+  const gallons = reference.breakdown.baselineComponents.gallonsPerFill;
+
+  const aadtPct = numberList(options.aadtPct, DEFAULT_AADT_PCT);
+  const trafficDelta = numberList(options.trafficPullDelta, DEFAULT_TRAFFIC_DELTA);
+  const gallonsDelta = numberList(options.gallonsPerFillDelta, DEFAULT_GALLONS_DELTA);
+  const competitorScenarios = (Array.isArray(options.competitorScenarios) ? options.competitorScenarios : DEFAULT_COMPETITOR_SCENARIOS)
+    .map((item) => ({ label: String(item?.label || "").slice(0, 120), competitors: finite(item?.competitors) ?? 0, heavy: finite(item?.heavy) ?? 0 }))
+    .filter((item) => item.competitors || item.heavy)
+    .slice(0, MAX_STEPS);
+
+  // With a weighted index, each added competitor counts as one nearby station.
+  const withCompetition = (scenario, extra = {}) => {
+    if (input.competitionIndex) {
+      const index = Math.max(0, input.competitionIndex.index + scenario.competitors);
+      const heavyIndex = Math.min(index, Math.max(0, input.competitionIndex.heavyIndex + scenario.heavy));
+      return run({ ...extra, competitionIndex: { index, heavyIndex } });
+    }
+    const competitors = Math.max(0, input.compCountDetected + scenario.competitors);
+    const heavy = Math.min(competitors, Math.max(0, input.heavyCountDetected + scenario.heavy));
+    return run({ ...extra, compCountDetected: competitors, heavyCountDetected: heavy });
+  };
+
+  const dimensions = {
+    aadt: aadtPct.map((pct) => {
+      const aadt = Math.max(1, Math.round(input.aadt * (1 + pct / 100)));
+      return outcome(`AADT ${signed(pct, "%")}`, aadt, run({ aadt }), refBase);
+    }),
+    trafficPullPct: trafficDelta.filter((delta) => traffic + delta > 0).map((delta) => {
+      const value = Number((traffic + delta).toFixed(3));
+      return outcome(`Traffic pull ${value}%`, value, run({ trafficPullPct: value }), refBase);
+    }),
+    gallonsPerFill: gallonsDelta.filter((delta) => gallons + delta > 0).map((delta) => {
+      const value = Number((gallons + delta).toFixed(3));
+      return outcome(`${value} gal/fill`, value, run({ gallonsPerFill: value }), refBase);
+    }),
+    competitors: competitorScenarios.map((scenario) => {
+      const label = scenario.label || `${signed(scenario.competitors)} competitors${scenario.heavy ? ` (${signed(scenario.heavy)} big box)` : ""}`;
+      return outcome(label, { competitors: scenario.competitors, heavy: scenario.heavy }, withCompetition(scenario), refBase);
+    }),
+    pricePosition: PRICE_POSITIONS.filter((position) => position !== input.pricePosition).map((position) => (
+      outcome(`Price ${position} market`, position, run({ pricePosition: position }), refBase)
+    )),
+  };
+
+  const grid = {
+    rows: ["Base AADT", ...aadtPct.map((pct) => `AADT ${signed(pct, "%")}`)],
+    columns: ["Current competition", ...competitorScenarios.map((scenario) => scenario.label || `${signed(scenario.competitors)} competitors`)],
+    values: [0, ...aadtPct].map((pct) => {
+      const aadt = Math.max(1, Math.round(input.aadt * (1 + pct / 100)));
+      return [{ competitors: 0, heavy: 0 }, ...competitorScenarios].map((scenario) => withCompetition(scenario, { aadt }).base);
+    }),
+  };
+
+  const tornado = Object.entries(dimensions)
+    .filter(([, cases]) => cases.length)
+    .map(([key, cases]) => {
+      const low = cases.reduce((worst, item) => item.base < worst.base ? item : worst);
+      const high = cases.reduce((best, item) => item.base > best.base ? item : best);
+      return {
+        dimension: key,
+        label: DIMENSION_LABELS[key],
+        low: { label: low.label, base: low.base, delta: low.delta },
+        high: { label: high.label, base: high.base, delta: high.delta },
+        swing: Math.max(high.base, refBase) - Math.min(low.base, refBase),
+      };
+    })
+    .sort((a, b) => b.swing - a.swing)
+    .map((item, index) => ({ rank: index + 1, ...item }));
+
+  return {
+    reference: { base: reference.base, low: reference.low, high: reference.high, year2: reference.year2, year3: reference.year3, calc_breakdown: reference.breakdown },
+    inputs: { ...input, trafficPullPct: traffic, gallonsPerFill: gallons },
+    dimensions,
+    grid,
+    tornado,
+    assumptions: ["Extras, rural and rating adjustments are held at the base multiplier in every scenario."],
+  };
+}
@@ -0,0 +1,238 @@
+import { DEFAULT_ESTIMATE_RULES, computeEstimate } from "./estimateEngine.js";
+
+const MIN_SAMPLES = 200;
+const MAX_SAMPLES = 20000;
+
+function finite(value) {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+// mulberry32: small, fast and seedable so a report can be regenerated exactly.
+function random(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function hashSeed(value) {
+  let hash = 2166136261;
+  for (const char of JSON.stringify(value)) {
+    hash ^= char.charCodeAt(0);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+function normal(rand) {
+  const u = Math.max(rand(), Number.EPSILON);
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rand());
+}
+
+function poisson(rand, lambda) {
+  if (!(lambda > 0)) return 0;
+  const limit = Math.exp(-lambda);
+  let k = 0;
+  let p = rand();
+  while (p > limit) {
+    k += 1;
+    p *= rand();
+  }
+  return k;
+}
+
+function binomial(rand, trials, probability) {
+  let hits = 0;
+  for (let i = 0; i < trials; i += 1) if (rand() < probability) hits += 1;
+  return hits;
+}
+
+function triangular(rand, min, mode, max) {
+  const u = rand();
+  const split = (mode - min) / (max - min || 1);
+  return u < split
+    ? min + Math.sqrt(u * (max - min) * (mode - min))
+    : max - Math.sqrt((1 - u) * (max - min) * (max - mode));
+}
+
+function percentile(sorted, p) {
+  const index = (sorted.length - 1) * p;
+  const lower = Math.floor(index);
+  const upper = Math.ceil(index);
+  return Math.round(sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower));
+}
+
+function milesBetween(a, b) {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLon = toRad(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 3958.8 * 2 * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+}
+
+/**
+ * Parse the `monteCarlo` request option. `true` uses the rule defaults; an
+ * object may set `samples` and `seed`.
+ *
+ * @param {object} body `/estimate` request body.
+ * @returns {{ samples?: number, seed?: number }|null} Null when the mode is off.
+ */
+export function monteCarloOptions(body) {
+  const option = body?.monteCarlo;
+  if (option === true || option === "true") return {};
+  if (!option || typeof option !== "object") return null;
+  const samples = finite(option.samples);
+  const seed = finite(option.seed);
+  return {
+    ...(samples ? { samples: Math.min(MAX_SAMPLES, Math.max(MIN_SAMPLES, Math.round(samples))) } : {}),
+    ...(seed != null ? { seed: Math.abs(Math.round(seed)) } : {}),
+  };
+}
+
+/**
+ * Describe where the AADT came from: method, count year and how far the
+ * counting station sits from the site.
+ *
+ * @param {object} result `/estimate` response payload.
+ * @param {object} [body] Request body; `selectedAadt` (from the AADT picker) wins when present.
+ * @returns {{ method: string, stationYear: number|null, stationMiles: number|null }}
+ */
+export function aadtSourceContext(result, body = {}) {
+  const method = String(result?.inputs?.aadt_components?.method || result?.map?.aadt_used?.method || "other");
+  const marker = result?.map?.aadt_used || {};
+  const site = result?.map?.site || {};
+  const selected = body?.selectedAadt || {};
+  const yearMatch = String(selected.year ?? marker.year ?? "").match(/\b(19|20)\d{2}\b/);
+  let stationMiles = finite(selected.miles);
+  if (stationMiles == null && marker.fallback !== true && method !== "user_entered") {
+    const from = { lat: finite(site.lat), lon: finite(site.lon) };
+    const to = { lat: finite(marker.lat), lon: finite(marker.lon) };
+    if ([from.lat, from.lon, to.lat, to.lon].every((value) => value != null)) stationMiles = milesBetween(from, to);
+  }
+  return { method, stationYear: yearMatch ? Number(yearMatch[0]) : null, stationMiles };
+}
+
+/**
+ * Monte Carlo gallons estimate. Each draw perturbs AADT (log-normal, spread
+ * set by the AADT method, count age and station distance), the competitor
+ * count (missed and closed stations) and the capture rate (traffic pull and
+ * gallons per fill), then runs the shared engine.
+ *
+ * @param {object} input Engine input, as passed to `computeEstimate`.
+ * @param {object} [rules] Estimate rules.
+ * @param {object} [context] AADT source from `aadtSourceContext` plus optional
+ *   `samples`, `seed` and `referenceYear`.
+ * @returns {object} P10/P50/P90 monthly gallons, spread and confidence grade.
+ */
+export function simulateEstimate(input, rules = DEFAULT_ESTIMATE_RULES, context = {}) {
+  const u = rules.uncertainty || DEFAULT_ESTIMATE_RULES.uncertainty;
+  const samples = context.samples || u.samples;
+  const seed = context.seed ?? hashSeed([input, context.method, context.stationYear, context.stationMiles]);
+  const rand = random(seed);
+  const reference = computeEstimate(input, rules).breakdown.baselineComponents;
+  const traffic = reference.trafficPullPct;
+  const gallons = reference.gallonsPerFill;
+
+  const method = context.method in u.aadtSigma ? context.method : "other";
+  const referenceYear = context.referenceYear || new Date().getFullYear();
+  const ageYears = context.stationYear ? Math.max(0, referenceYear - context.stationYear) : null;
+  const miles = finite(context.stationMiles);
+  const aadtSigma = Math.min(
+    u.aadtSigmaMax,
+    u.aadtSigma[method] + (ageYears ? ageYears * u.aadtSigmaPerYearOld : 0) + (miles ? miles * u.aadtSigmaPerMile : 0),
+  );
+  const detected = Math.max(0, Math.round(input.compCountDetected || 0));
+  const heavyDetected = Math.max(0, Math.round(input.heavyCountDetected || 0));
+  const missedMean = u.missedCompetitorsPerSite + u.missedCompetitorsPerDetected * detected;
+
+  const values = [];
+  let total = 0;
+  for (let i = 0; i < samples; i += 1) {
+    const closed = binomial(rand, detected, u.closedCompetitorRate);
+    const missed = poisson(rand, missedMean);
+    const count = detected - closed + missed;
+    // Weighted index: closures remove an average share, misses add low-weight stations.
+    const kept = detected > 0 ? (detected - closed) / detected : 1;
+    const competitionIndex = input.competitionIndex
+      ? {
+          index: input.competitionIndex.index * kept + missed * u.missedCompetitorIndexWeight,
+          heavyIndex: (input.competitionIndex.heavyIndex || 0) * kept,
+        }
+      : undefined;
+    const calc = computeEstimate({
+      ...input,
+      aadt: input.aadt * Math.exp(aadtSigma * normal(rand)),
+      compCountDetected: count,
+      heavyCountDetected: Math.min(heavyDetected, count),
+      competitionIndex,
+      trafficPullPct: triangular(rand, traffic * (1 - u.trafficPullSpread), traffic, traffic * (1 + u.trafficPullSpread)),
+      gallonsPerFill: triangular(rand, gallons * (1 - u.gallonsPerFillSpread), gallons, gallons * (1 + u.gallonsPerFillSpread)),
+    }, rules);
+    values.push(calc.base);
+    total += calc.base;
+  }
+  values.sort((a, b) => a - b);
+
+  const p10 = percentile(values, 0.1);
+  const p50 = percentile(values, 0.5);
+  const p90 = percentile(values, 0.9);
+  const spread = p50 > 0 ? Number(((p90 - p10) / p50).toFixed(3)) : null;
+  const tier = spread == null ? null : u.grades.find((item) => spread <= item.maxSpread);
+  const reasons = [];
+  if (method === "fallback_no_dot_found") reasons.push("No DOT count was found for the entered road; AADT is the fallback value.");
+  if (method === "fallback_low_aadt") reasons.push("The DOT count was below the minimum and was replaced by the fallback value.");
+  if (ageYears != null && ageYears >= 3) reasons.push(`The AADT count is ${ageYears} years old.`);
+  if (miles != null && miles >= 0.5) reasons.push(`The AADT station is ${miles.toFixed(2)} mi from the site.`);
+  if (!reasons.length) reasons.push("AADT is a recent nearby count; remaining spread comes from competition and capture-rate ranges.");
+
+  return {
+    mode: "monte_carlo",
+    samples,
+    seed,
+    p10,
+    p50,
+    p90,
+    mean: Math.round(total / samples),
+    spread,
+    confidence: { grade: tier ? tier.grade : u.fallbackGrade, reasons },
+    drivers: {
+      aadt_method: method,
+      aadt_sigma: Number(aadtSigma.toFixed(3)),
+      aadt_station_age_years: ageYears,
+      aadt_station_miles: miles == null ? null : Number(miles.toFixed(2)),
+      missed_competitors_mean: Number(missedMean.toFixed(2)),
+      closed_competitor_rate: u.closedCompetitorRate,
+      traffic_pull_pct_range: [traffic * (1 - u.trafficPullSpread), traffic * (1 + u.trafficPullSpread)].map((value) => Number(value.toFixed(3))),
+      gallons_per_fill_range: [gallons * (1 - u.gallonsPerFillSpread), gallons * (1 + u.gallonsPerFillSpread)].map((value) => Number(value.toFixed(3))),
+    },
+  };
+}
+
+/**
+ * Replace the fixed low/high band on an `/estimate` result with P10/P90 and
+ * attach the full simulation as `probabilistic`. BASE stays the deterministic
+ * engine value so every downstream report keeps the same point estimate.
+ *
+ * @param {object} result `/estimate` response payload (mutated).
+ * @param {object} simulation Output of `simulateEstimate`.
+ * @returns {object} The result.
+ */
+export function applyProbabilisticRange(result, simulation) {
+  result.probabilistic = simulation;
+  result.low = simulation.p10;
+  result.high = simulation.p90;
+  result.estimate = {
+    ...(result.estimate || {}),
+    low: simulation.p10,
+    high: simulation.p90,
+    p50: simulation.p50,
+    range: `${simulation.p10}–${simulation.p90}`,
+    range_basis: "P10–P90",
+  };
+  return result;
+}
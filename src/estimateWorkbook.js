@@ -0,0 +1,245 @@
+import { brandTier } from "./competitionIndex.js";
+import { DEFAULT_ESTIMATE_RULES } from "./estimateEngine.js";
+import { buildXlsx } from "./xlsx.js";
+
+const METERS_PER_MILE = 1609.344;
+// Competitor formulas cover this many rows so analysts can add stations below the list.
+const MIN_COMPETITOR_ROWS = 200;
+const FIRST_LINE_ROW = 8;
+
+function finite(value) {
+  const number = Number(value);
+  return value != null && value !== "" && Number.isFinite(number) ? number : null;
+}
+
+function estimateLines(result, body, rules, competitorRows) {
+  const b = result.calc_breakdown || {};
+  const c = b.baselineComponents || {};
+  const rule = b.compRule || {};
+  const split = b.fuelSplit || {};
+  const index = rules.competition.index || DEFAULT_ESTIMATE_RULES.competition.index;
+  const range = (column) => `Competitors!$${column}$2:$${column}$${competitorRows + 1}`;
+  const lines = [];
+  const section = (title) => lines.push({ section: title });
+  const input = (key, label, value, note = "") => lines.push({ key, label, value, style: "input", note });
+  const calc = (key, label, formula, app, style = "integer", note = "") => lines.push({ key, label, formula, app: finite(app), style, note });
+
+  section("Inputs");
+  input("aadt", "AADT used", finite(result.inputs?.aadt_used ?? b.aadt), result.inputs?.aadt_components?.method ? `AADT method: ${result.inputs.aadt_components.method}` : "");
+  input("traffic_pct", "Traffic pull (%)", finite(c.trafficPullPct) ?? rules.baseline.trafficPullPct, "Share of AADT that stops for fuel");
+  input("gallons_per_fill", "Gallons per fill", finite(c.gallonsPerFill) ?? rules.baseline.gallonsPerFill);
+  input("days", "Days per month (baseline)", finite(c.days) ?? rules.baseline.days);
+  input("mpds", "Regular MPDs", finite(result.inputs?.mpds ?? body.mpds));
+  input("diesel", "Diesel MPDs", finite(result.inputs?.diesel ?? body.diesel) ?? 0);
+  input("price_position", "Price position", String(body.advanced?.price_position || result.inputs?.price_position || "inline"), "below, inline or above");
+  input("extras_mult", "User adjustments multiplier", finite(b.extrasMult) ?? 1, "Extras, rural bonus and low-rating penalty combined");
+  input("use_index", "Use weighted competition index", rule.basis === "index", "FALSE scores raw competitor counts instead");
+  input("truck_pct", "Truck share of AADT (%)", finite(split.truckPct) ?? rules.diesel.defaultTruckPct);
+
+  section("Competition rules");
+  rules.competition.tiers.forEach((tier, position) => {
+    if (tier.maxCount != null) input(`tier${position}_max`, `Tier ${position + 1} limit (count ${tier.exclusive ? "below" : "up to"})`, tier.maxCount);
+    input(`tier${position}_mult`, `Tier ${position + 1} multiplier`, tier.multiplier);
+  });
+  rules.competition.heavyPenalties.forEach((tier, position) => {
+    input(`heavy${position}_min`, `Big-box penalty ${position + 1} from count`, tier.minCount);
+    input(`heavy${position}_penalty`, `Big-box penalty ${position + 1}`, tier.penalty);
+  });
+  input("comp_floor", "Competition multiplier floor", rules.competition.floor);
+  input("adjust_counts", "Adjust detected counts", rules.competition.adjustCounts !== false, "Removes one detected station (0.8 when only one) before the tiers");
+  input("full_weight_mi", "Index: full weight within (mi)", index.fullWeightMi);
+  input("half_life_mi", "Index: weight halves every (mi)", index.halfLifeMi);
+  input("brand_heavy", "Index: big-box brand weight", index.brandWeights.heavy);
+  input("brand_major", "Index: major brand weight", index.brandWeights.major);
+  input("brand_unbranded", "Index: unbranded weight", index.brandWeights.unbranded);
+  input("reference_mpds", "Index: reference MPDs", index.referenceMpds);
+  input("mpds_weight_min", "Index: minimum size weight", index.mpdsWeightMin);
+  input("mpds_weight_max", "Index: maximum size weight", index.mpdsWeightMax);
+  input("opposite_side", "Index: opposite-side weight", index.oppositeSideWeight);
+
+  section("Capacity, price and range rules");
+  input("regular_rate", "Regular gal per MPD-hour", rules.caps.regularGallonsPerMpdHour);
+  input("diesel_rate", "Diesel gal per MPD-hour", rules.caps.dieselGallonsPerMpdHour);
+  input("hours", "Hours per day", rules.caps.hoursPerDay);
+  input("days_per_month", "Days per month (capacity)", rules.caps.daysPerMonth);
+  input("soft_per_mpd", "Soft cap per MPD (gal/mo)", rules.caps.softPerMpd);
+  input("hard_per_mpd", "Hard cap per MPD (gal/mo)", rules.caps.hardPerMpd);
+  input("soft_mult", "Soft cap penalty multiplier", rules.caps.softPenaltyMult);
+  input("price_below", "Below-market price multiplier", rules.price.below);
+  input("price_inline", "Inline price multiplier", rules.price.inline);
+  input("price_above", "Above-market price multiplier", rules.price.above);
+  input("low_mult", "Low range multiplier", rules.range.lowMult);
+  input("high_mult", "High range multiplier", rules.range.highMult);
+  input("growth_year2", "Year 2 growth", rules.growth.year2);
+  input("growth_year3", "Year 3 growth", rules.growth.year3);
+  input("truck_stop_rate", "Truck stop rate (diesel MPDs)", rules.diesel.truckStopRate);
+  input("truck_stop_rate_none", "Truck stop rate (no diesel MPDs)", rules.diesel.truckStopRateNoDieselMpds);
+  input("truck_fill", "Gallons per truck fill", rules.diesel.gallonsPerTruckFill);
+  input("auto_diesel_share", "Passenger diesel share", rules.diesel.autoDieselShare);
+
+  section("Baseline");
+  calc("baseline", "Baseline (gal/mo)", "{aadt}*{traffic_pct}/100*{gallons_per_fill}*{days}", b.baseline, "integer", "AADT × pull × gallons per fill × days");
+
+  section("Competition");
+  calc("detected", "Competitors detected", `COUNT(${range("C")})`, rule.detectedCount, "integer", "Rows on the Competitors sheet");
+  calc("detected_heavy", "Big-box competitors detected", `COUNTIF(${range("E")},"Yes")`, rule.detectedHeavyCount, "integer");
+  calc("index", "Competition index", `SUM(${range("L")})`, rule.index, "decimal", "Sum of the Competitors sheet weights; Fuel IQ rounds each weight to three decimals");
+  calc("heavy_index", "Big-box index", `SUM(${range("M")})`, rule.heavyIndex, "decimal");
+  calc("comp_count", "Competition count used", "IF({use_index},MAX(0,{index}),IF({adjust_counts},IF({detected}=1,{detected}-0.8,MAX(0,{detected}-1)),{detected}))", rule.compCount, "decimal");
+  calc("heavy_count", "Big-box count used", "IF({use_index},MIN(MAX(0,{heavy_index}),MAX(0,{index})),MIN({detected_heavy},{comp_count}))", rule.heavyCount, "decimal");
+  let tierFormula = "1";
+  for (let position = rules.competition.tiers.length - 1; position >= 0; position -= 1) {
+    const tier = rules.competition.tiers[position];
+    tierFormula = tier.maxCount == null
+      ? `{tier${position}_mult}`
+      : `IF({comp_count}${tier.exclusive ? "<" : "<="}{tier${position}_max},{tier${position}_mult},${tierFormula})`;
+  }
+  calc("base_mult", "Competition tier multiplier", `IF({comp_count}>0,${tierFormula},1)`, rule.baseMult, "decimal");
+  let penaltyFormula = "0";
+  for (let position = rules.competition.heavyPenalties.length - 1; position >= 0; position -= 1) {
+    penaltyFormula = `IF({heavy_count}>={heavy${position}_min},{heavy${position}_penalty},${penaltyFormula})`;
+  }
+  calc("heavy_penalty", "Big-box penalty", penaltyFormula, rule.heavyPenalty, "decimal");
+  calc("comp_mult", "Competition multiplier", "MAX({comp_floor},{base_mult}-{heavy_penalty})", rule.compMult, "decimal");
+  calc("after_comp", "After competition (gal/mo)", "{baseline}*{comp_mult}", rule.afterComp);
+
+  section("Caps, price and clamp");
+  calc("cap_equip", "Equipment cap (gal/mo)", "({mpds}*{regular_rate}+{diesel}*{diesel_rate})*{hours}*{days_per_month}", b.caps?.capEquip);
+  calc("cap_soft", "Soft cap (gal/mo)", "{mpds}*{soft_per_mpd}", b.caps?.capSoftTotal);
+  calc("cap_hard", "Hard cap (gal/mo)", "{mpds}*{hard_per_mpd}", b.caps?.capHardTotal);
+  calc("capped", "After caps (gal/mo)", "IF({after_comp}>{cap_soft},ROUND(MIN({after_comp},{cap_equip},{cap_hard})*{soft_mult},0),MIN({after_comp},{cap_equip},{cap_hard}))", null, "integer", "Lowest cap applies; above the soft cap the penalty multiplier also applies");
+  calc("price_mult", "Price multiplier", 'IF({price_position}="below",{price_below},IF({price_position}="above",{price_above},{price_inline}))', b.priceMult, "decimal");
+  calc("pre_clamp", "Before baseline clamp (gal/mo)", "ROUND({capped}*{price_mult}*{extras_mult},0)", b.preClamp);
+  calc("base", "BASE (gal/mo)", "MIN({pre_clamp},ROUND({baseline},0))", b.finalClampedToBaseline ?? result.base, "integer", "Never above the baseline");
+  calc("low", "LOW (gal/mo)", "ROUND({base}*{low_mult},0)", result.low, "integer", result.probabilistic ? "Fuel IQ result is the Monte Carlo P10" : "");
+  calc("high", "HIGH (gal/mo)", "ROUND({base}*{high_mult},0)", result.high, "integer", result.probabilistic ? "Fuel IQ result is the Monte Carlo P90" : "");
+  calc("year2", "Year 2 (gal/mo)", "ROUND({base}*{growth_year2},0)", result.year2);
+  calc("year3", "Year 3 (gal/mo)", "ROUND({base}*{growth_year2}*{growth_year3},0)", result.year3);
+
+  section("Gasoline / diesel split");
+  calc("stop_rate", "Truck stop rate used", "IF({diesel}>0,{truck_stop_rate},{truck_stop_rate_none})", split.truckStopRate, "decimal");
+  calc("truck_weight", "Truck gallons weight", "MIN({truck_pct},100)/100*{stop_rate}*{truck_fill}", null, "decimal");
+  calc("car_weight", "Car gallons weight", "(1-MIN({truck_pct},100)/100)*{gallons_per_fill}", null, "decimal");
+  calc("truck_share", "Truck share of gallons", "IF({truck_weight}+{car_weight}>0,{truck_weight}/({truck_weight}+{car_weight}),0)", split.truckGallonsShare, "percent");
+  calc("truck_diesel", "Truck diesel (gal/mo)", "ROUND({base}*{truck_share},0)", split.truckDiesel);
+  calc("auto_diesel", "Passenger diesel (gal/mo)", "ROUND(({base}-{truck_diesel})*{auto_diesel_share},0)", split.autoDiesel);
+  calc("diesel_gallons", "Diesel (gal/mo)", "{truck_diesel}+{auto_diesel}", split.diesel);
+  calc("gasoline", "Gasoline (gal/mo)", "{base}-{diesel_gallons}", split.gasoline);
+  return lines;
+}
+
+function estimateSheet(result, body, rules, competitorRows) {
+  const lines = estimateLines(result, body, rules, competitorRows);
+  const refs = {};
+  lines.forEach((line, position) => {
+    line.row = FIRST_LINE_ROW + position;
+    if (line.key) refs[line.key] = `$B$${line.row}`;
+  });
+  const resolve = (formula) => formula.replace(/\{(\w+)\}/g, (_, key) => {
+    if (!refs[key]) throw new Error(`Workbook formula refers to unknown cell "${key}"`);
+    return refs[key];
+  });
+  const profile = result.calc_breakdown?.profile;
+  const rows = [
+    [{ value: "Fuel IQ estimate workbook", style: "title" }],
+    ["Site", result.map?.site?.label || body.address || ""],
+    ["Rule profile", `${profile?.label || "Standard"}${result.calc_breakdown?.engine_version ? ` (engine ${result.calc_breakdown.engine_version})` : ""}`],
+    ["Prepared", new Date().toISOString()],
+    ["Shaded cells are assumptions. Change them and the estimate below recalculates; the Fuel IQ result column keeps the app's numbers for comparison."],
+    [],
+    ["Item", "Value", "Fuel IQ result", "Notes"].map((value) => ({ value, style: "header" })),
+  ];
+  for (const line of lines) {
+    if (line.section) {
+      rows.push([{ value: line.section, style: "header" }, { value: null, style: "header" }, { value: null, style: "header" }, { value: null, style: "header" }]);
+    } else if (line.formula) {
+      rows.push([line.label, { formula: resolve(line.formula), value: line.app ?? undefined, style: line.style }, line.app == null ? null : { value: line.app, style: line.style }, line.note || null]);
+    } else {
+      rows.push([line.label, { value: line.value, style: "input" }, null, line.note || null]);
+    }
+  }
+  return { sheet: { name: "Estimate", rows, widths: [36, 16, 16, 60], freezeHeader: false }, refs };
+}
+
+function competitorSheet(result, rules, refs, competitorRows) {
+  const e = (key) => `Estimate!${refs[key]}`;
+  const contributions = result.calc_breakdown?.compRule?.contributions || [];
+  const header = ["Name", "Brand", "Miles", "MPDs", "Big box", "Brand tier", "Side of road", "Distance weight", "Brand weight", "Size weight", "Side weight", "Index weight", "Big-box weight", "Source", "Latitude", "Longitude"];
+  const rows = [header.map((value) => ({ value, style: "header" }))];
+  (result.map?.competitors || []).forEach((item, position) => {
+    const r = position + 2;
+    const contribution = contributions[position]?.name === (item.name || item.brand || "Fuel station") ? contributions[position] : null;
+    const weights = contribution?.weights || {};
+    rows.push([
+      item.name || null,
+      item.brand || null,
+      finite(item.miles),
+      finite(item.mpds),
+      item.heavy ? "Yes" : "No",
+      contribution?.brand_tier || brandTier(item),
+      contribution?.side || "unknown",
+      { formula: `IF(C${r}<=${e("full_weight_mi")},1,0.5^((C${r}-${e("full_weight_mi")})/${e("half_life_mi")}))`, value: finite(weights.distance) ?? undefined, style: "decimal" },
+      { formula: `IF(F${r}="heavy",${e("brand_heavy")},IF(F${r}="major",${e("brand_major")},${e("brand_unbranded")}))`, value: finite(weights.brand) ?? undefined, style: "decimal" },
+      { formula: `IF(D${r}>0,MIN(${e("mpds_weight_max")},MAX(${e("mpds_weight_min")},SQRT(D${r}/${e("reference_mpds")}))),1)`, value: finite(weights.mpds) ?? undefined, style: "decimal" },
+      { formula: `IF(G${r}="on_site",0,IF(G${r}="opposite",${e("opposite_side")},1))`, value: finite(weights.side) ?? undefined, style: "decimal" },
+      { formula: `H${r}*I${r}*J${r}*K${r}`, value: finite(contribution?.weight ?? item.index_weight) ?? undefined, style: "decimal" },
+      { formula: `IF(F${r}="heavy",L${r}/I${r},0)`, value: finite(contribution?.heavy_weight) ?? undefined, style: "decimal" },
+      item.source || null,
+      finite(item.lat),
+      finite(item.lon),
+    ]);
+  });
+  if (rows.length === 1) rows.push(["No competitor was verified in the search area."]);
+  return { name: "Competitors", rows, widths: [30, 16, 9, 8, 9, 11, 13, 11, 11, 11, 11, 11, 12, 14, 11, 11] };
+}
+
+function aadtSheet(result) {
+  const used = result.map?.aadt_used || {};
+  const header = ["Route", "Location", "AADT", "Year", "Distance (mi)", "Truck %", "Used for estimate", "Station ID", "State", "Latitude", "Longitude"];
+  const rows = [header.map((value) => ({ value, style: "header" }))];
+  for (const station of result.map?.aadt || []) {
+    const isUsed = finite(station.lat) === finite(used.lat) && finite(station.lon) === finite(used.lon) && finite(station.aadt) === finite(used.aadt);
+    rows.push([
+      station.route || null,
+      station.location || null,
+      { value: finite(station.aadt), style: "integer" },
+      finite(station.year),
+      { value: finite(station.distM) == null ? null : finite(station.distM) / METERS_PER_MILE, style: "decimal" },
+      finite(station.truck_pct),
+      isUsed ? "Yes" : "",
+      station.station_id == null ? null : String(station.station_id),
+      station.state || null,
+      finite(station.lat),
+      finite(station.lon),
+    ]);
+  }
+  if (rows.length === 1) rows.push(["No AADT station was returned for this site."]);
+  return { name: "AADT stations", rows, widths: [22, 34, 11, 8, 13, 9, 16, 14, 7, 11, 11] };
+}
+
+function developmentSheet(result) {
+  const header = ["Name", "Town / county", "State", "Status", "Date", "Details"];
+  const rows = [header.map((value) => ({ value, style: "header" }))];
+  for (const item of Array.isArray(result.csv) ? result.csv : []) {
+    rows.push([item.name || null, item.town || null, item.state || null, item.status || null, item.date || null, item.details || null]);
+  }
+  if (rows.length === 1) rows.push(["No flagged development matched this site's city or county."]);
+  return { name: "Developments", rows, widths: [28, 22, 7, 16, 12, 70] };
+}
+
+/**
+ * XLSX workbook for one estimate: an Estimate sheet whose formulas reproduce
+ * the baseline → competition → caps → price → clamp chain (and the fuel
+ * split) from editable assumption cells, plus Competitors (index weights as
+ * formulas feeding the Estimate sheet), AADT stations and Developments.
+ *
+ * @param {object} result `/estimate` payload.
+ * @param {object} [body] Estimate request body (address, MPDs fallbacks).
+ * @param {object} [rules] Estimate rules the result was computed with.
+ * @returns {Buffer}
+ */
+export function buildEstimateWorkbook(result, body = {}, rules = DEFAULT_ESTIMATE_RULES) {
+  const competitorRows = Math.max(MIN_COMPETITOR_ROWS, (result.map?.competitors || []).length);
+  const { sheet, refs } = estimateSheet(result, body, rules, competitorRows);
+  return buildXlsx([sheet, competitorSheet(result, rules, refs, competitorRows), aadtSheet(result), developmentSheet(result)]);
+}
@@ -0,0 +1,305 @@
+/**
+ * Drive-time trade areas from the OSM road network.
+ *
+ * Ways come from Overpass (`roadNetworkQuery`, `out geom`) and become a
+ * directed graph whose edge cost is travel time at the posted speed (or a
+ * class default) times a road-class factor for signals and turns. Dijkstra
+ * runs backwards from the site, so each minute ring holds the roads a
+ * customer could drive from to reach the site in that time. The ring joins
+ * the farthest reachable (slightly buffered) road point in each 5° sector.
+ */
+
+export const DEFAULT_TRADE_AREA_MINUTES = Object.freeze([3, 5, 8]);
+export const MAX_TRADE_AREA_MINUTES = 15;
+const SECTORS = 72;
+const MIN_RING_MI = 0.05;
+const ROAD_BUFFER_MI = 0.08;
+const MAX_SNAP_MI = 0.5;
+const SNAP_MPH = 15;
+const EARTH_MILES = 3958.8;
+
+// Default mph when `maxspeed` is missing, and the share of it a car actually
+// averages on that class once signals, turns and stops are counted.
+const ROAD_CLASSES = {
+  motorway: { mph: 65, factor: 0.9 },
+  trunk: { mph: 55, factor: 0.8 },
+  primary: { mph: 45, factor: 0.7 },
+  secondary: { mph: 40, factor: 0.65 },
+  tertiary: { mph: 35, factor: 0.6 },
+  unclassified: { mph: 30, factor: 0.6 },
+  residential: { mph: 25, factor: 0.55 },
+};
+
+/**
+ * Posted speed in mph from an OSM `maxspeed` tag ("45 mph", "45").
+ *
+ * @param {unknown} value
+ * @returns {number|null}
+ */
+export function parseMaxspeed(value) {
+  const match = String(value || "").match(/(\d+)\s*(mph)?/i);
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Parse the `tradeArea` request option: `true` uses 3/5/8 minutes with the
+ * 5-minute ring for competitors; `{ minutes: [..], use: n }` picks both.
+ *
+ * @param {object} body Request body.
+ * @returns {{ minutes: number[], use: number }|null}
+ */
+export function tradeAreaOptions(body) {
+  const option = body?.tradeArea;
+  if (option === true || option === "true") return { minutes: [...DEFAULT_TRADE_AREA_MINUTES], use: 5 };
+  if (!option || typeof option !== "object") return null;
+  const valid = (value) => Number.isFinite(value) && value > 0 && value <= MAX_TRADE_AREA_MINUTES;
+  const list = (Array.isArray(option.minutes) ? option.minutes : String(option.minutes ?? "").split(",")).map(Number).filter(valid);
+  const requested = list.length ? list : [...DEFAULT_TRADE_AREA_MINUTES];
+  const use = valid(Number(option.use)) ? Number(option.use) : requested.includes(5) ? 5 : Math.max(...requested);
+  return { minutes: [...new Set([...requested, use])].sort((a, b) => a - b).slice(0, 6), use };
+}
+
+/**
+ * Search radius for the road network: far enough for the longest ring at
+ * arterial speeds, capped so Overpass stays responsive.
+ *
+ * @param {number} minutes
+ * @returns {number}
+ */
+export function networkRadiusMi(minutes) {
+  return Math.min(6, Math.max(1, minutes * 0.7));
+}
+
+/**
+ * Overpass QL for the drivable network around a site. Residential streets
+ * are only fetched close to the site, where they matter for access.
+ *
+ * @param {number} lat
+ * @param {number} lon
+ * @param {number} radiusMi
+ * @returns {string}
+ */
+export function roadNetworkQuery(lat, lon, radiusMi) {
+  const meters = Math.round(radiusMi * 1609.344);
+  const local = Math.round(Math.min(radiusMi, 1) * 1609.344);
+  return `[out:json][timeout:60];(way(around:${meters},${lat},${lon})["highway"~"^(motorway|trunk|primary|secondary|tertiary|unclassified)(_link)?$"];way(around:${local},${lat},${lon})["highway"="residential"];);out body geom;`;
+}
+
+function milesBetween(a, b) {
+  const rad = Math.PI / 180;
+  const dLat = (b.lat - a.lat) * rad;
+  const dLon = (b.lon - a.lon) * rad;
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(a.lat * rad) * Math.cos(b.lat * rad) * Math.sin(dLon / 2) ** 2;
+  return EARTH_MILES * 2 * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+}
+
+function wayMinutesPerMile(tags) {
+  const road = ROAD_CLASSES[String(tags.highway || "").replace("_link", "")];
+  if (!road) return null;
+  const mph = parseMaxspeed(tags.maxspeed) || road.mph;
+  return 60 / (mph * road.factor);
+}
+
+function wayDirection(tags) {
+  const oneway = String(tags.oneway || "").toLowerCase();
+  if (oneway === "-1" || oneway === "reverse") return -1;
+  if (["yes", "true", "1"].includes(oneway)) return 1;
+  if (oneway === "no") return 0;
+  return tags.highway === "motorway" || tags.junction === "roundabout" ? 1 : 0;
+}
+
+/**
+ * Reverse road graph: `edges.get(node)` lists the nodes a car could have come
+ * from, with minutes, so a search from the site measures time *to* the site.
+ *
+ * @param {Array<object>} elements Overpass ways with `nodes` and `geometry`.
+ * @returns {{ points: Map<number, { lat: number, lon: number }>, edges: Map<number, Array<{ to: number, minutes: number }>> }}
+ */
+export function buildRoadGraph(elements) {
+  const points = new Map();
+  const edges = new Map();
+  const link = (from, to, minutes) => {
+    if (!edges.has(from)) edges.set(from, []);
+    edges.get(from).push({ to, minutes });
+  };
+  for (const way of elements || []) {
+    if (way?.type && way.type !== "way") continue;
+    const tags = way.tags || {};
+    const minutesPerMile = wayMinutesPerMile(tags);
+    const nodes = way.nodes || [];
+    const geometry = way.geometry || [];
+    if (!minutesPerMile || nodes.length < 2 || nodes.length !== geometry.length) continue;
+    const direction = wayDirection(tags);
+    for (let i = 0; i < nodes.length; i += 1) points.set(nodes[i], { lat: geometry[i].lat, lon: geometry[i].lon });
+    for (let i = 1; i < nodes.length; i += 1) {
+      const minutes = milesBetween(geometry[i - 1], geometry[i]) * minutesPerMile;
+      // Travel a → b is reversed to b → a in the graph.
+      if (direction >= 0) link(nodes[i], nodes[i - 1], minutes);
+      if (direction <= 0) link(nodes[i - 1], nodes[i], minutes);
+    }
+  }
+  return { points, edges };
+}
+
+class MinHeap {
+  constructor() { this.items = []; }
+  get size() { return this.items.length; }
+  push(item) {
+    const a = this.items;
+    a.push(item);
+    for (let i = a.length - 1; i > 0;) {
+      const parent = (i - 1) >> 1;
+      if (a[parent][0] <= a[i][0]) break;
+      [a[parent], a[i]] = [a[i], a[parent]];
+      i = parent;
+    }
+  }
+  pop() {
+    const a = this.items;
+    const top = a[0];
+    const last = a.pop();
+    if (a.length) {
+      a[0] = last;
+      for (let i = 0; ;) {
+        const l = i * 2 + 1;
+        const r = l + 1;
+        let m = i;
+        if (l < a.length && a[l][0] < a[m][0]) m = l;
+        if (r < a.length && a[r][0] < a[m][0]) m = r;
+        if (m === i) break;
+        [a[m], a[i]] = [a[i], a[m]];
+        i = m;
+      }
+    }
+    return top;
+  }
+}
+
+function nearestNode(points, site) {
+  let best = null;
+  for (const [id, point] of points) {
+    if (Math.abs(point.lat - site.lat) > 0.02 || Math.abs(point.lon - site.lon) > 0.02) continue;
+    const miles = milesBetween(site, point);
+    if (!best || miles < best.miles) best = { id, miles };
+  }
+  return best && best.miles <= MAX_SNAP_MI ? best : null;
+}
+
+function ring(site, reached) {
+  const rad = Math.PI / 180;
+  const cosLat = Math.cos(site.lat * rad);
+  const toMiles = 69.05;
+  const sectorDeg = 360 / SECTORS;
+  const farthest = Array.from({ length: SECTORS }, (_, sector) => {
+    const bearing = (sector + 0.5) * sectorDeg * rad;
+    return { x: MIN_RING_MI * Math.sin(bearing), y: MIN_RING_MI * Math.cos(bearing), miles: MIN_RING_MI };
+  });
+  // Each road point also stands for a small buffer around it, so stations
+  // set back from a road that forms a narrow spike still fall inside.
+  const offsets = [[0, 0], [ROAD_BUFFER_MI, 0], [-ROAD_BUFFER_MI, 0], [0, ROAD_BUFFER_MI], [0, -ROAD_BUFFER_MI]];
+  for (const point of reached) {
+    const px = (point.lon - site.lon) * cosLat * toMiles;
+    const py = (point.lat - site.lat) * toMiles;
+    for (const [ox, oy] of offsets) {
+      const x = px + ox;
+      const y = py + oy;
+      const miles = Math.hypot(x, y);
+      const sector = Math.floor((((Math.atan2(x, y) / rad) + 360) % 360) / sectorDeg) % SECTORS;
+      if (miles > farthest[sector].miles) farthest[sector] = { x, y, miles };
+    }
+  }
+  // Vertices sit on the actual farthest points (not the sector centre line),
+  // so a straight road out to a vertex stays inside the ring.
+  const coordinates = farthest.map(({ x, y }) => [Number((site.lon + x / toMiles / cosLat).toFixed(6)), Number((site.lat + y / toMiles).toFixed(6))]);
+  coordinates.push(coordinates[0]);
+  const areaSqMi = Math.abs(farthest.reduce((sum, a, i) => {
+    const b = farthest[(i + 1) % SECTORS];
+    return sum + a.x * b.y - b.x * a.y;
+  }, 0)) / 2;
+  return { coordinates, areaSqMi, maxMiles: Math.max(...farthest.map((item) => item.miles)) };
+}
+
+/**
+ * Drive-time polygons around a site as a GeoJSON FeatureCollection, largest
+ * ring first so map layers stack with the smallest on top.
+ *
+ * @param {Array<object>} elements Overpass ways (`roadNetworkQuery`).
+ * @param {{ lat: number, lon: number }} site
+ * @param {number[]} [minutes]
+ * @returns {{ type: "FeatureCollection", features: Array<object>, snap_mi: number, ways: number }}
+ */
+export function buildIsochrones(elements, site, minutes = DEFAULT_TRADE_AREA_MINUTES) {
+  const { points, edges } = buildRoadGraph(elements);
+  const start = nearestNode(points, site);
+  if (!start) throw new Error("No drivable road was found within 0.5 mi of the site");
+  const limit = Math.max(...minutes);
+  const best = new Map([[start.id, (start.miles / SNAP_MPH) * 60]]);
+  const heap = new MinHeap();
+  heap.push([best.get(start.id), start.id]);
+  const partial = [];
+  while (heap.size) {
+    const [time, node] = heap.pop();
+    if (time > best.get(node)) continue;
+    for (const edge of edges.get(node) || []) {
+      const next = time + edge.minutes;
+      // Keep where each ring limit cuts through an edge, so rings reach the
+      // true drive-time frontier instead of stopping at the last node.
+      for (const cut of minutes) {
+        if (time < cut && next > cut) partial.push({ cut, from: node, to: edge.to, share: (cut - time) / edge.minutes });
+      }
+      if (next <= limit && next < (best.get(edge.to) ?? Infinity)) {
+        best.set(edge.to, next);
+        heap.push([next, edge.to]);
+      }
+    }
+  }
+
+  const features = [...minutes].sort((a, b) => b - a).map((cut) => {
+    const reached = [];
+    for (const [node, time] of best) if (time <= cut) reached.push(points.get(node));
+    for (const item of partial) {
+      if (item.cut !== cut) continue;
+      const a = points.get(item.from);
+      const b = points.get(item.to);
+      reached.push({ lat: a.lat + (b.lat - a.lat) * item.share, lon: a.lon + (b.lon - a.lon) * item.share });
+    }
+    const shape = ring(site, reached);
+    return {
+      type: "Feature",
+      geometry: { type: "Polygon", coordinates: [shape.coordinates] },
+      properties: { minutes: cut, area_sq_mi: Number(shape.areaSqMi.toFixed(2)), max_miles: Number(shape.maxMiles.toFixed(2)), road_points: reached.length },
+    };
+  });
+  return { type: "FeatureCollection", features, snap_mi: Number(start.miles.toFixed(3)), ways: (elements || []).length };
+}
+
+/**
+ * Whether a point lies inside a GeoJSON Polygon feature (outer ring only).
+ *
+ * @param {object} feature
+ * @param {number} lat
+ * @param {number} lon
+ * @returns {boolean}
+ */
+export function pointInFeature(feature, lat, lon) {
+  const ringCoords = feature?.geometry?.coordinates?.[0];
+  if (!Array.isArray(ringCoords) || !Number.isFinite(lat) || !Number.isFinite(lon)) return false;
+  let inside = false;
+  for (let i = 0, j = ringCoords.length - 1; i < ringCoords.length; j = i, i += 1) {
+    const [xi, yi] = ringCoords[i];
+    const [xj, yj] = ringCoords[j];
+    if ((yi > lat) !== (yj > lat) && lon < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+/**
+ * Ring for `minutes` from a FeatureCollection built by `buildIsochrones`.
+ *
+ * @param {object} collection
+ * @param {number} minutes
+ * @returns {object|null}
+ */
+export function isochroneFor(collection, minutes) {
+  return (collection?.features || []).find((feature) => feature.properties?.minutes === minutes) || null;
+}
@@ -0,0 +1,102 @@
+import express from "express";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { GridIndex } from "./spatialIndex.js";
+
+// PennDOT traffic-signal points bundled as public/signals.js (AADT and truck
+// share at each signal), indexed for nearby lookups by the AADT picker, the
+// truck-share fallback and GET /api/signals/nearby.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SIGNALS_FILE = path.join(__dirname, "..", "public", "signals.js");
+const METERS_PER_MILE = 1609.344;
+const MAX_RADIUS_MI = 5;
+const MAX_RESULTS = 200;
+export const SIGNAL_SOURCE_TITLE = "PennDOT traffic signal AADT (bundled dataset)";
+
+let index = null;
+
+function finite(value) {
+  const number = Number(value);
+  return value != null && value !== "" && Number.isFinite(number) ? number : null;
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+function loadIndex() {
+  if (index) return index;
+  let rows = [];
+  try {
+    const raw = fs.readFileSync(SIGNALS_FILE, "utf8");
+    const start = raw.indexOf("[");
+    const end = raw.lastIndexOf("]");
+    rows = start >= 0 && end > start ? JSON.parse(raw.slice(start, end + 1)) : [];
+  } catch {
+    rows = [];
+  }
+  index = new GridIndex(rows
+    .filter((row) => Number.isFinite(row?.lat) && Number.isFinite(row?.lon))
+    .map((row) => ({ row, bbox: [row.lon, row.lat, row.lon, row.lat], paths: [[[row.lon, row.lat]]] })));
+  return index;
+}
+
+// PennDOT state route numbers are zero-padded ("0513"); segment codes such
+// as "H237" are kept as published.
+function routeLabel(stateRoute) {
+  const route = String(stateRoute || "").trim();
+  if (!route) return null;
+  return /^\d+$/.test(route) ? `SR ${Number(route)}` : `SR ${route}`;
+}
+
+/**
+ * Bundled PennDOT signals near a point, closest first, in the AADT item shape
+ * `/aadt/nearby` returns. `truck_pct` is the signal's published share as-is.
+ *
+ * @param {number} lat
+ * @param {number} lon
+ * @param {number} [radiusMi]
+ * @param {{ limit?: number }} [options]
+ * @returns {object[]}
+ */
+export function nearbySignals(lat, lon, radiusMi = 1, { limit = MAX_RESULTS } = {}) {
+  if (!Number.isFinite(lat) || !Number.isFinite(lon)) return [];
+  const radiusM = clamp(Number(radiusMi) || 1, 0.05, MAX_RADIUS_MI) * METERS_PER_MILE;
+  return loadIndex().nearby(lat, lon, radiusM).slice(0, clamp(Number(limit) || MAX_RESULTS, 1, MAX_RESULTS)).map(({ item: { row }, distM }) => ({
+    lat: row.lat,
+    lon: row.lon,
+    miles: Number((distM / METERS_PER_MILE).toFixed(3)),
+    aadt: finite(row.aadt),
+    year: null,
+    truck_pct: finite(row.truckPct),
+    route: routeLabel(row.stateRoute),
+    state_route: row.stateRoute || null,
+    location: `PennDOT signal #${row.id}`,
+    station_id: `signal-${row.id}`,
+    signal_id: row.id,
+    district: finite(row.district),
+    county_code: finite(row.countyCode),
+    source_url: null,
+    source_title: SIGNAL_SOURCE_TITLE,
+    state: "PA",
+    discovery_method: "bundled PennDOT signal dataset",
+  }));
+}
+
+export function registerSignalRoutes(app) {
+  const router = express.Router();
+
+  router.get("/api/signals/nearby", (req, res) => {
+    const lat = Number(req.query.lat);
+    const lon = Number(req.query.lon);
+    if (!Number.isFinite(lat) || !Number.isFinite(lon)) return res.status(400).json({ ok: false, status: "lat/lon required", items: [] });
+    const radiusMi = clamp(Number(req.query.radiusMi) || 1, 0.05, MAX_RADIUS_MI);
+    const items = nearbySignals(lat, lon, radiusMi, { limit: Number(req.query.limit) || MAX_RESULTS });
+    res.setHeader("Cache-Control", "private, max-age=300");
+    res.json({ ok: true, count: items.length, radius_mi: radiusMi, items, source_title: SIGNAL_SOURCE_TITLE });
+  });
+
+  app.use(router);
+}
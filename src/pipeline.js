@@ -0,0 +1,187 @@
+import express from "express";
+import { pinSiteResearchReport } from "./siteResearchExhaustive.js";
+import { latestEstimate, saveSite, timelineEntry } from "./sites.js";
+import { openStore } from "./store.js";
+
+export const DEAL_STAGES = [
+  { key: "lead", label: "Lead" },
+  { key: "contacted", label: "Contacted" },
+  { key: "loi", label: "LOI" },
+  { key: "diligence", label: "Diligence" },
+  { key: "closed", label: "Closed" },
+  { key: "lost", label: "Lost" },
+];
+const STAGE_KEYS = DEAL_STAGES.map((stage) => stage.key);
+const CSV_COLUMNS = [
+  ["deal_id", (deal) => deal.id],
+  ["address", (deal) => deal.site?.address],
+  ["stage", (deal) => DEAL_STAGES.find((stage) => stage.key === deal.stage)?.label],
+  ["owner", (deal) => deal.owner],
+  ["next_action", (deal) => deal.next_action],
+  ["next_action_date", (deal) => deal.next_action_date],
+  ["overdue", (deal) => (deal.overdue ? "yes" : "")],
+  ["mpds", (deal) => deal.site?.mpds],
+  ["diesel", (deal) => deal.site?.diesel],
+  ["estimate_base_gal_mo", (deal) => deal.estimate?.base],
+  ["estimate_date", (deal) => deal.estimate?.created_at?.slice(0, 10)],
+  ["tags", (deal) => (deal.site?.tags || []).join("; ")],
+  ["notes", (deal) => deal.notes],
+  ["research_report_url", (deal) => deal.links.research_word],
+  ["updated_at", (deal) => deal.updated_at],
+];
+
+const clean = (value, max = 3000) => String(value ?? "").replace(/\u0000/g, "").trim().slice(0, max);
+const today = () => new Date().toISOString().slice(0, 10);
+
+function csvCell(value) {
+  const text = String(value ?? "");
+  // Text starting with =, +, - or @ would run as a formula when opened in Excel.
+  const safe = typeof value === "string" && /^[=+\-@]/.test(text) ? `'${text}` : text;
+  return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+}
+
+/**
+ * Validate the editable deal fields. Only fields present in the body are
+ * returned, so a POST can move a card without resending the rest.
+ *
+ * @param {object} body `{ stage, owner, next_action, next_action_date, research_report_id, estimate_id, notes }`.
+ * @returns {object}
+ */
+export function dealFields(body = {}) {
+  const fields = {};
+  if (body.stage !== undefined) {
+    fields.stage = clean(body.stage, 40).toLowerCase();
+    if (!STAGE_KEYS.includes(fields.stage)) throw new Error(`Stage must be one of ${STAGE_KEYS.join(", ")}.`);
+  }
+  if (body.owner !== undefined) fields.owner = clean(body.owner, 120);
+  if (body.next_action !== undefined) fields.next_action = clean(body.next_action, 500);
+  if (body.next_action_date !== undefined) {
+    const date = clean(body.next_action_date, 10);
+    if (date && !(/^\d{4}-\d{2}-\d{2}$/.test(date) && !Number.isNaN(Date.parse(`${date}T00:00:00Z`)))) throw new Error("Next action date must be YYYY-MM-DD.");
+    fields.next_action_date = date || null;
+  }
+  for (const key of ["research_report_id", "estimate_id"]) {
+    if (body[key] !== undefined) fields[key] = clean(body[key], 80) || null;
+  }
+  if (body.notes !== undefined) fields.notes = clean(body.notes, 4000);
+  return fields;
+}
+
+/**
+ * Create or update the deal for a saved site (one deal per site, keyed by the
+ * site id). A body with an `address` and no `site_id` saves the site first.
+ * Stage changes are appended to `stage_history`; a linked research report is
+ * pinned so it no longer expires.
+ *
+ * @param {object} body Deal fields plus `site_id` or site fields.
+ * @param {import("./store.js").Store} [store]
+ * @returns {{ deal: object, created: boolean }}
+ */
+export function saveDeal(body = {}, store = openStore()) {
+  const fields = dealFields(body);
+  const sites = store.collection("sites");
+  const deals = store.collection("deals");
+  let site = body.site_id ? sites.get(body.site_id) : null;
+  if (body.site_id && !site) throw Object.assign(new Error("Site not found."), { status: 404 });
+  if (!site) {
+    if (!body.address) throw new Error("Choose a saved site or enter an address.");
+    ({ site } = saveSite({ address: body.address, mpds: body.mpds, diesel: body.diesel, notes: body.site_notes, tags: body.tags }, store));
+  }
+  const now = new Date().toISOString();
+  const found = deals.get(site.id);
+  const deal = found || { id: site.id, site_id: site.id, stage: "lead", owner: "", next_action: "", next_action_date: null, research_report_id: null, estimate_id: null, notes: "", created_at: now, stage_history: [] };
+  if (!found || (fields.stage && fields.stage !== deal.stage)) deal.stage_history = [...deal.stage_history, { stage: fields.stage || deal.stage, at: now }];
+  Object.assign(deal, fields, { updated_at: now });
+  // A report the card links must outlive the research cache.
+  if (fields.research_report_id) pinSiteResearchReport(fields.research_report_id, store);
+  deals.put(deal);
+  return { deal, created: !found };
+}
+
+/**
+ * Deal as shown on the board: the deal with its site, the linked (or latest)
+ * estimate's headline numbers and links to the estimate history, the site
+ * research report and the deal memo.
+ *
+ * @param {object} deal
+ * @param {import("./store.js").Store} [store]
+ * @returns {object}
+ */
+export function dealView(deal, store = openStore()) {
+  const site = store.collection("sites").get(deal.site_id);
+  const estimate = (deal.estimate_id && store.collection("estimates").get(deal.estimate_id)) || latestEstimate(site, store);
+  const reportId = deal.research_report_id || site?.latest_research_report_id || null;
+  const entry = estimate ? timelineEntry(estimate) : null;
+  return {
+    ...deal,
+    overdue: Boolean(deal.next_action_date && deal.next_action_date < today() && !["closed", "lost"].includes(deal.stage)),
+    site: site ? { id: site.id, address: site.address, mpds: site.mpds ?? null, diesel: site.diesel ?? null, tags: site.tags || [], lat: site.lat ?? null, lon: site.lon ?? null } : null,
+    estimate: entry ? { id: entry.id, created_at: entry.created_at, base: entry.base, low: entry.low, high: entry.high } : null,
+    links: {
+      site: `/api/sites/${encodeURIComponent(deal.site_id)}`,
+      research_report: reportId ? `/api/site-research/report/${encodeURIComponent(reportId)}` : null,
+      research_word: reportId ? `/api/site-research/word/${encodeURIComponent(reportId)}` : null,
+      memo: entry || reportId ? `/api/sites/${encodeURIComponent(deal.site_id)}/memo.docx` : null,
+    },
+  };
+}
+
+/**
+ * Board deals, optionally filtered by stage or owner, ordered by next action
+ * date (undated last) and then most recently updated.
+ *
+ * @param {{ stage?: string, owner?: string }} [filter]
+ * @param {import("./store.js").Store} [store]
+ * @returns {Array<object>}
+ */
+export function listDeals({ stage, owner } = {}, store = openStore()) {
+  const wantedOwner = clean(owner, 120).toLowerCase();
+  return store.collection("deals").list()
+    .filter((deal) => (!stage || deal.stage === stage) && (!wantedOwner || String(deal.owner).toLowerCase() === wantedOwner))
+    .map((deal) => dealView(deal, store))
+    .sort((a, b) => String(a.next_action_date || "9999").localeCompare(String(b.next_action_date || "9999")) || String(b.updated_at).localeCompare(String(a.updated_at)));
+}
+
+/** CSV export of board deals (header row, CRLF line endings). */
+export function dealsCsv(deals) {
+  const lines = [CSV_COLUMNS.map(([name]) => name).join(",")];
+  for (const deal of deals) lines.push(CSV_COLUMNS.map(([, value]) => csvCell(value(deal))).join(","));
+  return `${lines.join("\r\n")}\r\n`;
+}
+
+export function registerPipelineRoutes(app) {
+  const router = express.Router();
+  router.use(express.json({ limit: "1mb" }));
+
+  router.get("/", (req, res) => {
+    try {
+      res.setHeader("Cache-Control", "no-store");
+      res.json({ ok: true, stages: DEAL_STAGES, deals: listDeals({ stage: clean(req.query.stage, 40), owner: req.query.owner }) });
+    } catch (error) {
+      res.status(500).json({ ok: false, status: "Pipeline could not be loaded", detail: clean(error?.message || error, 1000) });
+    }
+  });
+
+  router.get("/export.csv", (req, res) => {
+    try {
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="fuel-iq-pipeline-${today()}.csv"`);
+      res.setHeader("Cache-Control", "no-store");
+      res.send(dealsCsv(listDeals({ stage: clean(req.query.stage, 40), owner: req.query.owner })));
+    } catch (error) {
+      res.status(500).json({ ok: false, status: "Pipeline export failed", detail: clean(error?.message || error, 1000) });
+    }
+  });
+
+  // Body: deal fields plus `site_id`, or an `address` to save a new site.
+  router.post("/", (req, res) => {
+    try {
+      const { deal, created } = saveDeal(req.body || {});
+      res.status(created ? 201 : 200).json({ ok: true, deal: dealView(deal) });
+    } catch (error) {
+      res.status(error?.status || 400).json({ ok: false, status: "Deal not saved", detail: clean(error?.message || error, 1000) });
+    }
+  });
+
+  app.use("/api/pipeline", router);
+}
@@ -0,0 +1,120 @@
+import { DEFAULT_ESTIMATE_RULES } from "./estimateEngine.js";
+
+/**
+ * Default pro-forma assumptions. Margins are cents per gallon by price
+ * position; money values are US dollars per month (year 1) unless named
+ * otherwise. Every key may be overridden through the request body's
+ * `proForma` object.
+ */
+export const DEFAULT_PRO_FORMA_ASSUMPTIONS = Object.freeze({
+  fuelMarginCpg: { below: 28, inline: 32, above: 38 },
+  dieselMarginCpg: { below: 32, inline: 36, above: 42 },
+  cardFeesCpg: 6,
+  insideSalesPerGallon: 0.9,
+  insideMarginPct: 33,
+  carWash: { monthlyRevenue: 0, marginPct: 70 },
+  other: { monthlyRevenue: 0, marginPct: 100 },
+  opex: { payroll: 28000, utilities: 4500, maintenance: 2500, insurance: 1800, rent: 0, propertyTax: 0, other: 3500 },
+  opexGrowthPct: 3,
+});
+
+const PRICE_POSITIONS = ["below", "inline", "above"];
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+function mergeAssumptions(base, override, trail = "proForma") {
+  if (override === undefined || override === null) return base;
+  if (isPlainObject(base)) {
+    if (!isPlainObject(override)) throw new Error(`${trail} must be an object`);
+    for (const key of Object.keys(override)) {
+      if (!(key in base)) throw new Error(`${trail}.${key} is not a known pro-forma assumption`);
+    }
+    return Object.fromEntries(Object.keys(base).map((key) => [key, mergeAssumptions(base[key], override[key], `${trail}.${key}`)]));
+  }
+  const value = Number(override);
+  if (override === "" || !Number.isFinite(value) || value < 0) throw new Error(`${trail} must be a non-negative number`);
+  return value;
+}
+
+/**
+ * Parse the `proForma` request option. `true` uses the defaults; an object
+ * overrides them key by key. Unknown keys and negative values are errors.
+ *
+ * @param {object} body Report request body.
+ * @returns {object|null} Assumptions, or null when no pro-forma was requested.
+ */
+export function proFormaAssumptions(body) {
+  const option = body?.proForma;
+  if (option === true || option === "true") return DEFAULT_PRO_FORMA_ASSUMPTIONS;
+  if (!isPlainObject(option)) return null;
+  return mergeAssumptions(DEFAULT_PRO_FORMA_ASSUMPTIONS, option);
+}
+
+function money(value) {
+  return Math.round(value);
+}
+
+/**
+ * Years 1–3 P&L on top of an `/estimate` result. Volumes use BASE, `year2`
+ * and `year3`; inside sales follow gallons and operating expenses grow by
+ * `opexGrowthPct` a year.
+ *
+ * @param {object} result `/estimate` response payload.
+ * @param {object} [assumptions] Output of `proFormaAssumptions`.
+ * @returns {{ price_position: string, assumptions: object, years: Array<object> }}
+ */
+export function buildProForma(result, assumptions = DEFAULT_PRO_FORMA_ASSUMPTIONS) {
+  const base = Number(result?.estimate?.base ?? result?.base);
+  if (!Number.isFinite(base) || base < 0) throw new Error("Pro-forma needs an estimate with BASE monthly gallons");
+  const growth = DEFAULT_ESTIMATE_RULES.growth;
+  const year2 = Number(result?.estimate?.year2 ?? result?.year2 ?? Math.round(base * growth.year2));
+  const year3 = Number(result?.estimate?.year3 ?? result?.year3 ?? Math.round(base * growth.year2 * growth.year3));
+  const monthly = [base, year2, year3];
+  const position = PRICE_POSITIONS.includes(result?.inputs?.price_position) ? result.inputs.price_position : "inline";
+  const split = result?.calc_breakdown?.fuelSplit;
+  const dieselShare = split && base > 0 ? split.diesel / base : 0;
+  const a = assumptions;
+  const opexMonthly = Object.values(a.opex).reduce((sum, value) => sum + value, 0);
+
+  const years = monthly.map((gallonsPerMonth, index) => {
+    const gallons = gallonsPerMonth * 12;
+    const dieselGallons = gallons * dieselShare;
+    const gasolineGallons = gallons - dieselGallons;
+    const volumeGrowth = base > 0 ? gallonsPerMonth / base : 1;
+    const fuelGrossProfit = (gasolineGallons * a.fuelMarginCpg[position] + dieselGallons * a.dieselMarginCpg[position]) / 100;
+    const cardFees = (gallons * a.cardFeesCpg) / 100;
+    const insideSales = gallons * a.insideSalesPerGallon;
+    const insideGrossProfit = insideSales * (a.insideMarginPct / 100);
+    const carWashRevenue = a.carWash.monthlyRevenue * 12 * volumeGrowth;
+    const otherRevenue = a.other.monthlyRevenue * 12 * volumeGrowth;
+    const carWashGrossProfit = carWashRevenue * (a.carWash.marginPct / 100);
+    const otherGrossProfit = otherRevenue * (a.other.marginPct / 100);
+    const totalGrossProfit = fuelGrossProfit - cardFees + insideGrossProfit + carWashGrossProfit + otherGrossProfit;
+    const operatingExpenses = opexMonthly * 12 * (1 + a.opexGrowthPct / 100) ** index;
+    const ebitda = totalGrossProfit - operatingExpenses;
+    const revenue = insideSales + carWashRevenue + otherRevenue;
+    return {
+      year: index + 1,
+      monthly_gallons: Math.round(gallonsPerMonth),
+      gallons: Math.round(gallons),
+      gasoline_gallons: Math.round(gasolineGallons),
+      diesel_gallons: Math.round(dieselGallons),
+      fuel_gross_profit: money(fuelGrossProfit),
+      card_fees: money(cardFees),
+      inside_sales: money(insideSales),
+      inside_gross_profit: money(insideGrossProfit),
+      car_wash_revenue: money(carWashRevenue),
+      car_wash_gross_profit: money(carWashGrossProfit),
+      other_revenue: money(otherRevenue),
+      other_gross_profit: money(otherGrossProfit),
+      non_fuel_revenue: money(revenue),
+      total_gross_profit: money(totalGrossProfit),
+      operating_expenses: money(operatingExpenses),
+      ebitda: money(ebitda),
+    };
+  });
+
+  return { price_position: position, assumptions: a, years };
+}
@@ -0,0 +1,267 @@
+import express from "express";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { pngImage } from "./staticMap.js";
+import { storeDirectory } from "./store.js";
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+const DEFAULT_THEMES_FILE = path.join(ROOT, "config", "report-themes.json");
+const MAX_LOGO_BYTES = 1024 * 1024;
+// pdfkit's built-in families as [regular, bold]; other fonts would need a TTF.
+const PDF_FONTS = {
+  Helvetica: ["Helvetica", "Helvetica-Bold"],
+  "Times-Roman": ["Times-Roman", "Times-Bold"],
+  Courier: ["Courier", "Courier-Bold"],
+};
+const COLOR_ROLES = ["primary", "accent", "accentLight", "surface", "border", "text", "muted"];
+
+/**
+ * Identity every themed report starts from; config themes override it key by
+ * key. Colors are hex without `#` (the DOCX form); PDF code adds the `#`.
+ */
+const BASE_THEME = {
+  label: "",
+  description: "",
+  company: "Sunoco, LP",
+  product: "Fuel IQ",
+  logo: "logo.png",
+  colors: {
+    primary: "0B1F33",
+    accent: "1F4E79",
+    accentLight: "DBEAF5",
+    surface: "F5F7FA",
+    border: "94A3B8",
+    text: "16202A",
+    muted: "5B6773",
+  },
+  fonts: { word: "Arial", pdf: "Helvetica" },
+  disclaimer: "Reports combine public records, third-party data and modelled estimates. Verify every figure independently before making investment or underwriting decisions.",
+  footer: "",
+};
+
+let cached = null;
+
+function themesFile() {
+  return process.env.REPORT_THEMES_FILE || DEFAULT_THEMES_FILE;
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+function text(value, trail, max) {
+  if (value == null) return "";
+  if (typeof value !== "string") throw new Error(`${trail} must be a string`);
+  return value.trim().slice(0, max);
+}
+
+function parseTheme(id, entry) {
+  if (!isPlainObject(entry)) throw new Error("must be an object");
+  for (const key of Object.keys(entry)) {
+    if (!(key in BASE_THEME)) throw new Error(`${key} is not a known theme setting`);
+  }
+  const colors = { ...BASE_THEME.colors };
+  if (entry.colors !== undefined) {
+    if (!isPlainObject(entry.colors)) throw new Error("colors must be an object");
+    for (const [role, value] of Object.entries(entry.colors)) {
+      if (!COLOR_ROLES.includes(role)) throw new Error(`colors.${role} is not a known color role (${COLOR_ROLES.join(", ")})`);
+      const match = /^#?([0-9a-f]{6})$/i.exec(String(value));
+      if (!match) throw new Error(`colors.${role} must be a hex color like #0B1F33`);
+      colors[role] = match[1].toUpperCase();
+    }
+  }
+  const fonts = { ...BASE_THEME.fonts };
+  if (entry.fonts !== undefined) {
+    if (!isPlainObject(entry.fonts)) throw new Error("fonts must be an object");
+    if (entry.fonts.word !== undefined) fonts.word = text(entry.fonts.word, "fonts.word", 60) || BASE_THEME.fonts.word;
+    if (entry.fonts.pdf !== undefined) {
+      if (!PDF_FONTS[entry.fonts.pdf]) throw new Error(`fonts.pdf must be one of ${Object.keys(PDF_FONTS).join(", ")}`);
+      fonts.pdf = entry.fonts.pdf;
+    }
+  }
+  const pick = (key, max) => (entry[key] === undefined ? BASE_THEME[key] : text(entry[key], key, max));
+  const company = pick("company", 120);
+  const product = pick("product", 120);
+  if (!company && !product) throw new Error("company or product is required");
+  return {
+    id,
+    label: pick("label", 120) || [company, product].filter(Boolean).join(" "),
+    description: pick("description", 600),
+    company,
+    product,
+    logo: entry.logo === undefined ? BASE_THEME.logo : text(entry.logo, "logo", 3 * MAX_LOGO_BYTES),
+    colors,
+    fonts,
+    disclaimer: pick("disclaimer", 2000),
+    footer: pick("footer", 300),
+  };
+}
+
+function parseThemes(raw) {
+  const config = JSON.parse(raw);
+  const entries = isPlainObject(config?.themes) ? Object.entries(config.themes) : [];
+  if (!entries.length) throw new Error("report theme config has no themes");
+  const themes = new Map();
+  for (const [id, entry] of entries) {
+    if (!/^[a-z0-9-]+$/.test(id)) throw new Error(`report theme id "${id}" must be lowercase letters, digits and dashes`);
+    try {
+      themes.set(id, parseTheme(id, entry));
+    } catch (error) {
+      throw new Error(`report theme "${id}": ${error.message}`);
+    }
+  }
+  const defaultId = themes.has(config.default) ? config.default : entries[0][0];
+  return { defaultId, themes };
+}
+
+/**
+ * Load the report themes, re-reading the JSON config whenever it changes on
+ * disk so partner and white-label identities need no code change.
+ *
+ * @returns {{ defaultId: string, themes: Map<string, object> }}
+ */
+export function loadReportThemes() {
+  const file = themesFile();
+  let mtimeMs = 0;
+  try {
+    mtimeMs = fs.statSync(file).mtimeMs;
+  } catch {
+    return { defaultId: "fuel-iq", themes: new Map([["fuel-iq", parseTheme("fuel-iq", {})]]) };
+  }
+  if (cached && cached.file === file && cached.mtimeMs === mtimeMs) return cached.value;
+  const value = parseThemes(fs.readFileSync(file, "utf8"));
+  cached = { file, mtimeMs, value };
+  return value;
+}
+
+function uploadedLogoFile(id) {
+  return path.join(storeDirectory(), "report-logos", `${id}.png`);
+}
+
+function readLogo(theme) {
+  try {
+    return pngImage(fs.readFileSync(uploadedLogoFile(theme.id)));
+  } catch {}
+  if (!theme.logo) return null;
+  const dataUrl = /^data:image\/png;base64,([A-Za-z0-9+/=\s]+)$/.exec(theme.logo);
+  if (dataUrl) return pngImage(Buffer.from(dataUrl[1], "base64"));
+  try {
+    return pngImage(fs.readFileSync(path.resolve(ROOT, theme.logo)));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Resolve the theme a report should use. An empty id selects the configured
+ * default; an unknown id is an error rather than a silent fallback. `brand`
+ * is the full company and product name for titles, `name` the short one for
+ * eyebrows and headers. The logo is an uploaded PNG when one was saved for
+ * the theme, else the configured file or data URL, else null.
+ *
+ * @param {string} [themeId]
+ * @returns {{ id: string, label: string, company: string, product: string, brand: string, name: string, logo: { data: Buffer, width: number, height: number }|null, colors: Record<string, string>, fonts: { word: string, pdf: string, pdfBold: string }, disclaimer: string, footer: string }}
+ */
+export function resolveReportTheme(themeId) {
+  const { defaultId, themes } = loadReportThemes();
+  const id = String(themeId ?? "").trim() || defaultId;
+  const theme = themes.get(id);
+  if (!theme) throw new Error(`Unknown report theme "${id}". Available: ${[...themes.keys()].join(", ")}`);
+  return {
+    ...theme,
+    brand: [theme.company, theme.product].filter(Boolean).join(" "),
+    name: theme.product || theme.company,
+    logo: readLogo(theme),
+    colors: { ...theme.colors },
+    fonts: { word: theme.fonts.word, pdf: PDF_FONTS[theme.fonts.pdf][0], pdfBold: PDF_FONTS[theme.fonts.pdf][1] },
+  };
+}
+
+/**
+ * Public listing of the configured themes for pickers and API clients.
+ *
+ * @returns {{ default: string, themes: Array<{ id: string, label: string, description: string, brand: string, logo: boolean, uploaded_logo: boolean }> }}
+ */
+export function listReportThemes() {
+  const { defaultId, themes } = loadReportThemes();
+  return {
+    default: defaultId,
+    themes: [...themes.keys()].map((id) => {
+      const theme = resolveReportTheme(id);
+      return { id, label: theme.label, description: theme.description, brand: theme.brand, logo: Boolean(theme.logo), uploaded_logo: fs.existsSync(uploadedLogoFile(id)) };
+    }),
+  };
+}
+
+/**
+ * Save an uploaded PNG logo for a theme; it replaces the configured logo
+ * until removed.
+ *
+ * @param {string} themeId
+ * @param {string} image `data:image/png;base64,…`
+ */
+export function saveReportThemeLogo(themeId, image) {
+  const theme = resolveReportTheme(themeId);
+  const match = /^data:image\/png;base64,([A-Za-z0-9+/=\s]+)$/.exec(String(image || ""));
+  const logo = match ? pngImage(Buffer.from(match[1], "base64")) : null;
+  if (!logo) throw Object.assign(new Error("Logo must be a PNG data URL."), { status: 400 });
+  if (logo.data.length > MAX_LOGO_BYTES) throw Object.assign(new Error("Logo must be 1 MB or smaller."), { status: 413 });
+  const file = uploadedLogoFile(theme.id);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, logo.data);
+  return { width: logo.width, height: logo.height };
+}
+
+/** Drop a theme's uploaded logo so the configured one applies again. */
+export function removeReportThemeLogo(themeId) {
+  const theme = resolveReportTheme(themeId);
+  fs.rmSync(uploadedLogoFile(theme.id), { force: true });
+}
+
+const clean = (value, max = 3000) => String(value ?? "").replace(/\u0000/g, "").trim().slice(0, max);
+
+export function registerReportThemeRoutes(app) {
+  const router = express.Router();
+  router.use(express.json({ limit: "2mb" }));
+
+  router.get("/", (_req, res) => {
+    try {
+      res.setHeader("Cache-Control", "no-store");
+      res.json({ ok: true, ...listReportThemes() });
+    } catch (error) {
+      res.status(500).json({ ok: false, status: "Report themes could not be loaded", detail: clean(error?.message || error, 1000) });
+    }
+  });
+
+  router.get("/:id/logo.png", (req, res) => {
+    try {
+      const logo = resolveReportTheme(req.params.id).logo;
+      if (!logo) return res.status(404).json({ ok: false, status: "No logo", detail: "This theme has no logo." });
+      res.setHeader("Cache-Control", "no-store");
+      res.type("png").send(logo.data);
+    } catch (error) {
+      res.status(404).json({ ok: false, status: "No logo", detail: clean(error?.message || error, 1000) });
+    }
+  });
+
+  // Body: `{ image: "data:image/png;base64,…" }`.
+  router.put("/:id/logo", (req, res) => {
+    try {
+      res.json({ ok: true, logo: saveReportThemeLogo(req.params.id, req.body?.image) });
+    } catch (error) {
+      res.status(error?.status || 400).json({ ok: false, status: "Logo not saved", detail: clean(error?.message || error, 1000) });
+    }
+  });
+
+  router.delete("/:id/logo", (req, res) => {
+    try {
+      removeReportThemeLogo(req.params.id);
+      res.json({ ok: true });
+    } catch (error) {
+      res.status(400).json({ ok: false, status: "Logo not removed", detail: clean(error?.message || error, 1000) });
+    }
+  });
+
+  app.use("/api/report-themes", router);
+}
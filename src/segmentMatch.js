@@ -0,0 +1,256 @@
+import { nearestPointOnPaths } from "./spatialIndex.js";
+
+// Road-segment AADT matching. The site is snapped to the road it fronts (an
+// OSM way, or a DOT line when no OSM data came back) and, at a corner lot,
+// to the cross street too; each road then takes the count whose geometry
+// lies on that road and whose route name or number agrees with it. A station
+// on a parallel road fails the geometry test however well its name matches.
+
+// Furthest a site can sit from the road it fronts.
+const FRONTAGE_MAX_M = 120;
+// Furthest a second road can be and still make the site a corner lot.
+const CORNER_MAX_M = 90;
+const CORNER_MIN_ANGLE_DEG = 35;
+// A count within this distance of the road line is on that road.
+const ON_ROAD_M = 45;
+// Line counts crossing the road at more than this angle are cross streets.
+const ALIGNED_MAX_DEG = 30;
+// Counts further than this from the site are not considered.
+const STATION_SEARCH_M = 1609;
+const MAX_GEOMETRY_VERTICES = 200;
+
+const ROUTE_NUMBER = /\b(?:I|IH|US|SR|NC|VA|PA|FL|DC|MD|CR|STATE\s+ROUTE|ROUTE|RTE|RT|HWY|HIGHWAY)[\s-]*0*(\d{1,4}[A-Z]?)\b/g;
+const GENERIC_TOKENS = new Set(["RD", "ST", "AVE", "HWY", "DR", "BLVD", "LN", "WAY", "PKWY", "CT", "PL", "CIR", "N", "S", "E", "W", "NE", "NW", "SE", "SW", "OLD", "THE", "ROUTE", "RTE", "RT", "SR", "US", "I", "NC", "VA", "PA", "FL", "DC", "MD", "CR", "STATE", "HIGHWAY"]);
+
+function normalizeRoad(text) {
+  return String(text || "").toUpperCase()
+    .replace(/\./g, "")
+    .replace(/\bROAD\b/g, "RD")
+    .replace(/\bSTREET\b/g, "ST")
+    .replace(/\bAVENUE\b/g, "AVE")
+    .replace(/\bBOULEVARD\b/g, "BLVD")
+    .replace(/\bDRIVE\b/g, "DR")
+    .replace(/\bHWY\b/g, "HIGHWAY")
+    .replace(/\bHW\b/g, "HIGHWAY")
+    .replace(/[^A-Z0-9]+/g, " ")
+    .trim();
+}
+
+/**
+ * Route numbers ("US 1", "NC-54", "SR 0164" → "1", "54", "164") and name
+ * tokens ("JOHNSTOWN", "GLENWOOD") of a road label.
+ *
+ * @param {...string} labels
+ * @returns {{ refs: Set<string>, names: Set<string> }}
+ */
+export function roadKeys(...labels) {
+  const text = normalizeRoad(labels.filter(Boolean).join(" "));
+  const refs = new Set([...text.matchAll(ROUTE_NUMBER)].map((match) => match[1]));
+  const names = new Set(text.replace(ROUTE_NUMBER, " ").split(" ").filter((token) => token.length > 1 && !/^\d+$/.test(token) && !GENERIC_TOKENS.has(token)));
+  return { refs, names };
+}
+
+function agreement(a, b) {
+  if ([...a.refs].some((ref) => b.refs.has(ref))) return { score: 1, kind: "route number" };
+  const shared = [...a.names].filter((name) => b.names.has(name));
+  const fewest = Math.min(a.names.size, b.names.size);
+  if (fewest && shared.length >= fewest) return { score: 1, kind: "road name" };
+  if (shared.length) return { score: 0.5, kind: "partial road name" };
+  return { score: 0, kind: null };
+}
+
+function axisDifference(a, b) {
+  if (a == null || b == null) return null;
+  const diff = Math.abs(a - b) % 180;
+  return Math.min(diff, 180 - diff);
+}
+
+function round(value, digits = 1) {
+  return Number.isFinite(value) ? Number(value.toFixed(digits)) : null;
+}
+
+function stationPaths(station) {
+  if (Array.isArray(station?.paths) && station.paths.length) return station.paths;
+  return Number.isFinite(station?.lat) && Number.isFinite(station?.lon) ? [[[station.lon, station.lat]]] : [];
+}
+
+function isLine(paths) {
+  return paths.some((path) => path.length > 1);
+}
+
+// Evenly thinned copy of long geometry so results stay small.
+function compactPaths(paths) {
+  const total = paths.reduce((sum, path) => sum + path.length, 0);
+  if (total <= MAX_GEOMETRY_VERTICES) return paths;
+  const step = Math.ceil(total / MAX_GEOMETRY_VERTICES);
+  return paths.map((path) => path.filter((_, index) => index % step === 0 || index === path.length - 1));
+}
+
+function roadsFrom(ways, stations) {
+  // OSM splits a road into many ways; ways sharing a name and ref are one road.
+  const byName = new Map();
+  const roads = [];
+  for (const way of ways || []) {
+    const path = (way.geometry || []).filter((point) => Number.isFinite(point?.lat) && Number.isFinite(point?.lon)).map((point) => [point.lon, point.lat]);
+    if (path.length < 2) continue;
+    const name = way.tags?.name || null;
+    const ref = way.tags?.ref || null;
+    const key = name || ref ? normalizeRoad(`${name || ""}|${ref || ""}`) : null;
+    if (key && byName.has(key)) { byName.get(key).paths.push(path); continue; }
+    const road = { source: "osm", id: way.id ?? null, name, ref, highway: way.tags?.highway || null, paths: [path] };
+    if (key) byName.set(key, road);
+    roads.push(road);
+  }
+  // DOT line layers double as road geometry when OSM returned nothing.
+  if (!roads.length) {
+    stations.forEach((station, index) => {
+      const paths = stationPaths(station);
+      if (isLine(paths)) roads.push({ source: "dot_line", id: station.station_id ?? index, name: station.route || null, ref: station.location || null, highway: null, paths });
+    });
+  }
+  return roads;
+}
+
+function sameRoad(a, b) {
+  if (a === b) return true;
+  const keysA = roadKeys(a.name, a.ref);
+  const keysB = roadKeys(b.name, b.ref);
+  return (keysA.refs.size || keysA.names.size) > 0 && agreement(keysA, keysB).score === 1;
+}
+
+function noCount(summary, reason) {
+  return { road: summary.road, station_index: null, aadt: null, confidence: 0, confidence_label: "none", reasons: [reason] };
+}
+
+function matchRoad(road, stations, site) {
+  const keys = roadKeys(road.name, road.ref);
+  let best = null;
+  stations.forEach((station, index) => {
+    if (!(Number(station?.aadt) > 0)) return;
+    const paths = stationPaths(station);
+    const fromSite = nearestPointOnPaths(paths, site.lat, site.lon);
+    if (!(fromSite.distM <= STATION_SEARCH_M)) return;
+    const line = isLine(paths);
+    const reasons = [];
+    let geometry = 0;
+    let offRoadM = null;
+    if (road.source === "dot_line" && road.paths === paths) {
+      geometry = 1;
+      offRoadM = 0;
+      reasons.push("the DOT count segment is the fronting road");
+    } else {
+      // Measure at the count's point nearest the site; a line count must also
+      // run along the road there, not cross it.
+      const onRoad = nearestPointOnPaths(road.paths, fromSite.lat, fromSite.lon);
+      offRoadM = onRoad.distM;
+      const crossing = line ? axisDifference(fromSite.bearing_deg, onRoad.bearing_deg) : null;
+      if (crossing != null && crossing > ALIGNED_MAX_DEG) reasons.push(`count segment crosses the road (${Math.round(crossing)}°)`);
+      else if (offRoadM <= ON_ROAD_M) { geometry = 1; reasons.push(`count lies on the fronting road (${Math.round(offRoadM)} m off the line)`); }
+      else if (offRoadM <= 2 * ON_ROAD_M) { geometry = 0.5; reasons.push(`count is ${Math.round(offRoadM)} m off the road line`); }
+      else reasons.push(`count is ${Math.round(offRoadM)} m off the road line (parallel or other road)`);
+    }
+    const name = agreement(keys, roadKeys(station.route, station.location));
+    if (name.kind) reasons.push(`${name.kind} agrees`);
+    else if (keys.refs.size || keys.names.size) reasons.push("route name does not agree");
+    if (!geometry && !name.score) return;
+    const proximity = 1 - Math.min(1, fromSite.distM / STATION_SEARCH_M);
+    const confidence = 0.45 * geometry + 0.35 * name.score + 0.2 * proximity;
+    if (!best || confidence > best.confidence + 1e-9 || (Math.abs(confidence - best.confidence) <= 1e-9 && fromSite.distM < best.distM)) {
+      best = { index, station, confidence, distM: fromSite.distM, offRoadM, line, paths, reasons };
+    }
+  });
+
+  const snap = nearestPointOnPaths(road.paths, site.lat, site.lon);
+  const summary = {
+    road: {
+      name: road.name, ref: road.ref, highway: road.highway, source: road.source,
+      distance_m: round(snap.distM), bearing_deg: snap.bearing_deg,
+      snap: { lat: round(snap.lat, 6), lon: round(snap.lon, 6) },
+      geometry: compactPaths(road.paths),
+    },
+  };
+  if (!best) return noCount(summary, "no DOT count on this road within 1 mi");
+  const { paths: _paths, distM: _distM, ...station } = best.station;
+  return {
+    ...summary,
+    station_index: best.index,
+    station: { ...station, miles: round(best.distM / 1609.344, 3) },
+    aadt: Math.round(Number(best.station.aadt)),
+    confidence: round(best.confidence, 2),
+    confidence_label: best.confidence >= 0.75 ? "high" : best.confidence >= 0.5 ? "medium" : "low",
+    off_road_m: round(best.offRoadM),
+    reasons: best.reasons,
+    segment: { source: best.line ? "dot_line" : "dot_point", geometry: compactPaths(best.paths) },
+  };
+}
+
+/**
+ * Snap a site to the road it fronts (and the cross street at a corner lot)
+ * and pick the AADT count for each.
+ *
+ * @param {object} input
+ * @param {{ lat: number, lon: number }} input.site
+ * @param {Array<{ id?: number, tags?: object, geometry?: Array<{ lat: number, lon: number }> }>} [input.ways] OSM ways with geometry.
+ * @param {Array<object>} [input.stations] DOT counts (`aadt`, `route`, `location`, `lat`/`lon`, optional `paths`).
+ * @param {string} [input.enteredRoad] Road typed with the address; it wins among roads the site is close to.
+ * @returns {{ primary: object|null, corner: object|null, roads_considered: number }}
+ *   Each match has the road (name, ref, snap point, geometry), the count's
+ *   index into `stations`, its AADT, confidence 0–1 with a label, the reasons
+ *   and the count's segment geometry.
+ */
+export function matchAadtSegments({ site, ways = [], stations = [], enteredRoad = "" } = {}) {
+  if (!Number.isFinite(site?.lat) || !Number.isFinite(site?.lon)) return { primary: null, corner: null, roads_considered: 0 };
+  const entered = roadKeys(enteredRoad);
+  const fronting = roadsFrom(ways, stations)
+    .map((road) => ({ ...road, snap: nearestPointOnPaths(road.paths, site.lat, site.lon) }))
+    .filter((road) => road.snap.distM <= FRONTAGE_MAX_M)
+    // The entered road wins among roads the site is close to.
+    .map((road) => ({ ...road, rank: road.snap.distM - (agreement(entered, roadKeys(road.name, road.ref)).score === 1 ? 40 : 0) }))
+    .sort((a, b) => a.rank - b.rank);
+  const primaryRoad = fronting[0] || null;
+  const cornerRoad = primaryRoad
+    ? fronting.find((road) => road.snap.distM <= CORNER_MAX_M && !sameRoad(road, primaryRoad)
+      && axisDifference(road.snap.bearing_deg, primaryRoad.snap.bearing_deg) >= CORNER_MIN_ANGLE_DEG)
+    : null;
+  const primary = primaryRoad ? matchRoad(primaryRoad, stations, site) : null;
+  let corner = cornerRoad ? matchRoad(cornerRoad, stations, site) : null;
+  // One count cannot stand for both roads.
+  if (corner && primary && corner.station_index != null && corner.station_index === primary.station_index) {
+    corner = noCount(corner, "the only count found belongs to the fronting road");
+  }
+  return { primary, corner: corner || null, roads_considered: fronting.length };
+}
+
+/**
+ * Compact form of a match for estimate results: road, count, confidence and
+ * geometry for each side, without internal indexes.
+ */
+export function segmentMatchSummary(match) {
+  const side = (item) => (item ? {
+    road: item.road, aadt: item.aadt, confidence: item.confidence, confidence_label: item.confidence_label,
+    off_road_m: item.off_road_m ?? null, reasons: item.reasons, station: item.station || null, segment: item.segment || null,
+  } : null);
+  return match ? { primary: side(match.primary), corner: side(match.corner), roads_considered: match.roads_considered } : null;
+}
+
+/**
+ * Corner-lot options from an `/estimate` body. `frontage: true` blends the
+ * auto-detected cross street; an object may name the second road
+ * (`secondaryRoad`), give its AADT (`secondaryAadt`) and override the rule
+ * weight (`weight`, 0–1).
+ *
+ * @param {object} body
+ * @returns {{ secondaryRoad: string, secondaryAadt: number|null, weight: number|null }|null}
+ */
+export function frontageOptions(body) {
+  const option = body?.frontage;
+  if (option === true || option === "true") return { secondaryRoad: "", secondaryAadt: null, weight: null };
+  if (!option || typeof option !== "object") return null;
+  const aadt = Number(option.secondaryAadt);
+  const weight = option.weight == null || option.weight === "" ? null : Number(option.weight);
+  return {
+    secondaryRoad: String(option.secondaryRoad || "").trim().slice(0, 120),
+    secondaryAadt: Number.isFinite(aadt) && aadt > 0 ? Math.round(aadt) : null,
+    weight: Number.isFinite(weight) ? Math.min(1, Math.max(0, weight)) : null,
+  };
+}
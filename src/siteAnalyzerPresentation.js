@@ -31,17 +31,19 @@ const COMBINED_MAP_HTML = `
     </section>
   </div>
   <div class="fiq-aadt-table-wrap">
-    <table id="aadtTable"><thead><tr><th>Distance</th><th>AADT (Year)</th><th>Route</th><th>Location</th><th>Source</th></tr></thead><tbody></tbody></table>
+    <table id="aadtTable"><thead><tr><th>Distance</th><th>AADT (Year)</th><th>Trend</th><th>Route</th><th>Location</th><th>Source</th></tr></thead><tbody></tbody></table>
   </div>
 </div>`;
 
 const EXPORT_DOCK_HTML = `
-<div class="footerbar fiq-export-dock" id="reportExportDock" role="region" aria-label="Word report exports">
+<div class="footerbar fiq-export-dock" id="reportExportDock" role="region" aria-label="Report exports">
   <div class="fiq-export-dock-inner">
-    <div class="fiq-export-copy"><strong>Word reports</strong><span>Exports stay available while you review the site.</span></div>
+    <div class="fiq-export-copy"><strong>Reports</strong><span>Exports stay available while you review the site.</span></div>
     <div class="fiq-export-actions">
       <button id="scrollToResearchResults" type="button" hidden>Scroll to Exhaustive Search Results</button>
+      <select id="reportTheme" aria-label="Report branding" hidden></select>
       <button id="exportPDF" type="button">Export Basic Report to Word</button>
+      <button id="exportXlsx" type="button">Export Estimate to Excel</button>
       <button id="siteResearchWordButton" type="button" disabled aria-disabled="true">Export Exhaustive Research to Word</button>
     </div>
   </div>
@@ -72,8 +74,8 @@ body.fiq-professional-layout .card{margin:16px 0;padding:20px;border:1px solid r
 .research-options-panel{margin-top:24px;padding:24px;border:1px solid #dbe5ec;border-radius:14px;background:linear-gradient(180deg,#fff,#f8fbfd);box-shadow:0 10px 28px rgba(9,30,49,.06)}.research-options-panel .research-head{display:flex;align-items:flex-start;justify-content:space-between;gap:16px;flex-wrap:wrap}.research-options-panel .research-head b{font-size:20px;color:var(--fiq-ink)}.research-options-panel .research-head .muted{font-size:13px;line-height:1.5}.research-options-panel .research-actions{display:flex;gap:8px}.research-options-panel .research-actions button{padding:9px 13px!important;border:1px solid var(--fiq-line)!important;border-radius:9px!important;background:#fff!important;color:#31516a!important;font-size:12px!important;font-weight:850!important}.research-options-panel .site-research-grid{display:grid!important;grid-template-columns:repeat(3,minmax(0,1fr))!important;gap:12px!important;margin-top:18px!important}.research-options-panel .site-research-grid .chip{display:flex!important;align-items:flex-start!important;justify-content:flex-start!important;gap:11px!important;width:100%!important;min-width:0!important;min-height:58px!important;margin:0!important;padding:14px!important;border:1px solid #cfdde7!important;border-radius:12px!important;background:#fff!important;color:#29475d!important;font-size:14px!important;font-weight:750!important;line-height:1.35!important;text-align:left!important;cursor:pointer!important;overflow:hidden!important}.research-options-panel .site-research-grid .chip input{appearance:auto!important;width:18px!important;height:18px!important;min-width:18px!important;max-width:18px!important;flex:0 0 18px!important;margin:1px 0 0!important;padding:0!important;accent-color:#1ca7c9!important}.research-options-panel .site-research-grid .chip span{display:block!important;min-width:0!important;overflow-wrap:anywhere!important}.research-options-panel .site-research-grid .chip:hover{border-color:#8db7d2!important;background:#f4f9fc!important}.research-options-panel .site-research-grid .chip:has(input:checked){border-color:#77b4d8!important;background:#eef8fd!important;box-shadow:0 0 0 1px rgba(45,127,184,.08) inset!important}.research-options-panel .property-record-note{margin:16px 0 0!important;padding:13px 14px!important;border:1px solid #ead084!important;border-radius:11px!important;background:#fff8e6!important;color:#6b4d00!important;font-size:12px;line-height:1.5}.research-feedback-row{display:grid;gap:8px;margin-top:14px}.research-feedback-row progress{width:100%!important;height:8px!important;accent-color:var(--fiq-blue2)}#siteResearchStatus{margin:0!important;min-height:18px;color:#526678!important;font-size:12px!important;line-height:1.45}#siteResearchWord.fiq-export-source{display:none!important}
 .fiq-professional-layout .chip{color:#29475d;background:#f7fafc;border-color:var(--fiq-line)}.fiq-professional-layout details summary{color:#1d3c54}.fiq-professional-layout hr{border:0;border-top:1px solid var(--fiq-line)}.fiq-professional-layout th{color:#41576a;background:#f7fafc}.fiq-professional-layout td{color:#273f52}.fiq-professional-layout th,.fiq-professional-layout td{border-bottom-color:#e8edf1}.fiq-professional-layout tr:hover{background:#f7fafc}.fiq-professional-layout .hero .num{color:var(--fiq-ink)}.fiq-professional-layout .hero .sub,.fiq-professional-layout .small{color:#66798a}
 .fiq-section-heading{display:flex;align-items:flex-start;justify-content:space-between;gap:16px;margin-bottom:14px}.fiq-section-heading h2{margin:4px 0 3px;font-size:21px}.fiq-section-heading p{margin:0}.fiq-eyebrow{color:var(--fiq-blue);text-transform:uppercase;letter-spacing:.09em;font-size:10px;font-weight:900}.fiq-map-grid{display:grid;grid-template-columns:minmax(0,1.2fr) minmax(350px,.8fr);gap:14px}.fiq-map-pane{min-width:0}.fiq-pane-label{margin:0 0 7px;color:#617486;font-size:12px;font-weight:800}.fiq-professional-layout #map,.fiq-professional-layout #aadtMap{height:430px;border:1px solid var(--fiq-line);border-radius:12px}.fiq-professional-layout #sv{height:285px;border-color:var(--fiq-line);background:#f5f8fb}.fiq-aadt-table-wrap{margin-top:14px;overflow:auto;border:1px solid var(--fiq-line);border-radius:10px}.fiq-aadt-table-wrap table{margin:0}.fiq-aadt-table-wrap th,.fiq-aadt-table-wrap td{padding:9px 8px}
-.site-research-report>header{display:block!important;margin:0!important}.fiq-results-card{padding:0!important;overflow:hidden;scroll-margin-top:18px}.fiq-results-card[hidden]{display:none!important}.fiq-results-head{display:flex;justify-content:space-between;gap:16px;align-items:flex-start;padding:18px 20px;border-bottom:1px solid var(--fiq-line)}.fiq-results-head h2{margin:0;font-size:21px}.fiq-results-head p{margin:4px 0 0;color:#66798a;font-size:12px}.fiq-results-badge{display:inline-flex;padding:6px 9px;border-radius:999px;background:#e9f8f1;color:#0e7a53;font-size:11px;font-weight:850;white-space:nowrap}.fiq-results-card #siteResearchResults{margin:0!important;padding:20px!important;background:var(--fiq-soft)}.fiq-results-card .site-research-report{border:1px solid #dbe4ea;box-shadow:0 12px 30px rgba(9,30,49,.07)}.expected-gallons-summary{margin:16px 0 22px;padding:16px;border:1px solid #bfd6e6;border-radius:12px;background:#eff8fd}.expected-gallons-summary h2{margin:0 0 12px!important;border:0!important;color:var(--fiq-ink)!important}.expected-gallons-grid{display:grid;grid-template-columns:repeat(5,minmax(0,1fr));gap:8px}.expected-gallons-metric{padding:10px;border:1px solid #d5e4ee;border-radius:9px;background:#fff}.expected-gallons-metric span{display:block;color:#71808e;font-size:10px;text-transform:uppercase;letter-spacing:.05em}.expected-gallons-metric strong{display:block;margin-top:3px;font-size:16px}.expected-gallons-summary p{margin:10px 0 0;color:#5f7282;font-size:11px}
-.fiq-export-dock{position:fixed!important;left:0;right:0;bottom:0;z-index:900;display:block!important;padding:10px 16px!important;border-top:1px solid rgba(12,38,59,.12)!important;background:rgba(255,255,255,.96)!important;box-shadow:0 -10px 30px rgba(9,30,49,.1);backdrop-filter:blur(14px)}.fiq-export-dock-inner{width:min(1460px,100%);margin:0 auto;display:flex;align-items:center;justify-content:space-between;gap:16px}.fiq-export-copy strong{display:block;font-size:13px}.fiq-export-copy span{display:block;margin-top:2px;color:#6c7c8b;font-size:11px}.fiq-export-actions{display:flex;align-items:center;justify-content:flex-end;gap:9px;flex-wrap:wrap}.fiq-export-actions button{margin:0!important;padding:11px 13px!important;border-radius:9px!important;font-size:12px!important;font-weight:850!important;white-space:nowrap}.fiq-export-actions #scrollToResearchResults{border:1px solid #b8cedd!important;background:#eef7fc!important;color:#164f75!important}.fiq-export-actions #exportPDF{border:1px solid var(--fiq-line)!important;background:#fff!important;color:#29475d!important}.fiq-export-actions #siteResearchWordButton{border:1px solid var(--fiq-blue)!important;background:var(--fiq-blue)!important;color:#fff!important}.fiq-export-actions #siteResearchWordButton:disabled{border-color:#dbe4ea!important;background:#dbe4ea!important;color:#7b8a96!important;cursor:not-allowed!important}
+.site-research-report>header{display:block!important;margin:0!important}.fiq-results-card{padding:0!important;overflow:hidden;scroll-margin-top:18px}.fiq-results-card[hidden]{display:none!important}.fiq-results-head{display:flex;justify-content:space-between;gap:16px;align-items:flex-start;padding:18px 20px;border-bottom:1px solid var(--fiq-line)}.fiq-results-head h2{margin:0;font-size:21px}.fiq-results-head p{margin:4px 0 0;color:#66798a;font-size:12px}.fiq-results-badge{display:inline-flex;padding:6px 9px;border-radius:999px;background:#e9f8f1;color:#0e7a53;font-size:11px;font-weight:850;white-space:nowrap}.fiq-results-card #siteResearchResults{margin:0!important;padding:20px!important;background:var(--fiq-soft)}.fiq-results-card .site-research-report{border:1px solid #dbe4ea;box-shadow:0 12px 30px rgba(9,30,49,.07)}.expected-gallons-summary{margin:16px 0 22px;padding:16px;border:1px solid #bfd6e6;border-radius:12px;background:#eff8fd}.expected-gallons-summary h2{margin:0 0 12px!important;border:0!important;color:var(--fiq-ink)!important}.expected-gallons-grid{display:grid;grid-template-columns:repeat(5,minmax(0,1fr));gap:8px}.expected-gallons-metric{padding:10px;border:1px solid #d5e4ee;border-radius:9px;background:#fff}.expected-gallons-metric span{display:block;color:#71808e;font-size:10px;text-transform:uppercase;letter-spacing:.05em}.expected-gallons-metric strong{display:block;margin-top:3px;font-size:16px}.expected-gallons-summary p{margin:10px 0 0;color:#5f7282;font-size:11px}.site-report-map{margin:12px 0 0}.site-report-map img{display:block;max-width:100%;height:auto;border:1px solid #d5e4ee;border-radius:9px;background:#fff}.site-report-map figcaption{margin-top:6px;color:#71808e;font-size:10px}
+.fiq-export-dock{position:fixed!important;left:0;right:0;bottom:0;z-index:900;display:block!important;padding:10px 16px!important;border-top:1px solid rgba(12,38,59,.12)!important;background:rgba(255,255,255,.96)!important;box-shadow:0 -10px 30px rgba(9,30,49,.1);backdrop-filter:blur(14px)}.fiq-export-dock-inner{width:min(1460px,100%);margin:0 auto;display:flex;align-items:center;justify-content:space-between;gap:16px}.fiq-export-copy strong{display:block;font-size:13px}.fiq-export-copy span{display:block;margin-top:2px;color:#6c7c8b;font-size:11px}.fiq-export-actions{display:flex;align-items:center;justify-content:flex-end;gap:9px;flex-wrap:wrap}.fiq-export-actions button{margin:0!important;padding:11px 13px!important;border-radius:9px!important;font-size:12px!important;font-weight:850!important;white-space:nowrap}.fiq-export-actions #scrollToResearchResults{border:1px solid #b8cedd!important;background:#eef7fc!important;color:#164f75!important}.fiq-export-actions #reportTheme{margin:0!important;padding:10px 11px!important;border:1px solid var(--fiq-line)!important;border-radius:9px!important;background:#fff!important;color:#29475d!important;font-size:12px!important;font-weight:750}.fiq-export-actions #exportPDF,.fiq-export-actions #exportXlsx{border:1px solid var(--fiq-line)!important;background:#fff!important;color:#29475d!important}.fiq-export-actions #siteResearchWordButton{border:1px solid var(--fiq-blue)!important;background:var(--fiq-blue)!important;color:#fff!important}.fiq-export-actions #siteResearchWordButton:disabled{border-color:#dbe4ea!important;background:#dbe4ea!important;color:#7b8a96!important;cursor:not-allowed!important}
 .fiq-research-loading[hidden]{display:none!important}.fiq-research-loading{position:fixed;inset:0;z-index:1200;display:grid;place-items:center;padding:28px;background:rgba(247,250,252,.985)}.fiq-research-loading-inner{width:min(880px,100%);text-align:center}.fiq-radar{width:112px;height:112px;margin:0 auto 25px;border-radius:50%;position:relative;background:radial-gradient(circle at center,#fff 0 7%,transparent 8%),repeating-radial-gradient(circle,#d5e4ee 0 1px,transparent 2px 23px),conic-gradient(from 0deg,transparent 0 70%,rgba(45,127,184,.48) 92%,transparent 100%);animation:fiq-radar-spin 2.2s linear infinite}.fiq-radar:after{content:"";position:absolute;inset:9px;border-radius:50%;border:1px solid #b7cfdf}@keyframes fiq-radar-spin{to{transform:rotate(360deg)}}.fiq-research-loading h2{margin:0 0 12px;font-size:clamp(28px,4vw,42px);letter-spacing:-.025em}.fiq-research-loading p{min-height:54px;margin:0 auto;color:var(--fiq-muted);font-size:17px;line-height:1.45}.fiq-loading-progress{height:8px;margin:18px auto 17px;max-width:930px;border-radius:999px;background:#e2eaf0;overflow:hidden}.fiq-loading-progress span{display:block;height:100%;width:10%;border-radius:inherit;background:linear-gradient(90deg,var(--fiq-blue),#65aedd);transition:width .35s ease}.fiq-research-loading small{color:#617486;font-size:12px}
 #devs[hidden],#ratingLine[hidden],#siteNotes[type="hidden"]{display:none!important}
 @media(max-width:1180px){body.fiq-professional-layout .row.input-row{grid-template-columns:repeat(3,minmax(0,1fr))}.input-row>div:first-child{grid-column:span 2}.analysis-action-stack{grid-column:span 1}.fiq-map-grid{grid-template-columns:1fr}.expected-gallons-grid{grid-template-columns:repeat(3,1fr)}}
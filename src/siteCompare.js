@@ -0,0 +1,200 @@
+import { latestEstimate, timelineEntry } from "./sites.js";
+import { openStore } from "./store.js";
+
+export const MAX_COMPARE_SITES = 50;
+export const RATING_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+const RATING_LOOKUP_CONCURRENCY = 4;
+// `better` says which end of the range scores 100. Default weights sum to 100.
+export const COMPARE_METRICS = [
+  { key: "estimate", label: "Estimate (gal/mo)", field: "base", better: "higher", weight: 35 },
+  { key: "aadt", label: "AADT used", field: "aadt", better: "higher", weight: 15 },
+  { key: "aadt_age", label: "AADT age (years)", field: "aadt_age_years", better: "lower", weight: 5 },
+  { key: "competition", label: "Competition index", field: "competition_index", better: "lower", weight: 20 },
+  { key: "road", label: "Road class", field: "road_rank", better: "higher", weight: 10 },
+  { key: "developments", label: "Developments nearby", field: "developments", better: "lower", weight: 5 },
+  { key: "rating", label: "Google rating", field: "google_rating", better: "higher", weight: 10 },
+];
+// Same order the legacy road context ranks frontage roads by.
+const ROAD_RANK = { motorway: 6, trunk: 5, primary: 4, secondary: 3, tertiary: 2, unclassified: 1, residential: 1 };
+
+function finite(value) {
+  const number = Number(value);
+  return value != null && value !== "" && Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Metric weights from a query value such as "estimate:40,competition:30".
+ * Metrics left out keep their default weight; zero drops a metric.
+ *
+ * @param {string|object} [input]
+ * @returns {Record<string, number>}
+ */
+export function parseWeights(input) {
+  const weights = Object.fromEntries(COMPARE_METRICS.map((metric) => [metric.key, metric.weight]));
+  const pairs = input && typeof input === "object"
+    ? Object.entries(input)
+    : String(input || "").split(",").filter((part) => part.trim()).map((part) => part.split(":"));
+  for (const [key, value] of pairs) {
+    const name = String(key).trim();
+    if (!(name in weights)) throw new Error(`Unknown weight "${name}". Use ${Object.keys(weights).join(", ")}.`);
+    const weight = finite(value);
+    if (weight == null || weight < 0 || weight > 100) throw new Error(`Weight for ${name} must be a number from 0 to 100.`);
+    weights[name] = weight;
+  }
+  if (!Object.values(weights).some((weight) => weight > 0)) throw new Error("At least one weight must be above zero.");
+  return weights;
+}
+
+/**
+ * One comparison row for a site from its latest saved estimate. Values the
+ * estimate did not record are null.
+ *
+ * @param {object} site Saved site.
+ * @param {object|null} estimate Saved estimate record.
+ * @param {number} [year] Current year, for the AADT age.
+ * @returns {object}
+ */
+export function compareRow(site, estimate, year = new Date().getFullYear()) {
+  const entry = estimate ? timelineEntry(estimate) : null;
+  const result = estimate?.result || {};
+  const road = result.roads?.main?.[0] || null;
+  const rating = finite(site.google_rating?.rating) ?? finite(estimate?.request?.client_rating);
+  const stationYear = entry?.aadt.station?.year ?? null;
+  return {
+    site_id: site.id,
+    address: site.address,
+    mpds: site.mpds ?? null,
+    diesel: site.diesel ?? null,
+    tags: site.tags || [],
+    estimate_id: entry?.id || null,
+    estimated_at: entry?.created_at || null,
+    base: entry?.base ?? null,
+    low: entry?.low ?? null,
+    high: entry?.high ?? null,
+    aadt: entry?.aadt.used ?? null,
+    aadt_method: entry?.aadt.method || null,
+    aadt_year: stationYear,
+    aadt_age_years: stationYear != null ? Math.max(0, year - stationYear) : null,
+    // Without an index the engine counts competitors, which is the same scale.
+    competition_index: entry?.competition.index ?? entry?.competition.count ?? null,
+    competitors: entry?.competition.count ?? null,
+    heavy_competitors: entry?.competition.heavy_count ?? null,
+    road_name: road?.name || null,
+    road_class: road?.highway || null,
+    road_rank: road ? ROAD_RANK[road.highway] || 0 : null,
+    developments: finite(result.developments?.count),
+    google_rating: rating,
+    google_reviews: site.google_rating ? finite(site.google_rating.total) : null,
+  };
+}
+
+/**
+ * Composite attractiveness score (0–100) per row. Each metric is scaled
+ * min-max across the compared sites, flipped where lower is better, and
+ * averaged with the weights. A row missing a metric is scored on the rest;
+ * a metric equal for every site scores 100 for all of them.
+ *
+ * @param {Array<object>} rows From `compareRow`.
+ * @param {Record<string, number>} weights From `parseWeights`.
+ * @returns {Array<object>} Rows with `score`, `metric_scores` and `rank`, best first.
+ */
+export function scoreSites(rows, weights) {
+  const ranges = Object.fromEntries(COMPARE_METRICS.map(({ key, field }) => {
+    const values = rows.map((row) => row[field]).filter((value) => value != null);
+    return [key, values.length ? [Math.min(...values), Math.max(...values)] : null];
+  }));
+  const scored = rows.map((row) => {
+    const metricScores = {};
+    let total = 0;
+    let weightUsed = 0;
+    for (const { key, field, better } of COMPARE_METRICS) {
+      const value = row[field];
+      if (value == null || !ranges[key]) { metricScores[key] = null; continue; }
+      const [min, max] = ranges[key];
+      const scaled = max > min ? (value - min) / (max - min) : 1;
+      metricScores[key] = Math.round((better === "lower" ? 1 - scaled : scaled) * 1000) / 10;
+      if (weights[key] > 0) {
+        total += metricScores[key] * weights[key];
+        weightUsed += weights[key];
+      }
+    }
+    return { ...row, metric_scores: metricScores, score: weightUsed ? Math.round((total / weightUsed) * 10) / 10 : null };
+  });
+  scored.sort((a, b) => (b.score ?? -1) - (a.score ?? -1) || String(a.address).localeCompare(String(b.address)));
+  scored.forEach((row, index) => { row.rank = row.score == null ? null : index + 1; });
+  return scored;
+}
+
+/**
+ * Comparison table for saved sites, ranked by composite score. With no ids
+ * it returns just the metrics and their weights.
+ *
+ * @param {string[]} ids Site ids.
+ * @param {{ weights?: Record<string, number>, store?: import("./store.js").Store }} [options]
+ * @returns {{ metrics: Array<object>, sites: Array<object>, missing: string[] }}
+ */
+export function compareSites(ids, { weights = parseWeights(), store = openStore() } = {}) {
+  const unique = [...new Set(ids.map((id) => String(id).trim()).filter(Boolean))];
+  if (unique.length > MAX_COMPARE_SITES) throw new Error(`Compare up to ${MAX_COMPARE_SITES} sites at a time.`);
+  const sites = store.collection("sites");
+  const rows = [];
+  const missing = [];
+  for (const id of unique) {
+    const site = sites.get(id);
+    if (site) rows.push(compareRow(site, latestEstimate(site, store)));
+    else missing.push(id);
+  }
+  return {
+    metrics: COMPARE_METRICS.map(({ key, label, field, better, weight }) => ({ key, label, field, better, weight: weights[key], default_weight: weight })),
+    sites: scoreSites(rows, weights),
+    missing,
+  };
+}
+
+/**
+ * One page of a batch comparison: the sites the batch saved, highest base
+ * estimate first, `MAX_COMPARE_SITES` per page so large batches never reach
+ * the rating lookup or the comparison limit in one request.
+ *
+ * @param {Array<object>} rows Batch rows with `site_id` and `base`.
+ * @param {number|string} [page] 1-based page, clamped to the pages available.
+ * @returns {{ ids: string[], page: number, pages: number, size: number, total: number }}
+ */
+export function batchComparePage(rows, page = 1) {
+  const ranked = [];
+  const seen = new Set();
+  for (const row of [...(rows || [])].sort((a, b) => (finite(b.base) ?? -1) - (finite(a.base) ?? -1))) {
+    const id = String(row.site_id || "").trim();
+    if (id && !seen.has(id)) { seen.add(id); ranked.push(id); }
+  }
+  const pages = Math.max(1, Math.ceil(ranked.length / MAX_COMPARE_SITES));
+  const current = Math.min(pages, Math.max(1, Math.floor(finite(page) ?? 1)));
+  return { ids: ranked.slice((current - 1) * MAX_COMPARE_SITES, current * MAX_COMPARE_SITES), page: current, pages, size: MAX_COMPARE_SITES, total: ranked.length };
+}
+
+/**
+ * Fetch Google ratings for sites that have coordinates and no rating checked
+ * in the last 30 days, and cache them on the site. Lookup failures are left
+ * for the next comparison.
+ *
+ * @param {string[]} ids Site ids.
+ * @param {(site: object) => Promise<{ rating: number|null, total: number }>} lookup
+ * @param {import("./store.js").Store} [store]
+ * @returns {Promise<number>} How many sites were updated.
+ */
+export async function refreshGoogleRatings(ids, lookup, store = openStore()) {
+  const sites = store.collection("sites");
+  const stale = ids.map((id) => sites.get(id)).filter((site) => site
+    && finite(site.lat) != null && finite(site.lon) != null
+    && !(Date.parse(site.google_rating?.checked_at) > Date.now() - RATING_MAX_AGE_MS));
+  let updated = 0;
+  for (let i = 0; i < stale.length; i += RATING_LOOKUP_CONCURRENCY) {
+    const results = await Promise.allSettled(stale.slice(i, i + RATING_LOOKUP_CONCURRENCY).map(async (site) => {
+      const { rating, total } = await lookup(site);
+      site.google_rating = { rating: finite(rating), total: finite(total) ?? 0, checked_at: new Date().toISOString() };
+      sites.save(site);
+    }));
+    updated += results.filter((item) => item.status === "fulfilled").length;
+  }
+  return updated;
+}
@@ -1,4 +1,17 @@
 import express from "express";
+import { computeEstimate, extrasMultiplier } from "./estimateEngine.js";
+import { listEstimateProfiles, resolveEstimateRules } from "./estimateProfiles.js";
+import { buildSensitivity, engineInputFromResult } from "./estimateSensitivity.js";
+import { aadtSourceContext, applyProbabilisticRange, monteCarloOptions, simulateEstimate } from "./estimateUncertainty.js";
+import { parseBacktestCsv, runBacktest } from "./backtest.js";
+import { batchCsv, batchProgress, batchXlsx, createBatchJob, createRateLimiter, parseBatchRows, runBatchJob } from "./batchEstimate.js";
+import { HEAVY, competitionIndex, mpdsFromTags } from "./competitionIndex.js";
+import { buildEstimateWorkbook } from "./estimateWorkbook.js";
+import { buildSiteEstimateDocument } from "./siteEstimateWord.js";
+import { MAX_TRADE_AREA_MINUTES, buildIsochrones, isochroneFor, networkRadiusMi, pointInFeature, roadNetworkQuery, tradeAreaOptions } from "./isochrone.js";
+import { diffEstimates, latestEstimate, listSites, recordEstimate, rerunBody, saveSite, siteHistory, timelineEntry } from "./sites.js";
+import { collection } from "./store.js";
+import { MAX_COMPARE_SITES, batchComparePage, compareSites, parseWeights, refreshGoogleRatings } from "./siteCompare.js";
 
 const RADIUS_MI = 1.5;
 const SELF_EXCLUDE_MI = 0.04;
@@ -8,9 +21,16 @@ const OVERPASS_ENDPOINTS = [
   "https://overpass.kumi.systems/api/interpreter",
   "https://overpass.openstreetmap.fr/api/interpreter",
 ];
-const HEAVY = /(sheetz|wawa|racetrac|race\s?trac|buc-?ee'?s|royal\s?farms|quik.?trip|\bqt\b|costco|sam'?s\s+club|bj'?s|murphy)/i;
 const SUNOCO = /\bsunoco\b/i;
+const MAX_LIVE_BACKTEST_SITES = 25;
+const MAX_TRADE_AREA_SEARCH_MI = 5;
+const BATCH_TTL_MS = 24 * 60 * 60 * 1000;
 const cache = new Map();
+const tradeAreaCache = new Map();
+const BATCH_JOBS = collection("estimate_batch_jobs", { ttlMs: BATCH_TTL_MS, limit: 20 });
+// One limiter for every batch so parallel uploads share the source rate limits.
+const batchLimit = createRateLimiter();
+const runningBatches = new Set();
 
 const clean = (value, max = 3000) => String(value ?? "").replace(/\u0000/g, "").trim().slice(0, max);
 const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
@@ -40,12 +60,12 @@ function addressFromTags(tags = {}) {
   return [line1, line2].filter(Boolean).join(", ") || tags["addr:full"] || "";
 }
 
-function normalizeCompetitor(raw, centerLat, centerLon) {
+function normalizeCompetitor(raw, centerLat, centerLon, radiusMi = RADIUS_MI) {
   const lat = Number(raw.lat);
   const lon = Number(raw.lon);
   if (!Number.isFinite(lat) || !Number.isFinite(lon)) return null;
   const miles = milesFromMeters(distanceMeters(centerLat, centerLon, lat, lon));
-  if (miles <= SELF_EXCLUDE_MI || miles > RADIUS_MI) return null;
+  if (miles <= SELF_EXCLUDE_MI || miles > radiusMi) return null;
   const name = clean(raw.name || raw.brand || "Fuel station", 300);
   const brand = clean(raw.brand || raw.name || "Independent", 200);
   return {
@@ -56,16 +76,17 @@ function normalizeCompetitor(raw, centerLat, centerLon) {
     lon,
     miles: Number(miles.toFixed(3)),
     place_id: clean(raw.place_id, 300),
+    mpds: Number(raw.mpds) > 0 ? Number(raw.mpds) : null,
     source: clean(raw.source || "Public map / places source", 300),
     heavy: HEAVY.test(`${name} ${brand}`),
     sunoco: SUNOCO.test(`${name} ${brand}`),
   };
 }
 
-function mergeCompetitors(groups, lat, lon) {
+function mergeCompetitors(groups, lat, lon, radiusMi = RADIUS_MI) {
   const output = [];
   for (const raw of groups.flat()) {
-    const item = normalizeCompetitor(raw, lat, lon);
+    const item = normalizeCompetitor(raw, lat, lon, radiusMi);
     if (!item) continue;
     const duplicate = output.find((prior) => {
       if (item.place_id && prior.place_id && item.place_id === prior.place_id) return true;
@@ -78,6 +99,7 @@ function mergeCompetitors(groups, lat, lon) {
       if (!duplicate.address && item.address) duplicate.address = item.address;
       if (!duplicate.place_id && item.place_id) duplicate.place_id = item.place_id;
       if (!duplicate.source.includes(item.source)) duplicate.source = `${duplicate.source}; ${item.source}`;
+      duplicate.mpds ??= item.mpds;
       duplicate.heavy ||= item.heavy;
       duplicate.sunoco ||= item.sunoco;
     } else {
@@ -87,9 +109,9 @@ function mergeCompetitors(groups, lat, lon) {
   return output.sort((a, b) => a.miles - b.miles);
 }
 
-async function legacySearch(legacyPort, lat, lon) {
+async function legacySearch(legacyPort, lat, lon, radiusMi = RADIUS_MI) {
   const response = await timedFetch(
-    `http://127.0.0.1:${legacyPort}/api/competitors?lat=${encodeURIComponent(lat)}&lon=${encodeURIComponent(lon)}&radiusMi=${RADIUS_MI}`,
+    `http://127.0.0.1:${legacyPort}/api/competitors?lat=${encodeURIComponent(lat)}&lon=${encodeURIComponent(lon)}&radiusMi=${radiusMi}`,
     { headers: { Accept: "application/json" } },
     35000,
   );
@@ -98,12 +120,12 @@ async function legacySearch(legacyPort, lat, lon) {
   return (data.features || []).map((feature) => {
     const p = feature.properties || {};
     const c = feature.geometry?.coordinates || [];
-    return { name: p.name, brand: p.brand, address: p.address, lat: c[1], lon: c[0], place_id: p.place_id, source: "Fuel IQ OSM/Google lookup" };
+    return { name: p.name, brand: p.brand, address: p.address, lat: c[1], lon: c[0], place_id: p.place_id, mpds: p.mpds, source: "Fuel IQ OSM/Google lookup" };
   });
 }
 
-async function overpassSearch(lat, lon) {
-  const meters = Math.round(RADIUS_MI * 1609.344);
+async function overpassSearch(lat, lon, radiusMi = RADIUS_MI) {
+  const meters = Math.round(radiusMi * 1609.344);
   const query = `[out:json][timeout:30];(nwr(around:${meters},${lat},${lon})["amenity"="fuel"];);out center tags;`;
   let lastError = null;
   for (const endpoint of OVERPASS_ENDPOINTS) {
@@ -121,6 +143,7 @@ async function overpassSearch(lat, lon) {
           name: tags.name || tags.brand || tags.operator,
           brand: tags.brand || tags.operator || tags.name,
           address: addressFromTags(tags),
+          mpds: mpdsFromTags(tags),
           lat: item.lat ?? item.center?.lat,
           lon: item.lon ?? item.center?.lon,
           source: "OpenStreetMap / Overpass",
@@ -133,9 +156,9 @@ async function overpassSearch(lat, lon) {
   throw lastError || new Error("Overpass lookup failed");
 }
 
-async function googleSearch(apiKey, lat, lon) {
+async function googleSearch(apiKey, lat, lon, radiusMi = RADIUS_MI) {
   if (!apiKey) return [];
-  const meters = Math.round(RADIUS_MI * 1609.344);
+  const meters = Math.round(radiusMi * 1609.344);
   const urls = [
     `https://maps.googleapis.com/maps/api/place/nearbysearch/json?location=${lat},${lon}&radius=${meters}&type=gas_station&key=${apiKey}`,
     `https://maps.googleapis.com/maps/api/place/textsearch/json?query=${encodeURIComponent("gas station convenience store fuel")}&location=${lat},${lon}&radius=${meters}&key=${apiKey}`,
@@ -161,14 +184,14 @@ async function googleSearch(apiKey, lat, lon) {
   return values;
 }
 
-async function searchCompetitors({ legacyPort, googleApiKey, lat, lon }) {
-  const key = `${lat.toFixed(5)},${lon.toFixed(5)}`;
+async function searchCompetitors({ legacyPort, googleApiKey, lat, lon, radiusMi = RADIUS_MI }) {
+  const key = `${lat.toFixed(5)},${lon.toFixed(5)},${radiusMi}`;
   const cached = cache.get(key);
   if (cached && cached.expiresAt > Date.now()) return cached.value;
   const settled = await Promise.allSettled([
-    legacySearch(legacyPort, lat, lon),
-    overpassSearch(lat, lon),
-    googleSearch(googleApiKey, lat, lon),
+    legacySearch(legacyPort, lat, lon, radiusMi),
+    overpassSearch(lat, lon, radiusMi),
+    googleSearch(googleApiKey, lat, lon, radiusMi),
   ]);
   const groups = [];
   const sources = [];
@@ -182,11 +205,36 @@ async function searchCompetitors({ legacyPort, googleApiKey, lat, lon }) {
       warnings.push(`${labels[index]}: ${clean(result.reason?.message || result.reason, 300)}`);
     }
   });
-  const value = { items: mergeCompetitors(groups, lat, lon), sources, warnings, radius_mi: RADIUS_MI };
+  const value = { items: mergeCompetitors(groups, lat, lon, radiusMi), sources, warnings, radius_mi: radiusMi };
   cache.set(key, { value, expiresAt: Date.now() + CACHE_TTL_MS });
   return value;
 }
 
+async function loadTradeArea(lat, lon, minutes) {
+  const key = `${lat.toFixed(5)},${lon.toFixed(5)},${minutes.join("/")}`;
+  const cached = tradeAreaCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) return cached.value;
+  const query = roadNetworkQuery(lat, lon, networkRadiusMi(Math.max(...minutes)));
+  let lastError = null;
+  for (const endpoint of OVERPASS_ENDPOINTS) {
+    try {
+      const response = await timedFetch(endpoint, {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded", Accept: "application/json", "User-Agent": "FuelIQ/4.1 trade area" },
+        body: `data=${encodeURIComponent(query)}`,
+      }, 65000);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const data = await response.json();
+      const value = buildIsochrones(data.elements || [], { lat, lon }, minutes);
+      tradeAreaCache.set(key, { value, expiresAt: Date.now() + CACHE_TTL_MS });
+      return value;
+    } catch (error) {
+      lastError = error;
+    }
+  }
+  throw lastError || new Error("Road network lookup failed");
+}
+
 async function callLegacyEstimate(legacyPort, body) {
   const response = await timedFetch(`http://127.0.0.1:${legacyPort}/estimate`, {
     method: "POST",
@@ -199,87 +247,77 @@ async function callLegacyEstimate(legacyPort, body) {
   return { response, payload };
 }
 
-function calculate(result, requestBody, count, heavyCount) {
+function calculate(result, requestBody, count, heavyCount, index) {
   const input = result.inputs || {};
-  const aadt = Number(input.aadt_used);
+  // A corner-lot blend from the legacy estimate carries over with its effective AADT.
+  const frontage = input.aadt_components?.frontage ?? result.calc_breakdown?.frontage ?? null;
+  const aadt = Number(frontage?.secondary ? frontage.aadt : input.aadt_used);
   const mpds = Number(input.mpds ?? requestBody.mpds);
   const diesel = Number(input.diesel ?? requestBody.diesel ?? 0);
   if (![aadt, mpds, diesel].every(Number.isFinite) || aadt <= 0 || mpds <= 0) return null;
   const prior = result.calc_breakdown?.baselineComponents || {};
-  const trafficPullPct = Number(requestBody.trafficPullPct ?? prior.trafficPullPct ?? input.baseline_settings?.traffic_pull_pct ?? 2);
-  const gallonsPerFill = Number(requestBody.gallonsPerFill ?? prior.gallonsPerFill ?? input.baseline_settings?.gallons_per_fill ?? 8);
-  const baseline = aadt * (trafficPullPct / 100) * gallonsPerFill * 30;
-  let baseMult = 1;
-  if (count === 1) baseMult = 0.75;
-  else if (count >= 2 && count <= 4) baseMult = 0.6;
-  else if (count >= 5) baseMult = 0.5;
-  const heavyPenalty = heavyCount === 1 ? 0.2 : heavyCount >= 2 ? 0.35 : 0;
-  const compMult = Math.max(0.2, baseMult - heavyPenalty);
-  const afterComp = baseline * compMult;
-  const capEquip = mpds * 25 * 10.5 * 24 * (365 / 12) + diesel * 25 * 16 * 24 * (365 / 12);
-  const capSoftTotal = mpds * 22000;
-  const capHardTotal = mpds * 28000;
-  let capped = Math.min(afterComp, capEquip, capHardTotal);
-  if (afterComp > capSoftTotal) capped = Math.round(capped * 0.9);
+  const trafficPullPct = Number(requestBody.trafficPullPct ?? prior.trafficPullPct ?? input.baseline_settings?.traffic_pull_pct);
+  const gallonsPerFill = Number(requestBody.gallonsPerFill ?? prior.gallonsPerFill ?? input.baseline_settings?.gallons_per_fill);
   const pricePosition = String(requestBody.advanced?.price_position || input.price_position || "inline");
-  const priceMult = pricePosition === "below" ? 1.1 : pricePosition === "above" ? 0.9 : 1;
-  let extrasMult = 1;
-  for (const extra of requestBody.advanced?.extra || []) {
-    const pct = Number(extra?.pct);
-    if (Number.isFinite(pct)) extrasMult *= 1 + pct / 100;
-  }
-  if (result.flags?.auto_low_rating) extrasMult *= 0.7;
-  if (requestBody.advanced?.flags?.rural === true && count === 0) extrasMult *= 1.3;
-  const preClamp = Math.round(capped * priceMult * extrasMult);
-  const base = Math.min(preClamp, Math.round(baseline));
-  return {
-    base,
-    low: Math.round(base * 0.86),
-    high: Math.round(base * 1.06),
-    year2: Math.round(base * 1.027),
-    year3: Math.round(base * 1.027 * 1.0125),
-    breakdown: {
-      aadt,
-      baseline: Math.round(baseline),
-      baselineComponents: { trafficShare: trafficPullPct / 100, trafficPullPct, gallonsPerFill, days: 30 },
-      compRule: { compCount: count, heavyCount, baseMult, heavyPenalty, compMult, afterComp: Math.round(afterComp) },
-      caps: { capEquip: Math.round(capEquip), capSoftTotal, capHardTotal },
-      priceMult,
-      extrasMult,
-      preClamp,
-      finalClampedToBaseline: base,
-    },
-  };
+  const rules = resolveEstimateRules(requestBody.profile ?? input.profile);
+  const extrasMult = extrasMultiplier({
+    extras: requestBody.advanced?.extra || [],
+    ruralApplied: requestBody.advanced?.flags?.rural === true && count === 0,
+    autoLowRating: result.flags?.auto_low_rating === true,
+  }, rules);
+  const truckPct = input.truck_share?.pct ?? result.calc_breakdown?.fuelSplit?.truckPct;
+  return computeEstimate({ aadt, mpds, diesel, compCountDetected: count, heavyCountDetected: heavyCount, competitionIndex: index, pricePosition, extrasMult, trafficPullPct, gallonsPerFill, truckPct, frontage }, rules);
 }
 
-function applyCompetition(result, requestBody, lookup) {
-  const items = lookup.items;
+// Re-runs the estimate with the verified competitors (clipped to the drive-time
+// ring when there is one) and rewrites the competition fields of `result`.
+export function applyCompetition(result, requestBody, lookup, tradeArea = null) {
+  const ring = tradeArea?.ring || null;
+  const items = ring ? lookup.items.filter((item) => pointInFeature(ring, item.lat, item.lon)) : lookup.items;
+  const areaLabel = ring ? `a ${tradeArea.minutes}-minute drive` : `${lookup.radius_mi} mi`;
   const count = items.length;
   const heavyCount = items.filter((item) => item.heavy).length;
-  const calc = calculate(result, requestBody, count, heavyCount);
+  const rules = resolveEstimateRules(requestBody.profile ?? result.inputs?.profile);
+  const index = competitionIndex(items, { site: result.map?.site, road: result.roads?.frontage }, rules);
+  items.forEach((item, position) => { item.index_weight = index.contributions[position].weight; });
+  const calc = calculate(result, requestBody, count, heavyCount, index);
   if (calc) {
     Object.assign(result, { base: calc.base, low: calc.low, high: calc.high, year2: calc.year2, year3: calc.year3, calc_breakdown: calc.breakdown });
     result.estimate = { ...(result.estimate || {}), base: calc.base, low: calc.low, high: calc.high, range: `${calc.low}–${calc.high}`, year2: calc.year2, year3: calc.year3 };
+    const monteCarlo = monteCarloOptions(requestBody);
+    if (monteCarlo) {
+      applyProbabilisticRange(result, simulateEstimate(engineInputFromResult(result), rules, { ...aadtSourceContext(result, requestBody), ...monteCarlo }));
+    }
   }
   result.competition = {
     ...(result.competition || {}),
     count,
     count_1_5mi: count,
     heavy_count: heavyCount,
-    adjusted_count: count,
-    adjusted_heavy_count: heavyCount,
+    adjusted_count: calc?.breakdown.compRule.compCount ?? count,
+    adjusted_heavy_count: calc?.breakdown.compRule.heavyCount ?? heavyCount,
     detected_count: count,
     detected_heavy_count: heavyCount,
+    index: calc?.breakdown.compRule.index ?? null,
+    heavy_index: calc?.breakdown.compRule.heavyIndex ?? null,
     nearest_mi: items[0]?.miles ?? null,
     notable_brands: items.slice(0, 8).map((item) => item.name),
-    radius_mi: RADIUS_MI,
+    radius_mi: lookup.radius_mi,
+    drive_minutes: ring ? tradeArea.minutes : null,
   };
   result.flags = { ...(result.flags || {}), rural_eligible: count === 0, rural_bonus_applied: count === 0 && requestBody.advanced?.flags?.rural === true };
-  result.map = { ...(result.map || {}), competitors: items, all_competitors: items, competitor_radius_mi: RADIUS_MI };
+  result.map = { ...(result.map || {}), competitors: items, all_competitors: lookup.items, competitor_radius_mi: lookup.radius_mi, competitor_drive_minutes: ring ? tradeArea.minutes : null };
+  if (tradeArea) {
+    const aadt = Array.isArray(result.map.aadt) ? result.map.aadt : [];
+    if (ring) result.map.aadt = aadt.filter((station) => pointInFeature(ring, Number(station.lat), Number(station.lon)));
+    result.map.trade_area = tradeArea.collection
+      ? { ...tradeArea.collection, minutes_used: tradeArea.minutes, competitors_inside: items.length, competitors_searched: lookup.items.length, aadt_stations_inside: result.map.aadt.length, aadt_stations_searched: aadt.length }
+      : { type: "FeatureCollection", features: [], minutes_used: null, warning: tradeArea.warning };
+  }
   result.competition_lookup = lookup;
   result.competitionText = count
-    ? `Competition: ${count} active fuel station${count === 1 ? "" : "s"} verified within ${RADIUS_MI} mi${heavyCount ? ` (${heavyCount} high-impact competitor${heavyCount === 1 ? "" : "s"})` : ""}.`
-    : `Competition: No active fuel station was verified within ${RADIUS_MI} mi. This is a source-search result, not proof that none exists.`;
+    ? `Competition: ${count} active fuel station${count === 1 ? "" : "s"} verified within ${areaLabel}${heavyCount ? ` (${heavyCount} high-impact competitor${heavyCount === 1 ? "" : "s"})` : ""}${calc?.breakdown.compRule.basis === "index" ? `; weighted competition index ${calc.breakdown.compRule.index.toFixed(2)}` : ""}.`
+    : `Competition: No active fuel station was verified within ${areaLabel}. This is a source-search result, not proof that none exists.`;
   const baseSummary = clean(result.summary_base || result.summary, 20000)
     .split(/(?<=[.!?])\s+/)
     .filter((sentence) => !/competit|big box|within 3 mi|within 1 mi/i.test(sentence))
@@ -289,28 +327,32 @@ function applyCompetition(result, requestBody, lookup) {
   return result;
 }
 
-function esc(value) {
-  return String(value ?? "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;").replace(/'/g, "&#39;");
-}
-
-function filename(address) {
-  return `${clean(address, 140).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "fuel-iq-site"}-fuel-iq-estimate.doc`;
+async function estimateWithCompetition({ legacyPort, googleApiKey, body }) {
+  const legacy = await callLegacyEstimate(legacyPort, body);
+  if (!legacy.response.ok || legacy.payload?.ok !== true) return legacy;
+  const site = legacy.payload?.map?.site;
+  if (!Number.isFinite(Number(site?.lat)) || !Number.isFinite(Number(site?.lon))) return legacy;
+  const lat = Number(site.lat);
+  const lon = Number(site.lon);
+  // Drive-time trade area: search out to the ring's farthest point, then keep
+  // only competitors inside it. A failed road lookup falls back to the radius.
+  const options = tradeAreaOptions(body);
+  let tradeArea = null;
+  if (options) {
+    try {
+      const collection = await loadTradeArea(lat, lon, options.minutes);
+      tradeArea = { collection, minutes: options.use, ring: isochroneFor(collection, options.use) };
+    } catch (error) {
+      tradeArea = { warning: `Drive-time trade area unavailable (${clean(error?.message || error, 200)}); used the ${RADIUS_MI} mi radius.` };
+    }
+  }
+  const radiusMi = tradeArea?.ring ? Math.min(MAX_TRADE_AREA_SEARCH_MI, Math.ceil(tradeArea.ring.properties.max_miles * 10) / 10) : RADIUS_MI;
+  const lookup = await searchCompetitors({ legacyPort, googleApiKey, lat, lon, radiusMi });
+  return { response: legacy.response, payload: applyCompetition(legacy.payload, body, lookup, tradeArea) };
 }
 
-function renderWord(result, body) {
-  const address = result?.map?.site?.label || body.address || "Fuel IQ Site";
-  const number = (value) => Number.isFinite(Number(value)) ? Number(value).toLocaleString() : "—";
-  const competitors = (result?.map?.competitors || []).filter((item) => Number(item.miles) <= RADIUS_MI);
-  const rows = competitors.length ? competitors.map((item) => `<tr><td>${esc(Number(item.miles).toFixed(3))} mi</td><td>${esc(item.name)}</td><td>${esc(item.address || "—")}</td><td>${esc(item.source)}</td></tr>`).join("") : '<tr><td colspan="4">No competitor was verified by the available 1.5-mile sources; field verification is required.</td></tr>';
-  const selected = body.selectedAadt || null;
-  const b = result.calc_breakdown || {};
-  const c = b.baselineComponents || {};
-  return `<!doctype html><html xmlns:o="urn:schemas-microsoft-com:office:office" xmlns:w="urn:schemas-microsoft-com:office:word"><head><meta charset="utf-8"><title>Fuel IQ Site Estimate</title><style>body{font-family:Arial;color:#172033;font-size:10.5pt;line-height:1.45;margin:32px}h1{font-size:20pt;color:#0b1f33}h2{font-size:14pt;color:#123d61;border-bottom:1px solid #cbd5e1;padding-bottom:4px;margin-top:22px}table{width:100%;border-collapse:collapse;margin:8px 0 14px}th,td{border:1px solid #cbd5e1;padding:6px;vertical-align:top;text-align:left}th{background:#e2e8f0}.big{font-size:24pt;font-weight:bold}.note{background:#f1f5f9;border:1px solid #cbd5e1;padding:10px}</style></head><body>
-<h1>Sunoco, LP Fuel IQ — Site Estimate</h1><p><b>${esc(address)}</b></p><p>Prepared ${esc(new Date().toISOString())}</p>${body.siteNotes ? `<div class="note"><b>User notes:</b> ${esc(body.siteNotes)}</div>` : ""}
-<h2>Estimate Summary</h2><p class="big">${number(result.base)} gallons/month</p><table><tr><th>Low</th><td>${number(result.low)}</td><th>High</th><td>${number(result.high)}</td></tr><tr><th>Year 2</th><td>${number(result.year2)}</td><th>Year 3</th><td>${number(result.year3)}</td></tr></table>
-<h2>AADT Selection and Math</h2><p>${esc(result.aadtText || "—")}</p>${selected ? `<p><b>Selected reading:</b> ${number(selected.aadt)} (${esc(selected.year || "year not stated")}) — ${esc(selected.route || "route not stated")} — approximately ${esc(selected.miles ?? "—")} mi away.</p>` : ""}<p>${number(result.inputs?.aadt_used)} × ${esc(c.trafficPullPct ?? 2)}% × ${esc(c.gallonsPerFill ?? 8)} gal/fill × 30 days = ${number(b.baseline)}</p>
-<h2>Competition Within 1.5 Miles</h2><p>${esc(result.competitionText)}</p><table><thead><tr><th>Distance</th><th>Competitor</th><th>Address</th><th>Source</th></tr></thead><tbody>${rows}</tbody></table>
-<h2>Road and Site Context</h2><p>${esc(result.roads?.summary || "Not returned.")}</p><h2>Fuel IQ Summary</h2><p>${esc(result.summary_base || result.summary || "—")}</p><h2>Verification Note</h2><p>Verify traffic counts, operating status, access, property records, environmental records, and competitor conditions before underwriting.</p></body></html>`;
+function filename(address, extension) {
+  return `${clean(address, 140).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "fuel-iq-site"}-fuel-iq-estimate.${extension}`;
 }
 
 export function registerSiteEnhancementRoutes(app, options = {}) {
@@ -318,19 +360,266 @@ export function registerSiteEnhancementRoutes(app, options = {}) {
   const googleApiKey = options.googleApiKey || process.env.GOOGLE_API_KEY || "";
   const json = express.json({ limit: "4mb" });
 
+  // Body: the legacy estimate fields plus `save: true` to record the run in
+  // the address's saved-site history (the Site Analyzer sends it). Without it
+  // the estimate is returned only, so one-off lookups and back-test runs stay
+  // out of the site picker, pipeline and compare.
   app.post("/estimate", json, async (req, res) => {
     try {
-      const legacy = await callLegacyEstimate(legacyPort, req.body || {});
-      if (!legacy.response.ok || legacy.payload?.ok !== true) return res.status(legacy.response.status || 400).json(legacy.payload);
-      const site = legacy.payload?.map?.site;
-      if (!Number.isFinite(Number(site?.lat)) || !Number.isFinite(Number(site?.lon))) return res.json(legacy.payload);
-      const lookup = await searchCompetitors({ legacyPort, googleApiKey, lat: Number(site.lat), lon: Number(site.lon) });
-      res.json(applyCompetition(legacy.payload, req.body || {}, lookup));
+      const { response, payload } = await estimateWithCompetition({ legacyPort, googleApiKey, body: req.body || {} });
+      if (!response.ok || payload?.ok !== true) return res.status(response.status || 400).json(payload);
+      // History is a convenience; a store write failure must not lose the estimate.
+      if (req.body?.save === true) {
+        try {
+          const saved = recordEstimate(req.body, payload);
+          if (saved) payload.saved = { site_id: saved.site.id, estimate_id: saved.estimate.id };
+        } catch (error) {
+          console.error("Failed to save estimate", error);
+        }
+      }
+      res.json(payload);
     } catch (error) {
       res.status(400).json({ ok: false, status: "Estimate failed", detail: clean(error?.message || error, 1200) });
     }
   });
 
+  // Same body as /estimate. The site is resolved once (AADT lookup, 1.5 mi
+  // competition) and every scenario re-runs only the shared engine math.
+  app.post("/estimate/sensitivity", json, async (req, res) => {
+    try {
+      let result = req.body?.result;
+      if (!result?.ok) {
+        const { response, payload } = await estimateWithCompetition({ legacyPort, googleApiKey, body: req.body || {} });
+        if (!response.ok || payload?.ok !== true) return res.status(response.status || 400).json(payload);
+        result = payload;
+      }
+      const input = engineInputFromResult(result);
+      if (!input) return res.status(400).json({ ok: false, status: "Sensitivity failed", detail: "The estimate did not return AADT and MPD inputs." });
+      const rules = resolveEstimateRules(req.body?.profile ?? result.inputs?.profile);
+      res.setHeader("Cache-Control", "no-store");
+      res.json({
+        ok: true,
+        site: result.map?.site || null,
+        estimate: { base: result.base, low: result.low, high: result.high },
+        ...buildSensitivity(input, rules, req.body?.sensitivity || {}),
+      });
+    } catch (error) {
+      res.status(400).json({ ok: false, status: "Sensitivity failed", detail: clean(error?.message || error, 1200) });
+    }
+  });
+
+  // Body: { csv, profile?, live? }. Recorded rows are scored offline; `live`
+  // runs /estimate for the rest (capped, since each one hits public sources).
+  app.post("/api/estimate/backtest", json, async (req, res) => {
+    try {
+      const rules = resolveEstimateRules(req.body?.profile);
+      const { sites, errors } = parseBacktestCsv(String(req.body?.csv || ""));
+      const live = req.body?.live === true;
+      if (live && sites.filter((site) => !site.recorded).length > MAX_LIVE_BACKTEST_SITES) {
+        return res.status(400).json({ ok: false, status: "Back-test failed", detail: `Live back-tests are limited to ${MAX_LIVE_BACKTEST_SITES} sites without recorded inputs; use scripts/backtestEstimates.js for larger files.` });
+      }
+      const estimate = live
+        ? async (site) => {
+            const { response, payload } = await estimateWithCompetition({ legacyPort, googleApiKey, body: { address: site.address, mpds: site.mpds, diesel: site.diesel, profile: req.body?.profile } });
+            if (!response.ok || payload?.ok !== true) throw new Error(payload?.detail || payload?.status || `HTTP ${response.status}`);
+            return { result: payload, source: "live" };
+          }
+        : undefined;
+      const report = await runBacktest(sites, { rules, estimate, concurrency: 2 });
+      res.setHeader("Cache-Control", "no-store");
+      res.json({ ok: true, csv_errors: errors, ...report });
+    } catch (error) {
+      res.status(400).json({ ok: false, status: "Back-test failed", detail: clean(error?.message || error, 1200) });
+    }
+  });
+
+  function startBatch(job) {
+    if (runningBatches.has(job.id)) return;
+    runningBatches.add(job.id);
+    const estimate = async (body) => {
+      const { response, payload } = await estimateWithCompetition({ legacyPort, googleApiKey, body });
+      if (!response.ok || payload?.ok !== true) throw new Error(payload?.detail || payload?.status || `HTTP ${response.status}`);
+      // Saved like a single estimate so batch sites can be compared and re-run.
+      try {
+        const saved = recordEstimate(body, payload, { source: "batch" });
+        if (saved) payload.saved = { site_id: saved.site.id, estimate_id: saved.estimate.id };
+      } catch (error) {
+        console.error("Failed to save batch estimate", error);
+      }
+      return payload;
+    };
+    runBatchJob(job, { estimate, limit: batchLimit, save: (value) => BATCH_JOBS.save(value) })
+      .catch((error) => console.error("Batch estimate failed", error))
+      .finally(() => runningBatches.delete(job.id));
+  }
+
+  function batchStatus(job) {
+    const base = `/api/estimate/batch/${encodeURIComponent(job.id)}`;
+    return {
+      ok: true,
+      jobId: job.id,
+      status: job.status,
+      ...batchProgress(job),
+      urls: { status: base, csv: `${base}/download?format=csv`, xlsx: `${base}/download?format=xlsx`, compare: `/compare.html?batch=${encodeURIComponent(job.id)}` },
+    };
+  }
+
+  // Body: { csv } or { rows: [{ address, mpds, diesel, aadt }] } (a bare array
+  // also works), plus optional profile/tradeArea applied to every row. Rows run
+  // in the background; poll the returned status URL.
+  app.post("/api/estimate/batch", json, (req, res) => {
+    try {
+      const body = Array.isArray(req.body) ? { rows: req.body } : req.body || {};
+      const rows = parseBatchRows(Array.isArray(body.rows) ? body.rows : String(body.csv || ""));
+      const options = {};
+      if (body.profile) options.profile = body.profile;
+      if (body.tradeArea) options.tradeArea = body.tradeArea;
+      const job = BATCH_JOBS.put(createBatchJob(rows, options, BATCH_TTL_MS));
+      if (job.status !== "completed") startBatch(job);
+      res.status(202).json(batchStatus(job));
+    } catch (error) {
+      res.status(400).json({ ok: false, status: "Batch estimate failed", detail: clean(error?.message || error, 1200) });
+    }
+  });
+
+  app.get("/api/estimate/batch/:jobId", (req, res) => {
+    const job = BATCH_JOBS.get(req.params.jobId);
+    if (!job) return res.status(404).json({ ok: false, status: "expired", detail: "This batch expired or was not found. Upload the file again." });
+    // A restart stops the runner; the first poll afterwards resumes the pending rows.
+    if (job.status !== "completed") startBatch(job);
+    res.setHeader("Cache-Control", "no-store");
+    res.json({ ...batchStatus(job), rows: job.rows });
+  });
+
+  app.get("/api/estimate/batch/:jobId/download", (req, res) => {
+    const job = BATCH_JOBS.get(req.params.jobId);
+    if (!job) return res.status(404).json({ ok: false, status: "expired", detail: "This batch expired or was not found. Upload the file again." });
+    try {
+      const xlsx = String(req.query.format || "csv").toLowerCase() === "xlsx";
+      const name = `fuel-iq-batch-${new Date(job.createdAt).toISOString().slice(0, 10)}-${job.id.slice(0, 8)}`;
+      res.setHeader("Content-Type", xlsx ? "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet" : "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="${name}.${xlsx ? "xlsx" : "csv"}"`);
+      res.setHeader("Cache-Control", "no-store");
+      res.send(xlsx ? batchXlsx(job) : batchCsv(job));
+    } catch (error) {
+      res.status(500).json({ ok: false, status: "Batch download failed", detail: clean(error?.message || error, 1000) });
+    }
+  });
+
+  app.get("/api/sites", (_req, res) => {
+    try {
+      res.setHeader("Cache-Control", "no-store");
+      res.json({ ok: true, sites: listSites() });
+    } catch (error) {
+      res.status(500).json({ ok: false, status: "Sites could not be loaded", detail: clean(error?.message || error, 1000) });
+    }
+  });
+
+  // Body: { id?, address, normalized?, mpds?, diesel?, notes?, tags? }. With
+  // an id it updates that site; otherwise it upserts by address.
+  app.post("/api/sites", json, (req, res) => {
+    try {
+      const { site, created } = saveSite(req.body || {});
+      res.status(created ? 201 : 200).json({ ok: true, site });
+    } catch (error) {
+      res.status(error?.status || 400).json({ ok: false, status: "Site not saved", detail: clean(error?.message || error, 1000) });
+    }
+  });
+
+  // ?ids=a,b,c or ?batch=<jobId>&page=N (the sites a batch run saved, highest
+  // estimate first, 50 per page), plus optional
+  // ?weights=estimate:40,competition:30. Ranked best first.
+  app.get("/api/sites/compare", async (req, res) => {
+    try {
+      const weights = parseWeights(req.query.weights);
+      let ids = String(req.query.ids || "").split(",");
+      let batch = null;
+      if (req.query.batch) {
+        const job = BATCH_JOBS.get(req.query.batch);
+        if (!job) return res.status(404).json({ ok: false, status: "expired", detail: "This batch expired or was not found." });
+        ({ ids, ...batch } = batchComparePage(job.rows, req.query.page));
+      }
+      ids = [...new Set(ids.map((id) => String(id || "").trim()).filter(Boolean))];
+      // Checked before the rating lookups, which cost one Places call per site.
+      if (ids.length > MAX_COMPARE_SITES) throw new Error(`Compare up to ${MAX_COMPARE_SITES} sites at a time.`);
+      await refreshGoogleRatings(ids, async (site) => {
+        const response = await timedFetch(`http://127.0.0.1:${legacyPort}/google/rating_by_location?lat=${encodeURIComponent(site.lat)}&lon=${encodeURIComponent(site.lon)}`, {}, 15000);
+        const payload = await response.json();
+        // No station on the lot (a raw-land site) is an answer; a missing key or outage is not.
+        if (payload?.status === "ZERO_RESULTS") return { rating: null, total: 0 };
+        if (!payload?.ok) throw new Error(payload?.status || `HTTP ${response.status}`);
+        return payload;
+      });
+      res.setHeader("Cache-Control", "no-store");
+      res.json({ ok: true, ...compareSites(ids, { weights }), ...(batch ? { batch } : {}) });
+    } catch (error) {
+      res.status(400).json({ ok: false, status: "Comparison failed", detail: clean(error?.message || error, 1000) });
+    }
+  });
+
+  app.get("/api/sites/:id", (req, res) => {
+    const history = siteHistory(req.params.id);
+    if (!history) return res.status(404).json({ ok: false, status: "Site not found", detail: "This site was not found." });
+    res.setHeader("Cache-Control", "no-store");
+    res.json({ ok: true, ...history });
+  });
+
+  // Re-runs the last estimate's options with today's AADT and competitor data
+  // and reports what changed against that run.
+  app.post("/api/sites/:id/rerun", json, async (req, res) => {
+    try {
+      const history = siteHistory(req.params.id);
+      if (!history) return res.status(404).json({ ok: false, status: "Site not found", detail: "This site was not found." });
+      const { site } = history;
+      const previous = latestEstimate(site);
+      const body = rerunBody(site, previous);
+      if (!body.address) return res.status(400).json({ ok: false, status: "Re-run failed", detail: "This site has no address to estimate." });
+      const { response, payload } = await estimateWithCompetition({ legacyPort, googleApiKey, body });
+      if (!response.ok || payload?.ok !== true) return res.status(response.status || 400).json(payload);
+      const saved = recordEstimate(body, payload, { source: "rerun", siteId: site.id });
+      const current = timelineEntry(saved.estimate);
+      res.setHeader("Cache-Control", "no-store");
+      res.json({
+        ok: true,
+        site: saved.site,
+        estimate: current,
+        previous: previous ? timelineEntry(previous) : null,
+        diff: previous ? diffEstimates(timelineEntry(previous), current) : null,
+        result: { ...payload, saved: { site_id: site.id, estimate_id: saved.estimate.id } },
+      });
+    } catch (error) {
+      res.status(400).json({ ok: false, status: "Re-run failed", detail: clean(error?.message || error, 1200) });
+    }
+  });
+
+  app.get("/api/estimate/profiles", (_req, res) => {
+    try {
+      res.setHeader("Cache-Control", "no-store");
+      res.json({ ok: true, ...listEstimateProfiles() });
+    } catch (error) {
+      res.status(500).json({ ok: false, status: "Estimate profiles could not be loaded", detail: clean(error?.message || error, 1000) });
+    }
+  });
+
+  // ?lat=&lon=&minutes=3,5,8 → drive-time polygons as GeoJSON for the map.
+  app.get("/api/trade-area", async (req, res) => {
+    try {
+      const lat = Number(req.query.lat);
+      const lon = Number(req.query.lon);
+      if (!Number.isFinite(lat) || !Number.isFinite(lon)) return res.status(400).json({ ok: false, status: "Trade area failed", detail: "lat/lon required" });
+      const requested = String(req.query.minutes || "").split(",").filter((value) => value.trim());
+      const options = tradeAreaOptions({ tradeArea: requested.length ? { minutes: requested } : true });
+      if (!options || requested.some((value) => !options.minutes.includes(Number(value)))) {
+        return res.status(400).json({ ok: false, status: "Trade area failed", detail: `minutes must be up to six comma-separated drive times above 0 and at most ${MAX_TRADE_AREA_MINUTES}, e.g. minutes=3,5,8` });
+      }
+      const collection = await loadTradeArea(lat, lon, options.minutes);
+      res.setHeader("Cache-Control", "no-store");
+      res.type("application/geo+json").send(JSON.stringify(collection));
+    } catch (error) {
+      res.status(502).json({ ok: false, status: "Trade area failed", detail: clean(error?.message || error, 1000) });
+    }
+  });
+
   app.get("/api/competitors", async (req, res) => {
     try {
       const lat = Number(req.query.lat);
@@ -349,22 +638,65 @@ export function registerSiteEnhancementRoutes(app, options = {}) {
     try {
       let result = req.body?.result;
       if (!result?.ok) {
-        const legacy = await callLegacyEstimate(legacyPort, req.body || {});
-        if (!legacy.response.ok || legacy.payload?.ok !== true) throw new Error(legacy.payload?.status || "Estimate failed");
-        result = legacy.payload;
-        const site = result?.map?.site;
-        if (Number.isFinite(Number(site?.lat)) && Number.isFinite(Number(site?.lon))) {
-          const lookup = await searchCompetitors({ legacyPort, googleApiKey, lat: Number(site.lat), lon: Number(site.lon) });
-          applyCompetition(result, req.body || {}, lookup);
-        }
+        const { response, payload } = await estimateWithCompetition({ legacyPort, googleApiKey, body: req.body || {} });
+        if (!response.ok || payload?.ok !== true) throw new Error(payload?.status || "Estimate failed");
+        result = payload;
       }
       const address = result?.map?.site?.label || req.body?.address || "Fuel IQ Site";
-      res.setHeader("Content-Type", "application/msword; charset=utf-8");
-      res.setHeader("Content-Disposition", `attachment; filename="${filename(address)}"`);
+      const document = await buildSiteEstimateDocument(result, req.body || {});
+      res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.wordprocessingml.document");
+      res.setHeader("Content-Disposition", `attachment; filename="${filename(address, "docx")}"`);
       res.setHeader("Cache-Control", "no-store");
-      res.send(renderWord(result, req.body || {}));
+      res.send(document);
     } catch (error) {
       res.status(400).json({ ok: false, status: "WORD_FAILED", detail: clean(error?.message || error, 1200) });
     }
   });
+
+  app.post("/report/xlsx", json, async (req, res) => {
+    try {
+      let result = req.body?.result;
+      if (!result?.ok) {
+        const { response, payload } = await estimateWithCompetition({ legacyPort, googleApiKey, body: req.body || {} });
+        if (!response.ok || payload?.ok !== true) throw new Error(payload?.status || "Estimate failed");
+        result = payload;
+      }
+      const address = result?.map?.site?.label || req.body?.address || "Fuel IQ Site";
+      const workbook = buildEstimateWorkbook(result, req.body || {}, resolveEstimateRules(req.body?.profile ?? result.inputs?.profile));
+      res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+      res.setHeader("Content-Disposition", `attachment; filename="${filename(address, "xlsx")}"`);
+      res.setHeader("Cache-Control", "no-store");
+      res.send(workbook);
+    } catch (error) {
+      res.status(400).json({ ok: false, status: "XLSX_FAILED", detail: clean(error?.message || error, 1200) });
+    }
+  });
+
+  // The legacy PDF renderer would otherwise re-run its own 1-mile estimate when
+  // the client does not post a result, so resolve it here first and the PDF and
+  // Word exports always show the same numbers.
+  app.post("/report/pdf", json, async (req, res) => {
+    try {
+      let result = req.body?.result;
+      if (!result?.ok) {
+        const { response, payload } = await estimateWithCompetition({ legacyPort, googleApiKey, body: req.body || {} });
+        if (!response.ok || payload?.ok !== true) throw new Error(payload?.status || "Estimate failed");
+        result = payload;
+      }
+      const response = await timedFetch(`http://127.0.0.1:${legacyPort}/report/pdf`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ ...(req.body || {}), result }),
+      }, 60000);
+      res.status(response.status);
+      for (const name of ["content-type", "content-disposition"]) {
+        const value = response.headers.get(name);
+        if (value) res.setHeader(name, value);
+      }
+      res.setHeader("Cache-Control", "no-store");
+      res.send(Buffer.from(await response.arrayBuffer()));
+    } catch (error) {
+      res.status(400).json({ ok: false, status: "PDF_FAILED", detail: clean(error?.message || error, 1200) });
+    }
+  });
 }
@@ -0,0 +1,148 @@
+import { buildProForma, proFormaAssumptions } from "./proForma.js";
+import { resolveReportTheme } from "./reportTheme.js";
+import { renderSiteMap, siteMapCaption } from "./staticMap.js";
+import { buildWordDocument, callout, dataTable, heading, imageParagraphs, keyValueTable, paragraph, pngFromDataUrl, themeDisclaimer, titleBlock } from "./wordDocx.js";
+
+// Competitor search radius when the estimate did not record one.
+const DEFAULT_RADIUS_MI = 1.5;
+
+function number(value) {
+  return value != null && value !== "" && Number.isFinite(Number(value)) ? Number(value).toLocaleString("en-US") : "—";
+}
+
+function usd(value) {
+  return `${value < 0 ? "−" : ""}$${Math.abs(Number(value)).toLocaleString("en-US")}`;
+}
+
+function proFormaChildren(proForma) {
+  const a = proForma.assumptions;
+  const lines = [
+    ["Annual gallons", (row) => number(row.gallons)],
+    ["Fuel gross profit", (row) => usd(row.fuel_gross_profit)],
+    ["Card fees", (row) => usd(-row.card_fees)],
+    ["Inside-store sales", (row) => usd(row.inside_sales)],
+    ["Inside-store gross profit", (row) => usd(row.inside_gross_profit)],
+    ["Car wash gross profit", (row) => usd(row.car_wash_gross_profit)],
+    ["Other gross profit", (row) => usd(row.other_gross_profit)],
+    ["Total gross profit", (row) => usd(row.total_gross_profit)],
+    ["Operating expenses", (row) => usd(-row.operating_expenses)],
+    ["EBITDA", (row) => usd(row.ebitda)],
+  ];
+  const rows = lines.map(([label, cell]) => [label, ...proForma.years.map(cell)]);
+  const opex = Object.values(a.opex).reduce((sum, value) => sum + value, 0).toLocaleString("en-US");
+  return [
+    heading("Pro-Forma P&L (Years 1–3)", 2),
+    ...dataTable(rows, [
+      { label: "", keys: ["0"], width: 34 },
+      ...proForma.years.map((row, index) => ({ label: `Year ${row.year}`, keys: [String(index + 1)], width: 22 })),
+    ]),
+    paragraph(`Assumptions: fuel margin ${a.fuelMarginCpg[proForma.price_position]}¢/gal and diesel ${a.dieselMarginCpg[proForma.price_position]}¢/gal (${proForma.price_position} pricing); card fees ${a.cardFeesCpg}¢/gal; inside sales $${a.insideSalesPerGallon}/gal at ${a.insideMarginPct}% margin; car wash $${a.carWash.monthlyRevenue}/mo at ${a.carWash.marginPct}%; other $${a.other.monthlyRevenue}/mo at ${a.other.marginPct}%; opex $${opex}/mo growing ${a.opexGrowthPct}%/yr. Volumes follow the BASE, Year 2 and Year 3 gallons above.`, { size: 17, color: "muted" }),
+  ];
+}
+
+function siteAddress(result, body, theme) {
+  return result?.map?.site?.label || body.address || `${theme.name} Site`;
+}
+
+function estimateChildren(result, body, theme) {
+  const address = siteAddress(result, body, theme);
+  const radiusMi = result?.map?.competitor_radius_mi ?? DEFAULT_RADIUS_MI;
+  const driveMinutes = result?.map?.competitor_drive_minutes;
+  const area = driveMinutes ? `a ${driveMinutes}-Minute Drive` : `${radiusMi} Miles`;
+  const competitors = driveMinutes ? result?.map?.competitors || [] : (result?.map?.competitors || []).filter((item) => Number(item.miles) <= radiusMi);
+  const selected = body.selectedAadt || null;
+  const b = result.calc_breakdown || {};
+  const c = b.baselineComponents || {};
+  const mc = result.probabilistic;
+  const split = b.fuelSplit;
+  const truck = result.inputs?.truck_share;
+  const proFormaInputs = proFormaAssumptions(body);
+  const postedMap = pngFromDataUrl(body.mapImage);
+  const renderedMap = postedMap ? null : renderSiteMap(result?.map);
+  const mapImage = postedMap || renderedMap;
+
+  const children = [
+    ...titleBlock(`${theme.name.toUpperCase()} SITE ESTIMATE`, `${theme.brand} — Site Estimate`),
+    paragraph(address, { bold: true, size: 22 }),
+    paragraph(`Prepared ${new Date().toISOString()}`, { color: "muted" }),
+  ];
+  if (body.siteNotes) children.push(callout(`User notes: ${body.siteNotes}`, { italics: false }));
+  if (mapImage) children.push(...imageParagraphs(mapImage, { caption: renderedMap ? siteMapCaption(renderedMap) : "Site, competitors and AADT stations" }));
+
+  children.push(
+    heading("Estimate Summary", 2),
+    paragraph(`${number(result.base)} gallons/month`, { bold: true, size: 40, color: "primary" }),
+    ...keyValueTable([
+      ["Low – High", `${number(result.low)} – ${number(result.high)}`],
+      ["Year 2 / Year 3", `${number(result.year2)} / ${number(result.year3)}`],
+      split && ["Gasoline / Diesel", `${number(split.gasoline)} / ${number(split.diesel)}`],
+      mc && ["P10 / P50 / P90", `${number(mc.p10)} / ${number(mc.p50)} / ${number(mc.p90)}`],
+      mc && ["Confidence", `${mc.confidence?.grade || "—"} (${number(mc.samples)} runs)`],
+    ]),
+  );
+  if (mc?.confidence?.reasons?.length) children.push(paragraph(mc.confidence.reasons.join(" ")));
+
+  children.push(heading("AADT Selection and Math", 2), paragraph(result.aadtText || "—"));
+  if (selected) children.push(paragraph(`Selected reading: ${number(selected.aadt)} (${selected.year || "year not stated"}) — ${selected.route || "route not stated"} — approximately ${selected.miles ?? "—"} mi away.`));
+  if (b.frontage?.secondary) {
+    const f = b.frontage;
+    children.push(paragraph(`Corner lot: ${f.primary.road || "primary road"} ${number(f.primary.aadt)} + ${Math.round(f.weight * 100)}% × ${f.secondary.road || "second frontage"} ${number(f.secondary.aadt)} = ${number(f.aadt)} effective AADT.`));
+  }
+  children.push(paragraph(`${number(result.inputs?.aadt_used)} × ${c.trafficPullPct ?? 2}% × ${c.gallonsPerFill ?? 8} gal/fill × ${c.days ?? 30} days = ${number(b.baseline)}`, { bold: true }));
+  if (split) {
+    const source = truck?.source ? ` (${truck.source.replace(/_/g, " ")}${truck.detail ? `: ${truck.detail}` : ""})` : "";
+    children.push(paragraph(`Fuel split: truck share ${split.truckPct}% of AADT${source}; trucks ${(split.truckGallonsShare * 100).toFixed(1)}% of gallons → ${number(split.truckDiesel)} truck diesel + ${number(split.autoDiesel)} passenger diesel.`));
+  }
+  if (b.profile?.label) children.push(paragraph(`Rule profile: ${b.profile.label}${b.engine_version ? ` (engine ${b.engine_version})` : ""}`));
+
+  children.push(
+    heading(`Competition Within ${area}`, 2),
+    paragraph(result.competitionText || "—"),
+    ...dataTable(competitors.map((item) => ({
+      distance: `${Number(item.miles).toFixed(3)} mi`,
+      name: item.name,
+      address: item.address || "—",
+      weight: item.index_weight != null ? Number(item.index_weight).toFixed(2) : "—",
+      source: item.source,
+    })), [
+      { label: "Distance", keys: ["distance"], width: 12 },
+      { label: "Competitor", keys: ["name"], width: 26 },
+      { label: "Address", keys: ["address"], width: 34 },
+      { label: "Index weight", keys: ["weight"], width: 12 },
+      { label: "Source", keys: ["source"], width: 16 },
+    ], { emptyText: `No competitor was verified by the available sources within ${area.toLowerCase()}; field verification is required.` }),
+  );
+  if (proFormaInputs) children.push(...proFormaChildren(buildProForma(result, proFormaInputs)));
+  children.push(
+    heading("Road and Site Context", 2),
+    paragraph(result.roads?.summary || "Not returned."),
+    heading(`${theme.name} Summary`, 2),
+    paragraph(result.summary_base || result.summary || "—"),
+    heading("Verification Note", 2),
+    paragraph("Verify traffic counts, operating status, access, property records, environmental records, and competitor conditions before underwriting."),
+    ...themeDisclaimer(),
+  );
+  return children;
+}
+
+/**
+ * DOCX site estimate: summary, site map, AADT math, competitor table and an
+ * optional pro-forma. The map is the client's PNG data URL (`body.mapImage`)
+ * when one was posted, else one rendered server-side from `result.map`.
+ * Branding follows the report theme named by `body.reportTheme`.
+ *
+ * @param {object} result `/estimate` payload.
+ * @param {object} [body] Report request body (notes, selected AADT, pro-forma option, report theme).
+ * @returns {Promise<Buffer>}
+ */
+export function buildSiteEstimateDocument(result, body = {}) {
+  const theme = resolveReportTheme(body.reportTheme);
+  const address = siteAddress(result, body, theme);
+  return buildWordDocument({
+    title: `${theme.name} Site Estimate`,
+    description: `${theme.name} site estimate for ${address}`,
+    header: `${theme.name} Site Estimate — ${address}`,
+    theme,
+    children: () => estimateChildren(result, body, theme),
+  });
+}
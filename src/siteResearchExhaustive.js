@@ -1,9 +1,21 @@
 import express from "express";
 import crypto from "crypto";
+import { attachResearchReport } from "./sites.js";
+import { resolveReportTheme } from "./reportTheme.js";
+import { renderSiteMap, siteMapCaption } from "./staticMap.js";
+import { collection, openStore } from "./store.js";
+import { bulletChildren, buildWordDocument, callout, dataTable, heading, imageParagraphs, keyValueTable, paragraph, pngFromDataUrl, themeDisclaimer, titleBlock } from "./wordDocx.js";
 
 const CACHE_TTL_MS = 24 * 60 * 60 * 1000;
-const REPORTS = new Map();
-const JOBS = new Map();
+const REPORT_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const REPORT_COLLECTION = ["site_research_reports", { ttlMs: REPORT_TTL_MS, limit: 100 }];
+// Reports linked to a saved site or a deal are pinned here without expiry;
+// pipeline cards and deal memos read them long after the cache drops them.
+const SAVED_REPORT_COLLECTION = ["saved_site_research_reports", { limit: 500 }];
+const REPORTS = collection(...REPORT_COLLECTION);
+const SAVED_REPORTS = collection(...SAVED_REPORT_COLLECTION);
+// A restart can interrupt a status check mid-flight; the next poll resumes it.
+const JOBS = collection("site_research_jobs", { ttlMs: CACHE_TTL_MS, limit: 50, revive: (job) => ({ ...job, polling: false }) });
 
 const SECTION_CATALOG = {
   executive_read: "Executive Read",
@@ -21,6 +33,7 @@ const SECTION_CATALOG = {
   sources_notes: "Sources and Notes",
 };
 const DEFAULT_SECTIONS = Object.keys(SECTION_CATALOG);
+const DOCX_TYPE = "application/vnd.openxmlformats-officedocument.wordprocessingml.document";
 const PROPERTY_FIELDS = [
   ["owner_name", "Owner of record"], ["owner_type", "Owner type"],
   ["owner_mailing_address", "Owner mailing address"], ["situs_address", "Property address"],
@@ -40,13 +53,6 @@ const slug = (value) => clean(value, 140).toLowerCase().replace(/[^a-z0-9]+/g, "
 const html = (value) => String(value ?? "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;").replace(/'/g, "&#39;");
 const attr = (value) => html(value).replace(/`/g, "&#96;");
 
-function prune(map, limit = 100) {
-  const now = Date.now();
-  for (const [id, record] of map) if (record.expiresAt <= now) map.delete(id);
-  while (map.size > limit) map.delete(map.keys().next().value);
-}
-function put(map, value, limit = 100) { prune(map, limit); map.set(value.id, value); return value; }
-function get(map, id, limit = 100) { prune(map, limit); const value = map.get(id); if (value) value.expiresAt = Date.now() + CACHE_TTL_MS; return value || null; }
 function validUrl(value) { try { const u = new URL(clean(value, 2000)); return ["http:", "https:"].includes(u.protocol) ? u.toString() : ""; } catch { return ""; } }
 function outputText(payload) {
   if (typeof payload?.output_text === "string") return payload.output_text.trim();
@@ -322,7 +328,10 @@ function fallbackRawReport(job, reason) {
 function storeCompletedReport(job, report, model, fallback = false) {
   const normalized = normalizeReport(report, { address: job.address, sections: job.sections, model, sources: job.sources, passes: job.passes.map((pass) => ({ key: pass.key, status: pass.status, model: pass.model, mode: pass.mode })), fallback });
   const reportId = crypto.randomUUID();
-  put(REPORTS, { id: reportId, report: normalized, expiresAt: Date.now() + CACHE_TTL_MS });
+  REPORTS.put({ id: reportId, report: normalized, expiresAt: Date.now() + REPORT_TTL_MS });
+  try {
+    if (attachResearchReport(job.address, reportId)) SAVED_REPORTS.put({ id: reportId, report: normalized });
+  } catch (error) { console.error("Failed to link site research report", error); }
   job.status = "completed";
   job.phase = "completed";
   job.message = fallback ? "Exhaustive site research complete with a compatibility synthesis." : "Exhaustive site research complete.";
@@ -441,10 +450,148 @@ function renderSection(section) {
   return `<section><h2>${html(section.title)}</h2>${section.summary ? `<p>${html(section.summary)}</p>` : ""}${findings.length ? `<table><thead><tr><th>Topic</th><th>Public finding</th><th>Site implication</th><th>Confidence</th><th>Sources</th></tr></thead><tbody>${findings.map((x) => `<tr><td>${html(x.topic)}</td><td>${html(x.detail)}</td><td>${html(x.site_implication)}</td><td>${html(x.confidence)}</td><td>${html(sourceIdsText(x.source_ids))}</td></tr>`).join("")}</tbody></table>` : ""}${list(section.tables).map(renderTable).join("")}${section.calculations?.length ? `<h3>Calculations and sensitivity</h3>${renderList(section.calculations)}` : ""}${section.cautions?.length ? `<h3>Cautions and verification items</h3>${renderList(section.cautions)}` : ""}</section>`;
 }
 function renderSources(sources) { return `<section><h2>Source Register</h2><table><thead><tr><th>ID</th><th>Source</th><th>Type</th><th>Why it matters</th><th>Confidence</th></tr></thead><tbody>${list(sources).map((s) => `<tr><td>${html(s.id)}</td><td>${s.url ? `<a href="${attr(s.url)}">${html(s.title || s.url)}</a>` : html(s.title)}</td><td>${html(s.source_type)}</td><td>${html(s.why_it_matters)}</td><td>${html(s.confidence)}</td></tr>`).join("")}</tbody></table></section>`; }
-export function renderSiteReport(report, options = {}) {
-  const body = `<article class="site-research-report"><header><h1>${html(report.title)}</h1><p class="site-report-address">${html(report.address)}</p><p class="site-report-prepared">Prepared ${html(report.prepared_at)}</p></header><div class="site-report-disclaimer">${html(report.disclaimer)}</div>${renderProperty(report.property_records || {})}${list(report.sections).map(renderSection).join("")}${renderSources(report.source_register)}</article>`;
-  if (!options.document) return body;
-  return `<!doctype html><html xmlns:o="urn:schemas-microsoft-com:office:office" xmlns:w="urn:schemas-microsoft-com:office:word"><head><meta charset="utf-8"><title>${html(report.title)}</title><style>body{font-family:Arial,sans-serif;color:#172033;font-size:10.5pt;line-height:1.45;margin:32px}h1{font-size:20pt;color:#0b1f33}h2{font-size:14pt;color:#123d61;border-bottom:1px solid #cbd5e1;padding-bottom:4px;margin-top:22px}h3{font-size:11.5pt;color:#334155}table{width:100%;border-collapse:collapse;margin:8px 0 14px}th,td{border:1px solid #cbd5e1;padding:6px;vertical-align:top;text-align:left}th{background:#e2e8f0}.key-value th{width:28%}.site-report-disclaimer{background:#f1f5f9;border:1px solid #cbd5e1;padding:10px}.site-report-address{font-size:12pt;font-weight:bold}a{color:#0b5ea8}</style></head><body>${body}</body></html>`;
+/**
+ * A finished research report by id: the copy pinned for a saved site or deal
+ * first, then the 30-day cache.
+ *
+ * @param {string} id
+ * @param {import("./store.js").Store} [store]
+ * @returns {object|null} Normalized report.
+ */
+export function findSiteResearchReport(id, store = openStore()) {
+  if (!id) return null;
+  return (store.collection(...SAVED_REPORT_COLLECTION).get(id) || store.collection(...REPORT_COLLECTION).get(id))?.report || null;
+}
+
+/**
+ * Copy a cached report into the pinned collection once a deal links it; pinned
+ * reports never expire (the newest 500 are kept). Reports attached to a
+ * saved site at completion are pinned already.
+ *
+ * @param {string} id
+ * @param {import("./store.js").Store} [store]
+ * @returns {boolean} Whether the report is pinned.
+ */
+export function pinSiteResearchReport(id, store = openStore()) {
+  if (!id) return false;
+  const saved = store.collection(...SAVED_REPORT_COLLECTION);
+  if (saved.get(id)) return true;
+  const cached = store.collection(...REPORT_COLLECTION).get(id);
+  if (cached) saved.put({ id: cached.id, report: cached.report });
+  return Boolean(cached);
+}
+
+export function renderSiteReport(report) {
+  return `<article class="site-research-report"><header><h1>${html(report.title)}</h1><p class="site-report-address">${html(report.address)}</p><p class="site-report-prepared">Prepared ${html(report.prepared_at)}</p></header><div class="site-report-disclaimer">${html(report.disclaimer)}</div>${renderProperty(report.property_records || {})}${list(report.sections).map(renderSection).join("")}${renderSources(report.source_register)}</article>`;
+}
+
+function expectedGallonsChildren(estimate) {
+  const number = (value) => (value == null ? "—" : Math.round(Number(value)).toLocaleString("en-US"));
+  const context = estimate.aadtText || (estimate.aadt != null ? `AADT used: ${number(estimate.aadt)} vehicles/day${estimate.method ? ` (${estimate.method.replace(/_/g, " ")})` : ""}.` : "Fuel IQ estimate context supplied by the Site Analyzer.");
+  return [
+    heading("Expected Gallons", 2),
+    ...keyValueTable([
+      ["Base / month", number(estimate.base)],
+      ["Expected range", estimate.low != null || estimate.high != null ? `${number(estimate.low)} – ${number(estimate.high)}` : "—"],
+      ["Year 2 / Year 3", `${number(estimate.year2)} / ${number(estimate.year3)}`],
+      ["AADT used", number(estimate.aadt)],
+    ]),
+    paragraph(context),
+  ];
+}
+
+function sectionDocxChildren(section) {
+  const children = [heading(section.title, 2)];
+  if (section.summary) children.push(paragraph(section.summary));
+  const findings = list(section.findings);
+  if (findings.length) {
+    children.push(...dataTable(findings.map((x) => ({ ...x, sources: sourceIdsText(x.source_ids) })), [
+      { label: "Topic", keys: ["topic"], width: 16 },
+      { label: "Public finding", keys: ["detail"], width: 36 },
+      { label: "Site implication", keys: ["site_implication"], width: 28 },
+      { label: "Confidence", keys: ["confidence"], width: 10 },
+      { label: "Sources", keys: ["sources"], width: 10 },
+    ]));
+  }
+  for (const table of list(section.tables)) {
+    const rows = list(table.rows).map(list);
+    const width = Math.max(list(table.columns).length, ...rows.map((row) => row.length), 1);
+    const headers = list(table.columns).length ? list(table.columns) : Array.from({ length: width }, (_, i) => `Column ${i + 1}`);
+    if (table.title) children.push(heading(table.title, 3));
+    children.push(...dataTable(rows, headers.map((label, i) => ({ label, keys: [String(i)] }))));
+  }
+  if (section.calculations?.length) children.push(heading("Calculations and sensitivity", 3), ...bulletChildren(section.calculations));
+  if (section.cautions?.length) children.push(heading("Cautions and verification items", 3), ...bulletChildren(section.cautions));
+  return children;
+}
+
+/**
+ * DOCX version of a normalized site research report, with the Site Analyzer's
+ * expected gallons when the caller has them. The map is `mapImage` when given,
+ * else one rendered from the expected gallons' compact estimate map.
+ * Branding follows the `reportTheme` id (the configured default when empty).
+ *
+ * @param {object} report Normalized report.
+ * @param {{ expectedGallons?: object|null, mapImage?: { data: Buffer, width: number, height: number }|null, reportTheme?: string }} [options]
+ * @returns {Promise<Buffer>}
+ */
+export function buildSiteReportDocument(report, { expectedGallons = null, mapImage = null, reportTheme = "" } = {}) {
+  const theme = resolveReportTheme(reportTheme);
+  return buildWordDocument({
+    title: report.title,
+    description: `${theme.name} site research for ${report.address}`,
+    header: `${theme.name} Site Research — ${report.address}`,
+    theme,
+    children: () => siteReportChildren(report, { expectedGallons, mapImage, theme }),
+  });
+}
+
+/**
+ * Property records and research sections, without the title block, map or
+ * source register, for documents that embed a research report.
+ *
+ * @param {object} report Normalized report.
+ * @returns {Array<object>}
+ */
+export function siteResearchSectionChildren(report) {
+  const records = report.property_records || {};
+  const details = list(records.record_details);
+  const children = [heading("Property Records & Ownership", 2)];
+  if (records.summary) children.push(paragraph(records.summary));
+  children.push(...keyValueTable(PROPERTY_FIELDS.filter(([key]) => key === "owner_name" || clean(records[key])).map(([key, label]) => [label, clean(records[key]) || "Not publicly found"])));
+  if (details.length) {
+    children.push(heading("Additional public-record details", 3), ...dataTable(details.map((x) => ({ ...x, sources: sourceIdsText(x.source_ids) })), [
+      { label: "Record", keys: ["field"], width: 22 },
+      { label: "Finding", keys: ["value"], width: 50 },
+      { label: "Confidence", keys: ["confidence"], width: 13 },
+      { label: "Sources", keys: ["sources"], width: 15 },
+    ]));
+  }
+  if (records.not_found?.length) children.push(heading("Not publicly confirmed", 3), ...bulletChildren(records.not_found));
+  for (const section of list(report.sections)) children.push(...sectionDocxChildren(section));
+  return children;
+}
+
+function siteReportChildren(report, { expectedGallons, mapImage, theme }) {
+  const children = [
+    ...titleBlock(`${theme.name.toUpperCase()} SITE RESEARCH`, report.title),
+    paragraph(report.address, { bold: true, size: 22 }),
+    paragraph(`Prepared ${report.prepared_at}`, { color: "muted" }),
+    callout(report.disclaimer),
+  ];
+  const renderedMap = mapImage ? null : renderSiteMap(expectedGallons?.map);
+  if (mapImage || renderedMap) children.push(...imageParagraphs(mapImage || renderedMap, { caption: renderedMap ? siteMapCaption(renderedMap) : "Site, competitors and AADT stations" }));
+  if (expectedGallons) children.push(...expectedGallonsChildren(expectedGallons));
+  children.push(...siteResearchSectionChildren(report));
+  children.push(heading("Source Register", 2), ...dataTable(report.source_register, [
+    { label: "ID", keys: ["id"], width: 7 },
+    { label: "Source", keys: ["title", "url"], width: 27 },
+    { label: "Type", keys: ["source_type"], width: 13 },
+    { label: "Link", keys: ["url"], url: true, width: 11 },
+    { label: "Why it matters", keys: ["why_it_matters"], width: 30 },
+    { label: "Confidence", keys: ["confidence"], width: 12 },
+  ]), ...themeDisclaimer());
+  return children;
 }
 
 export function registerSiteResearchRoutes(app, options = {}) {
@@ -457,14 +604,14 @@ export function registerSiteResearchRoutes(app, options = {}) {
     finally { clearTimeout(timer); }
   });
   router.use(express.json({ limit: "4mb" }));
-  router.get("/status", (_req, res) => res.json({ ok: true, openAiEnabled: Boolean(apiKey), backgroundResearch: true, multiPassExhaustiveSearch: true, modelAttempts: configuredModels(), defaultModel: configuredModels()[0], compatibilityFallback: true, fallbackSynthesis: true, propertyRecordsAlwaysIncluded: true, competitionRadiusMiles: 1.5, wordExport: true, sectionKeys: DEFAULT_SECTIONS, reportCacheHours: 24 }));
+  router.get("/status", (_req, res) => res.json({ ok: true, openAiEnabled: Boolean(apiKey), backgroundResearch: true, multiPassExhaustiveSearch: true, modelAttempts: configuredModels(), defaultModel: configuredModels()[0], compatibilityFallback: true, fallbackSynthesis: true, propertyRecordsAlwaysIncluded: true, competitionRadiusMiles: 1.5, wordExport: true, sectionKeys: DEFAULT_SECTIONS, reportCacheHours: REPORT_TTL_MS / 3600000 }));
   router.post("/research", async (req, res) => {
     const address = clean(req.body?.address, 700);
     const requested = unique(list(req.body?.sections).map((x) => clean(x, 120)).filter((x) => SECTION_CATALOG[x]));
     const sections = requested.length ? requested : DEFAULT_SECTIONS;
     if (address.length < 4) return res.status(400).json({ ok: false, message: "Enter and select a valid site address." });
     if (!apiKey) return res.status(503).json({ ok: false, message: "OPENAI_API_KEY is not configured on the server." });
-    const job = put(JOBS, {
+    const job = JOBS.put({
       id: crypto.randomUUID(), address, sections,
       siteNotes: clean(req.body?.siteNotes, 4000),
       normalizedAddress: req.body?.normalizedAddress && typeof req.body.normalizedAddress === "object" ? req.body.normalizedAddress : null,
@@ -472,14 +619,17 @@ export function registerSiteResearchRoutes(app, options = {}) {
       createdAt: Date.now(), expiresAt: Date.now() + CACHE_TTL_MS,
       status: "starting", phase: "research", message: "Starting focused exhaustive research passes…",
       model: "", passes: [], sources: [], synthesis: null, errors: [], polling: false, refreshFailures: 0, result: null,
-    }, 50);
-    if (!await startResearch(job, apiKey, fetchWithTimeout)) return res.status(502).json({ ok: false, jobId: job.id, status: job.status, message: job.message, detail: clean(job.errors.at(-1), 1400) });
+    });
+    const started = await startResearch(job, apiKey, fetchWithTimeout);
+    JOBS.save(job);
+    if (!started) return res.status(502).json({ ok: false, jobId: job.id, status: job.status, message: job.message, detail: clean(job.errors.at(-1), 1400) });
     res.status(202).json({ ok: true, jobId: job.id, status: job.status, model: job.model, message: progress(job), elapsedSeconds: 0, attempt: job.passes.filter((pass) => pass.status === "completed").length, maxAttempts: PASSES.length + 1 });
   });
   router.get("/research/:jobId", async (req, res) => {
-    const job = get(JOBS, req.params.jobId, 50);
-    if (!job) return res.status(404).json({ ok: false, status: "expired", message: "This research job expired or the server restarted. Start the search again." });
+    const job = JOBS.get(req.params.jobId);
+    if (!job) return res.status(404).json({ ok: false, status: "expired", message: "This research job expired or was not found. Start the search again." });
     await refresh(job, apiKey, fetchWithTimeout);
+    JOBS.save(job);
     const base = {
       ok: job.status !== "failed", jobId: job.id, status: job.status, model: job.model,
       message: job.status === "completed" ? job.message : progress(job),
@@ -491,26 +641,33 @@ export function registerSiteResearchRoutes(app, options = {}) {
     res.status(job.status === "failed" ? 502 : 200).json(job.status === "completed" ? { ...base, ...job.result } : job.status === "failed" ? { ...base, detail: clean(job.errors.at(-1), 1400) } : base);
   });
   router.get("/report/:id", (req, res) => {
-    const record = get(REPORTS, req.params.id);
-    if (!record) return res.status(404).json({ ok: false, message: "Report expired or was not found." });
-    res.json({ ok: true, report: record.report, html: renderSiteReport(record.report), wordUrl: `/api/site-research/word/${req.params.id}` });
+    const report = findSiteResearchReport(req.params.id);
+    if (!report) return res.status(404).json({ ok: false, message: "Report expired or was not found." });
+    res.json({ ok: true, report, html: renderSiteReport(report), wordUrl: `/api/site-research/word/${req.params.id}` });
   });
-  router.get("/word/:id", (req, res) => {
-    const record = get(REPORTS, req.params.id);
-    if (!record) return res.status(404).send("Report expired or was not found.");
-    res.setHeader("Content-Type", "application/msword; charset=utf-8");
-    res.setHeader("Content-Disposition", `attachment; filename="${slug(record.report.address)}-fuel-iq-site-report.doc"`);
-    res.setHeader("Cache-Control", "no-store");
-    res.send(renderSiteReport(record.report, { document: true }));
+  // Expected gallons come from siteResearchReportEnhancements via res.locals.
+  router.get("/word/:id", async (req, res) => {
+    const report = findSiteResearchReport(req.params.id);
+    if (!report) return res.status(404).send("Report expired or was not found.");
+    try {
+      const document = await buildSiteReportDocument(report, { expectedGallons: res.locals.expectedGallons, reportTheme: req.query.theme });
+      res.setHeader("Content-Type", DOCX_TYPE);
+      res.setHeader("Content-Disposition", `attachment; filename="${slug(report.address)}-fuel-iq-site-report.docx"`);
+      res.setHeader("Cache-Control", "no-store");
+      res.send(document);
+    } catch (error) {
+      res.status(500).json({ ok: false, message: clean(error?.message || error, 1200) });
+    }
   });
-  router.post("/word", (req, res) => {
+  router.post("/word", async (req, res) => {
     try {
       const raw = req.body?.report || {};
       const sections = unique(list(raw?._meta?.selected_sections || raw?.sections?.map?.((section) => section?.key)).map((x) => clean(x, 120)).filter((x) => SECTION_CATALOG[x]));
       const report = normalizeReport(raw, { address: clean(raw.address || "Fuel IQ Site", 700), sections: sections.length ? sections : DEFAULT_SECTIONS, model: clean(raw?._meta?.model, 100), sources: [], passes: [], fallback: Boolean(raw?._meta?.fallback_synthesis) });
-      res.setHeader("Content-Type", "application/msword; charset=utf-8");
-      res.setHeader("Content-Disposition", `attachment; filename="${slug(report.address)}-fuel-iq-site-report.doc"`);
-      res.send(renderSiteReport(report, { document: true }));
+      const document = await buildSiteReportDocument(report, { expectedGallons: res.locals.expectedGallons, mapImage: pngFromDataUrl(req.body?.mapImage), reportTheme: req.body?.reportTheme });
+      res.setHeader("Content-Type", DOCX_TYPE);
+      res.setHeader("Content-Disposition", `attachment; filename="${slug(report.address)}-fuel-iq-site-report.docx"`);
+      res.send(document);
     } catch (error) {
       res.status(400).json({ ok: false, message: clean(error?.message || error, 1200) });
     }
@@ -1,20 +1,44 @@
 import express from "express";
+import { isochroneFor } from "./isochrone.js";
+import { renderSiteMap, siteMapCaption } from "./staticMap.js";
+import { collection } from "./store.js";
 
-const JOB_ESTIMATES = new Map();
-const REPORT_ESTIMATES = new Map();
+const JOB_ESTIMATES = collection("site_research_job_estimates", { limit: 150 });
+const REPORT_ESTIMATES = collection("site_research_report_estimates", { limit: 150 });
 const TTL_MS = 24 * 60 * 60 * 1000;
-
-function prune(map, max = 150) {
-  const now = Date.now();
-  for (const [key, value] of map) if (!value || value.expiresAt <= now) map.delete(key);
-  while (map.size > max) map.delete(map.keys().next().value);
-}
+// Enough points to draw the report map without storing the whole estimate.
+const MAP_COMPETITORS = 60;
+const MAP_STATIONS = 40;
 
 function finite(value) {
   const number = Number(value);
   return Number.isFinite(number) ? number : null;
 }
 
+function compactPoint(item) {
+  const lat = finite(item?.lat);
+  const lon = finite(item?.lon);
+  return lat == null || lon == null ? null : { lat, lon };
+}
+
+function compactMap(map) {
+  const site = compactPoint(map?.site);
+  if (!site) return null;
+  const minutes = finite(map.trade_area?.minutes_used ?? map.competitor_drive_minutes);
+  const ring = minutes == null ? null : isochroneFor(map.trade_area, minutes);
+  return {
+    site,
+    competitor_radius_mi: finite(map.competitor_radius_mi),
+    competitor_drive_minutes: finite(map.competitor_drive_minutes),
+    competitors: (Array.isArray(map.competitors) ? map.competitors : []).slice(0, MAP_COMPETITORS)
+      .filter(compactPoint)
+      .map((item) => ({ ...compactPoint(item), heavy: Boolean(item.heavy) })),
+    aadt: (Array.isArray(map.aadt) ? map.aadt : []).slice(0, MAP_STATIONS).map(compactPoint).filter(Boolean),
+    aadt_used: compactPoint(map.aadt_used),
+    trade_area: ring ? { type: "FeatureCollection", minutes_used: minutes, features: [ring] } : null,
+  };
+}
+
 function compactEstimate(value) {
   if (!value || typeof value !== "object") return null;
   const estimate = value.estimate && typeof value.estimate === "object" ? value.estimate : {};
@@ -35,6 +59,7 @@ function compactEstimate(value) {
     aadt,
     aadtText: String(value.aadtText || "").slice(0, 1000),
     method: String(inputs.aadt_components?.method || "").slice(0, 120),
+    map: value.map && typeof value.map === "object" ? compactMap(value.map) : null,
   };
 }
 
@@ -46,11 +71,17 @@ function escapeHtml(value) {
   return String(value ?? "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;").replace(/'/g, "&#39;");
 }
 
+function siteMapHtml(map) {
+  const image = renderSiteMap(map);
+  if (!image) return "";
+  return `<figure class="site-report-map"><img src="data:image/png;base64,${image.data.toString("base64")}" width="${image.width}" height="${image.height}" alt="Site, competitors and AADT stations"><figcaption>${escapeHtml(siteMapCaption(image))}</figcaption></figure>`;
+}
+
 function expectedGallonsHtml(estimate) {
   if (!estimate) return "";
   const range = estimate.low != null || estimate.high != null ? `${number(estimate.low)} – ${number(estimate.high)}` : "—";
   const context = estimate.aadtText || (estimate.aadt != null ? `AADT used: ${number(estimate.aadt)} vehicles/day${estimate.method ? ` (${estimate.method.replace(/_/g, " ")})` : ""}.` : "Fuel IQ estimate context supplied by the Site Analyzer.");
-  return `<section id="fuel-iq-expected-gallons" class="expected-gallons-summary"><h2>Expected Gallons</h2><div class="expected-gallons-grid"><div class="expected-gallons-metric"><span>Base / month</span><strong>${number(estimate.base)}</strong></div><div class="expected-gallons-metric"><span>Expected range</span><strong>${range}</strong></div><div class="expected-gallons-metric"><span>Year 2</span><strong>${number(estimate.year2)}</strong></div><div class="expected-gallons-metric"><span>Year 3</span><strong>${number(estimate.year3)}</strong></div><div class="expected-gallons-metric"><span>AADT used</span><strong>${number(estimate.aadt)}</strong></div></div><p>${escapeHtml(context)}</p></section>`;
+  return `<section id="fuel-iq-expected-gallons" class="expected-gallons-summary"><h2>Expected Gallons</h2><div class="expected-gallons-grid"><div class="expected-gallons-metric"><span>Base / month</span><strong>${number(estimate.base)}</strong></div><div class="expected-gallons-metric"><span>Expected range</span><strong>${range}</strong></div><div class="expected-gallons-metric"><span>Year 2</span><strong>${number(estimate.year2)}</strong></div><div class="expected-gallons-metric"><span>Year 3</span><strong>${number(estimate.year3)}</strong></div><div class="expected-gallons-metric"><span>AADT used</span><strong>${number(estimate.aadt)}</strong></div></div><p>${escapeHtml(context)}</p>${siteMapHtml(estimate.map)}</section>`;
 }
 
 function enhanceHtml(body, estimate) {
@@ -73,15 +104,16 @@ function enrichPayload(payload, estimate) {
   return payload;
 }
 
-function put(map, key, estimate) {
+function put(records, key, estimate) {
   if (!key || !estimate) return;
-  prune(map);
-  map.set(key, { estimate, expiresAt: Date.now() + TTL_MS });
+  // Report polls re-submit the same estimate; only write when it changes.
+  const existing = records.get(key);
+  if (existing && JSON.stringify(existing.estimate) === JSON.stringify(estimate)) return;
+  records.put({ id: key, estimate, expiresAt: Date.now() + TTL_MS });
 }
 
-function get(map, key) {
-  prune(map);
-  return map.get(key)?.estimate || null;
+function get(records, key) {
+  return records.get(key)?.estimate || null;
 }
 
 export function registerSiteResearchReportEnhancements(app) {
@@ -108,13 +140,8 @@ export function registerSiteResearchReportEnhancements(app) {
       return originalJson(enrichPayload(payload, estimate));
     };
 
-    if (wordMatch || submittedWordEstimate) {
-      const originalSend = res.send.bind(res);
-      res.send = (body) => {
-        const estimate = submittedWordEstimate || get(REPORT_ESTIMATES, wordMatch?.[1]);
-        return originalSend(enhanceHtml(body, estimate));
-      };
-    }
+    // The DOCX builders add the Expected Gallons section themselves.
+    if (wordMatch || submittedWordEstimate) res.locals.expectedGallons = submittedWordEstimate || get(REPORT_ESTIMATES, wordMatch?.[1]);
     next();
   });
 }
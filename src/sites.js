@@ -0,0 +1,301 @@
+import crypto from "crypto";
+import { openStore } from "./store.js";
+
+const MAX_TAGS = 20;
+
+const clean = (value, max = 3000) => String(value ?? "").replace(/\u0000/g, "").trim().slice(0, max);
+
+function finite(value) {
+  const number = Number(value);
+  return value != null && value !== "" && Number.isFinite(number) ? number : null;
+}
+
+const pct = (from, to) => (from > 0 && Number.isFinite(to) ? Math.round(((to - from) / from) * 1000) / 10 : null);
+const signed = (value, unit = "") => `${value > 0 ? "+" : value < 0 ? "−" : "±"}${Math.abs(value).toLocaleString()}${unit}`;
+const gallons = (value) => Math.round(Number(value)).toLocaleString();
+
+/** Site key: the normalized address, or the coordinates rounded to ~10 m. */
+export function siteKey({ address, lat, lon } = {}) {
+  const text = String(address || "").toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+  if (text) return crypto.createHash("sha1").update(text).digest("hex").slice(0, 16);
+  if (Number.isFinite(Number(lat)) && Number.isFinite(Number(lon))) return `${Number(lat).toFixed(4)},${Number(lon).toFixed(4)}`;
+  return null;
+}
+
+/**
+ * Validate the editable site fields from a request body. Only fields present
+ * in the body are returned, so a POST can update part of a site.
+ *
+ * @param {object} body `{ address, normalized, mpds, diesel, notes, tags }`.
+ * @returns {object}
+ */
+export function siteFields(body = {}) {
+  const fields = {};
+  if (body.address !== undefined) {
+    fields.address = clean(body.address, 700);
+    if (fields.address.length < 4) throw new Error("Enter a valid site address.");
+  }
+  if (body.normalized !== undefined) {
+    const n = body.normalized && typeof body.normalized === "object" ? body.normalized : {};
+    const lat = finite(n.lat);
+    const lon = finite(n.lon);
+    fields.normalized = body.normalized ? {
+      formatted: clean(n.formatted, 700),
+      city: clean(n.city, 120),
+      county: clean(n.county, 120),
+      state: clean(n.state, 40),
+      postcode: clean(n.postcode, 20),
+      lat: lat != null && Math.abs(lat) <= 90 ? lat : null,
+      lon: lon != null && Math.abs(lon) <= 180 ? lon : null,
+    } : null;
+  }
+  for (const [key, max] of [["mpds", 60], ["diesel", 40]]) {
+    if (body[key] === undefined) continue;
+    const value = body[key] === null || body[key] === "" ? null : finite(body[key]);
+    if (value !== null && !(Number.isInteger(value) && value >= 0 && value <= max)) throw new Error(`${key === "mpds" ? "MPDs" : "Diesel positions"} must be a whole number from 0 to ${max}.`);
+    fields[key] = value;
+  }
+  if (body.notes !== undefined) fields.notes = clean(body.notes, 4000);
+  if (body.tags !== undefined) {
+    const tags = Array.isArray(body.tags) ? body.tags : String(body.tags || "").split(",");
+    fields.tags = [...new Set(tags.map((tag) => clean(tag, 60)).filter(Boolean))].slice(0, MAX_TAGS);
+  }
+  return fields;
+}
+
+/**
+ * Create or update a site. An `id` updates that site; otherwise the address
+ * key is used, so saving a site that already has estimates attaches to them.
+ *
+ * @param {object} body Request body (see `siteFields`).
+ * @param {import("./store.js").Store} [store]
+ * @returns {{ site: object, created: boolean }}
+ */
+export function saveSite(body = {}, store = openStore()) {
+  const sites = store.collection("sites");
+  const fields = siteFields(body);
+  const existing = body.id ? sites.get(body.id) : null;
+  if (body.id && !existing) throw Object.assign(new Error("Site not found."), { status: 404 });
+  const id = existing?.id || siteKey({ address: fields.address, lat: fields.normalized?.lat, lon: fields.normalized?.lon });
+  if (!id) throw new Error("Enter a valid site address.");
+  const now = new Date().toISOString();
+  const found = existing || sites.get(id);
+  const site = found || { id, address: fields.address, created_at: now, notes: "", tags: [], estimate_ids: [] };
+  Object.assign(site, fields, { updated_at: now });
+  if (fields.normalized?.lat != null && fields.normalized?.lon != null) Object.assign(site, { lat: fields.normalized.lat, lon: fields.normalized.lon });
+  sites.put(site);
+  return { site, created: !found };
+}
+
+// Estimate results carry the full map layers; history keeps the numbers, the
+// inputs and the competition read so a re-run can be compared against it.
+// `csv` holds the flagged fuel developments for the site's city or county.
+function compactResult(result) {
+  const { map, csv, competition_lookup: lookup, ...rest } = result || {};
+  return {
+    ...rest,
+    developments: Array.isArray(csv)
+      ? { count: csv.length, items: csv.slice(0, 10).map(({ name, town, state, status, date }) => ({ name, town, state, status, date })) }
+      : undefined,
+    competition_lookup: lookup ? { ...lookup, items: undefined } : undefined,
+    map: map ? {
+      site: map.site || null,
+      competitors: (map.competitors || []).map(({ name, brand, miles, heavy, mpds, lat, lon }) => ({ name, brand, miles, heavy, mpds, lat, lon })),
+      aadt_used: map.aadt_used || null,
+      competitor_radius_mi: map.competitor_radius_mi ?? null,
+      competitor_drive_minutes: map.competitor_drive_minutes ?? null,
+      trade_area: map.trade_area ? { minutes_used: map.trade_area.minutes_used, competitors_inside: map.trade_area.competitors_inside, aadt_stations_inside: map.trade_area.aadt_stations_inside, warning: map.trade_area.warning } : null,
+    } : null,
+  };
+}
+
+/**
+ * Save a completed estimate and upsert its site. Returns the saved records;
+ * `null` when the result has no address or coordinates to key a site on.
+ *
+ * @param {object} body Estimate request body.
+ * @param {object} result Estimate response payload (`ok: true`).
+ * @param {{ source?: string, siteId?: string, store?: import("./store.js").Store }} [options]
+ * @returns {{ site: object, estimate: object }|null}
+ */
+export function recordEstimate(body, result, { source = "estimate", siteId = null, store = openStore() } = {}) {
+  const location = result?.map?.site || {};
+  const address = clean(body?.address || location.label, 700);
+  const sites = store.collection("sites");
+  const id = siteId || siteKey({ address, lat: location.lat, lon: location.lon });
+  if (!id) return null;
+  const now = new Date().toISOString();
+  const site = sites.get(id) || { id, address, created_at: now, notes: "", tags: [], estimate_ids: [] };
+  Object.assign(site, {
+    address: site.address || address,
+    lat: finite(location.lat) ?? site.lat ?? null,
+    lon: finite(location.lon) ?? site.lon ?? null,
+    mpds: site.mpds ?? finite(body?.mpds),
+    diesel: site.diesel ?? finite(body?.diesel),
+    updated_at: now,
+  });
+  const estimate = store.collection("estimates").put({ id: crypto.randomUUID(), site_id: id, created_at: now, source, request: body || {}, result: compactResult(result) });
+  site.estimate_ids = [...(site.estimate_ids || []), estimate.id];
+  site.latest_estimate_id = estimate.id;
+  sites.put(site);
+  return { site, estimate };
+}
+
+/**
+ * Link a completed site research report to the saved site for its address.
+ * Reports for addresses that were never saved as sites are left unlinked.
+ *
+ * @param {string} address Researched address.
+ * @param {string} reportId
+ * @param {import("./store.js").Store} [store]
+ * @returns {object|null} The updated site.
+ */
+export function attachResearchReport(address, reportId, store = openStore()) {
+  const id = siteKey({ address });
+  const sites = store.collection("sites");
+  const site = id ? sites.get(id) : null;
+  if (!site || !reportId) return null;
+  site.research_report_ids = [...(site.research_report_ids || []), reportId];
+  site.latest_research_report_id = reportId;
+  return sites.save(site);
+}
+
+/**
+ * One timeline row per saved estimate, oldest first: the headline numbers,
+ * AADT method and station, competitor list and the full `calc_breakdown`.
+ *
+ * @param {object} estimate Saved estimate record.
+ * @returns {object}
+ */
+export function timelineEntry(estimate) {
+  const result = estimate.result || {};
+  const station = result.map?.aadt_used || null;
+  return {
+    id: estimate.id,
+    created_at: estimate.created_at,
+    source: estimate.source || "estimate",
+    base: finite(result.base),
+    low: finite(result.low),
+    high: finite(result.high),
+    year2: finite(result.year2),
+    year3: finite(result.year3),
+    profile: result.inputs?.profile || null,
+    mpds: finite(result.inputs?.mpds),
+    diesel: finite(result.inputs?.diesel),
+    aadt: {
+      used: finite(result.inputs?.aadt_used),
+      method: result.inputs?.aadt_components?.method || null,
+      station: station ? { aadt: finite(station.aadt), year: finite(station.year), route: station.route || null, lat: finite(station.lat), lon: finite(station.lon) } : null,
+    },
+    competition: {
+      count: finite(result.competition?.count),
+      heavy_count: finite(result.competition?.heavy_count),
+      index: finite(result.competition?.index),
+    },
+    competitors: result.map?.competitors || [],
+    calc_breakdown: result.calc_breakdown || null,
+  };
+}
+
+/**
+ * Site with its estimate timeline, or null when the site does not exist.
+ *
+ * @param {string} id
+ * @param {import("./store.js").Store} [store]
+ * @returns {{ site: object, timeline: Array<object> }|null}
+ */
+export function siteHistory(id, store = openStore()) {
+  const site = store.collection("sites").get(id);
+  if (!site) return null;
+  const estimates = store.collection("estimates");
+  const timeline = (site.estimate_ids || []).map((estimateId) => estimates.get(estimateId)).filter(Boolean).map(timelineEntry);
+  return { site, timeline };
+}
+
+/** Most recent saved estimate record for a site, or null. */
+export function latestEstimate(site, store = openStore()) {
+  return site?.latest_estimate_id ? store.collection("estimates").get(site.latest_estimate_id) : null;
+}
+
+/** Site list for the picker: newest activity first, with the latest estimate. */
+export function listSites(store = openStore()) {
+  return store.collection("sites").list()
+    .map((site) => {
+      const latest = latestEstimate(site, store);
+      return { ...site, estimate_count: (site.estimate_ids || []).length, latest: latest ? timelineEntry(latest) : null };
+    })
+    .sort((a, b) => String(b.updated_at).localeCompare(String(a.updated_at)));
+}
+
+/**
+ * Estimate body for a re-run: the previous run's options with the site's
+ * current address, MPDs and diesel. Live lookups then use today's data.
+ *
+ * @param {object} site
+ * @param {object|null} previous Last saved estimate record.
+ * @returns {object}
+ */
+export function rerunBody(site, previous) {
+  const body = { ...(previous?.request || {}) };
+  body.address = site.normalized?.formatted || site.address || body.address;
+  if (site.mpds != null) body.mpds = site.mpds;
+  if (site.diesel != null) body.diesel = site.diesel;
+  return body;
+}
+
+function competitorKey(item) {
+  return clean(item.name || item.brand, 120).toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+}
+
+// Pair competitors by name, nearest first, so two stations of one brand at
+// different distances are not read as one moving.
+function matchCompetitors(before, after) {
+  const unmatched = [...before];
+  const added = [];
+  const moved = [];
+  for (const item of [...after].sort((a, b) => a.miles - b.miles)) {
+    const candidates = unmatched.filter((old) => competitorKey(old) === competitorKey(item));
+    const pick = candidates.sort((a, b) => Math.abs(a.miles - item.miles) - Math.abs(b.miles - item.miles))[0];
+    if (!pick || Math.abs(pick.miles - item.miles) > 0.25) { added.push(item); continue; }
+    unmatched.splice(unmatched.indexOf(pick), 1);
+    if (Math.abs(pick.miles - item.miles) >= 0.05) moved.push({ before: pick, after: item });
+  }
+  return { added, removed: unmatched, moved };
+}
+
+/**
+ * What changed between two estimate runs, as structured changes and short
+ * lines, e.g. "New competitor Sheetz 0.4 mi", "AADT station year changed
+ * 2022→2024", "Estimate −8%".
+ *
+ * @param {object} previous Timeline entry (see `timelineEntry`).
+ * @param {object} current Timeline entry.
+ * @returns {{ base_change: number|null, base_change_pct: number|null, changes: Array<{ type: string, text: string }> }}
+ */
+export function diffEstimates(previous, current) {
+  const changes = [];
+  const add = (type, text, detail = {}) => changes.push({ type, text, ...detail });
+
+  const { added, removed, moved } = matchCompetitors(previous.competitors || [], current.competitors || []);
+  for (const item of added) add("competitor_added", `New competitor ${item.name || item.brand || "fuel station"} ${Number(item.miles).toFixed(1)} mi`, { competitor: item });
+  for (const item of removed) add("competitor_removed", `Competitor ${item.name || item.brand || "fuel station"} ${Number(item.miles).toFixed(1)} mi no longer found`, { competitor: item });
+  for (const { before, after } of moved) add("competitor_moved", `${after.name} now ${Number(after.miles).toFixed(1)} mi (was ${Number(before.miles).toFixed(1)} mi)`);
+  const index = [previous.competition?.index, current.competition?.index];
+  if (index.every(Number.isFinite) && Math.abs(index[1] - index[0]) >= 0.01) add("competition_index", `Competition index ${index[0].toFixed(2)}→${index[1].toFixed(2)}`);
+
+  const [a, b] = [previous.aadt || {}, current.aadt || {}];
+  if (a.method !== b.method && (a.method || b.method)) add("aadt_method", `AADT method changed ${a.method || "none"}→${b.method || "none"}`);
+  if (a.station?.year != null && b.station?.year != null && a.station.year !== b.station.year) add("aadt_year", `AADT station year changed ${a.station.year}→${b.station.year}`);
+  if (Number.isFinite(a.used) && Number.isFinite(b.used) && a.used !== b.used) {
+    add("aadt_used", `AADT ${a.used.toLocaleString()}→${b.used.toLocaleString()} (${signed(pct(a.used, b.used), "%")})`);
+  }
+
+  for (const [key, label] of [["mpds", "MPDs"], ["diesel", "Diesel positions"], ["profile", "Rule profile"]]) {
+    if (previous[key] != null && current[key] != null && previous[key] !== current[key]) add(key, `${label} ${previous[key]}→${current[key]}`);
+  }
+
+  const baseChange = Number.isFinite(previous.base) && Number.isFinite(current.base) ? current.base - previous.base : null;
+  const baseChangePct = baseChange == null ? null : pct(previous.base, current.base);
+  if (baseChange) add("estimate", `Estimate ${signed(baseChangePct ?? 0, "%")} (${gallons(previous.base)}→${gallons(current.base)} gal/mo)`);
+  return { base_change: baseChange, base_change_pct: baseChangePct, changes };
+}
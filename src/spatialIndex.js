@@ -0,0 +1,98 @@
+// Grid spatial index shared by imported AADT datasets and the bundled PA
+// signal points.
+
+const EARTH_RADIUS_M = 6371008.8;
+// Grid cell size in degrees (about 1.4 mi north-south).
+const CELL_DEG = 0.02;
+
+function cellKey(x, y) {
+  return `${x}:${y}`;
+}
+
+/**
+ * Grid index over items with a `bbox` ([minLon, minLat, maxLon, maxLat]) and
+ * `paths` ([lon, lat] vertex lists; a point is one single-vertex path). Each
+ * item is listed in every cell its box touches, and `nearby` measures to the
+ * closest point on each candidate's paths.
+ */
+export class GridIndex {
+  constructor(items) {
+    this.items = items;
+    this.cells = new Map();
+    items.forEach((item, index) => {
+      const [minLon, minLat, maxLon, maxLat] = item.bbox;
+      for (let x = Math.floor(minLon / CELL_DEG); x <= Math.floor(maxLon / CELL_DEG); x += 1) {
+        for (let y = Math.floor(minLat / CELL_DEG); y <= Math.floor(maxLat / CELL_DEG); y += 1) {
+          const key = cellKey(x, y);
+          if (!this.cells.has(key)) this.cells.set(key, []);
+          this.cells.get(key).push(index);
+        }
+      }
+    });
+  }
+
+  /**
+   * Items within `radiusM` of a point, closest first, with the nearest point
+   * on each.
+   *
+   * @returns {Array<{ item: object, lat: number, lon: number, distM: number }>}
+   */
+  nearby(lat, lon, radiusM) {
+    const dLat = radiusM / 111320;
+    const dLon = dLat / Math.max(0.05, Math.cos((lat * Math.PI) / 180));
+    const candidates = new Set();
+    for (let x = Math.floor((lon - dLon) / CELL_DEG); x <= Math.floor((lon + dLon) / CELL_DEG); x += 1) {
+      for (let y = Math.floor((lat - dLat) / CELL_DEG); y <= Math.floor((lat + dLat) / CELL_DEG); y += 1) {
+        for (const index of this.cells.get(cellKey(x, y)) || []) candidates.add(index);
+      }
+    }
+    const out = [];
+    for (const index of candidates) {
+      const item = this.items[index];
+      const nearest = nearestPointOnPaths(item.paths, lat, lon);
+      if (nearest.distM <= radiusM) out.push({ item, ...nearest });
+    }
+    return out.sort((a, b) => a.distM - b.distM);
+  }
+}
+
+/**
+ * Closest point on a set of [lon, lat] paths, measured in a local
+ * equirectangular frame around the query point (accurate to well under a
+ * metre at these distances). `bearing_deg` is the axis of the closest piece
+ * of line, 0–180 clockwise from north; null for a lone point.
+ *
+ * @param {number[][][]} paths
+ * @param {number} lat
+ * @param {number} lon
+ * @returns {{ lat: number|null, lon: number|null, distM: number, bearing_deg: number|null }}
+ */
+export function nearestPointOnPaths(paths, lat, lon) {
+  const scale = (EARTH_RADIUS_M * Math.PI) / 180;
+  const cosLat = Math.cos((lat * Math.PI) / 180);
+  const toXY = ([pLon, pLat]) => [(pLon - lon) * cosLat * scale, (pLat - lat) * scale];
+  let best = { x: Infinity, y: Infinity, d2: Infinity, bearing: null };
+  for (const path of paths || []) {
+    for (let i = 0; i < path.length; i += 1) {
+      const [ax, ay] = toXY(path[i]);
+      const [bx, by] = toXY(path[Math.min(i + 1, path.length - 1)]);
+      const dx = bx - ax;
+      const dy = by - ay;
+      const length2 = dx * dx + dy * dy;
+      const t = length2 > 0 ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / length2)) : 0;
+      const x = ax + t * dx;
+      const y = ay + t * dy;
+      const d2 = x * x + y * y;
+      if (d2 < best.d2 || (d2 === best.d2 && best.bearing == null && length2 > 0)) {
+        best = { x, y, d2, bearing: length2 > 0 ? ((Math.atan2(dx, dy) * 180) / Math.PI + 360) % 180 : best.bearing };
+      }
+    }
+  }
+  if (!Number.isFinite(best.d2)) return { lat: null, lon: null, distM: Infinity, bearing_deg: null };
+  return {
+    lat: lat + best.y / scale,
+    lon: lon + best.x / (cosLat * scale),
+    distM: Math.sqrt(best.d2),
+    bearing_deg: best.bearing == null ? null : Number(best.bearing.toFixed(1)),
+  };
+}
@@ -0,0 +1,423 @@
+import fs from "fs";
+import path from "path";
+import zlib from "zlib";
+import { crc32 } from "./xlsx.js";
+
+const TILE_SIZE = 256;
+const MIN_ZOOM = 3;
+const MAX_ZOOM = 18;
+const METERS_PER_MILE = 1609.344;
+const EARTH_CIRCUMFERENCE_M = 40075016.686;
+// AADT stations further out than this would zoom the map past the competitors.
+const MAX_AADT_FIT_MI = 5;
+const PADDING_PX = 24;
+const SCALE_BAR_MI = [0.1, 0.25, 0.5, 1, 2, 5, 10];
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const COLORS = {
+  background: [236, 242, 246, 255],
+  grid: [220, 228, 235, 255],
+  ring: [31, 78, 121, 230],
+  ringFill: [31, 78, 121, 26],
+  site: [25, 118, 168, 255],
+  competitor: [240, 150, 40, 255],
+  heavy: [196, 30, 45, 255],
+  aadtUsed: [18, 128, 92, 255],
+  aadt: [110, 150, 132, 200],
+  outline: [255, 255, 255, 255],
+  ink: [11, 31, 51, 255],
+  panel: [255, 255, 255, 215],
+};
+
+function finite(value) {
+  const number = Number(value);
+  return value != null && value !== "" && Number.isFinite(number) ? number : null;
+}
+
+function point(item) {
+  const lat = finite(item?.lat);
+  const lon = finite(item?.lon);
+  return lat == null || lon == null || Math.abs(lat) > 85 ? null : { lat, lon };
+}
+
+function worldPixel({ lat, lon }, zoom) {
+  const scale = TILE_SIZE * 2 ** zoom;
+  const sin = Math.sin((lat * Math.PI) / 180);
+  return {
+    x: ((lon + 180) / 360) * scale,
+    y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * scale,
+  };
+}
+
+function metersPerPixel(lat, zoom) {
+  return (Math.cos((lat * Math.PI) / 180) * EARTH_CIRCUMFERENCE_M) / (TILE_SIZE * 2 ** zoom);
+}
+
+function milesBetween(a, b) {
+  const rad = Math.PI / 180;
+  const dLat = (b.lat - a.lat) * rad;
+  const dLon = (b.lon - a.lon) * rad;
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(a.lat * rad) * Math.cos(b.lat * rad) * Math.sin(dLon / 2) ** 2;
+  return (2 * 6371008.8 * Math.asin(Math.sqrt(h))) / METERS_PER_MILE;
+}
+
+class Raster {
+  constructor(width, height, color) {
+    this.width = width;
+    this.height = height;
+    this.pixels = new Uint8Array(width * height * 4);
+    for (let i = 0; i < this.pixels.length; i += 4) this.pixels.set(color, i);
+  }
+
+  blend(x, y, [r, g, b, a], coverage = 1) {
+    if (x < 0 || y < 0 || x >= this.width || y >= this.height) return;
+    const alpha = (a / 255) * Math.max(0, Math.min(1, coverage));
+    if (alpha <= 0) return;
+    const i = (y * this.width + x) * 4;
+    const p = this.pixels;
+    p[i] = Math.round(r * alpha + p[i] * (1 - alpha));
+    p[i + 1] = Math.round(g * alpha + p[i + 1] * (1 - alpha));
+    p[i + 2] = Math.round(b * alpha + p[i + 2] * (1 - alpha));
+    p[i + 3] = 255;
+  }
+
+  fillRect(x0, y0, width, height, color) {
+    for (let y = Math.max(0, Math.floor(y0)); y < Math.min(this.height, Math.ceil(y0 + height)); y += 1) {
+      for (let x = Math.max(0, Math.floor(x0)); x < Math.min(this.width, Math.ceil(x0 + width)); x += 1) this.blend(x, y, color);
+    }
+  }
+
+  // `shape(dx, dy)` returns the signed distance (px) outside the shape; the
+  // half-pixel ramp anti-aliases the edge.
+  fillShape(cx, cy, reach, color, shape) {
+    for (let y = Math.floor(cy - reach - 1); y <= Math.ceil(cy + reach + 1); y += 1) {
+      for (let x = Math.floor(cx - reach - 1); x <= Math.ceil(cx + reach + 1); x += 1) {
+        this.blend(x, y, color, 0.5 - shape(x + 0.5 - cx, y + 0.5 - cy));
+      }
+    }
+  }
+
+  circle(cx, cy, radius, color) {
+    this.fillShape(cx, cy, radius, color, (dx, dy) => Math.hypot(dx, dy) - radius);
+  }
+
+  diamond(cx, cy, radius, color) {
+    this.fillShape(cx, cy, radius, color, (dx, dy) => (Math.abs(dx) + Math.abs(dy) - radius) / Math.SQRT2);
+  }
+
+  ring(cx, cy, radius, width, color, dash = 0) {
+    this.fillShape(cx, cy, radius + width, color, (dx, dy) => {
+      if (dash && Math.floor(((Math.atan2(dy, dx) + Math.PI) * radius) / dash) % 2) return 1;
+      return Math.abs(Math.hypot(dx, dy) - radius) - width / 2;
+    });
+  }
+
+  line(x0, y0, x1, y1, width, color) {
+    const steps = Math.max(1, Math.ceil(Math.hypot(x1 - x0, y1 - y0)));
+    for (let step = 0; step <= steps; step += 1) {
+      const t = step / steps;
+      const x = Math.round(x0 + (x1 - x0) * t);
+      const y = Math.round(y0 + (y1 - y0) * t);
+      for (let dy = -Math.floor(width / 2); dy <= Math.floor(width / 2); dy += 1) {
+        for (let dx = -Math.floor(width / 2); dx <= Math.floor(width / 2); dx += 1) this.setOpaque(x + dx, y + dy, color);
+      }
+    }
+  }
+
+  setOpaque(x, y, color) {
+    if (x < 0 || y < 0 || x >= this.width || y >= this.height) return;
+    this.pixels.set(color.slice(0, 3), (y * this.width + x) * 4);
+  }
+
+  // Even-odd scanline fill of one polygon ring given in image pixels.
+  fillPolygon(points, color) {
+    for (let y = 0; y < this.height; y += 1) {
+      const scan = y + 0.5;
+      const crossings = [];
+      for (let i = 0, j = points.length - 1; i < points.length; j = i, i += 1) {
+        const a = points[i];
+        const b = points[j];
+        if ((a.y > scan) !== (b.y > scan)) crossings.push(a.x + ((scan - a.y) / (b.y - a.y)) * (b.x - a.x));
+      }
+      crossings.sort((a, b) => a - b);
+      for (let k = 0; k + 1 < crossings.length; k += 2) {
+        for (let x = Math.max(0, Math.ceil(crossings[k] - 0.5)); x < Math.min(this.width, Math.ceil(crossings[k + 1] - 0.5)); x += 1) this.blend(x, y, color);
+      }
+    }
+  }
+
+  blit(image, left, top) {
+    for (let y = Math.max(0, top); y < Math.min(this.height, top + image.height); y += 1) {
+      for (let x = Math.max(0, left); x < Math.min(this.width, left + image.width); x += 1) {
+        const i = ((y - top) * image.width + (x - left)) * 4;
+        this.blend(x, y, image.pixels.subarray(i, i + 4));
+      }
+    }
+  }
+}
+
+function chunk(type, data) {
+  const body = Buffer.concat([Buffer.from(type, "ascii"), data]);
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Encode RGBA pixels as a PNG (8-bit, no filtering).
+ *
+ * @param {{ width: number, height: number, pixels: Uint8Array }} image
+ * @returns {Buffer}
+ */
+export function encodePng({ width, height, pixels }) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header.set([8, 6, 0, 0, 0], 8);
+  const raw = Buffer.alloc((width * 4 + 1) * height);
+  for (let y = 0; y < height; y += 1) {
+    raw[y * (width * 4 + 1)] = 0;
+    raw.set(pixels.subarray(y * width * 4, (y + 1) * width * 4), y * (width * 4 + 1) + 1);
+  }
+  return Buffer.concat([PNG_SIGNATURE, chunk("IHDR", header), chunk("IDAT", zlib.deflateSync(raw)), chunk("IEND", Buffer.alloc(0))]);
+}
+
+/**
+ * A PNG buffer with its pixel size read from the IHDR chunk, or null when the
+ * buffer is not a PNG.
+ *
+ * @param {Buffer} data
+ * @returns {{ data: Buffer, width: number, height: number }|null}
+ */
+export function pngImage(data) {
+  if (!Buffer.isBuffer(data) || data.length < 24 || !data.subarray(0, 8).equals(PNG_SIGNATURE) || data.toString("ascii", 12, 16) !== "IHDR") return null;
+  const width = data.readUInt32BE(16);
+  const height = data.readUInt32BE(20);
+  return width > 0 && height > 0 ? { data, width, height } : null;
+}
+
+/**
+ * Decode an 8-bit, non-interlaced PNG (grey, RGB, palette, with or without
+ * alpha) to RGBA, which covers OSM raster tiles. Other PNGs return null.
+ *
+ * @param {Buffer} buffer
+ * @returns {{ width: number, height: number, pixels: Uint8Array }|null}
+ */
+export function decodePng(buffer) {
+  if (!buffer?.subarray(0, 8).equals(PNG_SIGNATURE)) return null;
+  let width = 0;
+  let height = 0;
+  let colorType = 0;
+  let palette = null;
+  let transparency = null;
+  const data = [];
+  for (let offset = 8; offset + 8 <= buffer.length;) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString("ascii", offset + 4, offset + 8);
+    const body = buffer.subarray(offset + 8, offset + 8 + length);
+    if (type === "IHDR") {
+      width = body.readUInt32BE(0);
+      height = body.readUInt32BE(4);
+      colorType = body[9];
+      if (body[8] !== 8 || body[12] !== 0) return null;
+    } else if (type === "PLTE") palette = body;
+    else if (type === "tRNS") transparency = body;
+    else if (type === "IDAT") data.push(body);
+    else if (type === "IEND") break;
+    offset += 12 + length;
+  }
+  const channels = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }[colorType];
+  if (!channels || !width || !height || (colorType === 3 && !palette)) return null;
+  const raw = zlib.inflateSync(Buffer.concat(data));
+  const stride = width * channels;
+  const rows = new Uint8Array(stride * height);
+  for (let y = 0; y < height; y += 1) {
+    const filter = raw[y * (stride + 1)];
+    const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    for (let x = 0; x < stride; x += 1) {
+      const left = x >= channels ? rows[y * stride + x - channels] : 0;
+      const up = y ? rows[(y - 1) * stride + x] : 0;
+      const upLeft = y && x >= channels ? rows[(y - 1) * stride + x - channels] : 0;
+      let value = line[x];
+      if (filter === 1) value += left;
+      else if (filter === 2) value += up;
+      else if (filter === 3) value += (left + up) >> 1;
+      else if (filter === 4) {
+        const p = left + up - upLeft;
+        const pa = Math.abs(p - left);
+        const pb = Math.abs(p - up);
+        const pc = Math.abs(p - upLeft);
+        value += pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft;
+      }
+      rows[y * stride + x] = value & 0xff;
+    }
+  }
+  const pixels = new Uint8Array(width * height * 4);
+  for (let i = 0; i < width * height; i += 1) {
+    const s = i * channels;
+    let rgba;
+    if (colorType === 0) rgba = [rows[s], rows[s], rows[s], 255];
+    else if (colorType === 4) rgba = [rows[s], rows[s], rows[s], rows[s + 1]];
+    else if (colorType === 2) rgba = [rows[s], rows[s + 1], rows[s + 2], 255];
+    else if (colorType === 6) rgba = [rows[s], rows[s + 1], rows[s + 2], rows[s + 3]];
+    else rgba = [palette[rows[s] * 3], palette[rows[s] * 3 + 1], palette[rows[s] * 3 + 2], transparency?.[rows[s]] ?? 255];
+    pixels.set(rgba, i * 4);
+  }
+  return { width, height, pixels };
+}
+
+function drawTiles(raster, tileDir, zoom, origin) {
+  let drawn = 0;
+  const count = 2 ** zoom;
+  for (let ty = Math.floor(origin.y / TILE_SIZE); ty * TILE_SIZE < origin.y + raster.height; ty += 1) {
+    for (let tx = Math.floor(origin.x / TILE_SIZE); tx * TILE_SIZE < origin.x + raster.width; tx += 1) {
+      if (ty < 0 || ty >= count) continue;
+      const file = path.join(tileDir, String(zoom), String(((tx % count) + count) % count), `${ty}.png`);
+      let tile = null;
+      try {
+        tile = decodePng(fs.readFileSync(file));
+      } catch {
+        tile = null;
+      }
+      if (!tile) continue;
+      raster.blit(tile, Math.round(tx * TILE_SIZE - origin.x), Math.round(ty * TILE_SIZE - origin.y));
+      drawn += 1;
+    }
+  }
+  return drawn;
+}
+
+function drawGrid(raster, origin) {
+  const step = TILE_SIZE / 4;
+  for (let x = Math.ceil(origin.x / step) * step - origin.x; x < raster.width; x += step) raster.fillRect(x, 0, 1, raster.height, COLORS.grid);
+  for (let y = Math.ceil(origin.y / step) * step - origin.y; y < raster.height; y += step) raster.fillRect(0, y, raster.width, 1, COLORS.grid);
+}
+
+function tradeAreaRing(map) {
+  const minutes = map?.trade_area?.minutes_used ?? map?.competitor_drive_minutes;
+  if (!minutes) return null;
+  const feature = (map.trade_area?.features || []).find((item) => item.properties?.minutes === minutes);
+  const coordinates = feature?.geometry?.type === "Polygon" ? feature.geometry.coordinates[0] : null;
+  return Array.isArray(coordinates) && coordinates.length > 2 ? { minutes, ring: coordinates.map(([lon, lat]) => ({ lat, lon })) } : null;
+}
+
+/**
+ * North-up PNG of an estimate's map: the competitor radius (or drive-time
+ * trade area), competitors with big-box brands in red, nearby AADT stations
+ * and the station used, over locally cached OSM tiles when `tileDir` (or
+ * FUEL_IQ_TILE_DIR) holds a `{z}/{x}/{y}.png` tree, else a plain grid.
+ *
+ * @param {object} map `result.map` from `/estimate`.
+ * @param {{ width?: number, height?: number, tileDir?: string }} [options]
+ * @returns {{ data: Buffer, width: number, height: number, zoom: number, scaleBarMi: number, radiusMi: number|null, driveMinutes: number|null, tiles: boolean }|null}
+ *   Null when the map has no site coordinates.
+ */
+export function renderSiteMap(map, { width = 640, height = 400, tileDir = process.env.FUEL_IQ_TILE_DIR || "" } = {}) {
+  const site = point(map?.site);
+  if (!site) return null;
+  const competitors = (map.competitors || []).map((item) => ({ ...point(item), heavy: Boolean(item.heavy) })).filter((item) => item.lat != null);
+  const stations = (map.aadt || []).map(point).filter(Boolean);
+  const used = point(map.aadt_used);
+  const usedStation = used && milesBetween(site, used) > 0.001 ? used : null;
+  const tradeArea = tradeAreaRing(map);
+  const radiusMi = tradeArea ? null : finite(map.competitor_radius_mi);
+
+  const fit = [...competitors, ...(tradeArea?.ring || [])];
+  if (usedStation && milesBetween(site, usedStation) <= MAX_AADT_FIT_MI) fit.push(usedStation);
+  let zoom = MAX_ZOOM;
+  for (; zoom > MIN_ZOOM; zoom -= 1) {
+    const center = worldPixel(site, zoom);
+    const reach = Math.max(
+      radiusMi ? (radiusMi * METERS_PER_MILE) / metersPerPixel(site.lat, zoom) : 0,
+      ...fit.map((item) => {
+        const p = worldPixel(item, zoom);
+        return Math.max(Math.abs(p.x - center.x) * (height / width), Math.abs(p.y - center.y));
+      }),
+    );
+    if (reach <= height / 2 - PADDING_PX) break;
+  }
+
+  const center = worldPixel(site, zoom);
+  const origin = { x: Math.round(center.x - width / 2), y: Math.round(center.y - height / 2) };
+  const toImage = (item) => {
+    const p = worldPixel(item, zoom);
+    return { x: p.x - origin.x, y: p.y - origin.y };
+  };
+  const raster = new Raster(width, height, COLORS.background);
+  const tiles = tileDir ? drawTiles(raster, tileDir, zoom, origin) > 0 : false;
+  if (!tiles) drawGrid(raster, origin);
+
+  const c = toImage(site);
+  if (tradeArea) {
+    const ring = tradeArea.ring.map(toImage);
+    raster.fillPolygon(ring, COLORS.ringFill);
+    ring.forEach((p, i) => {
+      const next = ring[(i + 1) % ring.length];
+      raster.line(p.x, p.y, next.x, next.y, 2, COLORS.ring);
+    });
+  } else if (radiusMi) {
+    const radiusPx = (radiusMi * METERS_PER_MILE) / metersPerPixel(site.lat, zoom);
+    raster.circle(c.x, c.y, radiusPx, COLORS.ringFill);
+    raster.ring(c.x, c.y, radiusPx, 2, COLORS.ring, 9);
+  }
+  for (const station of stations) {
+    const p = toImage(station);
+    raster.diamond(p.x, p.y, 5, COLORS.outline);
+    raster.diamond(p.x, p.y, 3.5, COLORS.aadt);
+  }
+  for (const item of [...competitors].sort((a, b) => a.heavy - b.heavy)) {
+    const p = toImage(item);
+    const size = item.heavy ? 7 : 5.5;
+    raster.circle(p.x, p.y, size + 1.5, COLORS.outline);
+    raster.circle(p.x, p.y, size, item.heavy ? COLORS.heavy : COLORS.competitor);
+  }
+  if (usedStation) {
+    const p = toImage(usedStation);
+    raster.diamond(p.x, p.y, 10, COLORS.outline);
+    raster.diamond(p.x, p.y, 7.5, COLORS.aadtUsed);
+  }
+  raster.circle(c.x, c.y, 11, COLORS.outline);
+  raster.circle(c.x, c.y, 8.5, COLORS.site);
+  raster.circle(c.x, c.y, 3, COLORS.outline);
+
+  // Scale bar: the longest round distance that fits in a quarter of the width.
+  const mpp = metersPerPixel(site.lat, zoom);
+  const scaleBarMi = [...SCALE_BAR_MI].reverse().find((miles) => (miles * METERS_PER_MILE) / mpp <= width / 4) || SCALE_BAR_MI[0];
+  const barPx = Math.round((scaleBarMi * METERS_PER_MILE) / mpp);
+  raster.fillRect(10, height - 24, barPx + 12, 14, COLORS.panel);
+  raster.fillRect(16, height - 15, barPx, 3, COLORS.ink);
+  raster.fillRect(16, height - 20, 2, 8, COLORS.ink);
+  raster.fillRect(16 + barPx - 2, height - 20, 2, 8, COLORS.ink);
+
+  return {
+    data: encodePng(raster),
+    width,
+    height,
+    zoom,
+    scaleBarMi,
+    radiusMi,
+    driveMinutes: tradeArea?.minutes ?? null,
+    tiles,
+  };
+}
+
+/**
+ * Legend line printed under a rendered map, since the PNG carries no text.
+ *
+ * @param {ReturnType<typeof renderSiteMap>} image
+ * @returns {string}
+ */
+export function siteMapCaption(image) {
+  const area = image.driveMinutes ? `shaded area: ${image.driveMinutes}-minute drive` : image.radiusMi ? `dashed ring: ${image.radiusMi} mi competitor radius` : "";
+  return [
+    "Blue: site",
+    "red: big-box competitors",
+    "orange: other competitors",
+    "large green diamond: AADT station used",
+    "small diamonds: other AADT stations",
+    area,
+    `scale bar: ${image.scaleBarMi} mi`,
+    image.tiles ? "map data © OpenStreetMap contributors" : "",
+  ].filter(Boolean).join(" · ");
+}
@@ -0,0 +1,222 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+const LEGACY_DATA_DIR = path.join(ROOT, "data");
+const META_FILE = "meta.json";
+const COMPACT_MIN_LINES = 200;
+// Reads extend a record's expiry; only write the new expiry to disk once it
+// has moved this far, so status polling does not append a line per request.
+const TOUCH_PERSIST_MS = 15 * 60 * 1000;
+
+/**
+ * Schema migrations, applied in order and recorded in `meta.json`. Each runs
+ * once per store directory; add new entries at the end and never reorder.
+ */
+const MIGRATIONS = [
+  {
+    id: "001-import-normalized-addresses",
+    description: "Import data/normalized-addresses.json into the addresses collection.",
+    up(store) {
+      let rows = [];
+      try {
+        rows = JSON.parse(fs.readFileSync(path.join(store.legacyDataDir, "normalized-addresses.json"), "utf8"));
+      } catch {}
+      const addresses = store.collection("addresses");
+      // The legacy file is newest first; the store keeps insertion order.
+      for (const row of (Array.isArray(rows) ? rows : []).slice().reverse()) {
+        if (row && typeof row === "object") addresses.put({ ...row, id: String(row.id || crypto.randomUUID()) });
+      }
+    },
+  },
+];
+
+export function storeDirectory() {
+  return process.env.FUEL_IQ_DATA_DIR || path.join(LEGACY_DATA_DIR, "store");
+}
+
+/**
+ * One collection: an append-only JSON-lines log (`<name>.jsonl`) of
+ * `{ op: "put"|"delete", id, value }` entries replayed into memory on first
+ * use. Values are the live objects callers mutate; call `save` after a change
+ * to persist it. Records with an `expiresAt` timestamp are dropped once it
+ * passes, and `limit` keeps only the newest records, as the old in-process
+ * maps did. Writes are synchronous so the log order matches call order.
+ */
+class Collection {
+  #records = null;
+  #persistedExpiry = new Map();
+  #lines = 0;
+
+  constructor(store, name, { ttlMs = 0, limit = 0, revive = null } = {}) {
+    if (!/^[a-z0-9_]+$/.test(name)) throw new Error(`Invalid collection name "${name}".`);
+    this.store = store;
+    this.name = name;
+    this.file = path.join(store.dir, `${name}.jsonl`);
+    this.ttlMs = ttlMs;
+    this.limit = limit;
+    this.revive = revive;
+  }
+
+  #load() {
+    if (this.#records) return this.#records;
+    this.#records = new Map();
+    let text = "";
+    try { text = fs.readFileSync(this.file, "utf8"); } catch (error) { if (error.code !== "ENOENT") throw error; }
+    for (const line of text.split("\n")) {
+      if (!line.trim()) continue;
+      this.#lines += 1;
+      let entry;
+      // A crash mid-write can leave a truncated last line; skip it.
+      try { entry = JSON.parse(line); } catch { continue; }
+      if (entry?.op === "delete") this.#records.delete(entry.id);
+      else if (entry?.op === "put" && entry.id != null && entry.value && typeof entry.value === "object") {
+        this.#records.set(entry.id, this.revive ? this.revive(entry.value) : entry.value);
+        this.#persistedExpiry.set(entry.id, entry.value.expiresAt);
+      }
+    }
+    return this.#records;
+  }
+
+  #append(entry) {
+    fs.mkdirSync(this.store.dir, { recursive: true });
+    fs.appendFileSync(this.file, `${JSON.stringify(entry)}\n`);
+    this.#lines += 1;
+    if (this.#lines > COMPACT_MIN_LINES && this.#lines > 2 * this.#records.size) this.compact();
+  }
+
+  #write(id, value) {
+    this.#persistedExpiry.set(id, value.expiresAt);
+    this.#append({ op: "put", id, value, at: new Date().toISOString() });
+  }
+
+  #remove(id) {
+    this.#records.delete(id);
+    this.#persistedExpiry.delete(id);
+    this.#append({ op: "delete", id, at: new Date().toISOString() });
+  }
+
+  prune() {
+    const records = this.#load();
+    const now = Date.now();
+    for (const [id, record] of records) if (Number.isFinite(record.expiresAt) && record.expiresAt <= now) this.#remove(id);
+    if (this.limit > 0) while (records.size > this.limit) this.#remove(records.keys().next().value);
+  }
+
+  /** Live record by id, extending its expiry when the collection has a TTL. */
+  get(id) {
+    this.prune();
+    const value = this.#records.get(String(id)) || null;
+    if (value && this.ttlMs > 0) {
+      value.expiresAt = Date.now() + this.ttlMs;
+      if (value.expiresAt - (this.#persistedExpiry.get(value.id) || 0) >= TOUCH_PERSIST_MS) this.#write(value.id, value);
+    }
+    return value;
+  }
+
+  /** Insert or replace a record; `value.id` is the key. Returns the value. */
+  put(value) {
+    if (value?.id == null) throw new Error(`Records in ${this.name} need an id.`);
+    this.prune();
+    value.id = String(value.id);
+    this.#records.set(value.id, value);
+    this.#write(value.id, value);
+    return value;
+  }
+
+  /** Persist the current state of a record already in the collection. */
+  save(value) {
+    if (value?.id == null || this.#load().get(String(value.id)) !== value) return value;
+    this.#write(value.id, value);
+    return value;
+  }
+
+  delete(id) {
+    if (this.#load().has(String(id))) this.#remove(String(id));
+  }
+
+  /** Records in insertion order, oldest first. */
+  list() {
+    this.prune();
+    return [...this.#records.values()];
+  }
+
+  get size() {
+    this.prune();
+    return this.#records.size;
+  }
+
+  /** Rewrite the log with one put per live record (temp file, then rename). */
+  compact() {
+    const records = this.#load();
+    const temp = `${this.file}.${process.pid}.tmp`;
+    const at = new Date().toISOString();
+    fs.mkdirSync(this.store.dir, { recursive: true });
+    fs.writeFileSync(temp, [...records].map(([id, value]) => `${JSON.stringify({ op: "put", id, value, at })}\n`).join(""));
+    fs.renameSync(temp, this.file);
+    this.#lines = records.size;
+  }
+}
+
+/**
+ * Embedded store rooted at `dir` (default `FUEL_IQ_DATA_DIR` or
+ * `data/store`). Collections are opened lazily, so importing a module that
+ * declares one touches no files until it is used.
+ */
+export class Store {
+  #collections = new Map();
+
+  constructor(dir = storeDirectory(), { legacyDataDir = LEGACY_DATA_DIR } = {}) {
+    this.dir = path.resolve(dir);
+    this.legacyDataDir = legacyDataDir;
+  }
+
+  collection(name, options = {}) {
+    if (!this.#collections.has(name)) this.#collections.set(name, new Collection(this, name, options));
+    return this.#collections.get(name);
+  }
+
+  meta() {
+    try { return JSON.parse(fs.readFileSync(path.join(this.dir, META_FILE), "utf8")); }
+    catch { return { schemaVersion: 0, migrations: [] }; }
+  }
+
+  /**
+   * Apply pending migrations. Safe to call from every process at start-up;
+   * the gateway runs it before spawning the legacy server.
+   *
+   * @returns {string[]} Ids of the migrations applied by this call.
+   */
+  migrate() {
+    const meta = this.meta();
+    const done = new Set((meta.migrations || []).map((item) => item.id));
+    const applied = [];
+    for (const migration of MIGRATIONS) {
+      if (done.has(migration.id)) continue;
+      migration.up(this);
+      meta.migrations = [...(meta.migrations || []), { id: migration.id, applied_at: new Date().toISOString() }];
+      meta.schemaVersion = meta.migrations.length;
+      fs.mkdirSync(this.dir, { recursive: true });
+      fs.writeFileSync(path.join(this.dir, META_FILE), JSON.stringify(meta, null, 2));
+      applied.push(migration.id);
+    }
+    return applied;
+  }
+}
+
+let defaultStore = null;
+
+export function openStore() {
+  if (!defaultStore || defaultStore.dir !== path.resolve(storeDirectory())) defaultStore = new Store();
+  return defaultStore;
+}
+
+/**
+ * Collection in the default store. Routers declare theirs at module level,
+ * e.g. `collection("site_research_jobs", { ttlMs, limit: 50 })`.
+ */
+export function collection(name, options) {
+  return openStore().collection(name, options);
+}
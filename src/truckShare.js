@@ -0,0 +1,101 @@
+import { nearbySignals } from "./paSignals.js";
+
+const SIGNAL_RADIUS_MI = 0.5;
+const MAX_TRUCK_PCT = 60;
+
+const PERCENT_FIELD = /(TRUCK|TRK).*(PCT|PERC|PERCENT|SHARE)|(PCT|PERC|PERCENT).*(TRUCK|TRK)|^T_?PCT$|^PCT_?T$/;
+// Fields published as 0–1 fractions rather than percentages.
+const FRACTION_FIELD = /(TRUCK|TRK).*(FRAC|RATIO)|(FRAC|RATIO).*(TRUCK|TRK)/;
+const COUNT_FIELD = /^A?ADTT(_|$)|^A?ADTT\d|TRUCK.*(AADT|ADT|VOL|COUNT)|(AADT|ADT).*TRUCK/;
+
+function finite(value) {
+  const number = Number(String(value ?? "").replace(/[^0-9.-]/g, ""));
+  return value != null && value !== "" && Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Normalise a truck share to a 0–60 percentage. Values are percentages (0.5
+ * is half a percent); pass `fraction` for sources known to publish 0–1
+ * shares. Anything outside the range is rejected.
+ *
+ * @param {unknown} value
+ * @param {{ fraction?: boolean }} [options]
+ * @returns {number|null}
+ */
+export function normalizeTruckPct(value, { fraction = false } = {}) {
+  const number = finite(value);
+  if (number == null || number < 0 || (fraction && number > 1)) return null;
+  const pct = fraction ? number * 100 : number;
+  return pct <= MAX_TRUCK_PCT ? Number(pct.toFixed(2)) : null;
+}
+
+/**
+ * Truck percentage from a DOT feature's attributes: a percent field
+ * (TRUCK_PCT, PCT_TRUCK, T_PCT) or fraction field (TRUCK_FRAC, TRK_RATIO)
+ * wins, otherwise a truck count (AADTT, ADTT, TRUCK_AADT) divided by the
+ * station's AADT.
+ *
+ * @param {object} attrs Feature attributes.
+ * @param {number} [aadt] Station AADT for count fields.
+ * @returns {number|null}
+ */
+export function truckPctFromAttributes(attrs, aadt) {
+  let fromCount = null;
+  for (const [key, value] of Object.entries(attrs || {})) {
+    const name = key.toUpperCase();
+    if (FRACTION_FIELD.test(name) || PERCENT_FIELD.test(name)) {
+      const pct = normalizeTruckPct(value, { fraction: FRACTION_FIELD.test(name) });
+      if (pct != null) return pct;
+    } else if (fromCount == null && COUNT_FIELD.test(name) && aadt > 0) {
+      const count = finite(value);
+      if (count > 0 && count < aadt) fromCount = normalizeTruckPct((count / aadt) * 100);
+    }
+  }
+  return fromCount;
+}
+
+/**
+ * Nearest PennDOT signal record (public/signals.js) that carries a truck share.
+ *
+ * @param {number} lat
+ * @param {number} lon
+ * @param {number} [maxMiles]
+ * @returns {{ truckPct: number, aadt: number|null, miles: number, id: number, stateRoute: string|null }|null}
+ */
+export function nearestSignalTruckPct(lat, lon, maxMiles = SIGNAL_RADIUS_MI) {
+  const signal = nearbySignals(lat, lon, maxMiles).find((item) => normalizeTruckPct(item.truck_pct) != null);
+  if (!signal) return null;
+  return {
+    truckPct: normalizeTruckPct(signal.truck_pct),
+    aadt: signal.aadt,
+    miles: signal.miles,
+    id: signal.signal_id,
+    stateRoute: signal.state_route,
+  };
+}
+
+/**
+ * Pick the truck share for an estimate: a user value, then the chosen AADT
+ * station, then nearby stations, then the PA signal data, then the rule
+ * default.
+ *
+ * @param {object} input
+ * @param {unknown} [input.requested] User-entered truck percentage.
+ * @param {object} [input.station] Station used for AADT (`truck_pct`).
+ * @param {Array<object>} [input.nearby] Nearby stations, nearest first.
+ * @param {number} [input.lat]
+ * @param {number} [input.lon]
+ * @param {number} defaultPct Rule default.
+ * @returns {{ pct: number, source: string, detail: string|null }}
+ */
+export function resolveTruckShare({ requested, station, nearby = [], lat, lon } = {}, defaultPct) {
+  const user = normalizeTruckPct(requested);
+  if (user != null) return { pct: user, source: "user_entered", detail: null };
+  const stationPct = normalizeTruckPct(station?.truck_pct);
+  if (stationPct != null) return { pct: stationPct, source: "aadt_station", detail: station.route || station.station_id || null };
+  const near = (nearby || []).find((item) => normalizeTruckPct(item?.truck_pct) != null);
+  if (near) return { pct: normalizeTruckPct(near.truck_pct), source: "nearby_aadt_station", detail: near.route || near.station_id || null };
+  const signal = nearestSignalTruckPct(Number(lat), Number(lon));
+  if (signal) return { pct: signal.truckPct, source: "penndot_signal", detail: `SR ${signal.stateRoute || "—"} signal ${signal.id} (${signal.miles} mi)` };
+  return { pct: defaultPct, source: "default", detail: null };
+}
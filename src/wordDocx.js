@@ -0,0 +1,352 @@
+import {
+  AlignmentType,
+  Bookmark,
+  BorderStyle,
+  Document,
+  ExternalHyperlink,
+  Footer,
+  Header,
+  HeadingLevel,
+  ImageRun,
+  InternalHyperlink,
+  Packer,
+  PageNumber,
+  PageOrientation,
+  Paragraph,
+  ShadingType,
+  Table,
+  TableCell,
+  TableLayoutType,
+  TableRow,
+  TextRun,
+  VerticalAlign,
+  WidthType,
+} from "docx";
+import { list, plain, validUrl } from "./distributorReportV3.js";
+import { resolveReportTheme } from "./reportTheme.js";
+import { pngImage } from "./staticMap.js";
+
+// Shared DOCX styling for every Fuel IQ Word export (distributor, site
+// estimate and site research reports). Colors and fonts come from the report
+// theme of the document being built (see `buildWordDocument`); `color`
+// options take a theme role ("primary", "accent", "muted", …) or a hex value.
+// Usable width of a portrait Letter page with the margins below, in pixels at 96 dpi.
+const PORTRAIT_IMAGE_WIDTH = 650;
+const LOGO_MAX_HEIGHT = 48;
+const LOGO_MAX_WIDTH = 220;
+
+let activeTheme = null;
+
+function theme() {
+  return activeTheme || resolveReportTheme();
+}
+
+function color(value) {
+  const colors = theme().colors;
+  return colors[value] || value;
+}
+
+export function textRun(text, options = {}) {
+  return new TextRun({
+    text: String(text ?? ""),
+    font: theme().fonts.word,
+    size: options.size || 19,
+    bold: Boolean(options.bold),
+    italics: Boolean(options.italics),
+    color: color(options.color || "text"),
+    break: options.break,
+  });
+}
+
+export function paragraph(value, options = {}) {
+  const text = plain(value);
+  return new Paragraph({
+    children: [textRun(text || options.emptyText || "No public information found.", {
+      size: options.size || 19,
+      bold: options.bold,
+      italics: options.italics || !text,
+      color: options.color || (text ? "text" : "muted"),
+    })],
+    spacing: { before: options.before ?? 40, after: options.after ?? 90, line: 260 },
+    keepNext: Boolean(options.keepNext),
+    alignment: options.alignment,
+  });
+}
+
+/** Section heading; `bookmark` names it as a target for `contentsChildren`. */
+export function heading(text, level = 2, { bookmark = "" } = {}) {
+  const sizes = { 1: 34, 2: 28, 3: 23, 4: 20 };
+  const run = textRun(text, { bold: true, size: sizes[level] || 22, color: level === 1 ? "primary" : "accent" });
+  return new Paragraph({
+    children: [bookmark ? new Bookmark({ id: bookmark, children: [run] }) : run],
+    heading: level === 1 ? HeadingLevel.HEADING_1 : level === 2 ? HeadingLevel.HEADING_2 : level === 3 ? HeadingLevel.HEADING_3 : HeadingLevel.HEADING_4,
+    spacing: { before: level === 1 ? 80 : 240, after: 100 },
+    keepNext: true,
+  });
+}
+
+/** Shaded note with a blue rule on the left (disclaimers, user notes). */
+export function callout(value, options = {}) {
+  return new Paragraph({
+    children: [textRun(plain(value), { italics: options.italics ?? true, size: options.size || 18, color: options.color || "muted" })],
+    shading: { type: ShadingType.CLEAR, color: "auto", fill: color("surface") },
+    spacing: { before: 80, after: 180, line: 250 },
+    border: { left: { style: BorderStyle.SINGLE, color: color("accent"), size: 18, space: 6 } },
+    indent: { left: 120 },
+  });
+}
+
+/** The theme logo (when it has one), an accent eyebrow line, then the report title. */
+export function titleBlock(eyebrow, title) {
+  const logo = theme().logo;
+  const scale = logo ? Math.min(1, LOGO_MAX_HEIGHT / logo.height, LOGO_MAX_WIDTH / logo.width) : 0;
+  return [
+    logo && new Paragraph({
+      children: [new ImageRun({ type: "png", data: logo.data, transformation: { width: Math.round(logo.width * scale), height: Math.round(logo.height * scale) } })],
+      spacing: { after: 120 },
+    }),
+    new Paragraph({
+      children: [textRun(eyebrow, { bold: true, size: 18, color: "accent" })],
+      spacing: { after: 80 },
+    }),
+    new Paragraph({
+      children: [textRun(title, { bold: true, size: 38, color: "primary" })],
+      spacing: { after: 100 },
+    }),
+  ].filter(Boolean);
+}
+
+/**
+ * Table of contents as links to bookmarked headings. Unlike a Word TOC field
+ * it needs no "update fields" prompt when the document is opened.
+ *
+ * @param {Array<{ text: string, bookmark: string, level?: number }>} entries
+ * @returns {Paragraph[]}
+ */
+export function contentsChildren(entries) {
+  return [
+    heading("Contents", 2),
+    ...entries.map(({ text, bookmark, level = 2 }) => new Paragraph({
+      children: [new InternalHyperlink({ anchor: bookmark, children: [new TextRun({ text, style: "Hyperlink", font: theme().fonts.word, size: level > 2 ? 18 : 20 })] })],
+      indent: { left: level > 2 ? 360 : 0 },
+      spacing: { before: 20, after: 50 },
+    })),
+  ];
+}
+
+export function bulletParagraph(value, level = 0) {
+  return new Paragraph({
+    children: [textRun(plain(value), { size: 19 })],
+    bullet: { level },
+    spacing: { before: 20, after: 55, line: 250 },
+  });
+}
+
+export function bulletChildren(items) {
+  const values = list(items).map(plain).filter(Boolean);
+  return values.length ? values.map((value) => bulletParagraph(value)) : [paragraph("")];
+}
+
+function cellParagraph(value, { bold = false, link = "", linkLabel = "Open source" } = {}) {
+  const url = validUrl(link);
+  const children = url
+    ? [new ExternalHyperlink({
+        children: [new TextRun({ text: linkLabel, style: "Hyperlink", font: theme().fonts.word, size: 16 })],
+        link: url,
+      })]
+    : [textRun(plain(value), { size: 16, bold, color: "text" })];
+  return new Paragraph({ children, spacing: { before: 0, after: 0, line: 220 } });
+}
+
+function tableCell(value, width, options = {}) {
+  return new TableCell({
+    children: [cellParagraph(value, options)],
+    width: { size: width, type: WidthType.PERCENTAGE },
+    verticalAlign: VerticalAlign.TOP,
+    shading: options.header ? { type: ShadingType.CLEAR, color: "auto", fill: color("accentLight") } : undefined,
+    margins: { top: 70, bottom: 70, left: 75, right: 75 },
+  });
+}
+
+function table(rows) {
+  const border = color("border");
+  return new Table({
+    rows,
+    width: { size: 100, type: WidthType.PERCENTAGE },
+    layout: TableLayoutType.FIXED,
+    borders: {
+      top: { style: BorderStyle.SINGLE, size: 4, color: border },
+      bottom: { style: BorderStyle.SINGLE, size: 4, color: border },
+      left: { style: BorderStyle.SINGLE, size: 4, color: border },
+      right: { style: BorderStyle.SINGLE, size: 4, color: border },
+      insideHorizontal: { style: BorderStyle.SINGLE, size: 3, color: border },
+      insideVertical: { style: BorderStyle.SINGLE, size: 3, color: border },
+    },
+    margins: { top: 70, bottom: 70, left: 70, right: 70 },
+  });
+}
+
+/**
+ * Table with a repeating header row. Each column reads the first non-empty
+ * `keys` value of a row object (or the row itself when it is not an object);
+ * `url` columns render as a hyperlink labelled `linkLabel`.
+ *
+ * @param {Array<object>} rows
+ * @param {Array<{ label: string, keys?: string[], width?: number, url?: boolean, linkLabel?: string }>} columns
+ * @param {{ emptyText?: string }} [options]
+ * @returns {Array<Table|Paragraph>}
+ */
+export function dataTable(rows, columns, options = {}) {
+  const values = list(rows).filter((row) => row != null);
+  if (!values.length) return [paragraph("", { emptyText: options.emptyText })];
+  const normalizedWidths = (() => {
+    const requested = columns.map((column) => Number(column.width || 0));
+    const total = requested.reduce((sum, value) => sum + value, 0) || 100;
+    return requested.map((value) => (value || 100 / columns.length) * 100 / total);
+  })();
+
+  const header = new TableRow({
+    tableHeader: true,
+    children: columns.map((column, index) => tableCell(column.label, normalizedWidths[index], { header: true, bold: true })),
+  });
+
+  const bodyRows = values.map((row) => new TableRow({
+    cantSplit: true,
+    children: columns.map((column, index) => {
+      let value = "";
+      if (row && typeof row === "object") {
+        for (const key of column.keys || []) {
+          if (row[key] != null && row[key] !== "") { value = row[key]; break; }
+        }
+      } else {
+        value = row;
+      }
+      if (column.url) {
+        return tableCell("", normalizedWidths[index], { link: validUrl(value), linkLabel: column.linkLabel || "Open source" });
+      }
+      return tableCell(value, normalizedWidths[index]);
+    }),
+  }));
+
+  return [table([header, ...bodyRows]), new Paragraph({ spacing: { after: 90 } })];
+}
+
+/**
+ * Two-column label/value table (shaded labels), for summaries and records.
+ *
+ * @param {Array<[string, unknown]>} pairs
+ * @param {{ labelWidth?: number }} [options]
+ * @returns {Array<Table|Paragraph>}
+ */
+export function keyValueTable(pairs, { labelWidth = 30 } = {}) {
+  const rows = pairs.filter(Boolean).map(([label, value]) => new TableRow({
+    cantSplit: true,
+    children: [tableCell(label, labelWidth, { header: true, bold: true }), tableCell(value, 100 - labelWidth)],
+  }));
+  return rows.length ? [table(rows), new Paragraph({ spacing: { after: 90 } })] : [];
+}
+
+/**
+ * PNG image from a `data:image/png;base64,…` URL, with its pixel size read
+ * from the IHDR chunk. Anything else returns null.
+ *
+ * @param {string} value
+ * @returns {{ data: Buffer, width: number, height: number }|null}
+ */
+export function pngFromDataUrl(value) {
+  const match = /^data:image\/png;base64,([A-Za-z0-9+/=\s]+)$/.exec(String(value || ""));
+  if (!match) return null;
+  return pngImage(Buffer.from(match[1], "base64"));
+}
+
+/**
+ * Centred PNG scaled to fit the page width, with an optional caption.
+ *
+ * @param {{ data: Buffer, width: number, height: number }} image
+ * @param {{ caption?: string, maxWidth?: number }} [options]
+ * @returns {Paragraph[]}
+ */
+export function imageParagraphs(image, { caption = "", maxWidth = PORTRAIT_IMAGE_WIDTH } = {}) {
+  const scale = Math.min(1, maxWidth / image.width);
+  const children = [new Paragraph({
+    children: [new ImageRun({ type: "png", data: image.data, transformation: { width: Math.round(image.width * scale), height: Math.round(image.height * scale) } })],
+    alignment: AlignmentType.CENTER,
+    spacing: { before: 80, after: caption ? 40 : 120 },
+  })];
+  if (caption) children.push(paragraph(caption, { size: 16, color: "muted", italics: true, alignment: AlignmentType.CENTER, after: 120 }));
+  return children;
+}
+
+/**
+ * Closing disclaimer callout from the report theme, when it has one.
+ *
+ * @returns {Paragraph[]}
+ */
+export function themeDisclaimer() {
+  const text = theme().disclaimer;
+  return text ? [heading("Disclaimer", 3), callout(text)] : [];
+}
+
+/**
+ * Pack a report into a DOCX buffer with the theme's styles, a running header
+ * and a footer with the theme's footer text and "Page X of Y". `children` is
+ * a function so the helpers it calls build with the same theme; it runs
+ * synchronously, so concurrent exports cannot see each other's theme.
+ *
+ * @param {{ title: string, description?: string, header?: string, landscape?: boolean, theme?: object, children: () => Array<object> }} input
+ * @returns {Promise<Buffer>}
+ */
+export function buildWordDocument({ title, description = "", header = "", landscape = false, theme: reportTheme = resolveReportTheme(), children }) {
+  const previous = activeTheme;
+  activeTheme = reportTheme;
+  try {
+    const { colors, fonts } = reportTheme;
+    const footerRuns = [
+      reportTheme.footer && new TextRun({ text: `${reportTheme.footer}  ·  `, font: fonts.word, size: 15, color: colors.muted }),
+      new TextRun({ children: ["Page ", PageNumber.CURRENT, " of ", PageNumber.TOTAL_PAGES], font: fonts.word, size: 15, color: colors.muted }),
+    ].filter(Boolean);
+    const doc = new Document({
+      creator: reportTheme.brand,
+      title,
+      description,
+      styles: {
+        default: {
+          document: {
+            run: { font: fonts.word, size: 19, color: colors.text },
+            paragraph: { spacing: { line: 250 } },
+          },
+        },
+        characterStyles: [
+          {
+            id: "Hyperlink",
+            name: "Hyperlink",
+            basedOn: "DefaultParagraphFont",
+            run: { color: "0563C1", underline: {} },
+          },
+        ],
+      },
+      sections: [{
+        properties: {
+          page: {
+            size: landscape ? { orientation: PageOrientation.LANDSCAPE } : undefined,
+            margin: { top: 650, right: 650, bottom: 650, left: 650, header: 300, footer: 300 },
+          },
+        },
+        headers: {
+          default: new Header({
+            children: [new Paragraph({ children: [textRun(header || title, { size: 15, color: "muted" })], alignment: AlignmentType.RIGHT })],
+          }),
+        },
+        footers: {
+          default: new Footer({
+            children: [new Paragraph({ alignment: AlignmentType.CENTER, children: footerRuns })],
+          }),
+        },
+        children: children(),
+      }],
+    });
+    return Packer.toBuffer(doc);
+  } finally {
+    activeTheme = previous;
+  }
+}
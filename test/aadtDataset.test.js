@@ -0,0 +1,102 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { importAadtDataset, importedOrLiveAadt, listAadtDatasets, nearbyImportedAadt, parseAadtCsv, parseShapefile, readAadtFeatures, removeAadtDataset } from '../src/aadtDataset.js';
+import { tempStore } from './helpers.js';
+
+const PA_SAMPLE = new URL('../public/PA_Roads_with_AADT_sample.geojson', import.meta.url).pathname;
+
+// Point shapefile in Web Mercator with one numeric and one text field.
+function pointShapefile(points) {
+  const shp = Buffer.alloc(100 + points.length * 28);
+  shp.writeInt32BE(9994, 0);
+  shp.writeInt32BE(shp.length / 2, 24);
+  shp.writeInt32LE(1000, 28);
+  shp.writeInt32LE(1, 32);
+  points.forEach(({ x, y }, index) => {
+    const offset = 100 + index * 28;
+    shp.writeInt32BE(index + 1, offset);
+    shp.writeInt32BE(10, offset + 4);
+    shp.writeInt32LE(1, offset + 8);
+    shp.writeDoubleLE(x, offset + 12);
+    shp.writeDoubleLE(y, offset + 20);
+  });
+  const fields = [{ name: 'AADT_2023', type: 'N', length: 8 }, { name: 'ROUTE_NAME', type: 'C', length: 12 }];
+  const headerLength = 32 + fields.length * 32 + 1;
+  const recordLength = 1 + fields.reduce((sum, field) => sum + field.length, 0);
+  const dbf = Buffer.alloc(headerLength + points.length * recordLength + 1, 0x20);
+  dbf.fill(0, 0, headerLength);
+  dbf[0] = 3;
+  dbf.writeUInt32LE(points.length, 4);
+  dbf.writeUInt16LE(headerLength, 8);
+  dbf.writeUInt16LE(recordLength, 10);
+  fields.forEach((field, index) => {
+    dbf.write(field.name, 32 + index * 32, 'latin1');
+    dbf.write(field.type, 32 + index * 32 + 11, 'latin1');
+    dbf[32 + index * 32 + 16] = field.length;
+  });
+  dbf[headerLength - 1] = 0x0d;
+  points.forEach(({ aadt, route }, index) => {
+    const offset = headerLength + index * recordLength;
+    dbf.write(String(aadt).padStart(8), offset + 1, 'latin1');
+    dbf.write(route.padEnd(12), offset + 9, 'latin1');
+  });
+  return { shp, dbf, prj: 'PROJCS["WGS_1984_Web_Mercator_Auxiliary_Sphere",PROJECTION["Mercator_Auxiliary_Sphere"]]' };
+}
+
+test('the PA sample imports and answers nearby lookups from the local index', () => {
+  const store = tempStore('fiq-aadt-');
+  const dataset = importAadtDataset(readAadtFeatures(PA_SAMPLE), { id: 'PA Roads', state: 'pa', source: 'PennDOT sample', store });
+  assert.equal(dataset.id, 'pa-roads');
+  assert.equal(dataset.count, 1500);
+  assert.deepEqual(listAadtDatasets(store).map((item) => item.id), ['pa-roads']);
+
+  const [nearest] = nearbyImportedAadt(40.3545, -78.4385, 0.5, { store });
+  assert.equal(nearest.route, 'JOHNSTOWN RD');
+  assert.equal(nearest.aadt, 1223);
+  assert.equal(nearest.location, 'Route 164');
+  assert.equal(nearest.state, 'PA');
+  assert.equal(nearest.imported, true);
+  assert.ok(nearest.distM < 50);
+  assert.deepEqual(nearbyImportedAadt(35.78, -78.64, 1, { store }), []);
+
+  assert.equal(removeAadtDataset('pa-roads', store), true);
+  assert.deepEqual(nearbyImportedAadt(40.3545, -78.4385, 0.5, { store }), []);
+});
+
+test('CSV stations and Web Mercator shapefiles are read into features', () => {
+  const csv = parseAadtCsv('Station,Latitude,Longitude,AADT,AADT_YEAR\nA1,35.78,-78.64,"21,500",2023\n');
+  assert.deepEqual(csv[0].paths, [[[-78.64, 35.78]]]);
+  assert.throws(() => parseAadtCsv('AADT\n100\n'), /latitude and longitude/);
+
+  const features = parseShapefile(pointShapefile([{ x: -8731652.5, y: 4269574.9, aadt: 18000, route: 'US 1' }]));
+  assert.equal(features[0].attributes.AADT_2023, 18000);
+  assert.equal(features[0].attributes.ROUTE_NAME, 'US 1');
+  assert.ok(Math.abs(features[0].paths[0][0][0] + 78.4375) < 1e-3);
+  assert.ok(Math.abs(features[0].paths[0][0][1] - 35.78) < 1e-2);
+  assert.throws(() => parseShapefile({ ...pointShapefile([]), prj: 'PROJCS["NAD83 / North Carolina",PROJECTION["Lambert_Conformal_Conic"]]' }), /reproject/);
+
+  const store = tempStore('fiq-aadt-');
+  importAadtDataset(features, { id: 'nc-points', state: 'NC', store });
+  const [station] = nearbyImportedAadt(35.78, -78.4375, 1, { store });
+  assert.equal(station.aadt, 18000);
+  assert.equal(station.year, 2023);
+  assert.equal(station.route, 'US 1');
+});
+
+test('a dataset covering the area but missing the road falls through to the live lookup', async () => {
+  const store = tempStore('fiq-aadt-');
+  importAadtDataset(readAadtFeatures(PA_SAMPLE), { id: 'pa-roads', state: 'PA', store });
+  const live = async () => [{ aadt: 5400, route: 'SR 9999', imported: false }];
+  const onRoad = (road) => (station) => String(station.route || '').includes(road);
+
+  const [imported] = await importedOrLiveAadt(40.3545, -78.4385, 1.5, { accept: onRoad('JOHNSTOWN'), live, store });
+  assert.equal(imported.imported, true);
+  assert.equal(imported.route, 'JOHNSTOWN RD');
+
+  const [fallthrough] = await importedOrLiveAadt(40.3545, -78.4385, 1.5, { accept: onRoad('NOT IN DATASET'), live, store });
+  assert.equal(fallthrough.imported, false);
+  assert.equal(fallthrough.aadt, 5400);
+
+  const [nearby] = await importedOrLiveAadt(40.3545, -78.4385, 0.5, { live, store });
+  assert.equal(nearby.imported, true);
+});
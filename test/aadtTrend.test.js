@@ -0,0 +1,39 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { aadtCagr, aadtSeries, aadtTrendOptions, projectAadt } from '../src/aadtTrend.js';
+
+test('yearly AADT fields become an ascending series', () => {
+  assert.deepEqual(aadtSeries({ AADT_2023: '21,000', AADT_2019: 18000, AADT21: 19500, AADTT_2023: 1600, TRUCK_PCT: 7, FUT_AADT_2045: 30000 }), [
+    { year: 2019, aadt: 18000 },
+    { year: 2021, aadt: 19500 },
+    { year: 2023, aadt: 21000 },
+  ]);
+  assert.deepEqual(aadtSeries({ AADT: 12000, AADT_YEAR: 2022, AADT_2018: 11000 }), [{ year: 2018, aadt: 11000 }, { year: 2022, aadt: 12000 }]);
+  assert.deepEqual(aadtSeries({ VOL_A: 9000, VOL_B: 8000 }, [{ name: 'VOL_A', alias: '2022 AADT' }, { name: 'VOL_B', alias: '2020 AADT' }]), [{ year: 2020, aadt: 8000 }, { year: 2022, aadt: 9000 }]);
+  assert.deepEqual(aadtSeries({ AADT: 12000 }), []);
+});
+
+test('CAGR spans the first and last counts', () => {
+  assert.equal(aadtCagr([{ year: 2019, aadt: 10000 }, { year: 2021, aadt: 11025 }]), 5);
+  assert.equal(aadtCagr([{ year: 2023, aadt: 10000 }]), null);
+});
+
+test('projection to the opening year is capped in rate and horizon', () => {
+  assert.deepEqual(projectAadt({ aadt: 20000, year: 2023, cagr_pct: 2 }, 2026), {
+    aadt: 21224, from_aadt: 20000, from_year: 2023, opening_year: 2026, cagr_pct: 2, applied_pct: 2, capped: false,
+  });
+  const steep = projectAadt({ aadt: 10000, year: 2010, cagr_pct: 12 }, 2026);
+  assert.equal(steep.applied_pct, 6);
+  assert.equal(steep.opening_year, 2020);
+  assert.equal(steep.capped, true);
+  assert.equal(projectAadt({ aadt: 10000, year: null, cagr_pct: 2 }, 2026), null);
+  assert.equal(projectAadt({ aadt: 10000, year: 2023, cagr_pct: null }, 2026), null);
+});
+
+test('trend option is off unless requested and clamps the opening year', () => {
+  const thisYear = new Date().getFullYear();
+  assert.equal(aadtTrendOptions({}), null);
+  assert.deepEqual(aadtTrendOptions({ aadtTrend: true }), { openingYear: thisYear });
+  assert.deepEqual(aadtTrendOptions({ aadtTrend: { openingYear: thisYear + 40 } }), { openingYear: thisYear + 10 });
+  assert.deepEqual(aadtTrendOptions({ aadtTrend: { openingYear: 1990 } }), { openingYear: thisYear });
+});
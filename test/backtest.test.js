@@ -0,0 +1,70 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { computeEstimate } from '../src/estimateEngine.js';
+import { competitionRuleVariants, errorMetrics, parseBacktestCsv, runBacktest } from '../src/backtest.js';
+
+const csv = [
+  'Site ID,Address,MPDs,Diesel,Actual Gallons,AADT,AADT Method,Competitors,Heavy Competitors',
+  'A1,"100 Main St, Raleigh, NC 27601",6,0,"52,000",18000,dot_station_on_entered_road,2,0',
+  'A2,"5 Oak Ave, Richmond, VA 23220",4,1,30000,9000,user_entered,0,0',
+  'A3,"9 Elm Rd, Durham, NC 27701",8,2,61000,26000,dot_station_on_entered_road,5,1',
+  'A4,"1 Pine St, Cary, NC 27511",4,0,25000,,,,',
+  'A5,"2 Bad Row, Cary, NC 27511",0,0,25000,10000,,1,0',
+].join('\n');
+
+test('CSV rows are parsed with quoted addresses and recorded inputs', () => {
+  const { sites, errors } = parseBacktestCsv(csv);
+  assert.equal(sites.length, 4);
+  assert.deepEqual(errors, [{ line: 6, error: 'MPDs must be a positive number' }]);
+  assert.equal(sites[0].address, '100 Main St, Raleigh, NC 27601');
+  assert.equal(sites[0].actual, 52000);
+  assert.equal(sites[0].state, 'NC');
+  assert.equal(sites[0].recorded.compCountDetected, 2);
+  assert.equal(sites[3].recorded, null);
+  assert.throws(() => parseBacktestCsv('address,mpds\nx,4'), /actual_gallons/);
+});
+
+test('metrics report MAPE and signed bias', () => {
+  const metrics = errorMetrics([{ actual: 100, estimate: 110 }, { actual: 100, estimate: 80 }]);
+  assert.equal(metrics.mape, 15);
+  assert.equal(metrics.bias_pct, -5);
+  assert.equal(metrics.within_10_pct, 50);
+});
+
+test('back-test scores recorded rows and groups the errors', async () => {
+  const { sites } = parseBacktestCsv(csv);
+  const report = await runBacktest(sites);
+  assert.equal(report.scored, 3);
+  assert.equal(report.skipped.length, 1);
+  assert.match(report.skipped[0].reason, /live estimates/);
+  assert.equal(report.sites[0].estimate, computeEstimate(sites[0].recorded).base);
+  assert.equal(report.by_state.NC.count, 2);
+  assert.equal(report.by_competitor_count['4+'].count, 1);
+  assert.ok(report.by_aadt_method.user_entered);
+  assert.ok(report.competition_rules.raw_counts.mape != null);
+  assert.match(report.competition_rules.verdict, /MAPE/);
+});
+
+test('live estimates fill rows without recorded inputs', async () => {
+  const { sites } = parseBacktestCsv(csv);
+  const calc = computeEstimate({ aadt: 12000, mpds: 4, compCountDetected: 1 });
+  const estimate = async () => ({
+    result: { ok: true, inputs: { aadt_used: 12000, mpds: 4, aadt_components: { method: 'user_entered' } }, calc_breakdown: calc.breakdown },
+    source: 'cached',
+  });
+  const report = await runBacktest(sites.slice(3), { estimate });
+  assert.equal(report.scored, 1);
+  assert.equal(report.sites[0].source, 'cached');
+  assert.equal(report.sites[0].estimate, calc.base);
+});
+
+test('count variants ignore a recorded competition index', () => {
+  const input = { aadt: 20000, mpds: 6, compCountDetected: 1, heavyCountDetected: 0, competitionIndex: { index: 2.5, heavyIndex: 0 } };
+  const variants = competitionRuleVariants();
+  const base = (name) => computeEstimate(input, variants[name]).base;
+  assert.equal(base('current'), base('index'));
+  assert.notEqual(base('index'), base('counts'));
+  assert.notEqual(base('counts'), base('raw_counts'));
+  assert.notEqual(base('raw_counts'), base('current'));
+  assert.equal(computeEstimate(input, variants.raw_counts).breakdown.compRule.basis, 'count');
+});
@@ -0,0 +1,97 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { batchCsv, batchXlsx, createBatchJob, createRateLimiter, parseBatchRows, runBatchJob } from '../src/batchEstimate.js';
+import { columnName } from '../src/xlsx.js';
+import { unzipText } from './helpers.js';
+
+const result = (base) => ({
+  ok: true,
+  base,
+  low: base * 0.85,
+  high: base * 1.1,
+  estimate: { range: `${base * 0.85}–${base * 1.1}` },
+  inputs: { aadt_used: 18000, aadt_components: { method: 'dot_station_on_entered_road' } },
+  competition: { count: 3, heavy_count: 1, index: 2.4 },
+  map: { site: { lat: 35.78, lon: -78.64 }, aadt_used: { year: 2024 } },
+});
+
+test('batch rows parse from CSV or JSON and keep invalid rows as errors', () => {
+  const rows = parseBatchRows('Site ID,Address,Regular MPDs,Diesel,AADT\nA1,"1 Main St, Raleigh NC",8,2,\nA2,9 Oak Ave Cary NC,0,,\nA3,,6,,\nA4,5 Elm St Durham NC,6,,"21,000"\n');
+  assert.deepEqual(rows.map((row) => [row.line, row.id, row.status]), [[2, 'A1', 'pending'], [3, 'A2', 'error'], [4, 'A3', 'error'], [5, 'A4', 'pending']]);
+  assert.equal(rows[0].address, '1 Main St, Raleigh NC');
+  assert.equal(rows[0].diesel, 2);
+  assert.equal(rows[1].error, 'MPDs must be a positive number');
+  assert.equal(rows[3].aadt_override, 21000);
+  assert.equal(parseBatchRows([{ address: '1 Main St', mpds: '4' }])[0].line, 1);
+  assert.throws(() => parseBatchRows('street,mpds\nx,1\n'), /needs an address column/);
+  assert.throws(() => parseBatchRows([]), /no rows/);
+  assert.throws(() => parseBatchRows(Array.from({ length: 501 }, () => ({ address: '1 Main St', mpds: 4 }))), /limited to 500/);
+});
+
+test('rate limiter caps concurrency and spaces starts', async () => {
+  const limit = createRateLimiter({ concurrency: 2, minIntervalMs: 20 });
+  const starts = [];
+  let active = 0;
+  let peak = 0;
+  await Promise.all(Array.from({ length: 5 }, () => limit(async () => {
+    starts.push(Date.now());
+    active += 1;
+    peak = Math.max(peak, active);
+    await new Promise((resolve) => setTimeout(resolve, 30));
+    active -= 1;
+  })));
+  assert.equal(peak, 2);
+  for (let i = 1; i < starts.length; i += 1) assert.ok(starts[i] - starts[i - 1] >= 15);
+});
+
+test('batch runner estimates pending rows and records per-row errors', async () => {
+  const rows = parseBatchRows([{ address: '1 Main St Raleigh', mpds: 8 }, { address: 'Nowhere', mpds: 4 }, { address: '', mpds: 4 }, { address: '5 Elm St Durham', mpds: 6, aadt: 21000 }]);
+  const job = createBatchJob(rows, { profile: 'conservative' }, 60000);
+  const bodies = [];
+  let saves = 0;
+  await runBatchJob(job, {
+    limit: createRateLimiter({ concurrency: 2, minIntervalMs: 0 }),
+    save: () => { saves += 1; },
+    estimate: async (body) => {
+      bodies.push(body);
+      if (body.address === 'Nowhere') throw new Error('Address could not be geocoded');
+      return result(100000);
+    },
+  });
+  assert.equal(job.status, 'completed');
+  assert.ok(saves >= 2);
+  assert.deepEqual(job.rows.map((row) => row.status), ['done', 'error', 'error', 'done']);
+  assert.equal(job.rows[1].error, 'Address could not be geocoded');
+  assert.equal(job.rows[0].base, 100000);
+  assert.equal(job.rows[0].aadt_method, 'dot_station_on_entered_road');
+  assert.equal(job.rows[0].heavy_competitors, 1);
+  assert.equal(bodies.find((body) => body.address === '5 Elm St Durham').aadtOverride, 21000);
+  assert.ok(bodies.every((body) => body.profile === 'conservative' && body.skipSummary === true));
+
+  // A revived job only runs rows that are still pending.
+  job.rows[0].status = 'pending';
+  let calls = 0;
+  await runBatchJob(job, { limit: createRateLimiter({ minIntervalMs: 0 }), estimate: async () => { calls += 1; return result(90000); } });
+  assert.equal(calls, 1);
+  assert.equal(job.rows[0].base, 90000);
+
+  const csv = batchCsv(job).split('\r\n');
+  assert.equal(csv[0].split(',').slice(0, 7).join(','), 'line,id,address,mpds,diesel,status,base');
+  assert.match(csv[2], /,error,.*Address could not be geocoded$/);
+  assert.equal(csv.length, 6);
+});
+
+test('batch XLSX is a valid workbook with one row per site', () => {
+  const job = createBatchJob(parseBatchRows([{ address: 'A & B <Corner>', mpds: 8 }, { address: '', mpds: 2 }]), {}, 60000);
+  Object.assign(job.rows[0], { status: 'done', base: 120000 });
+  const buffer = batchXlsx(job);
+  assert.equal(buffer.readUInt32LE(0), 0x04034b50);
+  const files = unzipText(buffer);
+  assert.ok(files['[Content_Types].xml'].includes('/xl/worksheets/sheet1.xml'));
+  assert.match(files['xl/workbook.xml'], /<sheet name="Batch estimates"/);
+  const sheet = files['xl/worksheets/sheet1.xml'];
+  assert.equal((sheet.match(/<row /g) || []).length, 3);
+  assert.ok(sheet.includes('A &amp; B &lt;Corner&gt;'));
+  assert.ok(sheet.includes('<c r="G2" s="2"><v>120000</v></c>'));
+  assert.deepEqual([0, 25, 26, 701].map(columnName), ['A', 'Z', 'AA', 'ZZ']);
+});
@@ -0,0 +1,64 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { DEFAULT_ESTIMATE_RULES, computeEstimate } from '../src/estimateEngine.js';
+import { calibrateProfiles, fitRegion } from '../src/calibration.js';
+import { resolveEstimateRules } from '../src/estimateProfiles.js';
+
+// "True" market: more traffic pull and tougher competition than the defaults.
+const truth = {
+  ...DEFAULT_ESTIMATE_RULES,
+  baseline: { ...DEFAULT_ESTIMATE_RULES.baseline, trafficPullPct: 2.5 },
+  competition: {
+    ...DEFAULT_ESTIMATE_RULES.competition,
+    tiers: DEFAULT_ESTIMATE_RULES.competition.tiers.map((tier) => ({ ...tier, multiplier: Number((tier.multiplier * 0.85).toFixed(3)) })),
+  },
+};
+
+function syntheticSites(region, count) {
+  return Array.from({ length: count }, (_, index) => {
+    const input = { aadt: 6000 + index * 900, mpds: 8, diesel: 0, compCountDetected: index % 4, heavyCountDetected: 0 };
+    return { site: { line: index + 2, actual: computeEstimate(input, truth).base, region, state: 'NC' }, input };
+  });
+}
+
+test('fit moves traffic pull and tier multipliers towards the observed market', () => {
+  const fit = fitRegion(syntheticSites('Triangle', 24).map(({ site, input }) => ({ input, actual: site.actual })));
+  assert.ok(fit.coefficients.trafficPullPct.fitted > 2.3);
+  assert.ok(fit.overrides.baseline.trafficPullPct > 2 && fit.overrides.baseline.trafficPullPct <= 2.5);
+  const tierMultipliers = fit.overrides.competition.tiers.map((tier) => tier.multiplier);
+  assert.ok(tierMultipliers[2] < 0.6);
+  assert.deepEqual([...tierMultipliers].sort((a, b) => b - a), tierMultipliers);
+});
+
+test('calibrated profile file loads through ESTIMATE_PROFILES_FILE with fit statistics', () => {
+  const prepared = [...syntheticSites('Triangle', 12), ...syntheticSites('Coast', 4)];
+  const { config, skipped_regions: skipped } = calibrateProfiles(prepared, { date: '2026-01-01' });
+  assert.deepEqual(Object.keys(config.profiles), ['standard', 'calibrated-all-regions-2026-01-01', 'calibrated-triangle-2026-01-01']);
+  assert.deepEqual(skipped, [{ region: 'Coast', sites: 4 }]);
+  const profile = config.profiles['calibrated-triangle-2026-01-01'];
+  assert.ok(profile.fit.after.mape < profile.fit.before.mape);
+
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'fiq-calibrated-')), 'profiles.json');
+  fs.writeFileSync(file, JSON.stringify(config));
+  const previous = process.env.ESTIMATE_PROFILES_FILE;
+  process.env.ESTIMATE_PROFILES_FILE = file;
+  try {
+    const rules = resolveEstimateRules('calibrated-triangle-2026-01-01');
+    assert.equal(rules.baseline.trafficPullPct, profile.rules.baseline.trafficPullPct);
+    assert.equal(rules.baseline.gallonsPerFill, DEFAULT_ESTIMATE_RULES.baseline.gallonsPerFill);
+  } finally {
+    if (previous === undefined) delete process.env.ESTIMATE_PROFILES_FILE;
+    else process.env.ESTIMATE_PROFILES_FILE = previous;
+  }
+});
+
+test('calibration keeps the starting profile overrides and needs enough sites', () => {
+  const rules = resolveEstimateRules('truck-stop');
+  const { config } = calibrateProfiles(syntheticSites('Triangle', 10), { rules, date: '2026-01-01' });
+  assert.equal(config.default, 'truck-stop');
+  assert.equal(config.profiles['calibrated-all-regions-2026-01-01'].rules.baseline.gallonsPerFill, 14);
+  assert.throws(() => calibrateProfiles(syntheticSites('Triangle', 3)), /at least 8 sites/);
+});
@@ -0,0 +1,75 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { computeEstimate, DEFAULT_ESTIMATE_RULES } from '../src/estimateEngine.js';
+import { HEAVY, brandTier, competitionIndex, frontageRoad, mpdsFromTags, sideOfRoad } from '../src/competitionIndex.js';
+
+// North-south road through lon -78.64; the site sits just east of it.
+const site = { lat: 35.78, lon: -78.6395 };
+const ways = [{ tags: { name: 'Main Street' }, geometry: [{ lat: 35.76, lon: -78.64 }, { lat: 35.8, lon: -78.64 }] }];
+
+test('brand tiers and OSM dispenser counts', () => {
+  assert.equal(brandTier({ name: 'Sheetz' }), 'heavy');
+  assert.equal(brandTier({ name: 'Corner Fuel', heavy: true }), 'heavy');
+  assert.ok(["Costco Gas", "Sam's Club Fuel Center", "BJ's Gas", 'Murphy USA'].every((name) => HEAVY.test(name)));
+  assert.equal(brandTier({ name: 'Shell' }), 'major');
+  assert.equal(brandTier({ name: 'Petroleum Express' }), 'unbranded');
+  assert.equal(mpdsFromTags({ pumps: '8' }), 8);
+  assert.equal(mpdsFromTags({ 'fuel:pumps': 'lots' }), null);
+});
+
+test('frontage road bearing and side of road', () => {
+  const road = frontageRoad(ways, site, 'Main St');
+  assert.equal(road.name, 'Main Street');
+  assert.equal(road.bearing_deg, 0);
+  assert.equal(sideOfRoad(site, { lat: 35.781, lon: -78.6396 }, road, 0.06), 'same');
+  assert.equal(sideOfRoad(site, { lat: 35.781, lon: -78.6404 }, road, 0.06), 'opposite');
+  assert.equal(sideOfRoad(site, { lat: 35.781, lon: -78.62 }, road, 0.06), 'off_corridor');
+  assert.equal(frontageRoad(ways, { lat: 35.78, lon: -78.6 }), null);
+});
+
+test('index weights distance, brand, size and side', () => {
+  const road = frontageRoad(ways, site);
+  const result = competitionIndex([
+    { name: 'Wawa', lat: 35.781, lon: -78.6396, miles: 0.08, mpds: 12 },
+    { name: 'Shell', lat: 35.79, lon: -78.6404, miles: 0.6 },
+    { name: 'Joe Gas', lat: 35.8, lon: -78.62, miles: 1.4, mpds: 2 },
+  ], { site, road });
+  const [wawa, shell, joe] = result.contributions;
+  assert.deepEqual(wawa.weights, { distance: 1, brand: 1.3, mpds: 1.414, side: 1 });
+  assert.equal(shell.side, 'opposite');
+  assert.equal(shell.weights.distance, 0.5);
+  assert.equal(shell.weight, 0.4);
+  assert.equal(joe.brand_tier, 'unbranded');
+  assert.ok(joe.weight < 0.1);
+  assert.equal(result.heavyIndex, 1.414);
+  assert.equal(result.index, Number((wawa.weight + shell.weight + joe.weight).toFixed(3)));
+});
+
+test('the nearest station on the site is its own and carries no weight', () => {
+  const input = { aadt: 20000, mpds: 8, heavyCountDetected: 0 };
+  const withSelf = competitionIndex([{ name: 'Site Shell', miles: 0.03 }, { name: 'Corner Shell', miles: 0.05 }, { name: 'Far Gas', miles: 1.4 }]);
+  const [self, corner] = withSelf.contributions;
+  assert.equal(self.side, 'on_site');
+  assert.equal(self.weight, 0);
+  assert.equal(corner.weight, 1);
+  assert.equal(withSelf.count, 2);
+  const without = competitionIndex([{ name: 'Far Gas', miles: 1.4 }]);
+  assert.equal(competitionIndex([{ name: 'Site Shell', miles: 0.03 }, { name: 'Far Gas', miles: 1.4 }]).index, without.index);
+  assert.equal(computeEstimate({ ...input, compCountDetected: 1, competitionIndex: competitionIndex([{ name: 'Site Shell', miles: 0.03 }]) }).base,
+    computeEstimate({ ...input, compCountDetected: 0 }).base);
+});
+
+test('engine uses the index instead of the count and shows contributions', () => {
+  const index = competitionIndex([{ name: 'Far Gas', miles: 1.4 }, { name: 'Other Gas', miles: 1.3 }]);
+  const input = { aadt: 20000, mpds: 8, compCountDetected: 2, heavyCountDetected: 0 };
+  const counted = computeEstimate(input);
+  const weighted = computeEstimate({ ...input, competitionIndex: index });
+  assert.equal(counted.breakdown.compRule.basis, 'count');
+  assert.equal(weighted.breakdown.compRule.basis, 'index');
+  assert.equal(weighted.breakdown.compRule.compCount, index.index);
+  assert.equal(weighted.breakdown.compRule.contributions.length, 2);
+  assert.ok(weighted.base > counted.base);
+
+  const disabled = { ...DEFAULT_ESTIMATE_RULES, competition: { ...DEFAULT_ESTIMATE_RULES.competition, index: { ...DEFAULT_ESTIMATE_RULES.competition.index, enabled: false } } };
+  assert.equal(computeEstimate({ ...input, competitionIndex: index }, disabled).base, counted.base);
+});
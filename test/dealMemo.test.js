@@ -0,0 +1,76 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { recordEstimate } from '../src/sites.js';
+import { saveDeal } from '../src/pipeline.js';
+import { buildDealMemoDocument, loadDealMemo, unifySources } from '../src/dealMemo.js';
+import { tempStore, unzip } from './helpers.js';
+
+const ESTIMATE = {
+  ok: true, base: 120000, low: 100000, high: 130000, inputs: { aadt_used: 21000 }, aadtText: 'NC DOT station 0.2 mi away',
+  map: { site: { lat: 35.7796, lon: -78.6382, label: '1 Main St, Raleigh NC' }, competitor_radius_mi: 1.5, competitors: [{ name: 'Corner Mart', brand: 'Shell', miles: 0.4, heavy: true, lat: 35.78, lon: -78.64 }] },
+};
+const RESEARCH = {
+  address: '1 Main St, Raleigh NC', prepared_at: '2026-10-01T00:00:00Z', title: 'Site report', disclaimer: 'Public sources.',
+  property_records: { summary: 'Owned by Main Street LLC.', owner_name: 'Main Street LLC', record_details: [], not_found: [], source_ids: ['S1'] },
+  sections: [{ key: 'executive_read', title: 'Executive Read', summary: 'Strong commuter corner.', findings: [{ topic: 'Traffic', detail: 'Busy', source_ids: ['S2', 'S1'] }], tables: [], calculations: [], cautions: [] }],
+  source_register: [{ id: 'S1', title: 'County GIS', url: 'https://gis.example.gov/parcel' }, { id: 'S2', title: 'NCDOT', url: 'https://dot.example.gov/aadt' }],
+};
+const DISTRIBUTOR = {
+  company_name: 'Example Oil', executive_findings: ['Supplies 40 sites across the Triangle.'],
+  risk_assessment: { overall_acquisition_screen: 'Proceed to diligence', risks: [{ risk: 'Aging fleet', source_ids: 'S2, S1' }] },
+  appendices: { source_register: [{ title: 'NCDOT', url: 'https://dot.example.gov/aadt' }, { title: 'Example Oil site', url: 'https://exampleoil.example.com/' }] },
+};
+
+test('the source register merges sources by URL and renumbers citations', () => {
+  const { register, reports: [research, distributor] } = unifySources([
+    { label: 'Site research', report: RESEARCH, sources: RESEARCH.source_register },
+    { label: 'Distributor dossier', report: { ...DISTRIBUTOR, risk_assessment: { risks: [{ source_ids: 'S1, S2' }] } }, sources: [{ id: 'S1', ...DISTRIBUTOR.appendices.source_register[0] }, { id: 'S2', ...DISTRIBUTOR.appendices.source_register[1] }] },
+  ]);
+  assert.deepEqual(register.map((source) => [source.id, source.title, source.cited_in]), [
+    ['S1', 'County GIS', 'Site research'],
+    ['S2', 'NCDOT', 'Site research; Distributor dossier'],
+    ['S3', 'Example Oil site', 'Distributor dossier'],
+  ]);
+  assert.deepEqual(research.sections[0].findings[0].source_ids, ['S2', 'S1']);
+  assert.equal(distributor.risk_assessment.risks[0].source_ids, 'S2, S3');
+  assert.equal(RESEARCH.sections[0].findings[0].source_ids[0], 'S2');
+});
+
+test('a deal memo combines the saved estimate, research and distributor into one document', async () => {
+  const store = tempStore('fiq-memo-');
+  const { site, estimate } = recordEstimate({ address: '1 Main St, Raleigh NC' }, ESTIMATE, { store });
+  saveDeal({ site_id: site.id, stage: 'loi', owner: 'Dana' }, store);
+  const memo = loadDealMemo(site.id, { distributorReport: DISTRIBUTOR }, store);
+  assert.equal(memo.estimate.id, estimate.id);
+  assert.equal(memo.research, null);
+  assert.equal(memo.estimate.result.map.competitor_radius_mi, 1.5);
+  assert.equal(memo.distributor.appendices.source_register[0].id, 'S1');
+
+  const files = unzip(await buildDealMemoDocument({ ...memo, research: RESEARCH }));
+  const document = files['word/document.xml'].toString('utf8');
+  assert.match(document, /Sunoco, LP Fuel IQ — Investment Memo/);
+  for (const [index, title] of ['Executive Summary', 'Site Map &amp; Estimate', 'Site Research', 'Distributor Dossier: Example Oil', 'Source Register'].entries()) {
+    assert.match(document, new RegExp(`${index + 1}\\. ${title}`));
+  }
+  assert.match(document, /w:hyperlink[^>]*w:anchor="memo_distributor"/);
+  assert.match(document, /w:bookmarkStart[^>]*w:name="memo_distributor"/);
+  assert.match(document, /LOI · owner Dana/);
+  assert.match(document, /Strong commuter corner\./);
+  assert.match(document, /Supplies 40 sites across the Triangle\./);
+  assert.match(document, /Site research; Distributor dossier/);
+  assert.ok(Object.keys(files).some((name) => name.startsWith('word/media/')));
+});
+
+test('memo inputs must exist for the site', () => {
+  const store = tempStore('fiq-memo-');
+  const { site } = recordEstimate({ address: '1 Main St, Raleigh NC' }, ESTIMATE, { store });
+  const { site: other } = recordEstimate({ address: '9 Oak Ave, Cary NC' }, ESTIMATE, { store });
+  assert.throws(() => loadDealMemo('missing', {}, store), (error) => error.status === 404);
+  assert.throws(() => loadDealMemo(site.id, { estimateId: other.latest_estimate_id }, store), /Estimate not found for this site/);
+  assert.throws(() => loadDealMemo(site.id, { distributorReportId: 'expired' }, store), /Distributor report expired/);
+  store.collection('sites').put({ id: 'bare', address: '5 Elm St' });
+  assert.throws(() => loadDealMemo('bare', {}, store), /Save an estimate or run site research/);
+  const memo = loadDealMemo(site.id, {}, store);
+  assert.equal(memo.deal, null);
+  assert.equal(memo.distributor, null);
+});
@@ -0,0 +1,47 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+// The research routers keep their reports in the default store, which binds
+// to FUEL_IQ_DATA_DIR when the modules load; import them after setting it.
+process.env.FUEL_IQ_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'fiq-distributor-'));
+const { default: express } = await import('express');
+const { registerDistributorResearchRoutes } = await import('../src/distributorResearchCompat.js');
+const { loadDealMemo } = await import('../src/dealMemo.js');
+const { recordEstimate } = await import('../src/sites.js');
+
+const REPORT = {
+  company_name: 'Example Oil', executive_findings: ['Supplies 40 sites across the Triangle.'],
+  appendices: { source_register: [{ title: 'Example Oil site', url: 'https://exampleoil.example.com/' }] },
+};
+
+// OpenAI background responses: created queued, then completed with the report.
+async function openAi(url, init = {}) {
+  const body = String(init.method || 'GET').toUpperCase() === 'POST'
+    ? { id: 'resp_1', status: 'queued' }
+    : { id: 'resp_1', status: 'completed', output_text: JSON.stringify(REPORT) };
+  assert.match(String(url), /api\.openai\.com\/v1\/responses/);
+  return new Response(JSON.stringify(body), { status: 200, headers: { 'Content-Type': 'application/json' } });
+}
+
+test('a deal memo loads the distributor report id the registered research router returns', async () => {
+  const app = express();
+  registerDistributorResearchRoutes(app, { openAiApiKey: 'test-key', fetchWithTimeout: openAi });
+  const server = app.listen(0);
+  try {
+    const base = `http://127.0.0.1:${server.address().port}/api/distributors`;
+    const started = await (await fetch(`${base}/research`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ query: 'Example Oil' }) })).json();
+    const finished = await (await fetch(`${base}/research/${started.jobId}`)).json();
+    assert.equal(finished.status, 'completed');
+
+    const { site } = recordEstimate({ address: '1 Main St, Raleigh NC' }, { ok: true, base: 120000, low: 100000, high: 130000 });
+    const memo = loadDealMemo(site.id, { distributorReportId: finished.reportId });
+    assert.equal(memo.distributor.company_name, 'Example Oil');
+    assert.equal(memo.distributor.appendices.source_register[0].id, 'S1');
+    assert.throws(() => loadDealMemo(site.id, { distributorReportId: 'missing' }), /Distributor report expired or was not found/);
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,108 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_ESTIMATE_RULES,
+  ESTIMATE_ENGINE_VERSION,
+  blendFrontageAadt,
+  competitionMultiplier,
+  computeEstimate,
+  extrasMultiplier,
+  heavyPenalty,
+} from '../src/estimateEngine.js';
+
+test('no competition keeps the full baseline', () => {
+  const calc = computeEstimate({ aadt: 10000, mpds: 4 });
+  assert.equal(calc.breakdown.baseline, 48000);
+  assert.equal(calc.breakdown.compRule.baseMult, 1);
+  assert.equal(calc.base, 48000);
+  assert.equal(calc.low, Math.round(48000 * 0.86));
+  assert.equal(calc.high, Math.round(48000 * 1.06));
+  assert.equal(calc.year3, Math.round(48000 * 1.027 * 1.0125));
+  assert.equal(calc.breakdown.engine_version, ESTIMATE_ENGINE_VERSION);
+});
+
+test('detected counts are adjusted before the competition rule', () => {
+  const single = computeEstimate({ aadt: 10000, mpds: 4, compCountDetected: 1 });
+  assert.ok(Math.abs(single.breakdown.compRule.compCount - 0.2) < 1e-9);
+  assert.equal(single.breakdown.compRule.baseMult, 0.8);
+  assert.equal(single.breakdown.compRule.detectedCount, 1);
+
+  const three = computeEstimate({ aadt: 10000, mpds: 4, compCountDetected: 3, heavyCountDetected: 1 });
+  assert.equal(three.breakdown.compRule.compCount, 2);
+  assert.equal(three.breakdown.compRule.baseMult, 0.6);
+  assert.equal(three.breakdown.compRule.heavyPenalty, 0.2);
+  assert.ok(Math.abs(three.breakdown.compRule.compMult - 0.4) < 1e-9);
+});
+
+test('competition tiers and heavy penalties follow the rule tables', () => {
+  assert.equal(competitionMultiplier(0), 1);
+  assert.equal(competitionMultiplier(0.2), 0.8);
+  assert.equal(competitionMultiplier(1), 0.75);
+  assert.equal(competitionMultiplier(4), 0.6);
+  assert.equal(competitionMultiplier(9), 0.5);
+  assert.equal(heavyPenalty(0.2), 0);
+  assert.equal(heavyPenalty(1), 0.2);
+  assert.equal(heavyPenalty(3), 0.35);
+});
+
+test('soft and hard caps limit high-traffic sites', () => {
+  const calc = computeEstimate({ aadt: 60000, mpds: 2 });
+  assert.equal(calc.breakdown.caps.capHardTotal, 56000);
+  assert.equal(calc.base, Math.round(56000 * 0.9));
+});
+
+test('price position and extras scale the capped volume', () => {
+  const extrasMult = extrasMultiplier({ extras: [{ pct: 10 }], autoLowRating: true });
+  assert.ok(Math.abs(extrasMult - 0.77) < 1e-9);
+  const calc = computeEstimate({ aadt: 10000, mpds: 4, pricePosition: 'above', extrasMult });
+  assert.equal(calc.breakdown.priceMult, 0.9);
+  assert.equal(calc.base, Math.round(48000 * 0.9 * extrasMult));
+});
+
+test('custom rules replace the default tables', () => {
+  const rules = { ...DEFAULT_ESTIMATE_RULES, baseline: { trafficPullPct: 3, gallonsPerFill: 10, days: 30 } };
+  const calc = computeEstimate({ aadt: 10000, mpds: 8 }, rules);
+  assert.equal(calc.breakdown.baseline, 90000);
+  assert.equal(calc.breakdown.baselineComponents.usedCustomTraffic, false);
+});
+
+test('fuel split adds back up to base and grows with truck share', () => {
+  const light = computeEstimate({ aadt: 20000, mpds: 6, diesel: 2, truckPct: 3 });
+  const heavy = computeEstimate({ aadt: 20000, mpds: 6, diesel: 2, truckPct: 12 });
+  for (const calc of [light, heavy]) {
+    const split = calc.breakdown.fuelSplit;
+    assert.equal(split.gasoline + split.diesel, calc.base);
+    assert.equal(split.diesel, split.truckDiesel + split.autoDiesel);
+  }
+  assert.ok(heavy.breakdown.fuelSplit.diesel > light.breakdown.fuelSplit.diesel);
+});
+
+test('fuel split without diesel MPDs uses the lower truck stop rate and default share', () => {
+  const calc = computeEstimate({ aadt: 20000, mpds: 6 });
+  assert.equal(calc.breakdown.fuelSplit.truckPct, DEFAULT_ESTIMATE_RULES.diesel.defaultTruckPct);
+  assert.equal(calc.breakdown.fuelSplit.truckStopRate, DEFAULT_ESTIMATE_RULES.diesel.truckStopRateNoDieselMpds);
+  assert.ok(calc.breakdown.fuelSplit.diesel < computeEstimate({ aadt: 20000, mpds: 6, diesel: 2 }).breakdown.fuelSplit.diesel);
+});
+
+test('raw detected counts can bypass the competition adjustment', () => {
+  const rules = { ...DEFAULT_ESTIMATE_RULES, competition: { ...DEFAULT_ESTIMATE_RULES.competition, adjustCounts: false } };
+  const calc = computeEstimate({ aadt: 10000, mpds: 4, compCountDetected: 2, heavyCountDetected: 1 }, rules);
+  assert.equal(calc.breakdown.compRule.compCount, 2);
+  assert.equal(calc.breakdown.compRule.heavyCount, 1);
+  assert.equal(calc.breakdown.compRule.baseMult, 0.6);
+});
+
+test('corner lots add a weighted share of the second frontage road', () => {
+  const blend = blendFrontageAadt({ road: 'Glenwood Ave', aadt: 28500 }, { road: 'Oberlin Rd', aadt: 9400 });
+  assert.equal(blend.weight, DEFAULT_ESTIMATE_RULES.aadt.secondaryWeight);
+  assert.equal(blend.secondary_added, 3290);
+  assert.equal(blend.aadt, 31790);
+  assert.equal(blendFrontageAadt({ aadt: 28500 }, { aadt: 9400 }, { weight: 1.5 }).aadt, 37900);
+  assert.equal(blendFrontageAadt({ aadt: 28500 }, { aadt: 9400 }, { weight: '' }).weight, 0.35);
+  assert.deepEqual(blendFrontageAadt({ aadt: 28500 }, null), { aadt: 28500, weight: 0.35, secondary_added: 0, primary: { aadt: 28500 }, secondary: null });
+
+  const calc = computeEstimate({ aadt: blend.aadt, mpds: 8, frontage: blend });
+  assert.equal(calc.breakdown.aadt, 31790);
+  assert.equal(calc.breakdown.frontage.secondary.road, 'Oberlin Rd');
+  assert.equal('frontage' in computeEstimate({ aadt: 28500, mpds: 8 }).breakdown, false);
+});
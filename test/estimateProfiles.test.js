@@ -0,0 +1,47 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { computeEstimate } from '../src/estimateEngine.js';
+import { listEstimateProfiles, resolveEstimateRules } from '../src/estimateProfiles.js';
+
+function withProfiles(config, fn) {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'fiq-profiles-')), 'profiles.json');
+  fs.writeFileSync(file, JSON.stringify(config));
+  const previous = process.env.ESTIMATE_PROFILES_FILE;
+  process.env.ESTIMATE_PROFILES_FILE = file;
+  try { return fn(); }
+  finally {
+    if (previous === undefined) delete process.env.ESTIMATE_PROFILES_FILE;
+    else process.env.ESTIMATE_PROFILES_FILE = previous;
+  }
+}
+
+test('bundled config lists the standard profile as default', () => {
+  const listing = listEstimateProfiles();
+  assert.equal(listing.default, 'standard');
+  assert.ok(listing.profiles.some((profile) => profile.id === 'truck-stop'));
+});
+
+test('profile overrides merge onto the default rules and are echoed', () => {
+  const rules = resolveEstimateRules('truck-stop');
+  assert.equal(rules.baseline.gallonsPerFill, 14);
+  assert.equal(rules.baseline.days, 30);
+  const calc = computeEstimate({ aadt: 10000, mpds: 4 }, rules);
+  assert.deepEqual(calc.breakdown.profile, { id: 'truck-stop', label: 'Truck stop' });
+  assert.equal(calc.breakdown.baseline, Math.round(10000 * 0.025 * 14 * 30));
+});
+
+test('unknown profiles are rejected', () => {
+  assert.throws(() => resolveEstimateRules('nowhere'), /Unknown estimate profile "nowhere"/);
+});
+
+test('invalid rule overrides name the offending key', () => {
+  withProfiles({ profiles: { bad: { rules: { caps: { softPerMpd: 'lots' } } } } }, () => {
+    assert.throws(() => resolveEstimateRules('bad'), /rules\.caps\.softPerMpd must be a finite number/);
+  });
+  withProfiles({ profiles: { bad: { rules: { competition: { tiers: [{ multiplier: 0.5 }] } } } } }, () => {
+    assert.throws(() => resolveEstimateRules('bad'), /tiers\[0\]\.maxCount is required/);
+  });
+});
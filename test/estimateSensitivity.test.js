@@ -0,0 +1,54 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { computeEstimate } from '../src/estimateEngine.js';
+import { buildSensitivity, engineInputFromResult } from '../src/estimateSensitivity.js';
+
+const input = { aadt: 20000, mpds: 6, diesel: 0, compCountDetected: 2, heavyCountDetected: 0, pricePosition: 'inline', extrasMult: 1 };
+
+test('engine input is rebuilt from an /estimate result', () => {
+  const calc = computeEstimate({ ...input, trafficPullPct: 2.5 });
+  const result = {
+    ok: true,
+    base: calc.base,
+    inputs: { aadt_used: 20000, mpds: 6, diesel: 0, price_position: 'inline' },
+    calc_breakdown: calc.breakdown,
+  };
+  const rebuilt = engineInputFromResult(result);
+  assert.equal(rebuilt.compCountDetected, 2);
+  assert.equal(rebuilt.trafficPullPct, 2.5);
+  assert.equal(computeEstimate(rebuilt).base, calc.base);
+  assert.equal(engineInputFromResult({ inputs: { mpds: 4 } }), null);
+});
+
+test('sweeps are measured against the unchanged reference estimate', () => {
+  const sensitivity = buildSensitivity(input);
+  const reference = computeEstimate(input).base;
+  assert.equal(sensitivity.reference.base, reference);
+
+  const lower = sensitivity.dimensions.aadt.find((item) => item.label === 'AADT -20%');
+  assert.equal(lower.value, 16000);
+  assert.equal(lower.base, computeEstimate({ ...input, aadt: 16000 }).base);
+  assert.equal(lower.delta, lower.base - reference);
+
+  const bigBox = sensitivity.dimensions.competitors.find((item) => /big box/.test(item.label));
+  assert.equal(bigBox.base, computeEstimate({ ...input, compCountDetected: 3, heavyCountDetected: 1 }).base);
+  assert.ok(bigBox.delta < 0);
+
+  assert.deepEqual(sensitivity.dimensions.pricePosition.map((item) => item.value), ['below', 'above']);
+});
+
+test('grid crosses AADT steps with competition scenarios', () => {
+  const sensitivity = buildSensitivity(input, undefined, { aadtPct: [-20], competitorScenarios: [{ label: 'Wawa opens', competitors: 1, heavy: 1 }] });
+  assert.deepEqual(sensitivity.grid.rows, ['Base AADT', 'AADT -20%']);
+  assert.deepEqual(sensitivity.grid.columns, ['Current competition', 'Wawa opens']);
+  assert.equal(sensitivity.grid.values[0][0], sensitivity.reference.base);
+  assert.equal(sensitivity.grid.values[1][1], computeEstimate({ ...input, aadt: 16000, compCountDetected: 3, heavyCountDetected: 1 }).base);
+});
+
+test('tornado ranks drivers by swing', () => {
+  const { tornado } = buildSensitivity(input);
+  assert.equal(tornado[0].rank, 1);
+  for (let i = 1; i < tornado.length; i += 1) assert.ok(tornado[i - 1].swing >= tornado[i].swing);
+  for (const item of tornado) assert.ok(item.low.base <= item.high.base);
+  assert.ok(tornado.some((item) => item.dimension === 'competitors'));
+});
@@ -0,0 +1,56 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { computeEstimate } from '../src/estimateEngine.js';
+import { aadtSourceContext, applyProbabilisticRange, monteCarloOptions, simulateEstimate } from '../src/estimateUncertainty.js';
+
+const input = { aadt: 15000, mpds: 6, compCountDetected: 2, heavyCountDetected: 0, pricePosition: 'inline', extrasMult: 1 };
+
+test('monte carlo option is off unless requested', () => {
+  assert.equal(monteCarloOptions({}), null);
+  assert.deepEqual(monteCarloOptions({ monteCarlo: true }), {});
+  assert.deepEqual(monteCarloOptions({ monteCarlo: { samples: 50, seed: 7 } }), { samples: 200, seed: 7 });
+});
+
+test('percentiles are ordered and reproducible for a seed', () => {
+  const first = simulateEstimate(input, undefined, { method: 'user_entered', samples: 500, seed: 42 });
+  const second = simulateEstimate(input, undefined, { method: 'user_entered', samples: 500, seed: 42 });
+  assert.deepEqual(first, second);
+  assert.ok(first.p10 <= first.p50 && first.p50 <= first.p90);
+  assert.equal(first.samples, 500);
+  const base = computeEstimate(input).base;
+  assert.ok(first.p10 < base && base < first.p90 * 1.1);
+});
+
+test('fallback AADT widens the range and lowers the grade', () => {
+  const counted = simulateEstimate(input, undefined, { method: 'dot_station_on_entered_road', stationYear: 2025, stationMiles: 0.1, referenceYear: 2025, seed: 1 });
+  const fallback = simulateEstimate(input, undefined, { method: 'fallback_no_dot_found', seed: 1 });
+  assert.ok(fallback.spread > counted.spread);
+  assert.ok(fallback.confidence.grade > counted.confidence.grade);
+  assert.match(fallback.confidence.reasons[0], /fallback/);
+});
+
+test('stale, distant counts add AADT spread', () => {
+  const fresh = simulateEstimate(input, undefined, { method: 'dot_station_on_entered_road', stationYear: 2025, stationMiles: 0, referenceYear: 2025, seed: 3 });
+  const stale = simulateEstimate(input, undefined, { method: 'dot_station_on_entered_road', stationYear: 2019, stationMiles: 0.8, referenceYear: 2025, seed: 3 });
+  assert.ok(stale.drivers.aadt_sigma > fresh.drivers.aadt_sigma);
+  assert.equal(stale.drivers.aadt_station_age_years, 6);
+});
+
+test('AADT source context reads the method, year and station distance', () => {
+  const context = aadtSourceContext({
+    inputs: { aadt_components: { method: 'dot_station_on_entered_road' } },
+    map: { site: { lat: 35, lon: -80 }, aadt_used: { lat: 35.01, lon: -80, year: '2021', fallback: false } },
+  });
+  assert.equal(context.method, 'dot_station_on_entered_road');
+  assert.equal(context.stationYear, 2021);
+  assert.ok(Math.abs(context.stationMiles - 0.69) < 0.01);
+});
+
+test('P10/P90 replace the fixed band and BASE is kept', () => {
+  const result = { base: 40000, low: 34400, high: 42400, estimate: { base: 40000 } };
+  applyProbabilisticRange(result, { p10: 30000, p50: 39000, p90: 47000 });
+  assert.equal(result.base, 40000);
+  assert.equal(result.low, 30000);
+  assert.equal(result.estimate.range, '30000–47000');
+  assert.equal(result.estimate.p50, 39000);
+});
@@ -0,0 +1,65 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { computeEstimate, DEFAULT_ESTIMATE_RULES } from '../src/estimateEngine.js';
+import { competitionIndex } from '../src/competitionIndex.js';
+import { buildEstimateWorkbook } from '../src/estimateWorkbook.js';
+import { unzipText } from './helpers.js';
+
+const site = { lat: 35.78, lon: -78.64 };
+const competitors = [
+  { name: 'Sheetz', brand: 'Sheetz', miles: 0.3, mpds: 8, heavy: false, lat: 35.781, lon: -78.641 },
+  { name: 'Costco Gas', brand: 'Costco', miles: 0.9, mpds: 16, heavy: true, lat: 35.79, lon: -78.65 },
+];
+
+function estimate(rules = DEFAULT_ESTIMATE_RULES) {
+  const index = competitionIndex(competitors, { site }, rules);
+  const calc = computeEstimate({ aadt: 21000, mpds: 8, diesel: 2, compCountDetected: 2, heavyCountDetected: 1, competitionIndex: index, pricePosition: 'below', truckPct: 7 }, rules);
+  return {
+    ok: true, base: calc.base, low: calc.low, high: calc.high, year2: calc.year2, year3: calc.year3, calc_breakdown: calc.breakdown,
+    inputs: { aadt_used: 21000, mpds: 8, diesel: 2, price_position: 'below' },
+    csv: [{ name: 'Wawa', town: 'Raleigh', state: 'NC', status: 'Planned', date: '2026', details: 'New store' }],
+    map: { site: { ...site, label: '1 Main St, Raleigh NC' }, competitors, aadt: [{ route: 'US 1', aadt: 21000, year: 2024, distM: 400, lat: 35.7801, lon: -78.6401 }], aadt_used: { aadt: 21000, lat: 35.7801, lon: -78.6401 } },
+  };
+}
+
+// Estimate sheet cells keyed by their label in column A.
+function estimateCells(xml) {
+  const cells = {};
+  for (const [, row, body] of xml.matchAll(/<row r="(\d+)">(.*?)<\/row>/g)) {
+    const label = body.match(/<c r="A\d+"[^>]*><is><t[^>]*>(.*?)<\/t>/)?.[1];
+    const value = body.match(/<c r="B\d+"([^>]*)>(.*?)<\/c>/);
+    if (label && value) cells[label] = { row: Number(row), attrs: value[1], formula: value[2].match(/<f>(.*?)<\/f>/)?.[1], cached: value[2].match(/<v>(.*?)<\/v>/)?.[1] };
+  }
+  return cells;
+}
+
+test('estimate workbook has a formula sheet plus competitor, AADT and development sheets', () => {
+  const result = estimate();
+  const files = unzipText(buildEstimateWorkbook(result));
+  assert.deepEqual([...files['xl/workbook.xml'].matchAll(/<sheet name="([^"]+)"/g)].map((match) => match[1]), ['Estimate', 'Competitors', 'AADT stations', 'Developments']);
+
+  const cells = estimateCells(files['xl/worksheets/sheet1.xml']);
+  assert.match(cells['AADT used'].attrs, /s="6"/);
+  assert.equal(cells['AADT used'].cached, '21000');
+  assert.match(cells['BASE (gal/mo)'].formula, /^MIN\(\$B\$\d+,ROUND\(\$B\$\d+,0\)\)$/);
+  assert.equal(Number(cells['BASE (gal/mo)'].cached), result.base);
+  assert.match(cells['Competition index'].formula, /^SUM\(Competitors!\$L\$2:\$L\$201\)$/);
+  assert.match(cells['Price multiplier'].formula, new RegExp(`IF\\(\\$B\\$${cells['Price position'].row}=&quot;below&quot;`));
+
+  const competitorsXml = files['xl/worksheets/sheet2.xml'];
+  assert.match(competitorsXml, /<c r="H2" s="3"><f>IF\(C2&lt;=Estimate!\$B\$\d+,1,0\.5\^\(\(C2-Estimate!\$B\$\d+\)\/Estimate!\$B\$\d+\)\)<\/f><v>/);
+  assert.match(competitorsXml, /<c r="F3" t="inlineStr"><is><t xml:space="preserve">heavy<\/t>/);
+  assert.match(files['xl/worksheets/sheet3.xml'], /Used for estimate.*<c r="G2" t="inlineStr"><is><t xml:space="preserve">Yes<\/t>/);
+  assert.match(files['xl/worksheets/sheet4.xml'], /New store/);
+});
+
+test('workbook formulas follow custom competition tiers', () => {
+  const rules = {
+    ...DEFAULT_ESTIMATE_RULES,
+    competition: { ...DEFAULT_ESTIMATE_RULES.competition, tiers: [{ maxCount: 2, multiplier: 0.9 }, { maxCount: 5, multiplier: 0.7 }], heavyPenalties: [] },
+  };
+  const cells = estimateCells(unzipText(buildEstimateWorkbook(estimate(rules), {}, rules))['xl/worksheets/sheet1.xml']);
+  const ref = (label) => `\\$B\\$${cells[label].row}`;
+  assert.match(cells['Competition tier multiplier'].formula, new RegExp(`^IF\\(${ref('Competition count used')}&gt;0,IF\\(${ref('Competition count used')}&lt;=${ref('Tier 1 limit (count up to)')},${ref('Tier 1 multiplier')},IF\\(.*,1\\)\\),1\\)$`));
+  assert.equal(cells['Big-box penalty'].formula, '0');
+});
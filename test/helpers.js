@@ -0,0 +1,34 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import zlib from 'node:zlib';
+import { Store } from '../src/store.js';
+
+// Shared fixtures for the test files; no tests of its own.
+
+// Empty store in a fresh temp directory.
+export const tempStore = (prefix = 'fiq-') => new Store(fs.mkdtempSync(path.join(os.tmpdir(), prefix)));
+
+// Entries of a zip (xlsx, docx), by name, read from the central directory.
+export function unzip(buffer) {
+  const files = {};
+  const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  let offset = buffer.readUInt32LE(end + 16);
+  for (let count = buffer.readUInt16LE(end + 10); count > 0; count -= 1) {
+    const method = buffer.readUInt16LE(offset + 10);
+    const size = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const local = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    const start = local + 30 + buffer.readUInt16LE(local + 26) + buffer.readUInt16LE(local + 28);
+    const data = buffer.subarray(start, start + size);
+    files[name] = method === 8 ? zlib.inflateRawSync(data) : data;
+    offset += 46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+  }
+  return files;
+}
+
+// Zip entries decoded as UTF-8 text.
+export function unzipText(buffer) {
+  return Object.fromEntries(Object.entries(unzip(buffer)).map(([name, data]) => [name, data.toString('utf8')]));
+}
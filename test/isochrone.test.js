@@ -0,0 +1,53 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { buildIsochrones, buildRoadGraph, isochroneFor, parseMaxspeed, pointInFeature, tradeAreaOptions } from '../src/isochrone.js';
+
+const site = { lat: 35.78, lon: -78.64 };
+const MILE_LAT = 1 / 69.05;
+const MILE_LON = 1 / (69.17 * Math.cos((site.lat * Math.PI) / 180));
+
+// A 45 mph east-west arterial and a 25 mph north-south residential street
+// crossing at the site, each 4 miles long with a node every quarter mile.
+function road(id, highway, maxspeed, dx, dy, extra = {}) {
+  const nodes = [];
+  const geometry = [];
+  for (let i = -16; i <= 16; i += 1) {
+    nodes.push(i === 0 ? 1 : id * 100 + i + 16);
+    geometry.push({ lat: site.lat + dy * i * 0.25 * MILE_LAT, lon: site.lon + dx * i * 0.25 * MILE_LON });
+  }
+  return { type: 'way', id, nodes, geometry, tags: { highway, maxspeed, ...extra } };
+}
+const network = [road(1, 'primary', '45 mph', 1, 0), road(2, 'residential', undefined, 0, 1)];
+
+test('speed parsing and trade area options', () => {
+  assert.equal(parseMaxspeed('45 mph'), 45);
+  assert.equal(parseMaxspeed('none'), null);
+  assert.deepEqual(tradeAreaOptions({ tradeArea: true }), { minutes: [3, 5, 8], use: 5 });
+  assert.deepEqual(tradeAreaOptions({ tradeArea: { minutes: '4,10', use: 6 } }), { minutes: [4, 6, 10], use: 6 });
+  assert.equal(tradeAreaOptions({}), null);
+});
+
+test('one-way ways only link in the legal direction (reversed graph)', () => {
+  const { edges } = buildRoadGraph([{ type: 'way', nodes: [1, 2], geometry: [{ lat: 0, lon: 0 }, { lat: 0, lon: 0.01 }], tags: { highway: 'primary', oneway: 'yes' } }]);
+  assert.deepEqual([...edges.keys()], [2]);
+  assert.equal(edges.get(2)[0].to, 1);
+});
+
+test('rings stretch along the faster road and filter points', () => {
+  const collection = buildIsochrones(network, site, [3, 5]);
+  assert.deepEqual(collection.features.map((f) => f.properties.minutes), [5, 3]);
+  const three = isochroneFor(collection, 3);
+  const five = isochroneFor(collection, 5);
+  // 45 mph × 0.7 ≈ 31.5 mph → ~1.6 mi in 3 min; 25 mph × 0.55 ≈ 13.75 mph → ~0.7 mi.
+  assert.ok(three.properties.max_miles > 1.4 && three.properties.max_miles < 1.7);
+  assert.ok(five.properties.area_sq_mi > three.properties.area_sq_mi);
+  assert.equal(pointInFeature(three, site.lat, site.lon + 1.2 * MILE_LON), true);
+  assert.equal(pointInFeature(three, site.lat + 1.2 * MILE_LAT, site.lon), false);
+  assert.equal(pointInFeature(five, site.lat + 1.1 * MILE_LAT, site.lon), true);
+  assert.equal(five.geometry.type, 'Polygon');
+  assert.deepEqual(five.geometry.coordinates[0][0], five.geometry.coordinates[0].at(-1));
+});
+
+test('sites far from any road are rejected', () => {
+  assert.throws(() => buildIsochrones(network, { lat: 36.5, lon: -78.64 }), /No drivable road/);
+});
@@ -0,0 +1,22 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { SIGNAL_SOURCE_TITLE, nearbySignals } from '../src/paSignals.js';
+
+test('bundled PA signals are found nearest first in the AADT item shape', () => {
+  const [nearest, ...rest] = nearbySignals(40.1146062, -74.932803, 1);
+  assert.equal(nearest.signal_id, 9220);
+  assert.equal(nearest.miles, 0);
+  assert.equal(nearest.aadt, 10309);
+  assert.equal(nearest.truck_pct, 3);
+  assert.equal(nearest.route, 'SR 513');
+  assert.equal(nearest.state_route, '0513');
+  assert.equal(nearest.state, 'PA');
+  assert.equal(nearest.source_title, SIGNAL_SOURCE_TITLE);
+  assert.ok(rest.every((item, index) => item.miles >= (index ? rest[index - 1].miles : 0) && item.miles <= 1));
+});
+
+test('signal lookups are empty outside Pennsylvania and honour the limit', () => {
+  assert.deepEqual(nearbySignals(35.78, -78.64, 5), []);
+  assert.deepEqual(nearbySignals(Number.NaN, -75, 1), []);
+  assert.equal(nearbySignals(39.9503595, -75.1472646, 2, { limit: 5 }).length, 5);
+});
@@ -0,0 +1,60 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Store } from '../src/store.js';
+import { attachResearchReport, recordEstimate } from '../src/sites.js';
+import { dealFields, dealsCsv, listDeals, saveDeal } from '../src/pipeline.js';
+import { findSiteResearchReport } from '../src/siteResearchExhaustive.js';
+import { tempStore } from './helpers.js';
+
+const estimate = { ok: true, base: 120000, low: 100000, high: 130000, inputs: { aadt_used: 20000 }, map: { site: { lat: 35.78, lon: -78.64 } } };
+
+test('deal fields validate stage and next action date', () => {
+  assert.deepEqual(dealFields({ stage: 'LOI', owner: ' Dana ' }), { stage: 'loi', owner: 'Dana' });
+  assert.throws(() => dealFields({ stage: 'won' }), /Stage must be one of/);
+  assert.throws(() => dealFields({ next_action_date: '10/01/2026' }), /YYYY-MM-DD/);
+  assert.deepEqual(dealFields({ next_action_date: '' }), { next_action_date: null });
+});
+
+test('a research report linked to a deal is pinned past the report cache', () => {
+  const store = tempStore('fiq-pipeline-');
+  const cache = store.collection('site_research_reports');
+  cache.put({ id: 'report-2', report: { title: 'Corner lot research' }, expiresAt: Date.now() + 60000 });
+  saveDeal({ address: '1 Main St, Raleigh NC', research_report_id: 'report-2' }, store);
+  cache.delete('report-2');
+  assert.equal(findSiteResearchReport('report-2', new Store(store.dir))?.title, 'Corner lot research');
+  assert.equal(findSiteResearchReport('missing', store), null);
+});
+
+test('deals sit on saved sites and link the latest estimate and research report', () => {
+  const store = tempStore('fiq-pipeline-');
+  const { site } = recordEstimate({ address: '1 Main St, Raleigh NC', mpds: 8 }, estimate, { store });
+  attachResearchReport('1 main st raleigh nc', 'report-1', store);
+  const { deal, created } = saveDeal({ site_id: site.id, owner: 'Dana', next_action: 'Call owner', next_action_date: '2020-01-01' }, store);
+  assert.equal(created, true);
+  assert.equal(deal.stage, 'lead');
+  saveDeal({ site_id: site.id, stage: 'contacted' }, store);
+  saveDeal({ site_id: site.id, stage: 'contacted', notes: 'Left voicemail' }, store);
+  const { deal: other } = saveDeal({ address: '9 Oak Ave, Cary NC', stage: 'diligence', owner: 'Lee' }, store);
+  assert.throws(() => saveDeal({ site_id: 'missing' }, store), (error) => error.status === 404);
+
+  const [first, second] = listDeals({}, new Store(store.dir));
+  assert.equal(first.id, site.id);
+  assert.deepEqual(first.stage_history.map((item) => item.stage), ['lead', 'contacted']);
+  assert.equal(first.overdue, true);
+  assert.equal(first.estimate.base, 120000);
+  assert.equal(first.links.research_word, '/api/site-research/word/report-1');
+  assert.equal(first.links.memo, `/api/sites/${site.id}/memo.docx`);
+  assert.equal(second.id, other.id);
+  assert.equal(second.estimate, null);
+  assert.equal(second.links.memo, null);
+  assert.deepEqual(listDeals({ owner: 'lee' }, store).map((item) => item.id), [other.id]);
+});
+
+test('CSV export escapes text and neutralises formulas', () => {
+  const store = tempStore('fiq-pipeline-');
+  saveDeal({ address: '1 Main St, "Unit 2", Raleigh', owner: '=HYPERLINK("x")', notes: 'line one\nline two' }, store);
+  const [header, row] = dealsCsv(listDeals({}, store)).split('\r\n');
+  assert.ok(header.startsWith('deal_id,address,stage,owner,next_action,next_action_date'));
+  assert.match(row, /,"1 Main St, ""Unit 2"", Raleigh",Lead,"'=HYPERLINK\(""x""\)",/);
+  assert.match(row, /"line one\nline two"/);
+});
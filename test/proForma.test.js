@@ -0,0 +1,41 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_PRO_FORMA_ASSUMPTIONS, buildProForma, proFormaAssumptions } from '../src/proForma.js';
+
+const result = {
+  base: 50000,
+  year2: 51350,
+  year3: 51992,
+  inputs: { price_position: 'below' },
+  calc_breakdown: { fuelSplit: { gasoline: 45000, diesel: 5000 } },
+};
+
+test('pro-forma is optional and merges overrides key by key', () => {
+  assert.equal(proFormaAssumptions({}), null);
+  assert.equal(proFormaAssumptions({ proForma: true }), DEFAULT_PRO_FORMA_ASSUMPTIONS);
+  const custom = proFormaAssumptions({ proForma: { insideMarginPct: 30, opex: { rent: 8000 } } });
+  assert.equal(custom.insideMarginPct, 30);
+  assert.equal(custom.opex.rent, 8000);
+  assert.equal(custom.opex.payroll, DEFAULT_PRO_FORMA_ASSUMPTIONS.opex.payroll);
+  assert.throws(() => proFormaAssumptions({ proForma: { lottery: 5 } }), /not a known pro-forma assumption/);
+  assert.throws(() => proFormaAssumptions({ proForma: { cardFeesCpg: -1 } }), /non-negative/);
+});
+
+test('year 1 uses BASE gallons, the price-position margin and the diesel split', () => {
+  const { years } = buildProForma(result);
+  const y1 = years[0];
+  assert.equal(y1.gallons, 600000);
+  assert.equal(y1.diesel_gallons, 60000);
+  assert.equal(y1.fuel_gross_profit, Math.round((540000 * 28 + 60000 * 32) / 100));
+  assert.equal(y1.inside_sales, 540000);
+  const opex = Object.values(DEFAULT_PRO_FORMA_ASSUMPTIONS.opex).reduce((sum, value) => sum + value, 0) * 12;
+  assert.equal(y1.operating_expenses, opex);
+  assert.equal(y1.ebitda, y1.total_gross_profit - y1.operating_expenses);
+});
+
+test('later years follow year2/year3 volumes and grow opex', () => {
+  const { years } = buildProForma(result);
+  assert.deepEqual(years.map((row) => row.monthly_gallons), [50000, 51350, 51992]);
+  assert.ok(years[2].operating_expenses > years[1].operating_expenses);
+  assert.throws(() => buildProForma({}), /BASE/);
+});
@@ -0,0 +1,105 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { listReportThemes, removeReportThemeLogo, resolveReportTheme, saveReportThemeLogo } from '../src/reportTheme.js';
+import { buildDistributorWordDocument } from '../src/distributorWordV3.js';
+import { buildSiteEstimateDocument } from '../src/siteEstimateWord.js';
+import { encodePng } from '../src/staticMap.js';
+import { unzip } from './helpers.js';
+
+async function withThemes(config, fn) {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'fiq-themes-')), 'themes.json');
+  fs.writeFileSync(file, JSON.stringify(config));
+  const previous = process.env.REPORT_THEMES_FILE;
+  process.env.REPORT_THEMES_FILE = file;
+  try { return await fn(); }
+  finally {
+    if (previous === undefined) delete process.env.REPORT_THEMES_FILE;
+    else process.env.REPORT_THEMES_FILE = previous;
+  }
+}
+
+const PARTNER = {
+  default: 'partner',
+  themes: {
+    partner: {
+      company: 'Acme Energy',
+      product: 'SiteScope',
+      logo: null,
+      colors: { primary: '#123456', accent: 'ab12cd' },
+      fonts: { word: 'Georgia', pdf: 'Times-Roman' },
+      disclaimer: 'Acme internal use only.',
+      footer: 'Acme Energy confidential',
+    },
+  },
+};
+
+test('bundled config brands reports as Sunoco, LP Fuel IQ with the repo logo', () => {
+  const theme = resolveReportTheme();
+  assert.equal(theme.id, 'fuel-iq');
+  assert.equal(theme.brand, 'Sunoco, LP Fuel IQ');
+  assert.deepEqual([theme.logo.width, theme.logo.height], [278, 182]);
+  assert.equal(theme.fonts.pdfBold, 'Helvetica-Bold');
+  assert.ok(listReportThemes().themes.some((item) => item.id === 'white-label' && !item.logo));
+});
+
+test('a partner theme rebrands the Word estimate: title, colors, fonts, footer and disclaimer', async () => {
+  await withThemes(PARTNER, async () => {
+    const theme = resolveReportTheme();
+    assert.deepEqual(theme.colors.primary + theme.colors.accent + theme.colors.muted, '123456AB12CD5B6773');
+    assert.deepEqual(theme.fonts, { word: 'Georgia', pdf: 'Times-Roman', pdfBold: 'Times-Bold' });
+    const result = { ok: true, base: 100000, low: 90000, high: 110000, inputs: { aadt_used: 20000 }, calc_breakdown: {}, map: { site: { label: '1 Main St' }, competitors: [] } };
+    const files = unzip(await buildSiteEstimateDocument(result, {}));
+    const document = files['word/document.xml'].toString('utf8');
+    assert.match(document, /Acme Energy SiteScope — Site Estimate/);
+    assert.match(document, /SITESCOPE SITE ESTIMATE/);
+    assert.match(document, /w:color w:val="123456"/);
+    assert.match(document, /w:ascii="Georgia"/);
+    assert.match(document, /Acme internal use only\./);
+    assert.doesNotMatch(document, /Sunoco|Fuel IQ/);
+    const footer = Object.entries(files).find(([name]) => /^word\/footer\d*\.xml$/.test(name))[1].toString('utf8');
+    assert.match(footer, /Acme Energy confidential/);
+  });
+});
+
+test('distributor reports pick a theme by id', async () => {
+  await withThemes({ themes: { ...PARTNER.themes, plain: { product: 'Plain Reports', logo: null } } }, async () => {
+    const report = { title: 'Distributor Report', company_name: 'Example Oil', prepared_at: '2026-10-19', disclaimer: 'Public sources.' };
+    const document = unzip(await buildDistributorWordDocument(report, { reportTheme: 'partner' }))['word/document.xml'].toString('utf8');
+    assert.match(document, /w:ascii="Georgia"/);
+    assert.match(document, /Acme internal use only\./);
+    await assert.rejects(buildDistributorWordDocument(report, { reportTheme: 'nowhere' }), /Unknown report theme "nowhere". Available: partner, plain/);
+  });
+});
+
+test('invalid theme settings name the offending key', async () => {
+  await withThemes({ themes: { bad: { colors: { primary: 'navy' } } } }, () => {
+    assert.throws(() => resolveReportTheme(), /report theme "bad": colors.primary must be a hex color/);
+  });
+  await withThemes({ themes: { bad: { font: 'Arial' } } }, () => {
+    assert.throws(() => resolveReportTheme(), /font is not a known theme setting/);
+  });
+  await withThemes({ themes: { bad: { fonts: { pdf: 'Comic Sans' } } } }, () => {
+    assert.throws(() => resolveReportTheme(), /fonts.pdf must be one of Helvetica, Times-Roman, Courier/);
+  });
+});
+
+test('an uploaded logo replaces the configured one until removed', () => {
+  const previous = process.env.FUEL_IQ_DATA_DIR;
+  process.env.FUEL_IQ_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'fiq-theme-store-'));
+  try {
+    const png = encodePng({ width: 4, height: 2, pixels: new Uint8Array(4 * 2 * 4).fill(255) });
+    assert.deepEqual(saveReportThemeLogo('fuel-iq', `data:image/png;base64,${png.toString('base64')}`), { width: 4, height: 2 });
+    assert.equal(resolveReportTheme('fuel-iq').logo.width, 4);
+    assert.equal(listReportThemes().themes.find((item) => item.id === 'fuel-iq').uploaded_logo, true);
+    assert.throws(() => saveReportThemeLogo('fuel-iq', 'data:image/jpeg;base64,/9j/4AAQ'), /PNG data URL/);
+    removeReportThemeLogo('fuel-iq');
+    assert.equal(resolveReportTheme('fuel-iq').logo.width, 278);
+  } finally {
+    fs.rmSync(process.env.FUEL_IQ_DATA_DIR, { recursive: true, force: true });
+    if (previous === undefined) delete process.env.FUEL_IQ_DATA_DIR;
+    else process.env.FUEL_IQ_DATA_DIR = previous;
+  }
+});
@@ -0,0 +1,78 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { frontageOptions, matchAadtSegments, roadKeys, segmentMatchSummary } from '../src/segmentMatch.js';
+
+// Site at a corner: Glenwood Ave (US 70) runs east-west ~33 m north,
+// Oberlin Rd runs north-south ~27 m west.
+const site = { lat: 35.78, lon: -78.64 };
+const way = (id, name, ref, points) => ({ id, tags: { name, ref, highway: 'primary' }, geometry: points.map(([lat, lon]) => ({ lat, lon })) });
+const glenwood = [way(1, 'Glenwood Avenue', 'US 70', [[35.7803, -78.65], [35.7803, -78.64]]), way(2, 'Glenwood Avenue', 'US 70', [[35.7803, -78.64], [35.7803, -78.63]])];
+const oberlin = way(3, 'Oberlin Road', null, [[35.77, -78.6403], [35.79, -78.6403]]);
+
+test('road labels reduce to route numbers and distinctive name tokens', () => {
+  assert.deepEqual([...roadKeys('SR 0164').refs], ['164']);
+  assert.deepEqual([...roadKeys('NC-54 Highway').refs], ['54']);
+  assert.deepEqual([...roadKeys('Glenwood Avenue', 'US 70').names], ['GLENWOOD']);
+  assert.deepEqual([...roadKeys('US 70').names], []);
+});
+
+test('the count on the fronting road beats a same-named count on a parallel road', () => {
+  const stations = [
+    { aadt: 41000, route: 'GLENWOOD AVE', lat: 35.7812, lon: -78.6398 },
+    { aadt: 28500, route: 'US 70', location: 'W of Oberlin Rd', lat: 35.7803, lon: -78.636 },
+  ];
+  const { primary, roads_considered } = matchAadtSegments({ site, ways: [...glenwood, oberlin], stations, enteredRoad: 'Glenwood Ave' });
+  assert.equal(roads_considered, 2);
+  assert.equal(primary.road.name, 'Glenwood Avenue');
+  assert.equal(primary.road.geometry.length, 2);
+  assert.ok(primary.road.distance_m > 30 && primary.road.distance_m < 36);
+  assert.equal(primary.station_index, 1);
+  assert.equal(primary.aadt, 28500);
+  assert.equal(primary.confidence_label, 'high');
+  assert.ok(primary.reasons.includes('route number agrees'));
+  assert.equal(primary.segment.source, 'dot_point');
+});
+
+test('a line count crossing the road is not taken as its count', () => {
+  const stations = [{ aadt: 12000, route: 'GLENWOOD AVE', lat: 35.78, lon: -78.645, paths: [[[-78.645, 35.775], [-78.645, 35.785]]] }];
+  const { primary } = matchAadtSegments({ site, ways: glenwood, stations });
+  assert.equal(primary.station_index, 0);
+  assert.equal(primary.confidence_label, 'low');
+  assert.ok(primary.reasons.some((reason) => reason.startsWith('count segment crosses the road')));
+});
+
+test('a corner lot matches both roads without sharing one count', () => {
+  const stations = [
+    { aadt: 28500, route: 'US 70', lat: 35.7803, lon: -78.636 },
+    { aadt: 9400, route: 'OBERLIN RD', lat: 35.776, lon: -78.6403 },
+  ];
+  const match = matchAadtSegments({ site, ways: [...glenwood, oberlin], stations, enteredRoad: 'Glenwood Ave' });
+  assert.equal(match.primary.aadt, 28500);
+  assert.equal(match.corner.road.name, 'Oberlin Road');
+  assert.equal(match.corner.aadt, 9400);
+
+  const shared = matchAadtSegments({ site, ways: [...glenwood, oberlin], stations: stations.slice(0, 1), enteredRoad: 'Glenwood Ave' });
+  assert.equal(shared.corner.aadt, null);
+  assert.equal(shared.corner.confidence_label, 'none');
+
+  const summary = segmentMatchSummary(match);
+  assert.equal(summary.corner.station.route, 'OBERLIN RD');
+  assert.equal('station_index' in summary.primary, false);
+});
+
+test('DOT line counts stand in for roads when OSM returns no ways', () => {
+  const stations = [{ aadt: 31000, route: 'US 70', location: 'Glenwood Ave', lat: 35.7803, lon: -78.64, paths: [[[-78.65, 35.7803], [-78.63, 35.7803]]] }];
+  const { primary, corner } = matchAadtSegments({ site, stations });
+  assert.equal(primary.road.source, 'dot_line');
+  assert.equal(primary.aadt, 31000);
+  assert.equal(primary.segment.source, 'dot_line');
+  assert.equal(primary.confidence_label, 'high');
+  assert.equal(corner, null);
+  assert.deepEqual(matchAadtSegments({ site: {}, stations }), { primary: null, corner: null, roads_considered: 0 });
+});
+
+test('corner-lot options accept auto-detection or a named second road', () => {
+  assert.equal(frontageOptions({}), null);
+  assert.deepEqual(frontageOptions({ frontage: true }), { secondaryRoad: '', secondaryAadt: null, weight: null });
+  assert.deepEqual(frontageOptions({ frontage: { secondaryRoad: ' Oberlin Rd ', secondaryAadt: '9400.4', weight: 2 } }), { secondaryRoad: 'Oberlin Rd', secondaryAadt: 9400, weight: 1 });
+});
@@ -0,0 +1,84 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Store } from '../src/store.js';
+import { recordEstimate, saveSite } from '../src/sites.js';
+import { MAX_COMPARE_SITES, batchComparePage, compareRow, compareSites, parseWeights, refreshGoogleRatings, scoreSites } from '../src/siteCompare.js';
+import { tempStore } from './helpers.js';
+
+
+function result({ base, aadt, year, index, road = 'primary', developments = 0 }) {
+  return {
+    ok: true, base, low: base * 0.9, high: base * 1.1,
+    csv: Array.from({ length: developments }, (_, i) => ({ name: `Wawa ${i}`, town: 'Raleigh', state: 'NC', status: 'Planned', details: 'x', date: '2026' })),
+    inputs: { mpds: 8, aadt_used: aadt, aadt_components: { method: 'nearest_station' } },
+    competition: { count: 3, heavy_count: 1, index },
+    roads: { main: [{ name: 'US 1', highway: road, lanes: 4 }] },
+    map: { site: { lat: 35.78, lon: -78.64 }, aadt_used: { aadt, year } },
+  };
+}
+
+test('weights parse from a query value and reject unknown metrics', () => {
+  const weights = parseWeights('estimate:50, competition:0');
+  assert.equal(weights.estimate, 50);
+  assert.equal(weights.competition, 0);
+  assert.equal(weights.aadt, 15);
+  assert.throws(() => parseWeights('price:10'), /Unknown weight "price"/);
+  assert.throws(() => parseWeights('estimate:-1'), /from 0 to 100/);
+  assert.throws(() => parseWeights({ estimate: 0, aadt: 0, aadt_age: 0, competition: 0, road: 0, developments: 0, rating: 0 }), /above zero/);
+});
+
+test('comparison rows read the latest estimate and score min-max across sites', () => {
+  const store = tempStore('fiq-compare-');
+  const a = recordEstimate({ address: '1 Main St, Raleigh NC', mpds: 8, client_rating: 4.1 }, result({ base: 120000, aadt: 24000, year: 2024, index: 1.5, road: 'trunk', developments: 2 }), { store });
+  const b = recordEstimate({ address: '9 Oak Ave, Cary NC', mpds: 6 }, result({ base: 80000, aadt: 12000, year: 2020, index: 3.5, road: 'tertiary' }), { store });
+  const { site: bare } = saveSite({ address: '5 Elm St, Durham NC' }, store);
+
+  const row = compareRow(a.site, a.estimate, 2026);
+  assert.equal(row.aadt_age_years, 2);
+  assert.equal(row.road_class, 'trunk');
+  assert.equal(row.developments, 2);
+  assert.equal(row.google_rating, 4.1);
+
+  const { sites, missing, metrics } = compareSites([a.site.id, b.site.id, bare.id, 'gone'], { store: new Store(store.dir) });
+  assert.deepEqual(missing, ['gone']);
+  assert.equal(metrics.find((metric) => metric.key === 'estimate').default_weight, 35);
+  assert.deepEqual(sites.map((site) => site.site_id), [a.site.id, b.site.id, bare.id]);
+  assert.equal(sites[0].score, 95);
+  assert.equal(sites[0].metric_scores.developments, 0);
+  assert.equal(sites[1].metric_scores.competition, 0);
+  assert.equal(sites[2].score, null);
+  assert.equal(sites[2].rank, null);
+
+  // Only developments counted: the site with none wins.
+  const flipped = scoreSites(sites, parseWeights('estimate:0,aadt:0,aadt_age:0,competition:0,road:0,rating:0,developments:10'));
+  assert.equal(flipped[0].site_id, b.site.id);
+  assert.deepEqual(compareSites([], { store }).sites, []);
+});
+
+test('google ratings are cached on sites and re-used for 30 days', async () => {
+  const store = tempStore('fiq-compare-');
+  const { site } = recordEstimate({ address: '1 Main St, Raleigh NC', mpds: 8 }, result({ base: 100000, aadt: 20000, year: 2024, index: 2 }), { store });
+  const { site: noCoords } = saveSite({ address: '9 Oak Ave, Cary NC' }, store);
+  let calls = 0;
+  const lookup = async () => { calls += 1; return { rating: 4.4, total: 212 }; };
+  assert.equal(await refreshGoogleRatings([site.id, noCoords.id], lookup, store), 1);
+  assert.equal(await refreshGoogleRatings([site.id], lookup, store), 0);
+  assert.equal(calls, 1);
+  const [row] = compareSites([site.id], { store: new Store(store.dir) }).sites;
+  assert.equal(row.google_rating, 4.4);
+  assert.equal(row.google_reviews, 212);
+  assert.equal(await refreshGoogleRatings([noCoords.id], async () => { throw new Error('down'); }, store), 0);
+});
+
+test('large batches compare one page of sites at a time, highest estimate first', () => {
+  const rows = Array.from({ length: 120 }, (_, index) => ({ site_id: `site-${index}`, base: index * 1000 }));
+  rows.push({ site_id: 'site-119', base: 119000 }, { site_id: null, status: 'error' });
+  const first = batchComparePage(rows);
+  assert.equal(first.ids.length, MAX_COMPARE_SITES);
+  assert.equal(first.ids[0], 'site-119');
+  assert.deepEqual([first.page, first.pages, first.total], [1, 3, 120]);
+  const last = batchComparePage(rows, '9');
+  assert.equal(last.page, 3);
+  assert.equal(last.ids.length, 20);
+  assert.equal(last.ids.at(-1), 'site-0');
+});
@@ -0,0 +1,21 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { blendFrontageAadt, computeEstimate } from '../src/estimateEngine.js';
+import { applyCompetition } from '../src/siteEnhancements.js';
+
+test('the gateway re-run keeps the corner-lot blend in the breakdown', () => {
+  const frontage = blendFrontageAadt({ road: 'Glenwood Ave', aadt: 28500 }, { road: 'Oberlin Rd', aadt: 9400 });
+  const legacy = computeEstimate({ aadt: frontage.aadt, mpds: 8, frontage });
+  const result = {
+    ok: true,
+    inputs: { aadt_used: frontage.aadt, mpds: 8, diesel: 0, aadt_components: { method: 'dot_station_on_entered_road', frontage } },
+    calc_breakdown: legacy.breakdown,
+    map: { site: { lat: 35.78, lon: -78.64 } },
+  };
+  const lookup = { items: [{ name: 'Sheetz', lat: 35.781, lon: -78.641, miles: 0.09, heavy: true }], radius_mi: 1.5 };
+  const updated = applyCompetition(result, { mpds: 8 }, lookup);
+  assert.equal(updated.calc_breakdown.aadt, 31790);
+  assert.equal(updated.calc_breakdown.frontage.secondary.road, 'Oberlin Rd');
+  assert.equal(updated.calc_breakdown.frontage.weight, 0.35);
+  assert.ok(updated.base < legacy.base);
+});
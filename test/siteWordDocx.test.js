@@ -0,0 +1,58 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { computeEstimate } from '../src/estimateEngine.js';
+import { buildSiteEstimateDocument } from '../src/siteEstimateWord.js';
+import { buildSiteReportDocument } from '../src/siteResearchExhaustive.js';
+import { pngFromDataUrl } from '../src/wordDocx.js';
+import { unzip } from './helpers.js';
+
+// 1×1 transparent PNG.
+const PNG = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+
+function estimateResult() {
+  const calc = computeEstimate({ aadt: 21000, mpds: 8, diesel: 2, compCountDetected: 2, heavyCountDetected: 1, truckPct: 7 });
+  return {
+    ok: true, base: calc.base, low: calc.low, high: calc.high, year2: calc.year2, year3: calc.year3, calc_breakdown: calc.breakdown,
+    inputs: { aadt_used: 21000 },
+    aadtText: 'NCDOT station 2024: 21,000',
+    competitionText: '2 stations within 1.5 mi',
+    map: { site: { label: '1 Main St, Raleigh NC' }, competitor_radius_mi: 1.5, competitors: [{ name: 'Sheetz', miles: 0.3, address: '5 Elm St', index_weight: 1.1, source: 'osm' }, { name: 'Far Away', miles: 2.4, source: 'osm' }] },
+  };
+}
+
+test('site estimate exports a real DOCX with tables, page numbers and an embedded map', async () => {
+  const buffer = await buildSiteEstimateDocument(estimateResult(), { siteNotes: 'Corner lot', proForma: true, mapImage: PNG });
+  assert.equal(buffer.toString('ascii', 0, 2), 'PK');
+  const files = unzip(buffer);
+  const document = files['word/document.xml'].toString('utf8');
+  assert.match(document, /Sunoco, LP Fuel IQ — Site Estimate/);
+  assert.match(document, /User notes: Corner lot/);
+  assert.match(document, /Sheetz/);
+  assert.doesNotMatch(document, /Far Away/);
+  assert.match(document, /Pro-Forma P&amp;L/);
+  assert.match(document, /<w:tblHeader\/>/);
+  assert.match(document, /<pic:pic/);
+  assert.ok(Object.keys(files).some((name) => /^word\/media\/.+\.png$/.test(name)));
+  const footer = Object.entries(files).find(([name]) => /^word\/footer\d*\.xml$/.test(name))[1].toString('utf8');
+  assert.match(footer, /NUMPAGES/);
+});
+
+test('site research exports a DOCX with expected gallons, findings and source links', async () => {
+  const report = {
+    title: 'Site Research Report', address: '1 Main St, Raleigh NC', prepared_at: '2026-10-19', disclaimer: 'Public sources only.',
+    property_records: { owner_name: 'Main Street LLC', record_details: [{ field: 'Deed', value: 'Book 12', confidence: 'High', source_ids: ['S1'] }] },
+    sections: [{ title: 'Traffic and Volume Read', summary: 'Busy corridor.', findings: [{ topic: 'AADT', detail: '21,000 vehicles', site_implication: 'Supports volume', confidence: 'High', source_ids: ['S1'] }], tables: [{ title: 'Counts', columns: ['Year', 'AADT'], rows: [['2024', '21000']] }] }],
+    source_register: [{ id: 'S1', title: 'NCDOT', url: 'https://example.com/aadt', source_type: 'Government', why_it_matters: 'Traffic count', confidence: 'High' }],
+  };
+  const files = unzip(await buildSiteReportDocument(report, { expectedGallons: { base: 120000, low: 103000, high: 127000, aadt: 21000 } }));
+  const document = files['word/document.xml'].toString('utf8');
+  for (const text of ['Expected Gallons', '120,000', 'Main Street LLC', 'Book 12', 'Supports volume', 'Counts', '21000', 'Open source']) assert.ok(document.includes(text), text);
+  assert.match(files['word/_rels/document.xml.rels'].toString('utf8'), /https:\/\/example\.com\/aadt/);
+});
+
+test('only PNG data URLs are accepted as report images', () => {
+  assert.deepEqual(pngFromDataUrl(PNG) && [pngFromDataUrl(PNG).width, pngFromDataUrl(PNG).height], [1, 1]);
+  assert.equal(pngFromDataUrl('data:image/jpeg;base64,/9j/4AAQ'), null);
+  assert.equal(pngFromDataUrl('data:image/png;base64,aGVsbG8='), null);
+  assert.equal(pngFromDataUrl(undefined), null);
+});
@@ -0,0 +1,64 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Store } from '../src/store.js';
+import { diffEstimates, listSites, recordEstimate, rerunBody, saveSite, siteHistory, siteKey, timelineEntry } from '../src/sites.js';
+import { tempStore } from './helpers.js';
+
+
+function result({ base, aadt = 18000, year = 2022, competitors = [] }) {
+  return {
+    ok: true, base, low: base * 0.9, high: base * 1.1, csv: 'x',
+    inputs: { mpds: 8, diesel: 0, aadt_used: aadt, profile: 'standard', aadt_components: { method: 'nearest_station' } },
+    competition: { count: competitors.length, heavy_count: 0, index: null },
+    calc_breakdown: { aadt, compRule: { basis: 'count' } },
+    map: { site: { lat: 35.78, lon: -78.64, label: '1 Main St' }, aadt: [{ aadt: 1 }], aadt_used: { aadt, year, lat: 35.78, lon: -78.641 }, competitors },
+  };
+}
+
+test('estimates are saved against a site keyed by address', () => {
+  const store = tempStore('fiq-sites-');
+  const first = recordEstimate({ address: '1 Main St, Raleigh NC', mpds: 8 }, result({ base: 100000, competitors: [{ name: 'Shell', miles: 0.4, lat: 1, extra: true }] }), { store });
+  const second = recordEstimate({ address: '1 main st raleigh nc', mpds: 10 }, result({ base: 110000 }), { store });
+  assert.equal(first.site.id, second.site.id);
+  assert.equal(first.site.id, siteKey({ address: '1 Main St, Raleigh NC' }));
+  assert.equal(first.site.mpds, 8);
+
+  const { site, timeline } = siteHistory(first.site.id, new Store(store.dir));
+  assert.equal(site.latest_estimate_id, second.estimate.id);
+  assert.deepEqual(timeline.map((entry) => entry.base), [100000, 110000]);
+  assert.equal(timeline[0].aadt.method, 'nearest_station');
+  assert.equal(timeline[0].calc_breakdown.compRule.basis, 'count');
+  assert.deepEqual(timeline[0].competitors, [{ name: 'Shell', miles: 0.4, lat: 1 }]);
+  const saved = new Store(store.dir).collection('estimates').get(first.estimate.id);
+  assert.equal(saved.result.csv, undefined);
+  assert.equal(saved.result.map.aadt, undefined);
+  assert.equal(recordEstimate({}, { ok: true, map: {} }, { store }), null);
+});
+
+test('site records validate fields and attach to existing history', () => {
+  const store = tempStore('fiq-sites-');
+  recordEstimate({ address: '1 Main St, Raleigh NC' }, result({ base: 100000 }), { store });
+  const { site, created } = saveSite({ address: '1 Main St, Raleigh NC', mpds: '10', notes: 'Corner lot', tags: 'nc, corner, nc' }, store);
+  assert.equal(created, false);
+  assert.equal(site.mpds, 10);
+  assert.deepEqual(site.tags, ['nc', 'corner']);
+  assert.equal(listSites(store)[0].estimate_count, 1);
+  assert.throws(() => saveSite({ address: '1 Main St', mpds: 2.5 }, store), /whole number/);
+  assert.throws(() => saveSite({ id: 'missing', notes: 'x' }, store), (error) => error.status === 404);
+  assert.deepEqual(rerunBody(site, { request: { address: 'old', mpds: 8, tradeArea: true } }), { address: '1 Main St, Raleigh NC', mpds: 10, tradeArea: true });
+});
+
+test('re-run diff names new competitors, AADT year and estimate change', () => {
+  const store = tempStore('fiq-sites-');
+  const before = recordEstimate({ address: '1 Main St' }, result({ base: 100000, competitors: [{ name: 'Shell', miles: 0.9 }, { name: 'BP', miles: 1.2 }] }), { store });
+  const after = recordEstimate({ address: '1 Main St' }, result({ base: 92000, aadt: 19500, year: 2024, competitors: [{ name: 'Sheetz', miles: 0.4 }, { name: 'Shell', miles: 0.9 }] }), { store });
+  const diff = diffEstimates(timelineEntry(before.estimate), timelineEntry(after.estimate));
+  assert.deepEqual(diff.changes.map((change) => change.text), [
+    'New competitor Sheetz 0.4 mi',
+    'Competitor BP 1.2 mi no longer found',
+    'AADT station year changed 2022→2024',
+    'AADT 18,000→19,500 (+8.3%)',
+    'Estimate −8% (100,000→92,000 gal/mo)',
+  ]);
+  assert.equal(diff.base_change_pct, -8);
+});
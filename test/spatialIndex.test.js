@@ -0,0 +1,25 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { GridIndex, nearestPointOnPaths } from '../src/spatialIndex.js';
+
+test('grid lookups measure to the nearest point along a segment', () => {
+  const index = new GridIndex([{ aadt: 9000, bbox: [-78.5, 40, -78.4, 40], paths: [[[-78.5, 40], [-78.4, 40]]] }]);
+  const [hit] = index.nearby(40.001, -78.45, 500);
+  assert.ok(Math.abs(hit.distM - 111.2) < 1);
+  assert.ok(Math.abs(hit.lon + 78.45) < 1e-6);
+  assert.deepEqual(index.nearby(40.01, -78.45, 500), []);
+});
+
+test('points are indexed as single-vertex paths', () => {
+  const index = new GridIndex([{ id: 'a', bbox: [-75.1, 40, -75.1, 40], paths: [[[-75.1, 40]]] }, { id: 'b', bbox: [-75, 40, -75, 40], paths: [[[-75, 40]]] }]);
+  assert.deepEqual(index.nearby(40, -75.09, 2000).map((hit) => hit.item.id), ['a']);
+  assert.deepEqual(index.nearby(40, -75.05, 5000).map((hit) => hit.item.id), ['a', 'b']);
+});
+
+test('the nearest point on a line lies between vertices and carries the segment bearing', () => {
+  const hit = nearestPointOnPaths([[[-78.5, 40], [-78.5, 40.1]]], 40.05, -78.499);
+  assert.ok(Math.abs(hit.lat - 40.05) < 1e-6);
+  assert.ok(hit.distM < 90);
+  assert.equal(hit.bearing_deg % 180, 0);
+  assert.equal(nearestPointOnPaths([], 40, -78).distM, Infinity);
+});
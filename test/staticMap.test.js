@@ -0,0 +1,66 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { decodePng, encodePng, renderSiteMap, siteMapCaption } from '../src/staticMap.js';
+
+const MAP = {
+  site: { lat: 35.7796, lon: -78.6382, label: '1 Main St, Raleigh NC' },
+  competitor_radius_mi: 1.5,
+  competitors: [{ lat: 35.79, lon: -78.65, heavy: true }, { lat: 35.772, lon: -78.628, heavy: false }],
+  aadt: [{ lat: 35.781, lon: -78.641 }, { lat: 35.77, lon: -78.62 }],
+  aadt_used: { lat: 35.781, lon: -78.641, aadt: 21000 },
+};
+
+function pixel(image, x, y) {
+  const i = (y * image.width + x) * 4;
+  return [...image.pixels.subarray(i, i + 4)];
+}
+
+test('site map renders a PNG with the site at the centre and heavy competitors in red', () => {
+  const image = renderSiteMap(MAP);
+  assert.equal(image.data.toString('ascii', 1, 4), 'PNG');
+  assert.deepEqual([image.width, image.height, image.tiles, image.radiusMi], [640, 400, false, 1.5]);
+  const decoded = decodePng(image.data);
+  assert.deepEqual([decoded.width, decoded.height], [640, 400]);
+  assert.deepEqual(pixel(decoded, 314, 200), [25, 118, 168, 255]);
+  const scale = 256 * 2 ** image.zoom;
+  const worldX = (lon) => ((lon + 180) / 360) * scale;
+  const worldY = (lat) => (0.5 - Math.log((1 + Math.sin((lat * Math.PI) / 180)) / (1 - Math.sin((lat * Math.PI) / 180))) / (4 * Math.PI)) * scale;
+  const heavyX = Math.round(320 + worldX(-78.65) - worldX(-78.6382));
+  const heavyY = Math.round(200 + worldY(35.79) - worldY(35.7796));
+  assert.deepEqual(pixel(decoded, heavyX, heavyY), [196, 30, 45, 255]);
+  assert.match(siteMapCaption(image), /1\.5 mi competitor radius/);
+  assert.doesNotMatch(siteMapCaption(image), /OpenStreetMap/);
+});
+
+test('site map needs site coordinates', () => {
+  assert.equal(renderSiteMap({ site: { label: 'No geocode' } }), null);
+  assert.equal(renderSiteMap(null), null);
+});
+
+test('cached OSM tiles are drawn under the markers and credited', () => {
+  const tileDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fuel-iq-tiles-'));
+  try {
+    const probe = renderSiteMap(MAP);
+    const pixels = new Uint8Array(256 * 256 * 4).map((_, i) => (i % 4 === 3 ? 255 : 200));
+    const tile = encodePng({ width: 256, height: 256, pixels });
+    const count = 2 ** probe.zoom;
+    const tileX = Math.floor(((-78.6382 + 180) / 360) * count);
+    const sin = Math.sin((35.7796 * Math.PI) / 180);
+    const tileY = Math.floor((0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * count);
+    for (let dx = -2; dx <= 2; dx += 1) {
+      for (let dy = -2; dy <= 2; dy += 1) {
+        fs.mkdirSync(path.join(tileDir, String(probe.zoom), String(tileX + dx)), { recursive: true });
+        fs.writeFileSync(path.join(tileDir, String(probe.zoom), String(tileX + dx), `${tileY + dy}.png`), tile);
+      }
+    }
+    const image = renderSiteMap(MAP, { tileDir });
+    assert.equal(image.tiles, true);
+    assert.deepEqual(pixel(decodePng(image.data), 2, 2), [200, 200, 200, 255]);
+    assert.match(siteMapCaption(image), /OpenStreetMap contributors/);
+  } finally {
+    fs.rmSync(tileDir, { recursive: true, force: true });
+  }
+});
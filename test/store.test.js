@@ -0,0 +1,45 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { Store } from '../src/store.js';
+
+const tempDir = (prefix) => fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+
+test('collections replay from disk, honour saves, deletes and expiry', () => {
+  const dir = tempDir('fiq-store-');
+  const jobs = new Store(dir).collection('jobs', { ttlMs: 60000, revive: (job) => ({ ...job, polling: false }) });
+  const job = jobs.put({ id: 'a', status: 'starting', polling: true, expiresAt: Date.now() + 60000 });
+  job.status = 'completed';
+  jobs.save(job);
+  jobs.put({ id: 'b', status: 'starting', expiresAt: Date.now() - 1 });
+  jobs.put({ id: 'c', status: 'queued' });
+  jobs.delete('c');
+  fs.appendFileSync(path.join(dir, 'jobs.jsonl'), '{"op":"put","id":"d","val');
+
+  const reopened = new Store(dir).collection('jobs', { ttlMs: 60000, revive: (value) => ({ ...value, polling: false }) });
+  assert.deepEqual(reopened.list().map((item) => [item.id, item.status, item.polling]), [['a', 'completed', false]]);
+  assert.equal(reopened.get('b'), null);
+});
+
+test('limit keeps the newest records and compaction rewrites the log', () => {
+  const dir = tempDir('fiq-store-');
+  const reports = new Store(dir).collection('reports', { limit: 3 });
+  for (let i = 0; i < 250; i += 1) reports.put({ id: `r${i}`, n: i });
+  assert.deepEqual(reports.list().map((item) => item.n), [247, 248, 249]);
+  const lines = fs.readFileSync(path.join(dir, 'reports.jsonl'), 'utf8').trim().split('\n');
+  assert.ok(lines.length < 250);
+  assert.deepEqual(new Store(dir).collection('reports').list().map((item) => item.id), ['r247', 'r248', 'r249']);
+});
+
+test('migration imports the legacy normalized-address file once', () => {
+  const legacyDataDir = tempDir('fiq-legacy-');
+  fs.writeFileSync(path.join(legacyDataDir, 'normalized-addresses.json'), JSON.stringify([{ id: 'new', input: '2 Oak St' }, { id: 'old', input: '1 Elm St' }]));
+  const dir = path.join(legacyDataDir, 'store');
+  const store = new Store(dir, { legacyDataDir });
+  assert.deepEqual(store.migrate(), ['001-import-normalized-addresses']);
+  assert.deepEqual(store.collection('addresses').list().map((item) => item.id), ['old', 'new']);
+  assert.deepEqual(new Store(dir, { legacyDataDir }).migrate(), []);
+  assert.equal(store.meta().schemaVersion, 1);
+});
@@ -0,0 +1,37 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { nearestSignalTruckPct, normalizeTruckPct, resolveTruckShare, truckPctFromAttributes } from '../src/truckShare.js';
+
+test('truck share reads percentages and converts fractions only when told', () => {
+  assert.equal(normalizeTruckPct(8), 8);
+  assert.equal(normalizeTruckPct('0.5'), 0.5);
+  assert.equal(normalizeTruckPct('0.08', { fraction: true }), 8);
+  assert.equal(normalizeTruckPct(8, { fraction: true }), null);
+  assert.equal(normalizeTruckPct(95), null);
+  assert.equal(normalizeTruckPct(undefined), null);
+});
+
+test('truck share is read from percent or count attributes', () => {
+  assert.equal(truckPctFromAttributes({ AADT: 12000, TRUCK_PCT: 7 }, 12000), 7);
+  assert.equal(truckPctFromAttributes({ AADT: 12000, TRUCK_PCT: 0.8 }, 12000), 0.8);
+  assert.equal(truckPctFromAttributes({ AADT: 12000, TRUCK_FRAC: 0.08 }, 12000), 8);
+  assert.equal(truckPctFromAttributes({ AADT_2023: 20000, AADTT_2023: 1600 }, 20000), 8);
+  assert.equal(truckPctFromAttributes({ AADT: 20000 }, 20000), null);
+});
+
+test('nearest PennDOT signal carries a truck share', () => {
+  const signal = nearestSignalTruckPct(40.1146062, -74.932803);
+  assert.equal(signal.id, 9220);
+  assert.equal(signal.truckPct, 3);
+  assert.equal(nearestSignalTruckPct(35.2, -80.8), null);
+});
+
+test('resolution order is user, station, nearby, signal, default', () => {
+  assert.deepEqual(resolveTruckShare({ requested: 10, station: { truck_pct: 4 } }, 5), { pct: 10, source: 'user_entered', detail: null });
+  // "Truck share %" typed as 0.5 in the Site Analyzer is half a percent.
+  assert.deepEqual(resolveTruckShare({ requested: 0.5, station: { truck_pct: 4 } }, 5), { pct: 0.5, source: 'user_entered', detail: null });
+  assert.equal(resolveTruckShare({ station: { truck_pct: 4, route: 'US 1' } }, 5).source, 'aadt_station');
+  assert.equal(resolveTruckShare({ nearby: [{ truck_pct: null }, { truck_pct: 6 }] }, 5).pct, 6);
+  assert.equal(resolveTruckShare({ lat: 40.1146062, lon: -74.932803 }, 5).source, 'penndot_signal');
+  assert.deepEqual(resolveTruckShare({ lat: 35.2, lon: -80.8 }, 5), { pct: 5, source: 'default', detail: null });
+});